@@ -0,0 +1,97 @@
+// Staff roles and the permissions they grant
+// Permissions are "<area>:<action>" strings checked by middleware/requirePermission.js.
+// "admin" is the super-admin role and holds every permission; "user" is a customer with none.
+
+const PERMISSIONS = {
+    'dashboard:read': 'View the admin dashboard',
+    'catalog:read': 'View departments, categories, products and brands',
+    'catalog:write': 'Create, edit and delete departments, categories, products and brands',
+    'inventory:read': 'View stock batches',
+    'inventory:write': 'Receive, adjust and delete stock batches',
+    'content:read': 'View sliders, banners, video banners and homepage sections',
+    'content:write': 'Edit sliders, banners, video banners and homepage sections',
+    'media:read': 'Browse the media library',
+    'media:write': 'Upload and delete media',
+    'orders:read': 'View orders, print invoices and packing slips',
+    'orders:update': 'Confirm, cancel and change the status of orders',
+    'orders:fulfil': 'Create and update shipments',
+    'returns:read': 'View return requests',
+    'returns:update': 'Approve, receive, refund and reject returns',
+    'prescriptions:read': 'View prescriptions',
+    'prescriptions:review': 'Approve and reject prescriptions',
+    'coupons:read': 'View coupons',
+    'coupons:write': 'Create, edit and delete coupons',
+    'shipping:read': 'View shipping zones',
+    'shipping:write': 'Edit shipping zones',
+    'reports:read': 'View sales reports',
+    'users:read': 'View users',
+    'users:manage': 'Assign roles and activate or deactivate users',
+    'audit:read': 'View and export the audit log of admin changes'
+};
+
+const ROLES = {
+    user: {
+        label: 'Customer',
+        description: 'Shops on the storefront; no admin access',
+        permissions: []
+    },
+    admin: {
+        label: 'Super Admin',
+        description: 'Full access, including assigning roles',
+        permissions: ['*']
+    },
+    catalog_editor: {
+        label: 'Catalog Editor',
+        description: 'Maintains departments, categories, products and brands',
+        permissions: ['dashboard:read', 'catalog:read', 'catalog:write', 'inventory:read', 'media:read', 'media:write']
+    },
+    content_editor: {
+        label: 'Content Editor',
+        description: 'Maintains the homepage, sliders and banners',
+        permissions: ['dashboard:read', 'content:read', 'content:write', 'catalog:read', 'media:read', 'media:write']
+    },
+    order_manager: {
+        label: 'Order Manager',
+        description: 'Processes orders, returns and refunds',
+        permissions: [
+            'dashboard:read', 'orders:read', 'orders:update', 'orders:fulfil', 'returns:read', 'returns:update',
+            'prescriptions:read', 'coupons:read', 'shipping:read', 'reports:read', 'users:read'
+        ]
+    },
+    pharmacist: {
+        label: 'Pharmacist',
+        description: 'Reviews prescriptions for prescription-only orders',
+        permissions: ['dashboard:read', 'prescriptions:read', 'prescriptions:review', 'orders:read', 'catalog:read']
+    },
+    warehouse: {
+        label: 'Warehouse Staff',
+        description: 'Manages stock and ships orders',
+        permissions: [
+            'dashboard:read', 'inventory:read', 'inventory:write', 'orders:read', 'orders:fulfil', 'returns:read', 'catalog:read'
+        ]
+    }
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Every permission a role grants ("*" expanded)
+const getRolePermissions = (role) => {
+    const definition = ROLES[role];
+    if (!definition) {
+        return [];
+    }
+    return definition.permissions.includes('*') ? Object.keys(PERMISSIONS) : definition.permissions;
+};
+
+const hasPermission = (role, permission) => {
+    const definition = ROLES[role];
+    return !!definition && (definition.permissions.includes('*') || definition.permissions.includes(permission));
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    ROLE_NAMES,
+    getRolePermissions,
+    hasPermission
+};
@@ -1,6 +1,6 @@
-const jwt = require('jsonwebtoken');
+const { authenticate } = require('../services/sessions');
 
-module.exports = function(req, res, next) {
+module.exports = async function(req, res, next) {
     // Get token from header
     const token = req.header('x-auth-token');
     
@@ -9,12 +9,13 @@ module.exports = function(req, res, next) {
         return res.status(401).json({ message: 'No token, authorization denied' });
     }
     
-    // Verify token
+    // Verify token and its session
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
-        req.user = decoded.user;
+        const { user, sessionId } = await authenticate(token);
+        req.user = user;
+        req.sessionId = sessionId;
         next();
     } catch (err) {
-        res.status(401).json({ message: 'Token is not valid' });
+        res.status(err.statusCode || 401).json({ message: err.message || 'Token is not valid' });
     }
-};
\ No newline at end of file
+};
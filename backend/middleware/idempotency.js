@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Replays the stored response when a request is repeated with the same Idempotency-Key header
+// (a double-click or a network retry), so the handler runs once per key within windowHours.
+// Only successful responses are kept: after an error the key is released and the request can be retried.
+// scopeOf(req) names the caller, so two callers can never share a key; requests without the header run as usual.
+module.exports = function idempotency({ windowHours = 24, lockSeconds = 120, scopeOf = req => (req.user ? `user:${req.user.id}` : 'guest') } = {}) {
+    return async function(req, res, next) {
+        const key = req.get('Idempotency-Key');
+        if (key === undefined) {
+            return next();
+        }
+        if (!KEY_PATTERN.test(key)) {
+            return res.status(400).json({ message: 'Idempotency-Key must be 1-255 printable characters' });
+        }
+
+        const scope = `${req.method} ${req.baseUrl}${req.path} ${scopeOf(req)}`;
+        const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+        let record;
+        try {
+            record = await IdempotencyKey.create({
+                key,
+                scope,
+                requestHash,
+                expiresAt: new Date(Date.now() + windowHours * 60 * 60 * 1000)
+            });
+        } catch (err) {
+            if (err.code !== 11000) {
+                console.error('Idempotency key error:', err);
+                return res.status(500).json({ message: err.message });
+            }
+
+            const existing = await IdempotencyKey.findOne({ key, scope });
+            if (!existing) {
+                // Expired between the insert and the lookup
+                return res.status(409).json({ message: 'Please retry the request', code: 'IDEMPOTENCY_RETRY' });
+            }
+            if (existing.requestHash !== requestHash) {
+                return res.status(422).json({
+                    message: 'This Idempotency-Key was already used for a different request',
+                    code: 'IDEMPOTENCY_KEY_REUSED'
+                });
+            }
+            if (existing.status === 'completed') {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.statusCode).json(existing.response);
+            }
+
+            // Still running - unless the first attempt died without answering, in which case this one takes over
+            record = await IdempotencyKey.findOneAndUpdate(
+                { _id: existing._id, status: 'processing', updatedAt: { $lte: new Date(Date.now() - lockSeconds * 1000) } },
+                { $set: { updatedAt: new Date() } },
+                { new: true, timestamps: false }
+            );
+            if (!record) {
+                res.set('Retry-After', '2');
+                return res.status(409).json({
+                    message: 'This request is already being processed',
+                    code: 'IDEMPOTENCY_IN_PROGRESS'
+                });
+            }
+        }
+
+        // Store the response before it is sent, so a retry arriving right after it is replayed
+        const json = res.json.bind(res);
+        res.json = function(body) {
+            const stored = res.statusCode < 400
+                ? IdempotencyKey.updateOne(
+                    { _id: record._id },
+                    { $set: { status: 'completed', statusCode: res.statusCode, response: JSON.parse(JSON.stringify(body)) } }
+                )
+                : IdempotencyKey.deleteOne({ _id: record._id });
+            stored
+                .catch(error => console.error(`Failed to store the response for Idempotency-Key ${key}:`, error.message))
+                .finally(() => json(body));
+            return res;
+        };
+        next();
+    };
+};
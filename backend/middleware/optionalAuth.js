@@ -0,0 +1,16 @@
+const { authenticate } = require('../services/sessions');
+
+// For routes open to guests: sets req.user when a valid token is sent, otherwise carries on as a guest
+module.exports = async function(req, res, next) {
+    const token = req.header('x-auth-token');
+    if (token) {
+        try {
+            const { user, sessionId } = await authenticate(token);
+            req.user = user;
+            req.sessionId = sessionId;
+        } catch (err) {
+            // Invalid, expired or revoked token - treat as a guest
+        }
+    }
+    next();
+};
@@ -0,0 +1,37 @@
+// In-memory fixed-window rate limiter
+// Counts are per server process, which is enough to stop brute-force guessing on a single dyno.
+module.exports = function rateLimit({ windowMs, max, message, keyGenerator = req => req.ip }) {
+    const hits = new Map();
+
+    // Drop expired windows so the map does not grow without bound
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) {
+                hits.delete(key);
+            }
+        }
+    }, windowMs);
+    cleanup.unref();
+
+    return function(req, res, next) {
+        const key = keyGenerator(req);
+        const now = Date.now();
+
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count += 1;
+
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(max - entry.count, 0)));
+
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+            return res.status(429).json({ message: message || 'Too many requests. Please try again later.' });
+        }
+        next();
+    };
+};
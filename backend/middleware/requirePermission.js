@@ -0,0 +1,47 @@
+const { authenticate } = require('../services/sessions');
+const { hasPermission } = require('../config/permissions');
+const { runWithAuditContext } = require('../services/auditLog');
+
+// Admin route guard: requirePermission('orders:update') lets through staff whose role grants every listed permission
+module.exports = function requirePermission(...permissions) {
+    return async function(req, res, next) {
+        // Get token from header
+        const token = req.header('x-auth-token');
+        
+        // Check if not token
+        if (!token) {
+            return res.status(401).json({ message: 'No token, authorization denied' });
+        }
+        
+        // Verify token and its session
+        let decoded;
+        try {
+            decoded = await authenticate(token);
+        } catch (err) {
+            console.error('Admin auth error:', err.message);
+            return res.status(err.statusCode || 401).json({ message: err.message || 'Token is not valid' });
+        }
+        
+        // Check the role grants the permissions (roles change only with a new session, so the token's role is current)
+        const missing = permissions.filter(permission => !hasPermission(decoded.user.role, permission));
+        if (missing.length > 0) {
+            console.error('Access denied. User role:', decoded.user.role, 'User ID:', decoded.user.id, 'Missing:', missing.join(', '));
+            return res.status(403).json({
+                message: 'Access denied. You do not have permission to do this.',
+                role: decoded.user.role || 'user',
+                missing
+            });
+        }
+        
+        req.user = decoded.user;
+        req.sessionId = decoded.sessionId;
+        // Changes made while handling the request are recorded in the audit log under this user
+        runWithAuditContext({
+            actor: decoded.user.id,
+            actorRole: decoded.user.role,
+            ip: req.ip,
+            method: req.method,
+            path: req.originalUrl
+        }, next);
+    };
+};
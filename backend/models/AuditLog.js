@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One create/update/delete made through the admin API, written by the auditTrail plugin
+const AuditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    actorRole: {
+        type: String
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete'],
+        required: true
+    },
+    // Model name, e.g. Product
+    entityType: {
+        type: String,
+        required: true
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Changed top-level fields only: before holds the old values, after the new ones
+    // (before is empty for a create, after is empty for a delete)
+    before: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    ip: {
+        type: String
+    },
+    // Request that caused the change, e.g. PUT /api/products/:id
+    method: {
+        type: String
+    },
+    path: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
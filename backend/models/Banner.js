@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const BannerSchema = new mongoose.Schema({
     title: {
@@ -67,4 +68,6 @@ const BannerSchema = new mongoose.Schema({
     }
 });
 
+BannerSchema.plugin(auditTrail, { entityType: 'Banner' });
+
 module.exports = mongoose.model('Banner', BannerSchema);
\ No newline at end of file
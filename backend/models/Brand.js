@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const BrandSchema = new mongoose.Schema({
     name: {
@@ -18,6 +19,15 @@ const BrandSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Used in the brand landing page URL (/brand/:slug)
+    slug: {
+        type: String,
+        unique: true,
+        sparse: true,
+        lowercase: true,
+        trim: true
+    },
+    // Keep link for backward compatibility but deprecated - logos now link to the brand page
     link: {
         type: String,
         trim: true
@@ -40,6 +50,21 @@ const BrandSchema = new mongoose.Schema({
     }
 });
 
+function slugify(value) {
+    return String(value || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+BrandSchema.pre('validate', function(next) {
+    this.slug = slugify(this.slug || this.name) || undefined;
+    next();
+});
+
 BrandSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
     if (!this.alt) {
@@ -48,4 +73,35 @@ BrandSchema.pre('save', function(next) {
     next();
 });
 
+BrandSchema.statics.slugify = slugify;
+
+// Give brands created before slugs existed a unique slug (run once at startup)
+// Names that slugify to a taken slug get a numeric suffix: "acme", "acme-2", ...
+BrandSchema.statics.backfillSlugs = async function() {
+    const brands = await this.find({ $or: [{ slug: null }, { slug: '' }] }).select('name').sort({ createdAt: 1 });
+
+    for (const brand of brands) {
+        const base = slugify(brand.name) || 'brand';
+        for (let suffix = 1; ; suffix++) {
+            const slug = suffix === 1 ? base : `${base}-${suffix}`;
+            if (await this.exists({ slug })) {
+                continue;
+            }
+            try {
+                await this.updateOne({ _id: brand._id, $or: [{ slug: null }, { slug: '' }] }, { $set: { slug } });
+                break;
+            } catch (error) {
+                // Another process took the slug in the meantime - try the next suffix
+                if (error.code !== 11000) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    return brands.length;
+};
+
+BrandSchema.plugin(auditTrail, { entityType: 'Brand' });
+
 module.exports = mongoose.model('Brand', BrandSchema);
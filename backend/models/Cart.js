@@ -6,6 +6,10 @@ const CartItemSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
     },
+    // _id of the chosen entry in Product.variants (products with variants only)
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
     quantity: {
         type: Number,
         required: true,
@@ -22,14 +26,38 @@ const CartItemSchema = new mongoose.Schema({
     }
 }, { _id: true });
 
+// Guest carts are removed this long after their last change
+const GUEST_CART_TTL_DAYS = 30;
+
+// A cart belongs to a logged-in user or, for guests, to the random token in their cartToken cookie
 const CartSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true,
-        unique: true
+        unique: true,
+        sparse: true
+    },
+    cartToken: {
+        type: String,
+        unique: true,
+        sparse: true
     },
     items: [CartItemSchema],
+    // Guest's email from checkout, so an abandoned guest cart can be followed up (logged-in users use their account email)
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    // updatedAt of the cart when the abandoned cart job last picked it up; a later change makes it eligible again
+    abandonedAt: {
+        type: Date
+    },
+    // Latest abandonment record, credited with the next order placed from this cart
+    recovery: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CartRecovery'
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -42,6 +70,18 @@ const CartSchema = new mongoose.Schema({
     timestamps: true
 });
 
+CartSchema.index(
+    { updatedAt: 1 },
+    { expireAfterSeconds: GUEST_CART_TTL_DAYS * 24 * 60 * 60, partialFilterExpression: { cartToken: { $exists: true } } }
+);
+
+CartSchema.pre('validate', function(next) {
+    if (!this.user === !this.cartToken) {
+        this.invalidate('user', 'A cart belongs to either a user or a cart token');
+    }
+    next();
+});
+
 // Calculate total before saving
 CartSchema.methods.calculateTotal = function() {
     return this.items.reduce((total, item) => {
@@ -61,5 +101,24 @@ CartSchema.pre('save', function(next) {
     next();
 });
 
+CartSchema.statics.GUEST_CART_TTL_DAYS = GUEST_CART_TTL_DAYS;
+
+// Databases created before guest carts have a unique, non-sparse user_1 index that
+// lets only one cart without a user exist; replace it with the schema's sparse one
+CartSchema.statics.migrateIndexes = async function() {
+    const indexes = await this.collection.indexes().catch(error => {
+        if (error.codeName === 'NamespaceNotFound') {
+            return [];
+        }
+        throw error;
+    });
+    const legacyUserIndex = indexes.find(index => index.name === 'user_1' && !index.sparse);
+    if (legacyUserIndex) {
+        await this.collection.dropIndex('user_1');
+        console.log('✅ Dropped legacy non-sparse carts.user_1 index');
+    }
+    await this.syncIndexes();
+};
+
 module.exports = mongoose.model('Cart', CartSchema);
 
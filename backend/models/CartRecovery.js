@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Items of the cart when it was found abandoned (the cart itself may change or expire afterwards)
+const RecoveryItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    name: {
+        type: String
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Price after the product discount
+    price: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// One abandoned cart: detected by the abandoned cart job, optionally emailed, and recovered when an order follows
+const CartRecoverySchema = new mongoose.Schema({
+    cart: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cart',
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Customer email; empty for guests who never entered one (counted as abandoned, but not emailed)
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    items: [RecoveryItemSchema],
+    cartValue: {
+        type: Number,
+        default: 0
+    },
+    // When the cart was last changed before it was found abandoned
+    abandonedAt: {
+        type: Date,
+        required: true
+    },
+    // One-time discount offered in the recovery email
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+    },
+    emailedAt: {
+        type: Date
+    },
+    emailError: {
+        type: String
+    },
+    // When the customer opened the restore link
+    restoredAt: {
+        type: Date
+    },
+    // Order placed from the cart afterwards
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    orderTotal: {
+        type: Number
+    },
+    recoveredAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+CartRecoverySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CartRecovery', CartRecoverySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const CategorySchema = new mongoose.Schema({
     name: {
@@ -41,4 +42,6 @@ const CategorySchema = new mongoose.Schema({
     }
 });
 
+CategorySchema.plugin(auditTrail, { entityType: 'Category' });
+
 module.exports = mongoose.model('Category', CategorySchema);
\ No newline at end of file
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Named atomic sequences (e.g. 'order'). _id is the sequence name.
+const CounterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    versionKey: false
+});
+
+// Seed a sequence once, without touching it if it already exists
+CounterSchema.statics.seed = async function(name, value) {
+    try {
+        await this.updateOne(
+            { _id: name },
+            { $setOnInsert: { seq: value } },
+            { upsert: true }
+        );
+    } catch (error) {
+        // Two concurrent seeds can race on the upsert - the loser can safely ignore it
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+};
+
+// Atomically increment a sequence and return the new value
+CounterSchema.statics.next = async function(name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const CouponSchema = new mongoose.Schema({
+    // Customers type the code at checkout; stored upper-case so matching is case-insensitive
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        required: true
+    },
+    // Percent off (0-100) for percentage coupons, amount in Rs. for fixed coupons
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Optional cap on the discount of a percentage coupon
+    maxDiscount: {
+        type: Number,
+        min: 0
+    },
+    // Minimum value of the eligible items before the coupon applies
+    minOrderValue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Which items the coupon discounts; 'all' applies to the whole cart
+    scope: {
+        type: String,
+        enum: ['all', 'department', 'category', 'product', 'brand'],
+        default: 'all'
+    },
+    departments: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department'
+    }],
+    categories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    brands: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Brand'
+    }],
+    // Total redemptions allowed across all customers (empty = unlimited)
+    usageLimit: {
+        type: Number,
+        min: 1
+    },
+    // Redemptions allowed per customer account or guest email (empty = unlimited)
+    perCustomerLimit: {
+        type: Number,
+        min: 1
+    },
+    // Redemptions so far; incremented atomically when an order is placed
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // One entry per redeemed order, so the per-customer limit can be checked in the same
+    // conditional update that increments usedCount (email is the account or guest email)
+    redemptions: {
+        type: [{
+            _id: false,
+            order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+            user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            email: String
+        }],
+        select: false
+    },
+    startsAt: {
+        type: Date
+    },
+    expiresAt: {
+        type: Date
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+CouponSchema.pre('validate', function(next) {
+    if (this.discountType === 'percentage' && this.value > 100) {
+        this.invalidate('value', 'Percentage discount cannot exceed 100');
+    }
+    if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+        this.invalidate('expiresAt', 'Expiry date must be after the start date');
+    }
+    next();
+});
+
+// Whether a product falls inside the coupon's scope
+// product must carry department, category and brand (IDs or populated documents)
+CouponSchema.methods.appliesToProduct = function(product) {
+    const idOf = (value) => (value && value._id ? value._id : value);
+    const contains = (list, value) => !!value && list.some(id => id.equals(idOf(value)));
+
+    switch (this.scope) {
+        case 'department':
+            return contains(this.departments, product.department);
+        case 'category':
+            return contains(this.categories, product.category);
+        case 'product':
+            return contains(this.products, product._id);
+        case 'brand':
+            return contains(this.brands, product.brand);
+        default:
+            return true;
+    }
+};
+
+CouponSchema.plugin(auditTrail, { entityType: 'Coupon' });
+
+module.exports = mongoose.model('Coupon', CouponSchema);
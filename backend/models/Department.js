@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const DepartmentSchema = new mongoose.Schema({
     name: {
@@ -32,4 +33,6 @@ const DepartmentSchema = new mongoose.Schema({
     }
 });
 
+DepartmentSchema.plugin(auditTrail, { entityType: 'Department' });
+
 module.exports = mongoose.model('Department', DepartmentSchema);
\ No newline at end of file
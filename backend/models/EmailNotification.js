@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Outgoing email queue: every notification is stored first, so a failed send can be retried later
+const EmailNotificationSchema = new mongoose.Schema({
+    // Template that produced the email, e.g. order_placed
+    type: {
+        type: String,
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        index: true
+    },
+    to: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    html: {
+        type: String,
+        required: true
+    },
+    text: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String
+    },
+    // When the retry job may try a pending email again
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    sentAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+EmailNotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('EmailNotification', EmailNotificationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 /**
  * HomepageSection Model
@@ -90,5 +91,7 @@ const HomepageSectionSchema = new mongoose.Schema({
 // Index for efficient queries
 HomepageSectionSchema.index({ ordering: 1, isActive: 1, isPublished: 1 });
 
+HomepageSectionSchema.plugin(auditTrail, { entityType: 'HomepageSection' });
+
 module.exports = mongoose.model('HomepageSection', HomepageSectionSchema);
 
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A request sent with an Idempotency-Key header, and the response to replay when the same key is sent again
+const IdempotencyKeySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    // Route and caller the key belongs to (e.g. "POST /api/orders user:<id>"), so keys never cross between them
+    scope: {
+        type: String,
+        required: true
+    },
+    // SHA-256 of the request body; a key sent again with a different body is refused
+    requestHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    statusCode: {
+        type: Number
+    },
+    response: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // MongoDB removes the key once this passes, after which the key can be used again
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+IdempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// A received lot of a product. Batch-tracked products derive Product.stock from
+// the remaining quantity of their unexpired batches.
+const InventoryBatchSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    batchNumber: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    expiryDate: {
+        type: Date,
+        required: true
+    },
+    // Remaining sellable quantity
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Quantity originally received (for recall and write-off reporting)
+    receivedQuantity: {
+        type: Number,
+        min: 0
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    notes: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+InventoryBatchSchema.index({ product: 1, batchNumber: 1 }, { unique: true });
+// FEFO lookups: earliest expiry first per product
+InventoryBatchSchema.index({ product: 1, expiryDate: 1 });
+
+InventoryBatchSchema.pre('save', function(next) {
+    if (this.isNew && this.receivedQuantity === undefined) {
+        this.receivedQuantity = this.quantity;
+    }
+    next();
+});
+
+// Recalculate Product.stock from the product's unexpired batches
+// The write is conditional on the stock read before summing the batches, so a reservation or
+// release that changes the stock in the meantime is not overwritten - the sum is taken again instead
+InventoryBatchSchema.statics.syncProductStock = async function(productId) {
+    const Product = mongoose.model('Product');
+    const MAX_ATTEMPTS = 5;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const product = await Product.findById(productId).select('stock');
+        const [result] = await this.aggregate([
+            {
+                $match: {
+                    product: new mongoose.Types.ObjectId(String(productId)),
+                    expiryDate: { $gt: new Date() },
+                    quantity: { $gt: 0 }
+                }
+            },
+            { $group: { _id: null, total: { $sum: '$quantity' } } }
+        ]);
+
+        const stock = result ? result.total : 0;
+        if (!product) {
+            return stock;
+        }
+
+        const updated = await Product.updateOne(
+            { _id: productId, stock: product.stock },
+            { $set: { stock, batchTracked: true } }
+        );
+        if (updated.matchedCount > 0) {
+            return stock;
+        }
+    }
+
+    const error = new Error('Stock changed while it was being recalculated. Please try again.');
+    error.statusCode = 409;
+    throw error;
+};
+
+// Recalculate stock for every product that still holds expired batch quantity,
+// so expired units stop counting as sellable stock
+InventoryBatchSchema.statics.syncExpiredBatches = async function() {
+    const productIds = await this.distinct('product', {
+        expiryDate: { $lte: new Date() },
+        quantity: { $gt: 0 }
+    });
+
+    for (const productId of productIds) {
+        try {
+            await this.syncProductStock(productId);
+        } catch (error) {
+            // Busy products are picked up again on the next run
+            console.error(`Failed to sync stock for product ${productId}:`, error.message);
+        }
+    }
+    return productIds.length;
+};
+
+InventoryBatchSchema.plugin(auditTrail, { entityType: 'InventoryBatch' });
+
+module.exports = mongoose.model('InventoryBatch', InventoryBatchSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const auditTrail = require('./plugins/auditTrail');
 
 const OrderItemSchema = new mongoose.Schema({
     product: {
@@ -6,10 +8,29 @@ const OrderItemSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
     },
+    // Chosen entry in Product.variants, with its label and SKU as they were when the order was placed
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    variantName: {
+        type: String,
+        trim: true
+    },
+    sku: {
+        type: String,
+        trim: true
+    },
+    // Units being fulfilled and billed; lowered (possibly to 0) when unshipped units are cancelled
     quantity: {
         type: Number,
         required: true,
-        min: 1
+        min: 0
+    },
+    // Units cancelled before they shipped (see cancelUnshippedItems); their stock was released
+    cancelledQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
     },
     price: {
         type: Number,
@@ -22,6 +43,125 @@ const OrderItemSchema = new mongoose.Schema({
     subtotal: {
         type: Number,
         required: true
+    },
+    // Snapshot of Product.requiresPrescription when the order was placed
+    requiresPrescription: {
+        type: Boolean,
+        default: false
+    },
+    // Inventory batches this line was allocated from (FEFO), kept for recall tracing
+    batches: [{
+        _id: false,
+        batch: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'InventoryBatch'
+        },
+        batchNumber: String,
+        expiryDate: Date,
+        quantity: Number
+    }]
+}, { _id: true });
+
+// Product name as shown on emails and documents, with the variant when one was chosen (product populated)
+OrderItemSchema.methods.getDisplayName = function(fallback = 'Product') {
+    const name = (this.product && this.product.name) || fallback;
+    return this.variantName ? `${name} - ${this.variantName}` : name;
+};
+
+// Allowed order status transitions - the single source of truth for status changes
+const STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'partially_shipped', 'shipped', 'cancelled'],
+    processing: ['partially_shipped', 'shipped', 'cancelled'],
+    // Cancelling the unshipped remainder can leave every dispatched unit already delivered
+    partially_shipped: ['shipped', 'delivered'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+// Once an order has shipments these statuses are derived from them and cannot be set by hand
+const SHIPMENT_DERIVED_STATUSES = ['partially_shipped', 'shipped', 'delivered'];
+
+// Allowed shipment status transitions
+const SHIPMENT_TRANSITIONS = {
+    pending: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+const ShipmentSchema = new mongoose.Schema({
+    // Order number plus a running suffix: ORD-20250101-000123-S1
+    shipmentNumber: {
+        type: String,
+        required: true
+    },
+    items: [{
+        _id: false,
+        // _id of the line item in Order.items
+        orderItem: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: 1
+        }
+    }],
+    courier: {
+        type: String,
+        trim: true
+    },
+    trackingNumber: {
+        type: String,
+        trim: true
+    },
+    trackingUrl: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: Object.keys(SHIPMENT_TRANSITIONS),
+        default: 'pending'
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    shippedAt: Date,
+    deliveredAt: Date,
+    cancelledAt: Date
+}, {
+    _id: true,
+    timestamps: true
+});
+
+const StatusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true
+    },
+    from: {
+        type: String
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actorRole: {
+        type: String,
+        default: 'system'
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
     }
 }, { _id: true });
 
@@ -29,8 +169,9 @@ const OrderSchema = new mongoose.Schema({
     orderNumber: {
         type: String,
         unique: true,
-        required: false,  // Will be generated in pre-save hook or route handler
-        default: undefined  // Explicitly set default to undefined
+        // A new order is inserted under a PENDING-<id> placeholder and given its ORD- number from the
+        // order counter once the insert has succeeded (see the post-save hook below)
+        required: true
     },
     user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -54,6 +195,8 @@ const OrderSchema = new mongoose.Schema({
         }
     },
     items: [OrderItemSchema],
+    // Parcels the order ships in; when present they drive the shipped/delivered status
+    shipments: [ShipmentSchema],
     shippingAddress: {
         street: String,
         city: String,
@@ -74,10 +217,30 @@ const OrderSchema = new mongoose.Schema({
         required: true,
         default: 0
     },
+    // Promo code applied at checkout; couponDiscount is the amount taken off the subtotal
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+    },
+    couponCode: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    couponDiscount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     shippingCost: {
         type: Number,
         default: 0
     },
+    // Name of the shipping zone the rate was quoted from
+    shippingZone: {
+        type: String,
+        trim: true
+    },
     tax: {
         type: Number,
         default: 0
@@ -89,9 +252,10 @@ const OrderSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+        enum: Object.keys(STATUS_TRANSITIONS),
         default: 'pending'
     },
+    statusHistory: [StatusHistorySchema],
     paymentMethod: {
         type: String,
         enum: ['cash_on_delivery', 'credit_card', 'debit_card', 'bank_transfer'],
@@ -99,13 +263,28 @@ const OrderSchema = new mongoose.Schema({
     },
     paymentStatus: {
         type: String,
-        enum: ['pending', 'paid', 'failed', 'refunded'],
+        enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
         default: 'pending'
     },
+    // Total refunded through processed returns
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     notes: {
         type: String,
         trim: true
     },
+    // True when any item is prescription-only; the order cannot be confirmed until the prescription is approved
+    requiresPrescription: {
+        type: Boolean,
+        default: false
+    },
+    prescription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Prescription'
+    },
     confirmedAt: {
         type: Date
     },
@@ -125,48 +304,68 @@ const OrderSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Generate order number before saving (fallback if not set in route handler or if temp number)
-OrderSchema.pre('save', async function(next) {
-    // Only generate if orderNumber is missing or is a temporary one
-    if (!this.orderNumber || this.orderNumber.startsWith('TEMP-')) {
-        try {
-            const Order = mongoose.model('Order');
-            const count = await Order.countDocuments();
-            const date = new Date();
-            const year = date.getFullYear();
-            const month = String(date.getMonth() + 1).padStart(2, '0');
-            const day = String(date.getDate()).padStart(2, '0');
-            const sequence = String(count + 1).padStart(6, '0');
-            this.orderNumber = `ORD-${year}${month}${day}-${sequence}`;
-            console.log('Pre-save hook generated order number:', this.orderNumber);
-        } catch (error) {
-            console.error('Error generating order number in pre-save hook:', error);
-            // Fallback if count fails
-            const date = new Date();
-            const year = date.getFullYear();
-            const month = String(date.getMonth() + 1).padStart(2, '0');
-            const day = String(date.getDate()).padStart(2, '0');
-            const random = String(Math.floor(Math.random() * 1000000)).padStart(6, '0');
-            this.orderNumber = `ORD-${year}${month}${day}-${random}`;
-            console.log('Pre-save hook generated fallback order number:', this.orderNumber);
-        }
+// Build an order number from the global 'order' counter: ORD-YYYYMMDD-000123
+// The first time it is used the counter is seeded past both the existing order count and the highest
+// number already issued today, so it neither repeats an older number nor falls behind deleted orders.
+OrderSchema.statics.generateOrderNumber = async function() {
+    const date = new Date();
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    const prefix = `ORD-${year}${month}${day}-`;
+
+    const exists = await Counter.exists({ _id: 'order' });
+    if (!exists) {
+        const todaysNumbers = await this.find({ orderNumber: { $regex: `^${prefix}\\d+$` } }).select('orderNumber').lean();
+        const highestToday = todaysNumbers.reduce(
+            (highest, order) => Math.max(highest, parseInt(order.orderNumber.slice(prefix.length), 10) || 0), 0);
+        await Counter.seed('order', Math.max(await this.countDocuments(), highestToday));
+    }
+
+    const seq = await Counter.next('order');
+    return `${prefix}${String(seq).padStart(6, '0')}`;
+};
+
+// Numbers are gap-free because the counter is only used once the order is known to persist: a new order
+// is inserted under a unique placeholder, then takes the next number. An order that fails validation or
+// whose insert fails (stock, coupon or idempotency rollbacks all happen before the save) uses no number.
+// The remaining window is a crash or lost connection between taking the number and writing it - that
+// number is skipped and the order keeps its PENDING-<id> placeholder, which is logged.
+OrderSchema.pre('validate', function(next) {
+    if (this.isNew && !this.orderNumber) {
+        this.orderNumber = `PENDING-${this._id}`;
+        this.$locals.pendingOrderNumber = this.orderNumber;
     }
     next();
 });
 
-// Generate orderNumber before validation (synchronous fallback)
-// This MUST run before Mongoose validation to prevent "required" errors
-OrderSchema.pre('validate', function(next) {
-    // Always ensure orderNumber exists before validation
-    // This prevents the "Path 'orderNumber' is required" error
-    if (!this.orderNumber || this.orderNumber === undefined || this.orderNumber === null) {
-        const timestamp = Date.now();
-        const random = Math.floor(Math.random() * 10000);
-        this.orderNumber = `TEMP-${timestamp}-${random}`;
-        console.warn('[Order Model] Order number not set before validation, using temporary number:', this.orderNumber);
-        console.warn('[Order Model] Pre-save hook will generate proper order number');
-    } else {
-        console.log('[Order Model] Order number already set before validation:', this.orderNumber);
+OrderSchema.post('save', async function(doc) {
+    const placeholder = doc.$locals.pendingOrderNumber;
+    if (!placeholder) {
+        return;
+    }
+    delete doc.$locals.pendingOrderNumber;
+
+    try {
+        const orderNumber = await doc.constructor.generateOrderNumber();
+        await doc.constructor.updateOne({ _id: doc._id, orderNumber: placeholder }, { $set: { orderNumber } });
+        doc.orderNumber = orderNumber;
+        doc.unmarkModified('orderNumber');
+    } catch (error) {
+        // The order itself is saved - failing here would make the caller roll back its stock and coupon
+        console.error(`❌ Could not assign an order number to order ${doc._id} (kept ${placeholder}):`, error.message);
+    }
+});
+
+// Record the initial status of a new order in its history
+OrderSchema.pre('save', function(next) {
+    if (this.isNew && (!this.statusHistory || this.statusHistory.length === 0)) {
+        this.statusHistory = [{
+            status: this.status,
+            actor: this.user || undefined,
+            actorRole: this.user ? 'user' : 'guest',
+            note: 'Order placed'
+        }];
     }
     next();
 });
@@ -178,7 +377,7 @@ OrderSchema.pre('save', function(next) {
     if (this.isModified('status')) {
         if (this.status === 'confirmed' && !this.confirmedAt) {
             this.confirmedAt = now;
-        } else if (this.status === 'shipped' && !this.shippedAt) {
+        } else if ((this.status === 'shipped' || this.status === 'partially_shipped') && !this.shippedAt) {
             this.shippedAt = now;
         } else if (this.status === 'delivered' && !this.deliveredAt) {
             this.deliveredAt = now;
@@ -190,17 +389,258 @@ OrderSchema.pre('save', function(next) {
     next();
 });
 
+// Statuses an order in the given status may move to
+OrderSchema.statics.getAllowedTransitions = function(status) {
+    return STATUS_TRANSITIONS[status] || [];
+};
+
+// Statuses an admin may set by hand: shipping statuses come from the shipments once there are any
+OrderSchema.methods.getManualTransitions = function() {
+    const allowed = STATUS_TRANSITIONS[this.status] || [];
+    return this.shipments.length > 0
+        ? allowed.filter(status => !SHIPMENT_DERIVED_STATUSES.includes(status))
+        : allowed.filter(status => status !== 'partially_shipped');
+};
+
+// Move the order to a new status and append the change to statusHistory
+// Throws (statusCode 400) if the transition is not allowed. Does not save.
+OrderSchema.methods.transitionTo = function(status, { actor, actorRole, note } = {}) {
+    if (!STATUS_TRANSITIONS[status]) {
+        const error = new Error(`Invalid status: ${status}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const allowed = STATUS_TRANSITIONS[this.status] || [];
+    if (!allowed.includes(status)) {
+        const error = new Error(`Cannot change order status from "${this.status}" to "${status}"`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const from = this.status;
+    this.status = status;
+    // Cash on delivery is collected when the goods are handed over
+    if (status === 'delivered' && this.paymentMethod === 'cash_on_delivery' && this.paymentStatus === 'pending') {
+        this.paymentStatus = 'paid';
+    }
+    this.statusHistory.push({
+        status,
+        from,
+        actor: actor || undefined,
+        actorRole: actorRole || 'system',
+        note: note || undefined,
+        changedAt: new Date()
+    });
+    return this;
+};
+
+// Units of each order line not yet in a (non-cancelled) shipment, keyed by line _id
+OrderSchema.methods.getUnshippedQuantities = function() {
+    const remaining = new Map(this.items.map(item => [item._id.toString(), item.quantity]));
+    this.shipments
+        .filter(shipment => shipment.status !== 'cancelled')
+        .forEach(shipment => shipment.items.forEach(item => {
+            const key = item.orderItem.toString();
+            remaining.set(key, (remaining.get(key) || 0) - item.quantity);
+        }));
+    return remaining;
+};
+
+// Add a shipment for some of the order's unshipped units
+// items: [{ orderItemId, quantity }]. Throws (statusCode 400) when the order cannot ship them. Does not save.
+OrderSchema.methods.addShipment = function({ items, courier, trackingNumber, trackingUrl, notes } = {}) {
+    const shipmentError = (message) => {
+        const error = new Error(message);
+        error.statusCode = 400;
+        return error;
+    };
+
+    if (!['confirmed', 'processing', 'partially_shipped'].includes(this.status)) {
+        throw shipmentError(`Cannot add a shipment to an order that is ${this.status}`);
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        throw shipmentError('A shipment needs at least one item');
+    }
+
+    const remaining = this.getUnshippedQuantities();
+    const shipmentItems = [];
+    for (const item of items) {
+        const key = String(item.orderItemId || '');
+        const quantity = parseInt(item.quantity, 10);
+        if (!remaining.has(key)) {
+            throw shipmentError('One of the shipment items is not part of this order');
+        }
+        if (Number.isNaN(quantity) || quantity < 1 || quantity > remaining.get(key)) {
+            throw shipmentError(`At most ${remaining.get(key)} unit(s) of this item are left to ship`);
+        }
+        remaining.set(key, remaining.get(key) - quantity);
+        shipmentItems.push({ orderItem: key, quantity });
+    }
+
+    this.shipments.push({
+        shipmentNumber: `${this.orderNumber}-S${this.shipments.length + 1}`,
+        items: shipmentItems,
+        courier,
+        trackingNumber,
+        trackingUrl,
+        notes
+    });
+    return this.shipments[this.shipments.length - 1];
+};
+
+// Move a shipment to a new status, then derive the order status from all shipments
+// Throws (statusCode 400/404) if the shipment or the transition is invalid. Does not save.
+OrderSchema.methods.transitionShipment = function(shipmentId, status, { actor, actorRole, note } = {}) {
+    const shipment = this.shipments.id(shipmentId);
+    if (!shipment) {
+        const error = new Error('Shipment not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const allowed = SHIPMENT_TRANSITIONS[shipment.status] || [];
+    if (!allowed.includes(status)) {
+        const error = new Error(`Cannot change shipment status from "${shipment.status}" to "${status}"`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    shipment.status = status;
+    if (status === 'shipped') shipment.shippedAt = new Date();
+    if (status === 'delivered') shipment.deliveredAt = new Date();
+    if (status === 'cancelled') shipment.cancelledAt = new Date();
+
+    const derived = this.deriveShippingStatus();
+    if (derived && derived !== this.status) {
+        this.transitionTo(derived, {
+            actor,
+            actorRole,
+            note: note || `Shipment ${shipment.shipmentNumber} ${status}`
+        });
+    }
+    return shipment;
+};
+
+// Cancel every unit of a partially shipped order that has not been dispatched: pending shipments are
+// cancelled, the lines keep only their dispatched units, and the coupon discount and tax are prorated
+// to the goods still being billed. The order then moves to the status its shipments imply.
+// Returns the released units ({ product, variant, quantity, batches }) for releaseStock. Does not save.
+OrderSchema.methods.cancelUnshippedItems = function({ actor, actorRole, note } = {}) {
+    if (this.status !== 'partially_shipped') {
+        const error = new Error('Only the unshipped items of a partially shipped order can be cancelled; cancel the whole order instead');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const now = new Date();
+    this.shipments.forEach(shipment => {
+        if (shipment.status === 'pending') {
+            shipment.status = 'cancelled';
+            shipment.cancelledAt = now;
+        }
+    });
+
+    const remaining = this.getUnshippedQuantities();
+    const released = [];
+    this.items.forEach(item => {
+        const quantity = remaining.get(item._id.toString()) || 0;
+        if (quantity <= 0) {
+            return;
+        }
+
+        // Dispatched units went out first-expiry-first, so the units put back come from the latest-expiring batches
+        const batches = [];
+        let toRelease = quantity;
+        [...item.batches]
+            .sort((a, b) => new Date(b.expiryDate) - new Date(a.expiryDate))
+            .forEach(allocation => {
+                const take = Math.min(toRelease, allocation.quantity);
+                if (take > 0) {
+                    batches.push({ batch: allocation.batch, quantity: take });
+                    allocation.quantity -= take;
+                    toRelease -= take;
+                }
+            });
+        item.batches = item.batches.filter(allocation => allocation.quantity > 0);
+
+        item.quantity -= quantity;
+        item.cancelledQuantity = (item.cancelledQuantity || 0) + quantity;
+        released.push({ product: item.product, variant: item.variant, quantity, batches });
+    });
+
+    if (released.length === 0) {
+        const error = new Error('Every unit of this order has already been dispatched');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const previousSubtotal = this.subtotal;
+    this.calculateTotals();
+    const ratio = previousSubtotal > 0 ? this.subtotal / previousSubtotal : 0;
+    const roundAmount = (amount) => Math.round(amount * 100) / 100;
+    this.couponDiscount = roundAmount((this.couponDiscount || 0) * ratio);
+    this.tax = roundAmount((this.tax || 0) * ratio);
+    this.calculateTotals();
+
+    const cancelledUnits = released.reduce((sum, item) => sum + item.quantity, 0);
+    this.transitionTo(this.deriveShippingStatus(), {
+        actor,
+        actorRole,
+        note: note || `Cancelled ${cancelledUnits} unshipped unit(s)`
+    });
+    return released;
+};
+
+// Order status implied by the shipments, or null while nothing has left the warehouse
+//   every unit delivered                      -> delivered
+//   every unit shipped (some not delivered)   -> shipped
+//   some units shipped                        -> partially_shipped
+OrderSchema.methods.deriveShippingStatus = function() {
+    const active = this.shipments.filter(shipment => shipment.status !== 'cancelled');
+    const dispatched = active.filter(shipment => ['shipped', 'delivered'].includes(shipment.status));
+    if (dispatched.length === 0) {
+        return null;
+    }
+
+    const units = (shipments) => shipments.reduce(
+        (sum, shipment) => sum + shipment.items.reduce((count, item) => count + item.quantity, 0), 0);
+    const orderedUnits = this.items.reduce((sum, item) => sum + item.quantity, 0);
+    const dispatchedUnits = units(dispatched);
+    const deliveredUnits = units(dispatched.filter(shipment => shipment.status === 'delivered'));
+
+    if (deliveredUnits >= orderedUnits) return 'delivered';
+    if (dispatchedUnits >= orderedUnits) return 'shipped';
+    return 'partially_shipped';
+};
+
 // Calculate totals
-OrderSchema.methods.calculateTotals = function() {
+// shippingQuote (from services/shipping quoteShipping) sets shippingCost and tax; without it the current values are kept
+OrderSchema.methods.calculateTotals = function(shippingQuote) {
     this.subtotal = this.items.reduce((sum, item) => {
         const itemPrice = item.price * (1 - (item.discount || 0) / 100);
         item.subtotal = itemPrice * item.quantity;
         return sum + item.subtotal;
     }, 0);
     
-    this.total = this.subtotal + (this.shippingCost || 0) + (this.tax || 0);
+    // A coupon can never take the goods below zero
+    this.couponDiscount = Math.min(this.couponDiscount || 0, this.subtotal);
+    
+    if (shippingQuote) {
+        this.shippingZone = shippingQuote.zone ? shippingQuote.zone.name : undefined;
+        this.shippingCost = shippingQuote.shippingCost || 0;
+        this.tax = shippingQuote.tax || 0;
+    }
+    
+    this.total = this.subtotal - this.couponDiscount + (this.shippingCost || 0) + (this.tax || 0);
     return this.total;
 };
 
+OrderSchema.statics.getAllowedShipmentTransitions = function(status) {
+    return SHIPMENT_TRANSITIONS[status] || [];
+};
+
+OrderSchema.plugin(auditTrail, { entityType: 'Order' });
+
 module.exports = mongoose.model('Order', OrderSchema);
 
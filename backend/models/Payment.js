@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Payment status changes accepted from provider webhooks
+// A late "failed" can never undo a payment that already succeeded
+const PAYMENT_TRANSITIONS = {
+    initiated: ['paid', 'failed'],
+    failed: ['paid'],
+    paid: ['refunded'],
+    refunded: []
+};
+
+const PaymentEventSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true
+    },
+    // Whether the event changed the payment status (duplicates and out-of-order events are kept but ignored)
+    applied: {
+        type: Boolean,
+        default: false
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// One attempt to pay an order through a payment provider
+const PaymentSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    // Provider's identifier for the payment (checkout session, intent or transaction reference)
+    reference: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'PKR'
+    },
+    status: {
+        type: String,
+        enum: Object.keys(PAYMENT_TRANSITIONS),
+        default: 'initiated'
+    },
+    // Relative URL the customer is sent back to after paying
+    returnUrl: {
+        type: String
+    },
+    events: [PaymentEventSchema]
+}, {
+    timestamps: true
+});
+
+PaymentSchema.index({ provider: 1, reference: 1 }, { unique: true });
+
+PaymentSchema.methods.canTransitionTo = function(status) {
+    return (PAYMENT_TRANSITIONS[this.status] || []).includes(status);
+};
+
+module.exports = mongoose.model('Payment', PaymentSchema);
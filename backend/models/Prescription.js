@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// Review decisions a pharmacist can make from each status
+// A decision can only be changed while the order is still pending (see review)
+const PRESCRIPTION_TRANSITIONS = {
+    pending: ['approved', 'rejected'],
+    approved: ['rejected'],
+    rejected: ['approved']
+};
+
+const PrescriptionSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    // Uploaded prescription scans/photos (stored privately as Media)
+    files: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media'
+    }],
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    guestEmail: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    status: {
+        type: String,
+        enum: Object.keys(PRESCRIPTION_TRANSITIONS),
+        default: 'pending'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: {
+        type: Date
+    },
+    reviewNote: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+PrescriptionSchema.index({ status: 1, createdAt: 1 });
+
+// Record a pharmacist's decision
+// Throws (statusCode 400) if the transition is not allowed, or if an earlier decision would change
+// after the order has been confirmed - the confirmation relied on it. Does not save.
+PrescriptionSchema.methods.review = function(status, { reviewer, note, orderStatus } = {}) {
+    const allowed = PRESCRIPTION_TRANSITIONS[this.status] || [];
+    if (!allowed.includes(status)) {
+        const error = new Error(`Cannot change prescription status from "${this.status}" to "${status}"`);
+        error.statusCode = 400;
+        throw error;
+    }
+    if (this.status !== 'pending' && orderStatus !== 'pending') {
+        const error = new Error(`This prescription can no longer be changed because its order is ${orderStatus}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    this.status = status;
+    this.reviewNote = note;
+    this.reviewedBy = reviewer;
+    this.reviewedAt = new Date();
+};
+
+PrescriptionSchema.plugin(auditTrail, { entityType: 'Prescription' });
+
+module.exports = mongoose.model('Prescription', PrescriptionSchema);
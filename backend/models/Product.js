@@ -1,5 +1,59 @@
 const mongoose = require('mongoose');
 const Category = require('./Category');
+const auditTrail = require('./plugins/auditTrail');
+
+// One purchasable version of a product (e.g. 200ml / 400ml, or a foundation shade), with its own SKU, price and stock
+const ProductVariantSchema = new mongoose.Schema({
+    // What sets the variant apart, in display order: [{ name: 'Size', value: '200ml' }]
+    attributes: [{
+        _id: false,
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        value: {
+            type: String,
+            required: true,
+            trim: true
+        }
+    }],
+    sku: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true
+    },
+    barcode: {
+        type: String,
+        trim: true
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    discount: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    stock: {
+        type: Number,
+        required: true,
+        min: 0,
+        default: 0
+    },
+    // Shown on the product page when the variant is picked; the product images are used when empty
+    images: [{
+        type: String
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: true });
 
 const ProductSchema = new mongoose.Schema({
     name: {
@@ -51,11 +105,29 @@ const ProductSchema = new mongoose.Schema({
         ref: 'Department',
         required: true
     },
+    brand: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Brand'
+    },
+    // Shipping weight in kg, used by weight-based shipping zones
+    weight: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     stock: {
         type: Number,
         required: true,
         min: 0
     },
+    // When a product has variants, cart and order lines name one of them and price, discount and stock are the
+    // variant's; the product-level price, discount and stock mirror them (see the pre-validate hook)
+    variants: [ProductVariantSchema],
+    // When true, stock is derived from InventoryBatch records and cannot be edited directly
+    batchTracked: {
+        type: Boolean,
+        default: false
+    },
     isFeatured: {
         type: Boolean,
         default: false
@@ -95,6 +167,11 @@ const ProductSchema = new mongoose.Schema({
         trim: true,
         default: ''
     },
+    // Prescription-only (Rx) item - checkout requires a prescription upload
+    requiresPrescription: {
+        type: Boolean,
+        default: false
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -105,6 +182,65 @@ const ProductSchema = new mongoose.Schema({
     }
 });
 
+// Label for a variant built from its attribute values, e.g. "Ivory / 30ml"
+const variantLabel = (variant) => (variant && variant.attributes ? variant.attributes.map(attribute => attribute.value).join(' / ') : '');
+
+// Products with variants: product stock is the total of the active variants, and price and discount are those of
+// the cheapest active variant, so listings, filters and reports keep working from the product fields
+ProductSchema.pre('validate', function(next) {
+    if (!this.variants || this.variants.length === 0) {
+        return next();
+    }
+
+    const skus = new Set();
+    for (const variant of this.variants) {
+        if (skus.has(variant.sku)) {
+            this.invalidate('variants', `SKU ${variant.sku} is used by more than one variant`);
+        }
+        skus.add(variant.sku);
+    }
+    if (this.batchTracked) {
+        this.invalidate('variants', 'Batch-tracked products cannot have variants');
+    }
+
+    const active = this.variants.filter(variant => variant.isActive);
+    this.stock = active.reduce((total, variant) => total + (variant.stock || 0), 0);
+    const unitPrice = (variant) => variant.price * (1 - (variant.discount || 0) / 100);
+    const cheapest = active.reduce((best, variant) => (!best || unitPrice(variant) < unitPrice(best) ? variant : best), null);
+    if (cheapest) {
+        this.price = cheapest.price;
+        this.discount = cheapest.discount || 0;
+    }
+    next();
+});
+
+/**
+ * What a cart or order line for this product is sold at
+ * Products with variants need an active variant; products without one are sold as they are.
+ * @param {String|ObjectId} [variantId] - Chosen variant
+ * @returns {Object|null} - { variant, price, discount, stock, sku, label }, or null when variantId does not
+ *                          name an active variant of this product (or names one on a product without variants)
+ */
+ProductSchema.methods.resolveVariant = function(variantId) {
+    if (!this.variants || this.variants.length === 0) {
+        return variantId
+            ? null
+            : { variant: null, price: this.price, discount: this.discount || 0, stock: this.stock, sku: undefined, label: '' };
+    }
+    const variant = variantId ? this.variants.id(variantId) : null;
+    if (!variant || !variant.isActive) {
+        return null;
+    }
+    return {
+        variant,
+        price: variant.price,
+        discount: variant.discount || 0,
+        stock: variant.stock,
+        sku: variant.sku,
+        label: variantLabel(variant)
+    };
+};
+
 // Pre-save hook: Auto-sync department from category
 // This ensures Department > Category > Product hierarchy is always maintained
 ProductSchema.pre('save', async function(next) {
@@ -168,5 +304,12 @@ ProductSchema.pre('save', async function(next) {
 ProductSchema.index({ department: 1, category: 1 });
 ProductSchema.index({ category: 1 });
 ProductSchema.index({ department: 1 });
+ProductSchema.index({ brand: 1 });
+ProductSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } });
+ProductSchema.index({ 'variants.barcode': 1 }, { sparse: true });
+
+ProductSchema.plugin(auditTrail, { entityType: 'Product' });
+
+ProductSchema.statics.variantLabel = variantLabel;
 
 module.exports = mongoose.model('Product', ProductSchema);
\ No newline at end of file
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const auditTrail = require('./plugins/auditTrail');
+
+// Allowed return status transitions
+const RETURN_TRANSITIONS = {
+    requested: ['approved', 'rejected'],
+    approved: ['received', 'rejected'],
+    received: ['refunded'],
+    refunded: [],
+    rejected: []
+};
+
+const ReturnItemSchema = new mongoose.Schema({
+    // _id of the line item in Order.items
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    // Set when the goods are received: false for damaged or opened items that cannot be resold
+    restock: {
+        type: Boolean,
+        default: true
+    },
+    restocked: {
+        type: Boolean,
+        default: false
+    },
+    // Amount refunded for this line (set when the return is refunded)
+    refundAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, { _id: true });
+
+const ReturnHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true
+    },
+    from: {
+        type: String
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actorRole: {
+        type: String,
+        default: 'system'
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: true });
+
+const ReturnRequestSchema = new mongoose.Schema({
+    returnNumber: {
+        type: String,
+        unique: true,
+        required: true  // Assigned from the 'return' counter in the pre-validate hook
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    guestEmail: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    items: {
+        type: [ReturnItemSchema],
+        validate: {
+            validator: items => items.length > 0,
+            message: 'Select at least one item to return'
+        }
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    comments: {
+        type: String,
+        trim: true
+    },
+    // Photos of the returned goods (stored privately as Media)
+    photos: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media'
+    }],
+    status: {
+        type: String,
+        enum: Object.keys(RETURN_TRANSITIONS),
+        default: 'requested'
+    },
+    history: [ReturnHistorySchema],
+    refundTotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Shipping and tax refunded with this return because it completed a return of the whole order (part of refundTotal)
+    chargesRefund: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    approvedAt: Date,
+    receivedAt: Date,
+    refundedAt: Date
+}, {
+    timestamps: true
+});
+
+ReturnRequestSchema.index({ status: 1, createdAt: 1 });
+
+// Return numbers come from their own counter: RET-000123
+ReturnRequestSchema.pre('validate', async function(next) {
+    if (this.returnNumber) {
+        return next();
+    }
+    try {
+        const seq = await Counter.next('return');
+        this.returnNumber = `RET-${String(seq).padStart(6, '0')}`;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Record the initial status of a new return in its history
+ReturnRequestSchema.pre('save', function(next) {
+    if (this.isNew && this.history.length === 0) {
+        this.history = [{
+            status: this.status,
+            actor: this.user || undefined,
+            actorRole: this.user ? 'user' : 'guest',
+            note: 'Return requested'
+        }];
+    }
+    next();
+});
+
+ReturnRequestSchema.statics.getAllowedTransitions = function(status) {
+    return RETURN_TRANSITIONS[status] || [];
+};
+
+// Move the return to a new status and record it in history
+// Throws (statusCode 400) if the transition is not allowed. Does not save.
+ReturnRequestSchema.methods.transitionTo = function(status, { actor, actorRole, note } = {}) {
+    const allowed = RETURN_TRANSITIONS[this.status] || [];
+    if (!RETURN_TRANSITIONS[status] || !allowed.includes(status)) {
+        const error = new Error(`Cannot change return status from "${this.status}" to "${status}"`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const from = this.status;
+    this.status = status;
+    this.history.push({
+        status,
+        from,
+        actor: actor || undefined,
+        actorRole: actorRole || 'system',
+        note: note || undefined
+    });
+
+    const now = new Date();
+    if (status === 'approved') this.approvedAt = now;
+    if (status === 'received') this.receivedAt = now;
+    if (status === 'refunded') this.refundedAt = now;
+};
+
+ReturnRequestSchema.plugin(auditTrail, { entityType: 'ReturnRequest' });
+
+module.exports = mongoose.model('ReturnRequest', ReturnRequestSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens name their session (sid) and stop working once it is revoked;
+// the refresh token is rotated on every use and only its SHA-256 hash is stored.
+const SessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Hash of the token replaced by the last rotation, to recognise a stolen token being replayed
+    previousRefreshTokenHash: {
+        type: String,
+        select: false
+    },
+    rotatedAt: {
+        type: Date
+    },
+    // "Remember me" sessions last longer
+    remember: {
+        type: Boolean,
+        default: false
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    ip: {
+        type: String,
+        trim: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Refreshing extends the session; MongoDB removes it once this passes
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// Rate for orders up to a weight (kg) or item count; the tier without upTo covers everything above
+const ShippingTierSchema = new mongoose.Schema({
+    upTo: {
+        type: Number,
+        min: 0
+    },
+    rate: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+const ShippingZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Cities served by this zone, stored lower-case for matching
+    cities: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    // Fallback zone for cities not listed in any other zone
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    // Whether tiers are measured in total weight (kg) or number of items
+    basis: {
+        type: String,
+        enum: ['weight', 'items'],
+        default: 'items'
+    },
+    tiers: {
+        type: [ShippingTierSchema],
+        validate: {
+            validator: tiers => tiers.length > 0,
+            message: 'At least one shipping rate tier is required'
+        }
+    },
+    // Order value (after coupon discount) from which shipping is free; empty = never free
+    freeShippingThreshold: {
+        type: Number,
+        min: 0
+    },
+    // Sales tax applied to the order value (after coupon discount), in percent
+    taxRate: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+ShippingZoneSchema.index({ cities: 1 });
+
+// Keep tiers ordered by upper bound, open-ended tier last
+ShippingZoneSchema.pre('save', function(next) {
+    this.tiers.sort((a, b) => {
+        const aLimit = a.upTo === undefined || a.upTo === null ? Infinity : a.upTo;
+        const bLimit = b.upTo === undefined || b.upTo === null ? Infinity : b.upTo;
+        return aLimit - bLimit;
+    });
+    next();
+});
+
+// Rate for a total weight or item count; above the last bounded tier the last tier's rate applies
+ShippingZoneSchema.methods.rateFor = function(measure) {
+    const tier = this.tiers.find(t => t.upTo === undefined || t.upTo === null || measure <= t.upTo)
+        || this.tiers[this.tiers.length - 1];
+    return tier ? tier.rate : 0;
+};
+
+ShippingZoneSchema.plugin(auditTrail, { entityType: 'ShippingZone' });
+
+module.exports = mongoose.model('ShippingZone', ShippingZoneSchema);
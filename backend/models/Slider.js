@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const SliderSchema = new mongoose.Schema({
     title: {
@@ -66,4 +67,6 @@ const SliderSchema = new mongoose.Schema({
     }
 });
 
+SliderSchema.plugin(auditTrail, { entityType: 'Slider' });
+
 module.exports = mongoose.model('Slider', SliderSchema);
\ No newline at end of file
@@ -1,5 +1,54 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLE_NAMES } = require('../config/permissions');
+const auditTrail = require('./plugins/auditTrail');
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const MAX_ADDRESSES = 20;
+const ADDRESS_FIELDS = ['label', 'fullName', 'street', 'city', 'state', 'zipCode', 'country', 'phone'];
+
+// One entry in a customer's address book
+const AddressSchema = new mongoose.Schema({
+    // e.g. Home, Office
+    label: {
+        type: String,
+        trim: true,
+        maxlength: 40,
+        default: 'Home'
+    },
+    fullName: {
+        type: String,
+        trim: true
+    },
+    street: {
+        type: String,
+        trim: true
+    },
+    city: {
+        type: String,
+        trim: true,
+        required: true
+    },
+    state: {
+        type: String,
+        trim: true
+    },
+    zipCode: {
+        type: String,
+        trim: true
+    },
+    country: {
+        type: String,
+        trim: true,
+        required: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    }
+});
 
 const UserSchema = new mongoose.Schema({
     name: {
@@ -23,6 +72,7 @@ const UserSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Single address from before the address book; copied into addresses the first time the book is read
     address: {
         street: String,
         city: String,
@@ -30,15 +80,50 @@ const UserSchema = new mongoose.Schema({
         zipCode: String,
         country: String
     },
+    addresses: [AddressSchema],
+    // _ids of entries in addresses that checkout preselects
+    defaultShippingAddress: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    defaultBillingAddress: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Customer ("user") or a staff role from config/permissions.js
     role: {
         type: String,
-        enum: ['user', 'admin'],
+        enum: ROLE_NAMES,
         default: 'user'
     },
     isActive: {
         type: Boolean,
         default: true
     },
+    // Set to false on self-registration until the emailed link is used.
+    // Left unset for accounts created before verification existed (and by admin scripts), which can log in as before.
+    emailVerified: {
+        type: Boolean
+    },
+    // Only SHA-256 hashes of emailed tokens are stored; each is cleared when used
+    emailVerificationToken: {
+        type: String,
+        index: true,
+        sparse: true,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
+    passwordResetToken: {
+        type: String,
+        index: true,
+        sparse: true,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -58,9 +143,152 @@ UserSchema.pre('save', async function(next) {
     }
 });
 
+// Deactivation, a role change or a new password ends every signed-in session of the user
+const SESSION_REVOKING_FIELDS = ['isActive', 'role', 'password'];
+
+UserSchema.pre('save', function(next) {
+    this.$locals.revokeSessions = !this.isNew &&
+        (this.isModified('role') || this.isModified('password') || (this.isModified('isActive') && !this.isActive));
+    next();
+});
+
+UserSchema.post('save', async function(doc) {
+    if (doc.$locals.revokeSessions) {
+        // Required here: the sessions service requires this model
+        const { revokeUserSessions } = require('../services/sessions');
+        await revokeUserSessions(doc._id, 'account_changed');
+    }
+});
+
+// Same for query updates (updateOne, findByIdAndUpdate, ...): find the affected users before the update runs
+UserSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], async function() {
+    const update = this.getUpdate() || {};
+    const changes = { ...update, ...(update.$set || {}) };
+    const revokes = SESSION_REVOKING_FIELDS.some(field =>
+        field === 'isActive' ? changes.isActive === false : changes[field] !== undefined);
+    if (revokes) {
+        this._revokeSessionsFor = await this.model.find(this.getFilter()).distinct('_id');
+    }
+});
+
+UserSchema.post(['updateOne', 'updateMany', 'findOneAndUpdate'], async function() {
+    if (this._revokeSessionsFor && this._revokeSessionsFor.length) {
+        const { revokeUserSessions } = require('../services/sessions');
+        await Promise.all(this._revokeSessionsFor.map(userId => revokeUserSessions(userId, 'account_changed')));
+    }
+});
+
 // Compare password method
 UserSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Generate a random token, store its hash with an expiry and return the raw token for the email link
+function issueToken(user, field, expiresField, ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+    user[field] = UserSchema.statics.hashToken(token);
+    user[expiresField] = new Date(Date.now() + ttlMs);
+    return token;
+}
+
+UserSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+UserSchema.methods.createPasswordResetToken = function() {
+    return issueToken(this, 'passwordResetToken', 'passwordResetExpires', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+};
+
+UserSchema.methods.createEmailVerificationToken = function() {
+    return issueToken(this, 'emailVerificationToken', 'emailVerificationExpires', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+};
+
+// Atomically clear a matching, unexpired token so it cannot be used twice; resolves to the user or null
+UserSchema.statics.consumeToken = function(field, expiresField, token) {
+    if (!token || typeof token !== 'string') {
+        return Promise.resolve(null);
+    }
+    return this.findOneAndUpdate(
+        { [field]: this.hashToken(token), [expiresField]: { $gt: new Date() } },
+        { $unset: { [field]: 1, [expiresField]: 1 } },
+        { new: true }
+    );
+};
+
+// Address book entries with their default flags, for API responses
+UserSchema.methods.getAddressBook = function() {
+    return this.addresses.map(address => ({
+        ...address.toObject(),
+        isDefaultShipping: !!this.defaultShippingAddress && address._id.equals(this.defaultShippingAddress),
+        isDefaultBilling: !!this.defaultBillingAddress && address._id.equals(this.defaultBillingAddress)
+    }));
+};
+
+// Start the address book from the legacy single address; returns true when the user needs saving
+UserSchema.methods.importLegacyAddress = function() {
+    if (this.addresses.length > 0 || !this.address || !this.address.city) {
+        return false;
+    }
+    const { street, city, state, zipCode, country } = this.address;
+    this.setAddress({ street, city, state, zipCode, country, phone: this.phone });
+    return true;
+};
+
+// Saved address with the same street, city, state, zip code, country and phone (ignoring case and spacing)
+UserSchema.methods.findSameAddress = function(data) {
+    const normalize = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    const fields = ['street', 'city', 'state', 'zipCode', 'country', 'phone'];
+    return this.addresses.find(address => fields.every(field => normalize(address[field]) === normalize(data[field])));
+};
+
+// Copy allowed address fields and defaults onto an address book entry (new when address is omitted)
+UserSchema.methods.setAddress = function(data, address) {
+    if (!address) {
+        if (this.addresses.length >= MAX_ADDRESSES) {
+            const error = new Error(`You can save up to ${MAX_ADDRESSES} addresses`);
+            error.statusCode = 400;
+            throw error;
+        }
+        this.addresses.push({});
+        address = this.addresses[this.addresses.length - 1];
+    }
+    ADDRESS_FIELDS.forEach(field => {
+        if (data[field] !== undefined) {
+            address[field] = data[field];
+        }
+    });
+
+    // The first address becomes the default for both
+    if (data.isDefaultShipping || !this.defaultShippingAddress) {
+        this.defaultShippingAddress = address._id;
+    } else if (data.isDefaultShipping === false && address._id.equals(this.defaultShippingAddress)) {
+        this.defaultShippingAddress = undefined;
+    }
+    if (data.isDefaultBilling || !this.defaultBillingAddress) {
+        this.defaultBillingAddress = address._id;
+    } else if (data.isDefaultBilling === false && address._id.equals(this.defaultBillingAddress)) {
+        this.defaultBillingAddress = undefined;
+    }
+    return address;
+};
+
+// Remove an address book entry; a removed default passes to the first remaining address
+UserSchema.methods.removeAddress = function(addressId) {
+    const address = this.addresses.id(addressId);
+    if (!address) {
+        return false;
+    }
+    this.addresses.pull(address._id);
+    const fallback = this.addresses.length > 0 ? this.addresses[0]._id : undefined;
+    if (this.defaultShippingAddress && this.defaultShippingAddress.equals(addressId)) {
+        this.defaultShippingAddress = fallback;
+    }
+    if (this.defaultBillingAddress && this.defaultBillingAddress.equals(addressId)) {
+        this.defaultBillingAddress = fallback;
+    }
+    return true;
+};
+
+UserSchema.plugin(auditTrail, { entityType: 'User' });
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
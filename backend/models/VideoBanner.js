@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 /**
  * VideoBanner Model
@@ -100,4 +101,6 @@ VideoBannerSchema.pre('save', function(next) {
     next();
 });
 
+VideoBannerSchema.plugin(auditTrail, { entityType: 'VideoBanner' });
+
 module.exports = mongoose.model('VideoBanner', VideoBannerSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const WishlistItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Price (after discount) and availability when the item was saved, to flag price drops and restocks
+    priceWhenAdded: {
+        type: Number,
+        min: 0
+    },
+    inStockWhenAdded: {
+        type: Boolean
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const WishlistSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    items: [WishlistItemSchema]
+}, {
+    timestamps: true
+});
+
+WishlistSchema.methods.hasProduct = function(productId) {
+    return this.items.some(item => item.product.toString() === String(productId));
+};
+
+module.exports = mongoose.model('Wishlist', WishlistSchema);
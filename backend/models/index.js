@@ -19,6 +19,19 @@ const Brand = require('./Brand');
 const HomepageSection = require('./HomepageSection');
 const Media = require('./Media');
 const VideoBanner = require('./VideoBanner');
+const Counter = require('./Counter');
+const Prescription = require('./Prescription');
+const InventoryBatch = require('./InventoryBatch');
+const Coupon = require('./Coupon');
+const ShippingZone = require('./ShippingZone');
+const Payment = require('./Payment');
+const ReturnRequest = require('./ReturnRequest');
+const EmailNotification = require('./EmailNotification');
+const Session = require('./Session');
+const AuditLog = require('./AuditLog');
+const Wishlist = require('./Wishlist');
+const CartRecovery = require('./CartRecovery');
+const IdempotencyKey = require('./IdempotencyKey');
 
 // Register schemas for live database syncing (register always, sync only if LIVE_MONGODB_URI is set)
 // Access schema from mongoose.models or model.collection.name
@@ -34,6 +47,18 @@ dbSync.registerSchema('Brand', mongoose.model('Brand').schema);
 dbSync.registerSchema('HomepageSection', mongoose.model('HomepageSection').schema);
 dbSync.registerSchema('Media', mongoose.model('Media').schema);
 dbSync.registerSchema('VideoBanner', mongoose.model('VideoBanner').schema);
+dbSync.registerSchema('Prescription', mongoose.model('Prescription').schema);
+dbSync.registerSchema('InventoryBatch', mongoose.model('InventoryBatch').schema);
+dbSync.registerSchema('Coupon', mongoose.model('Coupon').schema);
+dbSync.registerSchema('ShippingZone', mongoose.model('ShippingZone').schema);
+dbSync.registerSchema('Payment', mongoose.model('Payment').schema);
+dbSync.registerSchema('ReturnRequest', mongoose.model('ReturnRequest').schema);
+dbSync.registerSchema('EmailNotification', mongoose.model('EmailNotification').schema);
+dbSync.registerSchema('Session', mongoose.model('Session').schema);
+dbSync.registerSchema('AuditLog', mongoose.model('AuditLog').schema);
+dbSync.registerSchema('Wishlist', mongoose.model('Wishlist').schema);
+dbSync.registerSchema('CartRecovery', mongoose.model('CartRecovery').schema);
+dbSync.registerSchema('IdempotencyKey', mongoose.model('IdempotencyKey').schema);
 
 // Add post-save hooks to all models for auto-syncing
 function addAutoSyncHooks(modelName, Model) {
@@ -90,6 +115,18 @@ if (process.env.LIVE_MONGODB_URI) {
     addAutoSyncHooks('HomepageSection', HomepageSection);
     addAutoSyncHooks('Media', Media);
     addAutoSyncHooks('VideoBanner', VideoBanner);
+    addAutoSyncHooks('Prescription', Prescription);
+    addAutoSyncHooks('InventoryBatch', InventoryBatch);
+    addAutoSyncHooks('Coupon', Coupon);
+    addAutoSyncHooks('ShippingZone', ShippingZone);
+    addAutoSyncHooks('Payment', Payment);
+    addAutoSyncHooks('ReturnRequest', ReturnRequest);
+    addAutoSyncHooks('EmailNotification', EmailNotification);
+    addAutoSyncHooks('Session', Session);
+    addAutoSyncHooks('AuditLog', AuditLog);
+    addAutoSyncHooks('Wishlist', Wishlist);
+    addAutoSyncHooks('CartRecovery', CartRecovery);
+    addAutoSyncHooks('IdempotencyKey', IdempotencyKey);
 }
 
 module.exports = {
@@ -104,6 +141,19 @@ module.exports = {
     Brand,
     HomepageSection,
     Media,
-    VideoBanner
+    VideoBanner,
+    Counter,
+    Prescription,
+    InventoryBatch,
+    Coupon,
+    ShippingZone,
+    Payment,
+    ReturnRequest,
+    EmailNotification,
+    Session,
+    AuditLog,
+    Wishlist,
+    CartRecovery,
+    IdempotencyKey
 };
 
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { getAuditContext, recordChange } = require('../../services/auditLog');
+
+// Query updates touching more documents than this are audited for the first ones only
+const MAX_AUDITED_PER_QUERY = 500;
+
+const UPDATE_QUERIES = ['findOneAndUpdate', 'findOneAndReplace', 'updateOne', 'updateMany', 'replaceOne'];
+const DELETE_QUERIES = ['findOneAndDelete', 'deleteOne', 'deleteMany'];
+
+const snapshot = (doc) => doc.toObject({ depopulate: true, virtuals: false, versionKey: false });
+
+// Only changes to the primary database are audited; the live-sync copy shares these schemas
+const isPrimary = (model) => model.db === mongoose.connection;
+
+/**
+ * Schema plugin: record every create/update/delete made during an admin request in the audit log
+ * Usage: ProductSchema.plugin(auditTrail, { entityType: 'Product' })
+ */
+module.exports = function auditTrail(schema, { entityType }) {
+    // Remember what a loaded document looked like, to diff against when it is saved
+    schema.post('init', function(doc) {
+        const context = getAuditContext();
+        if (context && context.method !== 'GET') {
+            doc.$locals.auditBefore = snapshot(doc);
+        }
+    });
+
+    schema.pre('save', function(next) {
+        this.$locals.auditAction = this.isNew ? 'create' : 'update';
+        next();
+    });
+
+    schema.post('save', async function(doc) {
+        if (!getAuditContext() || !isPrimary(doc.constructor)) {
+            return;
+        }
+        const after = snapshot(doc);
+        const before = doc.$locals.auditAction === 'create' ? null : doc.$locals.auditBefore;
+        // Documents not loaded during this request have no snapshot; record the new state as a whole
+        await recordChange(doc.$locals.auditAction, entityType, before || null, after);
+        doc.$locals.auditBefore = after;
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+        if (getAuditContext() && isPrimary(doc.constructor)) {
+            await recordChange('delete', entityType, snapshot(doc), null);
+        }
+    });
+
+    // Query updates and deletes: load the matching documents first, then compare
+    schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], { document: false, query: true }, async function() {
+        if (!getAuditContext() || !isPrimary(this.model)) {
+            return;
+        }
+        const single = !['updateMany', 'deleteMany'].includes(this.op);
+        this._auditBefore = await this.model.find(this.getFilter())
+            .sort(this.getOptions().sort || {})
+            .limit(single ? 1 : MAX_AUDITED_PER_QUERY)
+            .lean();
+    });
+
+    schema.post(UPDATE_QUERIES, { document: false, query: true }, async function() {
+        if (!this._auditBefore || this._auditBefore.length === 0) {
+            return;
+        }
+        const afterDocs = await this.model.find({ _id: { $in: this._auditBefore.map(doc => doc._id) } }).lean();
+        const afterById = new Map(afterDocs.map(doc => [String(doc._id), doc]));
+        for (const before of this._auditBefore) {
+            const after = afterById.get(String(before._id));
+            if (after) {
+                await recordChange('update', entityType, before, after);
+            }
+        }
+    });
+
+    schema.post(DELETE_QUERIES, { document: false, query: true }, async function() {
+        for (const before of this._auditBefore || []) {
+            await recordChange('delete', entityType, before, null);
+        }
+    });
+};
@@ -0,0 +1,113 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const User = require('../models/User');
+
+// Shipping/billing address book of the logged-in customer
+// Each address may be the default shipping and/or default billing address (isDefaultShipping, isDefaultBilling)
+
+function sendAddressError(res, error) {
+    const status = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+    res.status(status).json({ message: error.message });
+}
+
+function validateAddress(body, partial) {
+    for (const field of ['city', 'country']) {
+        if ((!partial || body[field] !== undefined) && !String(body[field] || '').trim()) {
+            return `Please provide the ${field}`;
+        }
+    }
+    if (body.phone && !/^\+?[\d\s()-]{7,20}$/.test(String(body.phone).trim())) {
+        return 'Please provide a valid phone number';
+    }
+    return null;
+}
+
+async function loadUser(req) {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    return user;
+}
+
+// List saved addresses
+router.get('/', auth, async (req, res) => {
+    try {
+        const user = await loadUser(req);
+        if (user.importLegacyAddress()) {
+            await user.save();
+        }
+        res.json(user.getAddressBook());
+    } catch (err) {
+        sendAddressError(res, err);
+    }
+});
+
+// Save a new address
+router.post('/', auth, async (req, res) => {
+    try {
+        const message = validateAddress(req.body, false);
+        if (message) {
+            return res.status(400).json({ message });
+        }
+
+        const user = await loadUser(req);
+        user.importLegacyAddress();
+        const address = user.setAddress(req.body);
+        await user.save();
+
+        res.status(201).json(user.getAddressBook().find(entry => entry._id.equals(address._id)));
+    } catch (err) {
+        sendAddressError(res, err);
+    }
+});
+
+// Edit an address or make it a default
+router.put('/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Address not found' });
+        }
+        const message = validateAddress(req.body, true);
+        if (message) {
+            return res.status(400).json({ message });
+        }
+
+        const user = await loadUser(req);
+        const address = user.addresses.id(req.params.id);
+        if (!address) {
+            return res.status(404).json({ message: 'Address not found' });
+        }
+        user.setAddress(req.body, address);
+        await user.save();
+
+        res.json(user.getAddressBook().find(entry => entry._id.equals(address._id)));
+    } catch (err) {
+        sendAddressError(res, err);
+    }
+});
+
+// Delete an address
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Address not found' });
+        }
+
+        const user = await loadUser(req);
+        if (!user.removeAddress(req.params.id)) {
+            return res.status(404).json({ message: 'Address not found' });
+        }
+        await user.save();
+
+        res.json({ message: 'Address deleted' });
+    } catch (err) {
+        sendAddressError(res, err);
+    }
+});
+
+module.exports = router;
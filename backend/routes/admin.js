@@ -1,15 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const Department = require('../models/Department');
 const Category = require('../models/Category');
 const Product = require('../models/Product');
 const Slider = require('../models/Slider');
 const Banner = require('../models/Banner');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { EXPORT_LIMIT, buildAuditFilter, toCsv } = require('../services/auditLog');
+const { PERMISSIONS, ROLES, getRolePermissions, hasPermission } = require('../config/permissions');
 
 // Dashboard statistics
-router.get('/dashboard', adminAuth, async (req, res) => {
+router.get('/dashboard', requirePermission('dashboard:read'), async (req, res) => {
     try {
         const departmentsCount = await Department.countDocuments({ isActive: true });
         const categoriesCount = await Category.countDocuments({ isActive: true });
@@ -28,7 +31,7 @@ router.get('/dashboard', adminAuth, async (req, res) => {
 });
 
 // Get all departments (admin)
-router.get('/departments', adminAuth, async (req, res) => {
+router.get('/departments', requirePermission('catalog:read'), async (req, res) => {
     try {
         const departments = await Department.find().populate('imageUpload');
         res.json(departments);
@@ -38,7 +41,7 @@ router.get('/departments', adminAuth, async (req, res) => {
 });
 
 // Get all categories (admin)
-router.get('/categories', adminAuth, async (req, res) => {
+router.get('/categories', requirePermission('catalog:read'), async (req, res) => {
     try {
         const categories = await Category.find().populate('department', 'name').populate('imageUpload');
         res.json(categories);
@@ -48,7 +51,7 @@ router.get('/categories', adminAuth, async (req, res) => {
 });
 
 // Get unique collection names for filter dropdown
-router.get('/collections', adminAuth, async (req, res) => {
+router.get('/collections', requirePermission('catalog:read'), async (req, res) => {
     try {
         const collections = await Product.distinct('collectionName', {
             collectionName: { $exists: true, $ne: '', $ne: null }
@@ -64,7 +67,7 @@ router.get('/collections', adminAuth, async (req, res) => {
 });
 
 // Get all products (admin)
-router.get('/products', adminAuth, async (req, res) => {
+router.get('/products', requirePermission('catalog:read'), async (req, res) => {
     try {
         const { 
             page = 1, 
@@ -249,7 +252,7 @@ router.get('/products', adminAuth, async (req, res) => {
             .populate('category', 'name')
             .populate('department', 'name')
             .populate('imageUpload')
-            .select('name price discount image imageUpload category department stock isFeatured isTrending isNewArrival isBestSelling isTopSelling sections collectionName createdAt')
+            .select('name price discount image imageUpload category department stock batchTracked isFeatured isTrending isNewArrival isBestSelling isTopSelling requiresPrescription sections collectionName createdAt')
             .limit(limit * 1)
             .skip((page - 1) * limit)
             .sort({ createdAt: -1 });
@@ -277,7 +280,7 @@ router.get('/products', adminAuth, async (req, res) => {
 });
 
 // Get all sliders (admin)
-router.get('/sliders', adminAuth, async (req, res) => {
+router.get('/sliders', requirePermission('content:read'), async (req, res) => {
     try {
         const sliders = await Slider.find().populate('imageUpload');
         res.json(sliders);
@@ -287,7 +290,7 @@ router.get('/sliders', adminAuth, async (req, res) => {
 });
 
 // Get all banners (admin)
-router.get('/banners', adminAuth, async (req, res) => {
+router.get('/banners', requirePermission('content:read'), async (req, res) => {
     try {
         const banners = await Banner.find().populate('imageUpload');
         res.json(banners);
@@ -297,7 +300,7 @@ router.get('/banners', adminAuth, async (req, res) => {
 });
 
 // Get all users (admin)
-router.get('/users', adminAuth, async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
     try {
         const { page = 1, limit = 10 } = req.query;
 
@@ -319,4 +322,113 @@ router.get('/users', adminAuth, async (req, res) => {
     }
 });
 
+// Roles that can be assigned, with the permissions each grants
+router.get('/roles', requirePermission('users:read'), (req, res) => {
+    res.json({
+        roles: Object.entries(ROLES).map(([name, role]) => ({
+            name,
+            label: role.label,
+            description: role.description,
+            permissions: getRolePermissions(name)
+        })),
+        permissions: PERMISSIONS
+    });
+});
+
+// Assign a role to a user and/or activate or deactivate them
+// Either change signs the user out everywhere (see the User model)
+router.put('/users/:id', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { role, isActive } = req.body;
+
+        if (role !== undefined && !ROLES[role]) {
+            return res.status(400).json({ message: `Unknown role "${role}"` });
+        }
+        if (isActive !== undefined && typeof isActive !== 'boolean') {
+            return res.status(400).json({ message: 'isActive must be true or false' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        // Admins cannot lock themselves out
+        if (user.id === req.user.id && ((role !== undefined && role !== user.role) || isActive === false)) {
+            return res.status(400).json({ message: 'You cannot change your own role or deactivate your own account' });
+        }
+
+        // Keep at least one active user who can manage roles
+        const losesUserManagement = hasPermission(user.role, 'users:manage') && user.isActive &&
+            ((role !== undefined && !hasPermission(role, 'users:manage')) || isActive === false);
+        if (losesUserManagement) {
+            const managerRoles = Object.keys(ROLES).filter(name => hasPermission(name, 'users:manage'));
+            const otherManagers = await User.countDocuments({ _id: { $ne: user._id }, role: { $in: managerRoles }, isActive: true });
+            if (otherManagers === 0) {
+                return res.status(400).json({ message: 'At least one active Super Admin is required' });
+            }
+        }
+
+        if (role !== undefined) {
+            user.role = role;
+        }
+        if (isActive !== undefined) {
+            user.isActive = isActive;
+        }
+        await user.save();
+
+        const updated = user.toObject();
+        delete updated.password;
+        res.json(updated);
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Audit log of changes made through the admin API, newest first
+// Filters: entityType, entityId, action, actor, from, to (dates)
+router.get('/audit-logs', requirePermission('audit:read'), async (req, res) => {
+    try {
+        const { page = 1, limit = 25 } = req.query;
+        const filter = buildAuditFilter(req.query);
+
+        const entries = await AuditLog.find(filter)
+            .populate('actor', 'name email')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const count = await AuditLog.countDocuments(filter);
+        const entityTypes = await AuditLog.distinct('entityType');
+
+        res.json({
+            entries,
+            entityTypes: entityTypes.sort(),
+            total: count,
+            totalPages: Math.ceil(count / limit),
+            currentPage: parseInt(page)
+        });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Download the filtered audit log as CSV (newest entries, up to EXPORT_LIMIT)
+router.get('/audit-logs/export', requirePermission('audit:read'), async (req, res) => {
+    try {
+        const entries = await AuditLog.find(buildAuditFilter(req.query))
+            .populate('actor', 'name email')
+            .sort({ createdAt: -1 })
+            .limit(EXPORT_LIMIT);
+
+        const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.set('Cache-Control', 'private, no-store');
+        res.send(toCsv(entries));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
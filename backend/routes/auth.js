@@ -1,11 +1,57 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { getRolePermissions } = require('../config/permissions');
+const { sendAccountEmail } = require('../services/notifications');
+const { isConfigured: isMailConfigured } = require('../services/mailer');
+const {
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+    listUserSessions
+} = require('../services/sessions');
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Same answer whether or not the address has an account, so these endpoints cannot be used to probe for users
+const RESET_REQUESTED_MESSAGE = 'If an account exists for that email, a password reset link has been sent.';
+const VERIFICATION_REQUESTED_MESSAGE = 'If that email belongs to an unverified account, a new verification link has been sent.';
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.toLowerCase().trim() : '');
+
+// Email links are built from PUBLIC_URL only - never from the request's Host header, which the client controls
+// Returns null (and logs) when PUBLIC_URL is not set, so the caller skips sending the email
+const appUrl = (path) => {
+    if (!process.env.PUBLIC_URL) {
+        console.error('❌ PUBLIC_URL is not set - account emails with links cannot be sent');
+        return null;
+    }
+    return `${process.env.PUBLIC_URL.replace(/\/$/, '')}${path}`;
+};
+
+// Limits for endpoints that send email: per client, and per target address
+const accountEmailByClientLimit = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: 'Too many requests. Please wait a few minutes and try again.'
+});
+const accountEmailByAddressLimit = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 3,
+    message: 'Too many emails requested for this address. Please try again later.',
+    keyGenerator: req => normalizeEmail(req.body && req.body.email)
+});
+const tokenLimit = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: 'Too many attempts. Please try again later.'
+});
 
 // Register a new user
-router.post('/register', async (req, res) => {
+router.post('/register', accountEmailByClientLimit, async (req, res) => {
     try {
         const { name, email, password, phone } = req.body;
         
@@ -17,7 +63,6 @@ router.post('/register', async (req, res) => {
         }
         
         // Validate email format
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         if (!emailRegex.test(email)) {
             return res.status(400).json({ 
                 message: 'Please provide a valid email address' 
@@ -45,37 +90,47 @@ router.post('/register', async (req, res) => {
             phone: phone || undefined
         });
         
+        // Without an email transport the verification link could never arrive, so the account is
+        // verified straight away instead of being created unable to log in
+        if (!isMailConfigured()) {
+            console.warn('⚠️  No email transport configured - registering without email verification');
+            user.emailVerified = true;
+            await user.save();
+            
+            return res.status(201).json({
+                message: 'Registration successful. You can now log in.',
+                emailVerified: true,
+                emailSent: false,
+                user: {
+                    id: user.id,
+                    name: user.name,
+                    email: user.email,
+                    role: user.role
+                }
+            });
+        }
+        
+        const verificationToken = user.createEmailVerificationToken();
+        user.emailVerified = false;
         await user.save();
         
-        // Create JWT token
-        const payload = {
+        // No token until the address is confirmed - the login route refuses unverified accounts
+        const verifyUrl = appUrl(`/login?verify=${verificationToken}`);
+        const emailSent = verifyUrl ? await sendAccountEmail(user, 'email_verification', verifyUrl) : false;
+        
+        res.status(201).json({
+            message: emailSent
+                ? 'Registration successful. Please check your email to verify your account.'
+                : 'Registration successful, but we could not send the verification email. Please request a new one.',
+            emailVerified: false,
+            emailSent,
             user: {
                 id: user.id,
+                name: user.name,
+                email: user.email,
                 role: user.role
             }
-        };
-        
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'default_secret',
-            { expiresIn: '24h' },
-            (err, token) => {
-                if (err) {
-                    console.error('JWT signing error:', err);
-                    return res.status(500).json({ message: 'Server error during registration' });
-                }
-                res.status(201).json({ 
-                    token,
-                    message: 'Registration successful',
-                    user: {
-                        id: user.id,
-                        name: user.name,
-                        email: user.email,
-                        role: user.role
-                    }
-                });
-            }
-        );
+        });
     } catch (err) {
         console.error('Registration error:', err.message);
         
@@ -135,34 +190,28 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ message: 'Invalid credentials' });
         }
         
-        // Check JWT_SECRET
-        if (!process.env.JWT_SECRET) {
-            console.error('JWT_SECRET is not set in environment variables');
-            return res.status(500).json({ message: 'Server configuration error' });
+        // Self-registered accounts must confirm their email first (unset means a pre-verification account)
+        if (user.emailVerified === false) {
+            return res.status(403).json({
+                message: 'Please verify your email address before logging in.',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
         }
         
-        // Create JWT token
-        const payload = {
-            user: {
-                id: user.id,
-                role: user.role
-            }
-        };
-        
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' },
-            (err, token) => {
-                if (err) {
-                    console.error('JWT signing error:', err);
-                    return res.status(500).json({ message: 'Server error during login' });
-                }
-                console.log('Login successful for:', email);
-                res.json({ token });
-            }
-        );
+        // Start a server-side session: short-lived access token plus a rotating refresh token
+        const tokens = await createSession(user, {
+            userAgent: req.get('user-agent'),
+            ip: req.ip,
+            remember: req.body.remember === true || req.body.remember === 'true'
+        });
+        
+        console.log('Login successful for:', email);
+        res.json(tokens);
     } catch (err) {
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ message: err.message });
+        }
+        
         console.error('========== LOGIN ERROR ==========');
         console.error('Error Name:', err.name);
         console.error('Error Message:', err.message);
@@ -180,11 +229,183 @@ router.post('/login', async (req, res) => {
 router.get('/me', auth, async (req, res) => {
     try {
         const user = await User.findById(req.user.id).select('-password');
-        res.json(user);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        res.json({ ...user.toObject(), permissions: getRolePermissions(user.role) });
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
     }
 });
 
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', tokenLimit, async (req, res) => {
+    try {
+        const tokens = await refreshSession(req.body.refreshToken, {
+            userAgent: req.get('user-agent'),
+            ip: req.ip
+        });
+        res.json(tokens);
+    } catch (err) {
+        if (!err.statusCode) {
+            console.error('Token refresh error:', err.message);
+        }
+        res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : 'Server error. Please try again later.' });
+    }
+});
+
+// Log out: revoke the current session
+router.post('/logout', auth, async (req, res) => {
+    try {
+        await revokeSession(req.sessionId, 'logout', req.user.id);
+        res.json({ message: 'Logged out' });
+    } catch (err) {
+        console.error('Logout error:', err.message);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    }
+});
+
+// List the current user's signed-in sessions
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await listUserSessions(req.user.id);
+        res.json(sessions.map(session => ({
+            ...session.toObject(),
+            current: session.id === req.sessionId
+        })));
+    } catch (err) {
+        console.error('List sessions error:', err.message);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    }
+});
+
+// Sign out every other device
+router.delete('/sessions', auth, async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.user.id, 'revoked_by_user', { exceptSessionId: req.sessionId });
+        res.json({ message: `Signed out of ${revoked} other session${revoked === 1 ? '' : 's'}`, revoked });
+    } catch (err) {
+        console.error('Revoke sessions error:', err.message);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', auth, async (req, res) => {
+    try {
+        if (!/^[a-f0-9]{24}$/.test(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid session ID' });
+        }
+        const revoked = await revokeSession(req.params.id, 'revoked_by_user', req.user.id);
+        if (!revoked) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+        res.json({ message: 'Session revoked', current: req.params.id === req.sessionId });
+    } catch (err) {
+        console.error('Revoke session error:', err.message);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', tokenLimit, async (req, res) => {
+    try {
+        const user = await User.consumeToken('emailVerificationToken', 'emailVerificationExpires', req.body.token);
+        if (!user) {
+            return res.status(400).json({ message: 'This verification link is invalid or has expired. Please request a new one.' });
+        }
+        
+        user.emailVerified = true;
+        await user.save();
+        
+        res.json({ message: 'Your email has been verified. You can now log in.' });
+    } catch (err) {
+        console.error('Email verification error:', err.message);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    }
+});
+
+// Send a fresh verification link to an unverified account
+router.post('/resend-verification', accountEmailByClientLimit, accountEmailByAddressLimit, async (req, res) => {
+    try {
+        const email = normalizeEmail(req.body.email);
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ message: 'Please provide a valid email address' });
+        }
+        
+        const user = await User.findOne({ email, emailVerified: false, isActive: true });
+        if (user) {
+            const verificationToken = user.createEmailVerificationToken();
+            await user.save();
+            const verifyUrl = appUrl(`/login?verify=${verificationToken}`);
+            if (verifyUrl) {
+                await sendAccountEmail(user, 'email_verification', verifyUrl);
+            }
+        }
+        
+        res.json({ message: VERIFICATION_REQUESTED_MESSAGE });
+    } catch (err) {
+        console.error('Resend verification error:', err.message);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    }
+});
+
+// Email a password reset link
+router.post('/forgot-password', accountEmailByClientLimit, accountEmailByAddressLimit, async (req, res) => {
+    try {
+        const email = normalizeEmail(req.body.email);
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ message: 'Please provide a valid email address' });
+        }
+        
+        const user = await User.findOne({ email, isActive: true });
+        if (user) {
+            // A new request replaces any earlier link
+            const resetToken = user.createPasswordResetToken();
+            await user.save();
+            const resetUrl = appUrl(`/login?reset=${resetToken}`);
+            if (resetUrl) {
+                await sendAccountEmail(user, 'password_reset', resetUrl);
+            }
+        }
+        
+        res.json({ message: RESET_REQUESTED_MESSAGE });
+    } catch (err) {
+        console.error('Forgot password error:', err.message);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    }
+});
+
+// Set a new password with the token from the reset email
+router.post('/reset-password', tokenLimit, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        
+        if (typeof password !== 'string' || password.length < 6) {
+            return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+        }
+        
+        const user = await User.consumeToken('passwordResetToken', 'passwordResetExpires', token);
+        if (!user) {
+            return res.status(400).json({ message: 'This password reset link is invalid or has expired. Please request a new one.' });
+        }
+        
+        // Saving a new password also signs out every existing session (see the User model)
+        user.password = password;
+        // The link was delivered to this inbox, which proves the address as well
+        if (user.emailVerified === false) {
+            user.emailVerified = true;
+            user.emailVerificationToken = undefined;
+            user.emailVerificationExpires = undefined;
+        }
+        await user.save();
+        
+        res.json({ message: 'Your password has been reset. You can now log in.' });
+    } catch (err) {
+        console.error('Reset password error:', err.message);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,7 +3,7 @@ const router = express.Router();
 const Banner = require('../models/Banner');
 const Media = require('../models/Media');
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const { uploadBanner, deleteTempFile } = require('../middleware/bannerUpload');
 const { cloudinary, isConfigured } = require('../config/cloudinary');
 const { prepareSignedUploadParams } = require('../utils/cloudinarySignature');
@@ -34,7 +34,7 @@ function extractYouTubeId(url) {
 }
 
 // Upload banner file (image or video) to Cloudinary
-router.post('/upload', adminAuth, uploadBanner, async (req, res) => {
+router.post('/upload', requirePermission('content:write'), uploadBanner, async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ message: 'No file uploaded' });
     }
@@ -276,7 +276,7 @@ router.get('/:position', async (req, res) => {
 });
 
 // Create a new banner (admin only)
-router.post('/', adminAuth, async (req, res) => {
+router.post('/', requirePermission('content:write'), async (req, res) => {
     // Detect if image URL is a YouTube/Vimeo video
     const imageUrl = req.body.image || '';
     const detectedVideoType = detectVideoType(imageUrl);
@@ -316,7 +316,7 @@ router.post('/', adminAuth, async (req, res) => {
 });
 
 // Update a banner (admin only)
-router.put('/:id', adminAuth, async (req, res) => {
+router.put('/:id', requirePermission('content:write'), async (req, res) => {
     try {
         const banner = await Banner.findById(req.params.id);
         if (!banner) {
@@ -360,7 +360,7 @@ router.put('/:id', adminAuth, async (req, res) => {
 });
 
 // Delete a banner (admin only)
-router.delete('/:id', adminAuth, async (req, res) => {
+router.delete('/:id', requirePermission('content:write'), async (req, res) => {
     try {
         const banner = await Banner.findById(req.params.id);
         if (!banner) {
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const Brand = require('../models/Brand');
 const Media = require('../models/Media');
+const Product = require('../models/Product');
+const Department = require('../models/Department');
+const Category = require('../models/Category');
 
 // Helper function to assign image fields
 async function assignImageFields(target, body) {
@@ -47,8 +50,8 @@ async function assignImageFields(target, body) {
 }
 
 // Get all brands (admin)
-// IMPORTANT: This route requires adminAuth middleware
-router.get('/', adminAuth, async (req, res) => {
+// IMPORTANT: This route requires the catalog:read permission
+router.get('/', requirePermission('catalog:read'), async (req, res) => {
     try {
         console.log('📥 Admin brands API called - /api/admin/brands');
         console.log('   User ID:', req.user?.id);
@@ -90,7 +93,7 @@ router.get('/public', async (req, res) => {
         const brands = await Brand.find({ isActive: true })
             .populate('imageUpload', 'url')
             .sort({ order: 1, createdAt: -1 })
-            .select('name image alt link order');
+            .select('name image alt slug order');
         
         console.log(`   Found ${brands.length} active brands in database`);
         
@@ -141,8 +144,57 @@ router.get('/public', async (req, res) => {
     }
 });
 
+// Get a brand landing page by slug (public), with department and category facets
+// IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+router.get('/public/:slug', async (req, res) => {
+    try {
+        const brand = await Brand.findOne({ slug: String(req.params.slug).toLowerCase(), isActive: true })
+            .populate('imageUpload', 'url')
+            .select('name image imageUpload alt slug');
+
+        if (!brand) {
+            return res.status(404).json({ message: 'Brand not found' });
+        }
+
+        const counts = await Product.aggregate([
+            { $match: { brand: brand._id, isActive: true } },
+            { $group: { _id: { department: '$department', category: '$category' }, count: { $sum: 1 } } }
+        ]);
+
+        const departmentCounts = new Map();
+        const categoryCounts = new Map();
+        counts.forEach(({ _id, count }) => {
+            if (_id.department) {
+                const departmentId = String(_id.department);
+                departmentCounts.set(departmentId, (departmentCounts.get(departmentId) || 0) + count);
+            }
+            if (_id.category) {
+                const categoryId = String(_id.category);
+                categoryCounts.set(categoryId, (categoryCounts.get(categoryId) || 0) + count);
+            }
+        });
+
+        const [departmentDocs, categoryDocs] = await Promise.all([
+            Department.find({ _id: { $in: [...departmentCounts.keys()] }, isActive: true }).select('name _id').sort({ name: 1 }).lean(),
+            Category.find({ _id: { $in: [...categoryCounts.keys()] }, isActive: true }).select('name _id department').sort({ name: 1 }).lean()
+        ]);
+
+        const departments = departmentDocs.map(department => ({ ...department, count: departmentCounts.get(String(department._id)) }));
+        const categories = categoryDocs.map(category => ({ ...category, count: categoryCounts.get(String(category._id)) }));
+
+        res.set({
+            'Cache-Control': 'public, max-age=120, s-maxage=300',
+            'Vary': 'Accept-Encoding'
+        });
+        res.json({ brand, facets: { departments, categories } });
+    } catch (error) {
+        console.error('❌ Error fetching brand page:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
 // Get single brand
-router.get('/:id', adminAuth, async (req, res) => {
+router.get('/:id', requirePermission('catalog:read'), async (req, res) => {
     try {
         const brand = await Brand.findById(req.params.id)
             .populate('imageUpload', 'url originalName mimeType');
@@ -158,10 +210,10 @@ router.get('/:id', adminAuth, async (req, res) => {
 });
 
 // Create brand
-router.post('/', adminAuth, async (req, res) => {
+router.post('/', requirePermission('catalog:write'), async (req, res) => {
     try {
         // Validation
-        const { name, image, imageFileId, alt, link, order, isActive } = req.body;
+        const { name, image, imageFileId, alt, slug, link, order, isActive } = req.body;
 
         if (!name || !name.trim()) {
             return res.status(400).json({ message: 'Brand name is required' });
@@ -174,6 +226,7 @@ router.post('/', adminAuth, async (req, res) => {
         const brand = new Brand({
             name: name.trim(),
             alt: alt ? alt.trim() : name.trim(),
+            slug: slug ? slug.trim() : undefined,
             link: link ? link.trim() : undefined,
             order: order !== undefined ? parseInt(order, 10) : 0,
             isActive: isActive !== undefined ? isActive : true
@@ -216,6 +269,9 @@ router.post('/', adminAuth, async (req, res) => {
         res.status(201).json(brand);
     } catch (error) {
         console.error('Error creating brand:', error);
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Another brand already uses this slug' });
+        }
         if (error.statusCode) {
             return res.status(error.statusCode).json({ message: error.message });
         }
@@ -224,7 +280,7 @@ router.post('/', adminAuth, async (req, res) => {
 });
 
 // Update brand
-router.put('/:id', adminAuth, async (req, res) => {
+router.put('/:id', requirePermission('catalog:write'), async (req, res) => {
     try {
         const brand = await Brand.findById(req.params.id);
         if (!brand) {
@@ -232,7 +288,7 @@ router.put('/:id', adminAuth, async (req, res) => {
         }
 
         // Validation
-        const { name, image, imageFileId, alt, link, order, isActive } = req.body;
+        const { name, image, imageFileId, alt, slug, link, order, isActive } = req.body;
 
         if (name !== undefined) {
             if (!name || !name.trim()) {
@@ -245,6 +301,11 @@ router.put('/:id', adminAuth, async (req, res) => {
             brand.alt = alt ? alt.trim() : brand.name;
         }
 
+        if (slug !== undefined) {
+            // An empty slug is regenerated from the name on save
+            brand.slug = slug ? slug.trim() : undefined;
+        }
+
         if (link !== undefined) {
             brand.link = link ? link.trim() : undefined;
         }
@@ -299,6 +360,9 @@ router.put('/:id', adminAuth, async (req, res) => {
         res.json(brand);
     } catch (error) {
         console.error('Error updating brand:', error);
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Another brand already uses this slug' });
+        }
         if (error.statusCode) {
             return res.status(error.statusCode).json({ message: error.message });
         }
@@ -307,7 +371,7 @@ router.put('/:id', adminAuth, async (req, res) => {
 });
 
 // Delete brand
-router.delete('/:id', adminAuth, async (req, res) => {
+router.delete('/:id', requirePermission('catalog:write'), async (req, res) => {
     try {
         const brand = await Brand.findById(req.params.id);
         if (!brand) {
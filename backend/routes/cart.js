@@ -1,25 +1,31 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
 const Product = require('../models/Product');
-const Cart = require('../models/Cart');
+const { readCartToken, clearCartCookie, isSameLine, findCart, findOrCreateCart, mergeGuestCart, applyRevalidation, checkCart } = require('../services/carts');
+const { restoreCart } = require('../services/abandonedCarts');
 
-// Get user's cart
-router.get('/', auth, async (req, res) => {
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Every route works for logged-in shoppers (x-auth-token) and for guests, whose cart is kept on the
+// server under the cartToken cookie (see services/carts.js)
+
+// Get the shopper's cart
+router.get('/', optionalAuth, async (req, res) => {
     try {
-        let cart = await Cart.findOne({ user: req.user.id })
-            .populate({
-                path: 'items.product',
-                populate: {
-                    path: 'category',
-                    model: 'Category'
-                }
-            });
-        
+        const cart = await findCart(req);
         if (!cart) {
-            cart = new Cart({ user: req.user.id, items: [] });
-            await cart.save();
+            return res.json({ items: [], total: 0, totalItems: 0 });
         }
+        await cart.populate({
+            path: 'items.product',
+            populate: {
+                path: 'category',
+                model: 'Category'
+            }
+        });
         
         // Filter out items with null products (deleted products)
         const validItems = cart.items.filter(item => item.product !== null && item.product !== undefined);
@@ -34,7 +40,11 @@ router.get('/', auth, async (req, res) => {
         const totalItems = cart.getTotalItems();
         
         res.json({ 
-            items: validItems,
+            // variantName labels lines for a product variant, e.g. "Ivory / 30ml"
+            items: validItems.map(item => ({
+                ...item.toJSON(),
+                variantName: item.variant ? Product.variantLabel(item.product.variants.id(item.variant)) : ''
+            })),
             total: total,
             totalItems: totalItems
         });
@@ -45,9 +55,9 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get cart item count
-router.get('/count', auth, async (req, res) => {
+router.get('/count', optionalAuth, async (req, res) => {
     try {
-        const cart = await Cart.findOne({ user: req.user.id });
+        const cart = await findCart(req);
         const count = cart ? cart.getTotalItems() : 0;
         res.json({ count });
     } catch (err) {
@@ -55,55 +65,116 @@ router.get('/count', auth, async (req, res) => {
     }
 });
 
+// Compare the cart with the live products before checkout
+// Returns { changes, fingerprint }; see revalidateCart in services/carts.js for the change types
+router.get('/revalidate', optionalAuth, async (req, res) => {
+    try {
+        const { changes, fingerprint } = await checkCart(req);
+        res.json({ changes, fingerprint });
+    } catch (err) {
+        console.error('Revalidate cart error:', err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Accept the changes found by GET /revalidate: the cart takes today's prices, stock and availability
+// Body: { fingerprint } from GET /revalidate; if the cart changed again meanwhile, 409 with the new changes
+router.post('/revalidate', optionalAuth, async (req, res) => {
+    try {
+        const { cart, changes, fingerprint } = await checkCart(req);
+        if (changes.length === 0) {
+            return res.json({ message: 'Your cart is up to date', applied: 0, totalItems: cart ? cart.getTotalItems() : 0 });
+        }
+        if (req.body.fingerprint !== fingerprint) {
+            return res.status(409).json({
+                message: 'Your cart has changed again. Please review the changes.',
+                code: 'CART_CHANGED',
+                changes,
+                fingerprint
+            });
+        }
+        
+        applyRevalidation(cart);
+        await cart.save();
+        
+        res.json({ message: 'Your cart has been updated', applied: changes.length, totalItems: cart.getTotalItems() });
+    } catch (err) {
+        console.error('Accept cart changes error:', err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Find the product and the variant a cart request names (variantId is required for products with variants)
+// Returns { product, option } or sends the error response and returns null
+async function findPurchaseOption(res, productId, variantId) {
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+        res.status(404).json({ message: 'Product not found or inactive' });
+        return null;
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(String(variantId))) {
+        res.status(400).json({ message: 'Invalid variant ID' });
+        return null;
+    }
+    const option = product.resolveVariant(variantId);
+    if (!option) {
+        // VARIANT_REQUIRED: the shopper has to pick a size, shade, etc. on the product page first
+        res.status(400).json(product.variants.length > 0
+            ? { message: 'Please choose one of the available options', code: 'VARIANT_REQUIRED' }
+            : { message: 'This product has no options to choose from' });
+        return null;
+    }
+    return { product, option };
+}
+
 // Add item to cart
-router.post('/add', auth, async (req, res) => {
+// Body: { productId, variantId?, quantity } - variantId picks the size, shade, etc. of a product with variants
+router.post('/add', optionalAuth, async (req, res) => {
     try {
-        const { productId, quantity = 1 } = req.body;
+        const { productId, variantId, quantity = 1 } = req.body;
         
         if (!productId) {
             return res.status(400).json({ message: 'Product ID is required' });
         }
         
-        // Check if product exists and is active
-        const product = await Product.findById(productId);
-        if (!product || !product.isActive) {
-            return res.status(404).json({ message: 'Product not found or inactive' });
+        // Check if product (and variant) exists and is active
+        const found = await findPurchaseOption(res, productId, variantId);
+        if (!found) {
+            return;
         }
+        const { product, option } = found;
+        const variant = option.variant ? option.variant._id : undefined;
         
         // Find or create cart
-        let cart = await Cart.findOne({ user: req.user.id });
-        if (!cart) {
-            cart = new Cart({ user: req.user.id, items: [] });
-        }
+        const cart = await findOrCreateCart(req, res);
         
         // Check if product already exists in cart
-        const existingItemIndex = cart.items.findIndex(
-            item => item.product.toString() === productId
-        );
+        const existingItemIndex = cart.items.findIndex(item => isSameLine(item, product._id, variant));
         
         const requestedQuantity = parseInt(quantity, 10);
         const currentQuantity = existingItemIndex >= 0 ? cart.items[existingItemIndex].quantity : 0;
         const newQuantity = currentQuantity + requestedQuantity;
         
         // Check stock availability
-        if (product.stock < newQuantity) {
+        if (option.stock < newQuantity) {
             return res.status(400).json({ 
-                message: `Not enough stock. Available: ${product.stock}, Requested: ${newQuantity}` 
+                message: `Not enough stock. Available: ${option.stock}, Requested: ${newQuantity}` 
             });
         }
         
         if (existingItemIndex >= 0) {
             // Update existing item
             cart.items[existingItemIndex].quantity = newQuantity;
-            cart.items[existingItemIndex].price = product.price;
-            cart.items[existingItemIndex].discount = product.discount || 0;
+            cart.items[existingItemIndex].price = option.price;
+            cart.items[existingItemIndex].discount = option.discount;
         } else {
             // Add new item
             cart.items.push({
-                product: productId,
+                product: product._id,
+                variant: variant,
                 quantity: requestedQuantity,
-                price: product.price,
-                discount: product.discount || 0
+                price: option.price,
+                discount: option.discount
             });
         }
         
@@ -127,9 +198,10 @@ router.post('/add', auth, async (req, res) => {
 });
 
 // Update item quantity in cart
-router.put('/update', auth, async (req, res) => {
+// Body: { productId, variantId?, quantity }
+router.put('/update', optionalAuth, async (req, res) => {
     try {
-        const { productId, quantity } = req.body;
+        const { productId, variantId, quantity } = req.body;
         
         if (!productId || quantity === undefined) {
             return res.status(400).json({ message: 'Product ID and quantity are required' });
@@ -140,28 +212,27 @@ router.put('/update', auth, async (req, res) => {
             return res.status(400).json({ message: 'Quantity must be at least 1' });
         }
         
-        // Check if product exists and is in stock
-        const product = await Product.findById(productId);
-        if (!product || !product.isActive) {
-            return res.status(404).json({ message: 'Product not found or inactive' });
+        // Check if product (and variant) exists and is in stock
+        const found = await findPurchaseOption(res, productId, variantId);
+        if (!found) {
+            return;
         }
+        const { option } = found;
         
-        if (product.stock < requestedQuantity) {
+        if (option.stock < requestedQuantity) {
             return res.status(400).json({ 
-                message: `Not enough stock. Available: ${product.stock}, Requested: ${requestedQuantity}` 
+                message: `Not enough stock. Available: ${option.stock}, Requested: ${requestedQuantity}` 
             });
         }
         
         // Find cart
-        const cart = await Cart.findOne({ user: req.user.id });
+        const cart = await findCart(req);
         if (!cart) {
             return res.status(404).json({ message: 'Cart not found' });
         }
         
         // Find item in cart
-        const itemIndex = cart.items.findIndex(
-            item => item.product.toString() === productId
-        );
+        const itemIndex = cart.items.findIndex(item => isSameLine(item, productId, variantId));
         
         if (itemIndex === -1) {
             return res.status(404).json({ message: 'Item not found in cart' });
@@ -169,8 +240,8 @@ router.put('/update', auth, async (req, res) => {
         
         // Update quantity
         cart.items[itemIndex].quantity = requestedQuantity;
-        cart.items[itemIndex].price = product.price;
-        cart.items[itemIndex].discount = product.discount || 0;
+        cart.items[itemIndex].price = option.price;
+        cart.items[itemIndex].discount = option.discount;
         
         await cart.save();
         
@@ -189,20 +260,20 @@ router.put('/update', auth, async (req, res) => {
 });
 
 // Remove item from cart
-router.delete('/remove/:productId', auth, async (req, res) => {
+// ?variantId= removes one variant of a product with variants
+router.delete('/remove/:productId', optionalAuth, async (req, res) => {
     try {
         const { productId } = req.params;
+        const { variantId } = req.query;
         
         // Find cart
-        const cart = await Cart.findOne({ user: req.user.id });
+        const cart = await findCart(req);
         if (!cart) {
             return res.status(404).json({ message: 'Cart not found' });
         }
         
         // Remove item
-        cart.items = cart.items.filter(
-            item => item.product.toString() !== productId
-        );
+        cart.items = cart.items.filter(item => !isSameLine(item, productId, variantId));
         
         await cart.save();
         
@@ -219,9 +290,9 @@ router.delete('/remove/:productId', auth, async (req, res) => {
 });
 
 // Clear entire cart
-router.delete('/clear', auth, async (req, res) => {
+router.delete('/clear', optionalAuth, async (req, res) => {
     try {
-        const cart = await Cart.findOne({ user: req.user.id });
+        const cart = await findCart(req);
         if (!cart) {
             return res.status(404).json({ message: 'Cart not found' });
         }
@@ -236,4 +307,61 @@ router.delete('/clear', auth, async (req, res) => {
     }
 });
 
+// Move the guest cart (cartToken cookie) into the account cart; called right after login
+// Body: { items: [{ productId, variantId?, quantity }] } optionally carries a cart still kept in the browser's localStorage
+router.post('/merge', auth, async (req, res) => {
+    try {
+        const { cart, merged } = await mergeGuestCart(req.user.id, readCartToken(req), req.body.items);
+        clearCartCookie(res);
+        
+        res.json({
+            message: merged > 0 ? 'Guest cart merged' : 'Nothing to merge',
+            merged: merged,
+            totalItems: cart.getTotalItems()
+        });
+    } catch (err) {
+        console.error('Merge cart error:', err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Remember the guest's email from checkout, so an abandoned guest cart can be followed up by email
+router.put('/email', optionalAuth, async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ message: 'Please provide a valid email address' });
+        }
+        
+        const cart = await findCart(req);
+        if (!req.user && cart && cart.email !== email) {
+            cart.email = email;
+            await cart.save();
+        }
+        
+        res.json({ message: 'Email saved' });
+    } catch (err) {
+        console.error('Save cart email error:', err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Put an abandoned cart back from the link in the reminder email
+// Body: { token } (the restore parameter of the link)
+router.post('/restore', optionalAuth, async (req, res) => {
+    try {
+        const { cart, restored, couponCode } = await restoreCart(req.body.token, req, res);
+        
+        res.json({
+            message: restored > 0 ? 'Your cart has been restored' : 'Your cart already has these items',
+            restored: restored,
+            couponCode: couponCode,
+            totalItems: cart.getTotalItems()
+        });
+    } catch (err) {
+        console.error('Restore cart error:', err);
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -4,7 +4,7 @@ const Category = require('../models/Category');
 const Department = require('../models/Department');
 const Media = require('../models/Media');
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 async function assignImageFields(target, body) {
     try {
@@ -101,7 +101,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create a new category (admin only)
-router.post('/', adminAuth, async (req, res) => {
+router.post('/', requirePermission('catalog:write'), async (req, res) => {
     try {
         // Validate required fields
         if (!req.body.name || !req.body.name.trim()) {
@@ -146,7 +146,7 @@ router.post('/', adminAuth, async (req, res) => {
 });
 
 // Update a category (admin only)
-router.put('/:id', adminAuth, async (req, res) => {
+router.put('/:id', requirePermission('catalog:write'), async (req, res) => {
     try {
         const category = await Category.findById(req.params.id);
         if (!category) {
@@ -195,7 +195,7 @@ router.put('/:id', adminAuth, async (req, res) => {
 });
 
 // Delete a category (admin only)
-router.delete('/:id', adminAuth, async (req, res) => {
+router.delete('/:id', requirePermission('catalog:write'), async (req, res) => {
     try {
         const category = await Category.findById(req.params.id);
         if (!category) {
@@ -1,62 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const nodemailer = require('nodemailer');
-
-// Create reusable transporter object using SMTP transport
-const createTransporter = () => {
-    // Option 1: Use SendGrid SMTP (recommended - easier than Gmail)
-    if (process.env.SENDGRID_API_KEY) {
-        console.log('Using SendGrid SMTP for email delivery');
-        return nodemailer.createTransport({
-            host: 'smtp.sendgrid.net',
-            port: 587,
-            secure: false,
-            auth: {
-                user: 'apikey',
-                pass: process.env.SENDGRID_API_KEY
-            }
-        });
-    }
-    
-    // Option 2: Use generic SMTP (works with most email providers)
-    if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
-        console.log('Using generic SMTP:', process.env.SMTP_HOST);
-        return nodemailer.createTransport({
-            host: process.env.SMTP_HOST,
-            port: parseInt(process.env.SMTP_PORT || '587'),
-            secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
-            auth: {
-                user: process.env.SMTP_USER,
-                pass: process.env.SMTP_PASS
-            }
-        });
-    }
-    
-    // Option 3: Fallback to Gmail (requires App Password)
-    const emailUser = process.env.EMAIL_USER || 'dwatsononline.co@gmail.com';
-    const emailPass = process.env.EMAIL_PASS || '';
-    
-    if (!emailPass) {
-        console.error('No email configuration found!');
-        console.error('Please set one of the following in .env:');
-        console.error('  - SENDGRID_API_KEY (recommended)');
-        console.error('  - SMTP_HOST, SMTP_USER, SMTP_PASS (for generic SMTP)');
-        console.error('  - EMAIL_USER, EMAIL_PASS (for Gmail - requires App Password)');
-        throw new Error('Email configuration not found');
-    }
-    
-    console.log('Using Gmail service (requires App Password)');
-    return nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-            user: emailUser,
-            pass: emailPass
-        },
-        connectionTimeout: 10000,
-        greetingTimeout: 10000,
-        socketTimeout: 10000
-    });
-};
+const { createTransporter, getFromAddress } = require('../services/mailer');
 
 // Contact form submission
 router.post('/', async (req, res) => {
@@ -81,20 +25,12 @@ router.post('/', async (req, res) => {
         // Create transporter
         const transporter = createTransporter();
 
-        // Determine sender email
-        let fromEmail = process.env.CONTACT_EMAIL || 'dwatsononline.co@gmail.com';
-        if (process.env.SMTP_USER) {
-            fromEmail = process.env.SMTP_USER;
-        } else if (process.env.EMAIL_USER) {
-            fromEmail = process.env.EMAIL_USER;
-        }
-        
         // Determine recipient email
         const toEmail = process.env.CONTACT_EMAIL || 'dwatsononline.co@gmail.com';
         
         // Email content
         const mailOptions = {
-            from: `"D.Watson Pharmacy" <${fromEmail}>`,
+            from: getFromAddress(),
             to: toEmail,
             replyTo: email,
             subject: `Contact Form: ${subject}`,
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const optionalAuth = require('../middleware/optionalAuth');
+const rateLimit = require('../middleware/rateLimit');
+const User = require('../models/User');
+const { evaluateCoupon } = require('../services/coupons');
+const { findCart } = require('../services/carts');
+
+// The endpoint is public and says whether a code exists, so limit guesses per client
+const validateLimit = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: 'Too many coupon attempts. Please try again later.'
+});
+
+// Validate a promo code against the shopper's cart (public)
+// Checked against the shopper's server cart (account or guest cart); guests also send their email
+router.post('/validate', validateLimit, optionalAuth, async (req, res) => {
+    try {
+        const { code, email } = req.body;
+        let items = Array.isArray(req.body.items) ? req.body.items : [];
+        const customer = { email };
+
+        if (req.user) {
+            const user = await User.findById(req.user.id).select('email');
+            customer.userId = req.user.id;
+            customer.email = user ? user.email : email;
+        }
+        // The server cart (account or guest cookie cart) wins over items sent by older clients
+        const cart = await findCart(req);
+        if (cart || req.user) {
+            items = cart ? cart.items : [];
+        }
+
+        const normalizedItems = items
+            .map(item => ({
+                product: item.product || item.productId,
+                variant: item.variant || item.variantId || undefined,
+                quantity: parseInt(item.quantity, 10) || 1
+            }))
+            .filter(item => item.product && mongoose.Types.ObjectId.isValid(String(item.product)) &&
+                (!item.variant || mongoose.Types.ObjectId.isValid(String(item.variant))));
+
+        if (normalizedItems.length === 0) {
+            return res.status(400).json({ message: 'Your cart is empty' });
+        }
+
+        const result = await evaluateCoupon(code, normalizedItems, customer);
+
+        res.json({
+            code: result.coupon.code,
+            description: result.coupon.description,
+            discountType: result.coupon.discountType,
+            value: result.coupon.value,
+            discount: result.discount,
+            eligibleSubtotal: result.eligibleSubtotal
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const requirePermission = require('../middleware/requirePermission');
+const Coupon = require('../models/Coupon');
+
+const SCOPE_FIELDS = {
+    department: 'departments',
+    category: 'categories',
+    product: 'products',
+    brand: 'brands'
+};
+
+// Optional number field: '' / null clear it, anything else must be a number >= 0
+function parseOptionalNumber(value, label) {
+    if (value === '' || value === null) {
+        return undefined;
+    }
+    const number = parseFloat(value);
+    if (Number.isNaN(number) || number < 0) {
+        const error = new Error(`${label} must be a valid number greater than or equal to 0`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return number;
+}
+
+// Optional date field: '' / null clear it
+function parseOptionalDate(value, label) {
+    if (value === '' || value === null) {
+        return undefined;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        const error = new Error(`${label} must be a valid date`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return date;
+}
+
+// Copy the editable coupon fields from the request body
+function assignCouponFields(coupon, body) {
+    if (body.code !== undefined) {
+        if (!body.code || !String(body.code).trim()) {
+            const error = new Error('Coupon code is required');
+            error.statusCode = 400;
+            throw error;
+        }
+        coupon.code = String(body.code).trim();
+    }
+
+    if (body.description !== undefined) coupon.description = body.description;
+    if (body.discountType !== undefined) coupon.discountType = body.discountType;
+    if (body.value !== undefined) coupon.value = parseOptionalNumber(body.value, 'Discount value');
+    if (body.maxDiscount !== undefined) coupon.maxDiscount = parseOptionalNumber(body.maxDiscount, 'Maximum discount');
+    if (body.minOrderValue !== undefined) coupon.minOrderValue = parseOptionalNumber(body.minOrderValue, 'Minimum order value') || 0;
+    if (body.usageLimit !== undefined) coupon.usageLimit = parseOptionalNumber(body.usageLimit, 'Usage limit');
+    if (body.perCustomerLimit !== undefined) coupon.perCustomerLimit = parseOptionalNumber(body.perCustomerLimit, 'Per-customer limit');
+    if (body.startsAt !== undefined) coupon.startsAt = parseOptionalDate(body.startsAt, 'Start date');
+    if (body.expiresAt !== undefined) coupon.expiresAt = parseOptionalDate(body.expiresAt, 'Expiry date');
+    if (body.isActive !== undefined) coupon.isActive = body.isActive;
+
+    if (body.scope !== undefined) {
+        coupon.scope = body.scope;
+        // Only keep the ID list that matches the scope
+        Object.entries(SCOPE_FIELDS).forEach(([scope, field]) => {
+            if (scope === body.scope) {
+                const ids = Array.isArray(body[field]) ? body[field].filter(Boolean) : [];
+                if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+                    const error = new Error(`Invalid ${scope} reference`);
+                    error.statusCode = 400;
+                    throw error;
+                }
+                coupon[field] = ids;
+            } else {
+                coupon[field] = [];
+            }
+        });
+    }
+
+    const scopeField = SCOPE_FIELDS[coupon.scope];
+    if (scopeField && coupon[scopeField].length === 0) {
+        const error = new Error(`Select at least one ${coupon.scope} for this coupon`);
+        error.statusCode = 400;
+        throw error;
+    }
+}
+
+function sendCouponError(res, error) {
+    if (error.code === 11000) {
+        return res.status(400).json({ message: 'A coupon with this code already exists' });
+    }
+    const status = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+    res.status(status).json({ message: error.message });
+}
+
+// Get all coupons (admin)
+router.get('/', requirePermission('coupons:read'), async (req, res) => {
+    try {
+        const coupons = await Coupon.find().sort({ createdAt: -1 });
+        res.json(coupons);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Get coupon by ID (admin)
+router.get('/:id', requirePermission('coupons:read'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ message: 'Coupon not found' });
+        }
+        res.json(coupon);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Create coupon (admin)
+router.post('/', requirePermission('coupons:write'), async (req, res) => {
+    try {
+        if (!req.body.code || !String(req.body.code).trim()) {
+            return res.status(400).json({ message: 'Coupon code is required' });
+        }
+        if (!['percentage', 'fixed'].includes(req.body.discountType)) {
+            return res.status(400).json({ message: 'Discount type must be either percentage or fixed' });
+        }
+        if (req.body.value === undefined || req.body.value === null || req.body.value === '') {
+            return res.status(400).json({ message: 'Discount value is required' });
+        }
+
+        const coupon = new Coupon();
+        assignCouponFields(coupon, { scope: 'all', ...req.body });
+        await coupon.save();
+
+        res.status(201).json(coupon);
+    } catch (error) {
+        console.error('Error creating coupon:', error);
+        sendCouponError(res, error);
+    }
+});
+
+// Update coupon (admin)
+router.put('/:id', requirePermission('coupons:write'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ message: 'Coupon not found' });
+        }
+
+        assignCouponFields(coupon, req.body);
+        await coupon.save();
+
+        res.json(coupon);
+    } catch (error) {
+        console.error('Error updating coupon:', error);
+        sendCouponError(res, error);
+    }
+});
+
+// Delete coupon (admin) - coupons already used on orders are deactivated instead, so order history keeps its reference
+router.delete('/:id', requirePermission('coupons:write'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ message: 'Coupon not found' });
+        }
+
+        if (coupon.usedCount > 0) {
+            coupon.isActive = false;
+            await coupon.save();
+            return res.json({ message: 'Coupon has been used on orders, so it was deactivated instead of deleted' });
+        }
+
+        await coupon.deleteOne();
+        res.json({ message: 'Coupon deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting coupon:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
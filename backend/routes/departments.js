@@ -3,7 +3,7 @@ const router = express.Router();
 const Department = require('../models/Department');
 const Media = require('../models/Media');
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 async function assignImageFields(target, body) {
     const providedUrl = body.image;
@@ -52,7 +52,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create a new department (admin only)
-router.post('/', adminAuth, async (req, res) => {
+router.post('/', requirePermission('catalog:write'), async (req, res) => {
     const department = new Department({
         name: req.body.name,
         description: req.body.description,
@@ -72,7 +72,7 @@ router.post('/', adminAuth, async (req, res) => {
 });
 
 // Update a department (admin only)
-router.put('/:id', adminAuth, async (req, res) => {
+router.put('/:id', requirePermission('catalog:write'), async (req, res) => {
     try {
         const department = await Department.findById(req.params.id);
         if (!department) {
@@ -95,7 +95,7 @@ router.put('/:id', adminAuth, async (req, res) => {
 });
 
 // Delete a department (admin only)
-router.delete('/:id', adminAuth, async (req, res) => {
+router.delete('/:id', requirePermission('catalog:write'), async (req, res) => {
     try {
         const department = await Department.findById(req.params.id);
         if (!department) {
@@ -1,6 +1,6 @@
 const express = require('express');
 const crypto = require('crypto');
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const HomepageSection = require('../models/HomepageSection');
 const Slider = require('../models/Slider');
 const Banner = require('../models/Banner');
@@ -33,7 +33,7 @@ router.get('/public', async (req, res) => {
 });
 
 // Admin routes - Get all sections
-router.get('/', adminAuth, async (req, res) => {
+router.get('/', requirePermission('content:read'), async (req, res) => {
     try {
         const { type, active, published } = req.query;
         const filters = {};
@@ -54,7 +54,7 @@ router.get('/', adminAuth, async (req, res) => {
 });
 
 // Admin route - Get section by ID
-router.get('/:id', adminAuth, async (req, res) => {
+router.get('/:id', requirePermission('content:read'), async (req, res) => {
     try {
         const section = await HomepageSection.findById(req.params.id)
             .populate('createdBy', 'name')
@@ -71,7 +71,7 @@ router.get('/:id', adminAuth, async (req, res) => {
 });
 
 // Admin route - Create section
-router.post('/', adminAuth, async (req, res) => {
+router.post('/', requirePermission('content:write'), async (req, res) => {
     try {
         const payload = {
             name: req.body.name,
@@ -108,7 +108,7 @@ router.post('/', adminAuth, async (req, res) => {
 });
 
 // Admin route - Update section
-router.put('/:id', adminAuth, async (req, res) => {
+router.put('/:id', requirePermission('content:write'), async (req, res) => {
     try {
         const payload = {
             name: req.body.name,
@@ -148,7 +148,7 @@ router.put('/:id', adminAuth, async (req, res) => {
 });
 
 // Admin route - Reorder sections
-router.patch('/reorder', adminAuth, async (req, res) => {
+router.patch('/reorder', requirePermission('content:write'), async (req, res) => {
     try {
         const { order } = req.body;
         if (!Array.isArray(order)) {
@@ -172,7 +172,7 @@ router.patch('/reorder', adminAuth, async (req, res) => {
 });
 
 // Admin route - Delete section
-router.delete('/:id', adminAuth, async (req, res) => {
+router.delete('/:id', requirePermission('content:write'), async (req, res) => {
     try {
         const section = await HomepageSection.findById(req.params.id);
         if (!section) {
@@ -187,7 +187,7 @@ router.delete('/:id', adminAuth, async (req, res) => {
 });
 
 // Admin route - Get section data (sliders, categories, products, etc.)
-router.get('/:id/data', adminAuth, async (req, res) => {
+router.get('/:id/data', requirePermission('content:read'), async (req, res) => {
     try {
         const section = await HomepageSection.findById(req.params.id);
         if (!section) {
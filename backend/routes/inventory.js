@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const requirePermission = require('../middleware/requirePermission');
+const InventoryBatch = require('../models/InventoryBatch');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+// Get all batches for a product (admin)
+router.get('/products/:productId/batches', requirePermission('inventory:read'), async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.productId).select('name stock batchTracked');
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const batches = await InventoryBatch.find({ product: product._id })
+            .sort({ expiryDate: 1 });
+
+        const now = new Date();
+        res.json({
+            product,
+            batches: batches.map(batch => ({
+                ...batch.toObject(),
+                isExpired: batch.expiryDate <= now
+            }))
+        });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Receive a new batch for a product (admin)
+// The first batch switches the product to batch-tracked stock
+router.post('/products/:productId/batches', requirePermission('inventory:write'), async (req, res) => {
+    try {
+        const { batchNumber, expiryDate, quantity, receivedAt, notes } = req.body;
+
+        if (!batchNumber || !batchNumber.trim()) {
+            return res.status(400).json({ message: 'Batch number is required' });
+        }
+
+        const expiry = new Date(expiryDate);
+        if (!expiryDate || Number.isNaN(expiry.getTime())) {
+            return res.status(400).json({ message: 'A valid expiry date is required' });
+        }
+
+        const qty = parseInt(quantity, 10);
+        if (Number.isNaN(qty) || qty < 0) {
+            return res.status(400).json({ message: 'Quantity must be a valid number greater than or equal to 0' });
+        }
+
+        const product = await Product.findById(req.params.productId);
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+        if (product.variants.length > 0) {
+            return res.status(400).json({ message: 'Products with variants keep stock per variant and cannot be batch-tracked' });
+        }
+
+        const batch = new InventoryBatch({
+            product: product._id,
+            batchNumber: batchNumber.trim(),
+            expiryDate: expiry,
+            quantity: qty,
+            receivedAt: receivedAt ? new Date(receivedAt) : undefined,
+            notes: notes || undefined
+        });
+        await batch.save();
+
+        const stock = await InventoryBatch.syncProductStock(product._id);
+
+        res.status(201).json({ batch, stock });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(400).json({ message: 'A batch with this number already exists for this product' });
+        }
+        console.error('Error creating inventory batch:', err);
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+// Update a batch - quantity adjustments, corrected expiry or batch number (admin)
+router.put('/batches/:id', requirePermission('inventory:write'), async (req, res) => {
+    try {
+        const batch = await InventoryBatch.findById(req.params.id);
+        if (!batch) {
+            return res.status(404).json({ message: 'Batch not found' });
+        }
+
+        if (req.body.batchNumber !== undefined) {
+            if (!req.body.batchNumber.trim()) {
+                return res.status(400).json({ message: 'Batch number is required' });
+            }
+            batch.batchNumber = req.body.batchNumber.trim();
+        }
+
+        if (req.body.expiryDate !== undefined) {
+            const expiry = new Date(req.body.expiryDate);
+            if (Number.isNaN(expiry.getTime())) {
+                return res.status(400).json({ message: 'A valid expiry date is required' });
+            }
+            batch.expiryDate = expiry;
+        }
+
+        if (req.body.quantity !== undefined) {
+            const qty = parseInt(req.body.quantity, 10);
+            if (Number.isNaN(qty) || qty < 0) {
+                return res.status(400).json({ message: 'Quantity must be a valid number greater than or equal to 0' });
+            }
+            batch.quantity = qty;
+        }
+
+        if (req.body.notes !== undefined) {
+            batch.notes = req.body.notes;
+        }
+
+        await batch.save();
+        const stock = await InventoryBatch.syncProductStock(batch.product);
+
+        res.json({ batch, stock });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(400).json({ message: 'A batch with this number already exists for this product' });
+        }
+        console.error('Error updating inventory batch:', err);
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+// Delete a batch (admin) - only batches never sold from, so recall history stays intact
+router.delete('/batches/:id', requirePermission('inventory:write'), async (req, res) => {
+    try {
+        const batch = await InventoryBatch.findById(req.params.id);
+        if (!batch) {
+            return res.status(404).json({ message: 'Batch not found' });
+        }
+
+        const soldFrom = await Order.exists({ 'items.batches.batch': batch._id });
+        if (soldFrom) {
+            return res.status(400).json({ message: 'This batch has been sold from and cannot be deleted. Set its quantity to 0 instead.' });
+        }
+
+        await batch.deleteOne();
+        const stock = await InventoryBatch.syncProductStock(batch.product);
+
+        res.json({ message: 'Batch deleted successfully', stock });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+// Recall trace: every order that received units from a batch (admin)
+router.get('/batches/:id/orders', requirePermission('inventory:read'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid batch ID' });
+        }
+
+        const batch = await InventoryBatch.findById(req.params.id).populate('product', 'name');
+        if (!batch) {
+            return res.status(404).json({ message: 'Batch not found' });
+        }
+
+        const orders = await Order.find({ 'items.batches.batch': batch._id })
+            .populate('user', 'name email phone')
+            .select('orderNumber status user guestCustomer shippingAddress items createdAt')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            batch,
+            orders: orders.map(order => {
+                const quantity = order.items.reduce((sum, item) => sum + (item.batches || [])
+                    .filter(allocation => allocation.batch && allocation.batch.equals(batch._id))
+                    .reduce((total, allocation) => total + allocation.quantity, 0), 0);
+                const customer = order.user || order.guestCustomer || {};
+                return {
+                    _id: order._id,
+                    orderNumber: order.orderNumber,
+                    status: order.status,
+                    createdAt: order.createdAt,
+                    quantity,
+                    customer: {
+                        name: customer.name,
+                        email: customer.email,
+                        phone: customer.phone || order.shippingAddress?.phone
+                    }
+                };
+            })
+        });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
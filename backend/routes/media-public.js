@@ -6,7 +6,8 @@ const router = express.Router();
 router.get('/:id', async (req, res) => {
     try {
         const mediaItem = await Media.findById(req.params.id);
-        if (!mediaItem || !mediaItem.data) {
+        // Private media (e.g. prescriptions) is only served through its own authenticated route
+        if (!mediaItem || !mediaItem.data || mediaItem.metadata?.private) {
             return res.status(404).json({ message: 'Media not found' });
         }
 
@@ -2,7 +2,7 @@ const express = require('express');
 const path = require('path');
 const multer = require('multer');
 const fs = require('fs');
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const Media = require('../models/Media');
 const { uploadToCloudinary, uploadBufferToCloudinary } = require('../services/cloudinaryUpload');
 const { isConfigured: isCloudinaryConfigured } = require('../config/cloudinary');
@@ -20,6 +20,10 @@ const MAX_UPLOAD_SIZE = parseInt(process.env.UPLOAD_MAX_SIZE || 500 * 1024 * 102
 const MAX_IMAGE_SIZE = parseInt(process.env.UPLOAD_MAX_IMAGE_SIZE || 20 * 1024 * 1024, 10); // 20MB for images (increased from 5MB)
 const MAX_VIDEO_SIZE = parseInt(process.env.UPLOAD_MAX_VIDEO_SIZE || 500 * 1024 * 1024, 10); // 500MB for videos
 
+// Prescription scans and return photos are stored as private Media; they are only reachable
+// through the prescription and return routes, never through the media library
+const PUBLIC_MEDIA = { 'metadata.private': { $ne: true } };
+
 const upload = multer({
     storage,
     limits: { fileSize: MAX_UPLOAD_SIZE }, // Use MAX_UPLOAD_SIZE for multer, but we check MAX_IMAGE_SIZE separately
@@ -37,9 +41,9 @@ const upload = multer({
     }
 });
 
-router.get('/', adminAuth, async (req, res) => {
+router.get('/', requirePermission('media:read'), async (req, res) => {
     try {
-        const mediaItems = await Media.find().sort({ createdAt: -1 }).select('-data');
+        const mediaItems = await Media.find(PUBLIC_MEDIA).sort({ createdAt: -1 }).select('-data');
         res.json(mediaItems);
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -47,7 +51,7 @@ router.get('/', adminAuth, async (req, res) => {
 });
 
 // Handle multer errors (file size, file filter, etc.)
-router.post('/', adminAuth, (req, res, next) => {
+router.post('/', requirePermission('media:write'), (req, res, next) => {
     upload.single('file')(req, res, (err) => {
         if (err) {
             console.error('Multer error:', err);
@@ -221,9 +225,9 @@ router.post('/', adminAuth, (req, res, next) => {
     }
 });
 
-router.delete('/:id', adminAuth, async (req, res) => {
+router.delete('/:id', requirePermission('media:write'), async (req, res) => {
     try {
-        const mediaItem = await Media.findById(req.params.id);
+        const mediaItem = await Media.findOne({ _id: req.params.id, ...PUBLIC_MEDIA });
         if (!mediaItem) {
             return res.status(404).json({ message: 'Media not found' });
         }
@@ -2,10 +2,79 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const optionalAuth = require('../middleware/optionalAuth');
+const { hasPermission } = require('../config/permissions');
+const rateLimit = require('../middleware/rateLimit');
+const idempotency = require('../middleware/idempotency');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const User = require('../models/User');
+const { reserveStock, releaseStock, applyBatchAllocations } = require('../services/stockReservation');
+const { loadPrescriptionFiles, preparePrescription, assertPrescriptionApproved } = require('../services/prescriptions');
+const { evaluateCoupon, redeemCoupon, releaseCoupon } = require('../services/coupons');
+const { quoteShipping } = require('../services/shipping');
+const { buildOrderPdf } = require('../services/orderDocuments');
+const { notifyOrder } = require('../services/notifications');
+const { readCartToken, findCart, revalidateCart, changesFingerprint } = require('../services/carts');
+const { creditRecoveredOrder } = require('../services/abandonedCarts');
+
+// Cart lines whose price, discount, stock or availability changed must be accepted first (POST /api/cart/revalidate)
+function sendCartChanged(res, changes, requestId) {
+    return res.status(409).json({
+        message: 'Some items in your cart have changed since you added them. Please review the changes before placing your order.',
+        code: 'CART_CHANGED',
+        changes,
+        fingerprint: changesFingerprint(changes),
+        requestId
+    });
+}
+
+// Order line for a product (or the chosen variant of it) at today's price and discount
+function buildOrderItem(product, option, quantity) {
+    const itemPrice = option.price * (1 - (option.discount || 0) / 100);
+    return {
+        product: product._id,
+        variant: option.variant ? option.variant._id : undefined,
+        variantName: option.label || undefined,
+        sku: option.sku,
+        quantity: quantity,
+        price: option.price,
+        discount: option.discount || 0,
+        subtotal: itemPrice * quantity,
+        requiresPrescription: !!product.requiresPrescription
+    };
+}
+
+// Add the checkout addresses the customer ticked "save" for to their address book
+// saveShippingAddress / saveBillingAddress: { label } (addresses already in the book are not added twice)
+// Failures are logged only - the order has been placed by now.
+async function saveCheckoutAddresses(userId, body, requestId) {
+    const requested = [
+        { save: body.saveShippingAddress, address: body.shippingAddress },
+        { save: body.saveBillingAddress, address: body.billingAddress }
+    ].filter(entry => entry.save && entry.address && entry.address.city && entry.address.country);
+    if (requested.length === 0) {
+        return;
+    }
+
+    try {
+        const user = await User.findById(userId);
+        if (!user) {
+            return;
+        }
+        user.importLegacyAddress();
+        for (const { save, address } of requested) {
+            if (!user.findSameAddress(address)) {
+                user.setAddress({ ...address, label: save.label || undefined });
+            }
+        }
+        await user.save();
+    } catch (error) {
+        console.error(`[${requestId}] Could not save checkout address:`, error.message);
+    }
+}
 
 // Get user's orders
 router.get('/', auth, async (req, res) => {
@@ -20,7 +89,7 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get all orders (admin only) - includes both user and guest orders
-router.get('/admin/all', adminAuth, async (req, res) => {
+router.get('/admin/all', requirePermission('orders:read'), async (req, res) => {
     try {
         const { status, page = 1, limit = 20 } = req.query;
         const query = {};
@@ -39,6 +108,7 @@ router.get('/admin/all', adminAuth, async (req, res) => {
         // Format orders to include guest customer info
         const formattedOrders = orders.map(order => {
             const orderObj = order.toObject();
+            orderObj.allowedStatuses = order.getManualTransitions();
             // If it's a guest order, include guest customer info
             if (!order.user && order.guestCustomer) {
                 orderObj.customer = {
@@ -72,8 +142,17 @@ router.get('/admin/all', adminAuth, async (req, res) => {
     }
 });
 
+// A repeated "Place Order" (same Idempotency-Key header) gets the first order back instead of a second order
+// Guests are told apart by their cart cookie
+const guestIdempotency = idempotency({
+    scopeOf: req => {
+        const cartToken = readCartToken(req);
+        return cartToken ? `cart:${cartToken}` : 'guest';
+    }
+});
+
 // Create a new order (guest checkout - no auth required)
-router.post('/guest', async (req, res) => {
+router.post('/guest', guestIdempotency, async (req, res) => {
     const startTime = Date.now();
     const requestId = `GUEST-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
@@ -82,7 +161,22 @@ router.post('/guest', async (req, res) => {
     
     try {
         // Validate request payload
-        const { items, shippingAddress, billingAddress, paymentMethod, notes, guestCustomer } = req.body;
+        const { shippingAddress, billingAddress, paymentMethod, notes, guestCustomer } = req.body;
+        
+        // Guests check out the cart kept under their cartToken cookie (older clients still send the items)
+        const guestCart = await findCart(req);
+        const useGuestCart = guestCart && guestCart.items.length > 0;
+        if (useGuestCart) {
+            await guestCart.populate('items.product');
+            const changes = revalidateCart(guestCart);
+            if (changes.length > 0) {
+                console.warn(`[${requestId}] Guest cart changed since items were added (${changes.length} changes)`);
+                return sendCartChanged(res, changes, requestId);
+            }
+        }
+        const items = useGuestCart
+            ? guestCart.items.map(item => ({ productId: item.product._id, variantId: item.variant, quantity: item.quantity }))
+            : req.body.items;
         
         // Validate guest customer info
         if (!guestCustomer || !guestCustomer.name || !guestCustomer.email || !guestCustomer.phone) {
@@ -146,36 +240,39 @@ router.post('/guest', async (req, res) => {
                 });
             }
             
+            const option = !item.variantId || mongoose.Types.ObjectId.isValid(String(item.variantId))
+                ? product.resolveVariant(item.variantId)
+                : null;
+            if (!option) {
+                return res.status(400).json({ 
+                    message: `Please choose an available option for "${product.name}"`,
+                    requestId: requestId
+                });
+            }
+            
             const quantity = item.quantity || 1;
-            if (product.stock < quantity) {
+            if (option.stock < quantity) {
                 return res.status(400).json({ 
-                    message: `Not enough stock for "${product.name}". Available: ${product.stock}, Requested: ${quantity}`,
+                    message: `Not enough stock for "${product.name}". Available: ${option.stock}, Requested: ${quantity}`,
                     requestId: requestId
                 });
             }
             
-            const itemPrice = product.price * (1 - (product.discount || 0) / 100);
-            orderItems.push({
-                product: product._id,
-                quantity: quantity,
-                price: product.price,
-                discount: product.discount || 0,
-                subtotal: itemPrice * quantity
-            });
+            orderItems.push(buildOrderItem(product, option, quantity));
         }
         
-        // Generate order number
-        const orderCount = await Order.countDocuments();
-        const date = new Date();
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const sequence = String(orderCount + 1).padStart(6, '0');
-        const orderNumber = `ORD-${year}${month}${day}-${sequence}`;
+        // Prescription-only items need an uploaded prescription
+        const requiresPrescription = orderItems.some(item => item.requiresPrescription);
+        const prescriptionFiles = requiresPrescription ? await loadPrescriptionFiles(req.body.prescriptionFiles) : [];
+        
+        // Re-validate the promo code here - the discount is never taken from the client
+        const couponCustomer = { email: guestCustomer.email };
+        const appliedCoupon = req.body.couponCode
+            ? await evaluateCoupon(req.body.couponCode, orderItems, couponCustomer)
+            : null;
         
-        // Create order
+        // Create order (orderNumber is assigned from the order counter on save)
         const orderData = {
-            orderNumber: orderNumber,
             user: null,  // No user for guest orders
             guestCustomer: {
                 name: guestCustomer.name,
@@ -186,21 +283,47 @@ router.post('/guest', async (req, res) => {
             shippingAddress: shippingAddress,
             billingAddress: billingAddress || shippingAddress,
             paymentMethod: finalPaymentMethod,
-            notes: notes || ''
+            notes: notes || '',
+            requiresPrescription: requiresPrescription,
+            coupon: appliedCoupon ? appliedCoupon.coupon._id : undefined,
+            couponCode: appliedCoupon ? appliedCoupon.coupon.code : undefined,
+            couponDiscount: appliedCoupon ? appliedCoupon.discount : 0
         };
         
         const order = new Order(orderData);
-        order.calculateTotals();
-        await order.save();
+        const prescription = requiresPrescription ? preparePrescription(order, prescriptionFiles) : null;
+        const shippingQuote = await quoteShipping(shippingAddress.city, orderItems, orderData.couponDiscount);
+        order.calculateTotals(shippingQuote);
+        
+        // Reserve stock for all items atomically, redeem the coupon, then save - roll both back if anything fails
+        const reserved = await reserveStock(orderItems);
+        applyBatchAllocations(order, reserved);
+        let couponRedeemed = false;
+        try {
+            if (appliedCoupon) {
+                await redeemCoupon(appliedCoupon.coupon, order, couponCustomer);
+                couponRedeemed = true;
+            }
+            await order.save();
+        } catch (saveError) {
+            await releaseStock(reserved);
+            if (couponRedeemed) {
+                await releaseCoupon(order.coupon, order._id);
+            }
+            throw saveError;
+        }
+        if (prescription) {
+            await prescription.save();
+        }
         
-        // Update product stock
-        for (const item of orderItems) {
-            await Product.findByIdAndUpdate(item.product, {
-                $inc: { stock: -item.quantity }
-            });
+        if (guestCart) {
+            await creditRecoveredOrder(guestCart, order);
+            guestCart.items = [];
+            await guestCart.save();
         }
         
         console.log(`[${requestId}] Guest order created successfully - Order Number: ${order.orderNumber}`);
+        notifyOrder(order._id, 'order_placed');
         
         res.status(201).json({
             ...order.toObject(),
@@ -208,7 +331,7 @@ router.post('/guest', async (req, res) => {
         });
     } catch (err) {
         console.error(`[${requestId}] Guest order creation failed:`, err);
-        res.status(500).json({ 
+        res.status(err.statusCode || 500).json({ 
             message: err.message || 'Failed to create order',
             requestId: requestId
         });
@@ -216,7 +339,7 @@ router.post('/guest', async (req, res) => {
 });
 
 // Create a new order from cart (authenticated users)
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, idempotency(), async (req, res) => {
     const startTime = Date.now();
     const requestId = `REQ-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
@@ -283,6 +406,12 @@ router.post('/', auth, async (req, res) => {
         
         console.log(`[${requestId}] Step 3: Cart found with ${cart.items.length} items - SUCCESS`);
         
+        const cartChanges = revalidateCart(cart);
+        if (cartChanges.length > 0) {
+            console.warn(`[${requestId}] Cart changed since items were added (${cartChanges.length} changes)`);
+            return sendCartChanged(res, cartChanges, requestId);
+        }
+        
         // Validate stock and prepare order items
         console.log(`[${requestId}] Step 4: Validating products and stock...`);
         const orderItems = [];
@@ -313,97 +442,63 @@ router.post('/', auth, async (req, res) => {
                 });
             }
             
-            if (product.stock < cartItem.quantity) {
+            const option = product.resolveVariant(cartItem.variant);
+            if (!option) {
+                console.error(`[${requestId}] Variant no longer available:`, product.name, cartItem.variant);
+                return res.status(400).json({ 
+                    message: `The option chosen for "${product.name}" is no longer available. Please remove it from your cart.`,
+                    requestId: requestId
+                });
+            }
+            
+            if (option.stock < cartItem.quantity) {
                 console.error(`[${requestId}] Insufficient stock:`, {
                     product: product.name,
-                    available: product.stock,
+                    variant: option.sku,
+                    available: option.stock,
                     requested: cartItem.quantity
                 });
                 return res.status(400).json({ 
-                    message: `Not enough stock for "${product.name}". Available: ${product.stock}, Requested: ${cartItem.quantity}`,
+                    message: `Not enough stock for "${product.name}". Available: ${option.stock}, Requested: ${cartItem.quantity}`,
                     requestId: requestId
                 });
             }
             
-            const itemPrice = product.price * (1 - (product.discount || 0) / 100);
-            orderItems.push({
-                product: product._id,
-                quantity: cartItem.quantity,
-                price: product.price,
-                discount: product.discount || 0,
-                subtotal: itemPrice * cartItem.quantity
-            });
+            orderItems.push(buildOrderItem(product, option, cartItem.quantity));
         }
         
-        console.log(`[${requestId}] Step 4: Products validated - SUCCESS (${orderItems.length} items)`);
-        
-        // Generate unique order number
-        console.log(`[${requestId}] Step 5: Generating unique order number...`);
-        let orderNumber = null;
-        let attempts = 0;
-        const maxAttempts = 10;
-        
-        while (!orderNumber && attempts < maxAttempts) {
-            try {
-                const orderCount = await Order.countDocuments();
-                const date = new Date();
-                const year = date.getFullYear();
-                const month = String(date.getMonth() + 1).padStart(2, '0');
-                const day = String(date.getDate()).padStart(2, '0');
-                const sequence = String(orderCount + 1 + attempts).padStart(6, '0');
-                const candidateNumber = `ORD-${year}${month}${day}-${sequence}`;
-                
-                // Check if order number already exists
-                const existing = await Order.findOne({ orderNumber: candidateNumber });
-                if (!existing) {
-                    orderNumber = candidateNumber;
-                    console.log(`[${requestId}] Step 5: Order number generated - "${orderNumber}"`);
-                } else {
-                    console.warn(`[${requestId}] Order number collision, retrying... (attempt ${attempts + 1})`);
-                    attempts++;
-                }
-            } catch (error) {
-                console.error(`[${requestId}] Error generating order number:`, error);
-                // Fallback to timestamp-based number
-                const timestamp = Date.now();
-                const random = Math.floor(Math.random() * 10000);
-                orderNumber = `ORD-${timestamp}-${random}`;
-                console.log(`[${requestId}] Step 5: Using fallback order number - "${orderNumber}"`);
-                break;
-            }
-        }
-        
-        // Final validation - ensure orderNumber is a valid string
-        if (!orderNumber) {
-            const error = new Error('Failed to generate unique order number after multiple attempts');
-            console.error(`[${requestId}] ${error.message}`);
-            throw error;
-        }
-        
-        if (typeof orderNumber !== 'string') {
-            orderNumber = String(orderNumber);
-            console.warn(`[${requestId}] Order number was not a string, converted to: "${orderNumber}"`);
-        }
-        
-        if (orderNumber.trim() === '') {
-            const error = new Error('Order number is empty after trimming');
-            console.error(`[${requestId}] ${error.message}`);
-            throw error;
+        // Prescription-only items need an uploaded prescription
+        const requiresPrescription = orderItems.some(item => item.requiresPrescription);
+        const prescriptionFiles = requiresPrescription ? await loadPrescriptionFiles(req.body.prescriptionFiles) : [];
+        
+        // Re-validate the promo code here - the discount is never taken from the client
+        let appliedCoupon = null;
+        let couponCustomer = null;
+        if (req.body.couponCode) {
+            const customer = await User.findById(req.user.id).select('email');
+            couponCustomer = {
+                userId: req.user.id,
+                email: customer ? customer.email : undefined
+            };
+            appliedCoupon = await evaluateCoupon(req.body.couponCode, orderItems, couponCustomer);
+            console.log(`[${requestId}] Coupon ${appliedCoupon.coupon.code} applied - discount Rs. ${appliedCoupon.discount}`);
         }
         
-        console.log(`[${requestId}] Step 5: Order number validation passed - "${orderNumber}" (type: ${typeof orderNumber}, length: ${orderNumber.length})`);
-        
-        console.log(`[${requestId}] Step 6: Creating order document with orderNumber: "${orderNumber}"...`);
+        console.log(`[${requestId}] Step 4: Products validated - SUCCESS (${orderItems.length} items)`);
         
-        // Create order with explicit orderNumber
+        // Create order - orderNumber is assigned from the order counter when the order is saved
+        console.log(`[${requestId}] Step 5: Creating order document...`);
         const orderData = {
-            orderNumber: orderNumber,
             user: req.user.id,
             items: orderItems,
             shippingAddress: shippingAddress || {},
             billingAddress: billingAddress || shippingAddress || {},
             paymentMethod: finalPaymentMethod,
-            notes: notes || ''
+            notes: notes || '',
+            requiresPrescription: requiresPrescription,
+            coupon: appliedCoupon ? appliedCoupon.coupon._id : undefined,
+            couponCode: appliedCoupon ? appliedCoupon.coupon.code : undefined,
+            couponDiscount: appliedCoupon ? appliedCoupon.discount : 0
         };
         
         console.log(`[${requestId}] Order data before creation:`, JSON.stringify({
@@ -412,63 +507,49 @@ router.post('/', auth, async (req, res) => {
         }, null, 2));
         
         const order = new Order(orderData);
+        const prescription = requiresPrescription ? preparePrescription(order, prescriptionFiles) : null;
         
-        // Verify orderNumber is set on the order object
-        if (!order.orderNumber) {
-            console.error(`[${requestId}] CRITICAL: orderNumber is missing from order object!`);
-            console.error(`[${requestId}] Order object:`, order.toObject());
-            throw new Error('Order number was not set on order object');
-        }
-        
-        console.log(`[${requestId}] Order object created. orderNumber: "${order.orderNumber}"`);
+        console.log(`[${requestId}] Step 6: Calculating order totals...`);
+        const shippingQuote = await quoteShipping(shippingAddress.city, orderItems, orderData.couponDiscount);
+        order.calculateTotals(shippingQuote);
+        console.log(`[${requestId}] Step 6: Shipping Rs. ${order.shippingCost} (${order.shippingZone || 'no zone'}), tax Rs. ${order.tax}`);
         
-        // CRITICAL: Ensure orderNumber is set before any operations
-        if (!order.orderNumber || order.orderNumber.trim() === '') {
-            console.error(`[${requestId}] CRITICAL ERROR: orderNumber is missing or empty!`);
-            console.error(`[${requestId}] Order data:`, order.toObject());
-            // Force set orderNumber as last resort
-            const timestamp = Date.now();
-            const random = Math.floor(Math.random() * 10000);
-            order.orderNumber = `ORD-${timestamp}-${random}`;
-            console.warn(`[${requestId}] Forced orderNumber to: "${order.orderNumber}"`);
-        }
-        
-        console.log(`[${requestId}] Step 7: Calculating order totals...`);
-        order.calculateTotals();
-        
-        // Final check before save
-        console.log(`[${requestId}] Step 8: Final validation before save...`);
-        console.log(`[${requestId}] Order orderNumber before save: "${order.orderNumber}" (type: ${typeof order.orderNumber})`);
-        
-        if (!order.orderNumber) {
-            const error = new Error('Order number is still missing before save operation');
-            console.error(`[${requestId}] ${error.message}`);
-            throw error;
-        }
+        // Reserve stock for all items atomically before saving (all-or-nothing)
+        console.log(`[${requestId}] Step 7: Reserving product stock...`);
+        const reserved = await reserveStock(orderItems);
+        applyBatchAllocations(order, reserved);
+        console.log(`[${requestId}] Step 7: Stock reserved for ${reserved.length} items`);
         
         console.log(`[${requestId}] Step 8: Saving order to database...`);
-        await order.save();
-        console.log(`[${requestId}] Step 8: Order saved successfully - ID: ${order._id}`);
-        
-        // Update product stock
-        console.log(`[${requestId}] Step 9: Updating product stock...`);
-        for (const item of orderItems) {
-            try {
-                await Product.findByIdAndUpdate(item.product, {
-                    $inc: { stock: -item.quantity }
-                });
-                console.log(`[${requestId}] Stock updated for product: ${item.product}`);
-            } catch (stockError) {
-                console.error(`[${requestId}] Error updating stock for product ${item.product}:`, stockError);
-                // Continue with other products even if one fails
+        let couponRedeemed = false;
+        try {
+            if (appliedCoupon) {
+                await redeemCoupon(appliedCoupon.coupon, order, couponCustomer);
+                couponRedeemed = true;
+            }
+            await order.save();
+        } catch (saveError) {
+            console.error(`[${requestId}] Order save failed, releasing reserved stock`);
+            await releaseStock(reserved);
+            if (couponRedeemed) {
+                await releaseCoupon(order.coupon, order._id);
             }
+            throw saveError;
         }
+        if (prescription) {
+            await prescription.save();
+            console.log(`[${requestId}] Prescription ${prescription._id} queued for pharmacist review`);
+        }
+        console.log(`[${requestId}] Step 8: Order saved successfully - ID: ${order._id}`);
         
         // Clear cart
-        console.log(`[${requestId}] Step 10: Clearing cart...`);
+        console.log(`[${requestId}] Step 9: Clearing cart...`);
+        await creditRecoveredOrder(cart, order);
         cart.items = [];
         await cart.save();
-        console.log(`[${requestId}] Step 10: Cart cleared - SUCCESS`);
+        console.log(`[${requestId}] Step 9: Cart cleared - SUCCESS`);
+        await saveCheckoutAddresses(req.user.id, req.body, requestId);
+        notifyOrder(order._id, 'order_placed');
         
         const duration = Date.now() - startTime;
         console.log(`[${requestId}] ========== ORDER CREATION SUCCESS ==========`);
@@ -497,7 +578,9 @@ router.post('/', auth, async (req, res) => {
         let statusCode = 500;
         
         // Handle specific error types
-        if (err.name === 'ValidationError') {
+        if (err.statusCode) {
+            statusCode = err.statusCode;
+        } else if (err.name === 'ValidationError') {
             statusCode = 400;
             const validationErrors = Object.values(err.errors || {}).map(e => e.message).join(', ');
             errorMessage = `Order validation failed: ${validationErrors}`;
@@ -529,13 +612,101 @@ router.post('/', auth, async (req, res) => {
     }
 });
 
+// Order tracking is public, so limit lookups per client, and per client and order number to stop guessing
+// a contact - keyed on the client too, so bogus lookups cannot lock the real customer out of their order
+const trackByClientLimit = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: 'Too many tracking requests. Please try again in a few minutes.'
+});
+const trackByOrderLimit = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    keyGenerator: req => `${req.ip}:${String(req.body?.orderNumber || '').trim().toUpperCase()}`,
+    message: 'Too many tracking requests for this order. Please try again later.'
+});
+
+// Compare phone numbers by their last 10 digits (0300..., +92300... and 92300... all match)
+const samePhone = (a, b) => {
+    const digits = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+    return digits(a).length === 10 && digits(a) === digits(b);
+};
+
+// Track an order by its number plus the email or phone it was placed with (guests and customers)
+// A wrong number and a wrong contact get the same answer, so the response never confirms an order exists
+router.post('/track', trackByClientLimit, trackByOrderLimit, async (req, res) => {
+    try {
+        const orderNumber = String(req.body?.orderNumber || '').trim().toUpperCase();
+        const contact = String(req.body?.contact || '').trim().toLowerCase();
+        
+        if (!orderNumber || !contact) {
+            return res.status(400).json({ message: 'Please enter your order number and the email or phone used for the order' });
+        }
+        
+        const order = await Order.findOne({ orderNumber })
+            .populate('user', 'email phone')
+            .populate('items.product', 'name image');
+        
+        const customer = order ? (order.user || order.guestCustomer || {}) : {};
+        const matches = !!order && (contact.includes('@')
+            ? customer.email === contact
+            : samePhone(contact, customer.phone) || samePhone(contact, order.shippingAddress?.phone));
+        if (!matches) {
+            return res.status(404).json({ message: 'No order matches that order number and email or phone' });
+        }
+        
+        const itemNames = new Map(order.items.map(item => [item._id.toString(), item.getDisplayName()]));
+        res.json({
+            _id: order._id,
+            orderNumber: order.orderNumber,
+            status: order.status,
+            createdAt: order.createdAt,
+            paymentMethod: order.paymentMethod,
+            paymentStatus: order.paymentStatus,
+            isGuest: !order.user,
+            // Notes can be internal, so only the status changes themselves are shown
+            timeline: order.statusHistory.map(entry => ({ status: entry.status, changedAt: entry.changedAt })),
+            items: order.items.map(item => ({
+                name: item.getDisplayName(),
+                image: item.product ? item.product.image : undefined,
+                quantity: item.quantity,
+                price: item.price,
+                discount: item.discount,
+                subtotal: item.subtotal
+            })),
+            shipments: order.shipments
+                .filter(shipment => shipment.status !== 'cancelled')
+                .map(shipment => ({
+                    shipmentNumber: shipment.shipmentNumber,
+                    status: shipment.status,
+                    courier: shipment.courier,
+                    trackingNumber: shipment.trackingNumber,
+                    trackingUrl: shipment.trackingUrl,
+                    shippedAt: shipment.shippedAt,
+                    deliveredAt: shipment.deliveredAt,
+                    items: shipment.items.map(item => ({ name: itemNames.get(item.orderItem.toString()), quantity: item.quantity }))
+                })),
+            subtotal: order.subtotal,
+            couponDiscount: order.couponDiscount,
+            shippingCost: order.shippingCost,
+            tax: order.tax,
+            total: order.total,
+            shippingCity: order.shippingAddress?.city
+        });
+    } catch (err) {
+        console.error('Order tracking error:', err);
+        res.status(500).json({ message: 'Error looking up the order' });
+    }
+});
+
 // Get order by ID (authenticated users can view their own orders, guests can view by order number)
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
     try {
-        const token = req.header('x-auth-token');
         const order = await Order.findById(req.params.id)
             .populate('user', 'name email phone')
-            .populate('items.product', 'name image price category department');
+            .populate('items.product', 'name image price category department')
+            .populate('statusHistory.actor', 'name')
+            .populate('prescription', 'status reviewNote reviewedAt');
         
         if (!order) {
             return res.status(404).json({ message: 'Order not found' });
@@ -560,40 +731,32 @@ router.get('/:id', async (req, res) => {
             };
         }
         
+        orderObj.allowedStatuses = order.getManualTransitions();
+        orderObj.shipments = orderObj.shipments.map(shipment => ({
+            ...shipment,
+            allowedStatuses: Order.getAllowedShipmentTransitions(shipment.status)
+        }));
+        orderObj.unshippedQuantities = Object.fromEntries(order.getUnshippedQuantities());
+        
         const orderToReturn = orderObj;
         
         // If authenticated, check if user owns the order or is admin
-        if (token) {
-            try {
-                const jwt = require('jsonwebtoken');
-                const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
-                
-                // Admin can view any order
-                if (decoded.user.role === 'admin') {
-                    return res.json(orderToReturn);
-                }
-                
-                // User can view their own orders
-                if (order.user && order.user._id.toString() === decoded.user.id) {
-                    return res.json(orderToReturn);
-                }
-                
-                // Guest orders cannot be viewed by authenticated users (unless admin)
-                if (!order.user) {
-                    return res.status(403).json({ message: 'Access denied' });
-                }
-                
-                return res.status(403).json({ message: 'Access denied' });
-            } catch (err) {
-                // Invalid token, treat as guest
-                // Guest orders can be viewed by anyone with order ID (for order confirmation)
-                if (!order.user) {
-                    return res.json(orderToReturn);
-                }
-                return res.status(401).json({ message: 'Authentication required' });
+        if (req.user) {
+            // Staff with orders:read can view any order
+            if (hasPermission(req.user.role, 'orders:read')) {
+                return res.json(orderToReturn);
+            }
+            
+            // User can view their own orders
+            if (order.user && order.user._id.toString() === req.user.id) {
+                return res.json(orderToReturn);
             }
+            
+            // Guest orders cannot be viewed by authenticated users (unless admin)
+            return res.status(403).json({ message: 'Access denied' });
         } else {
-            // Guest access - can only view guest orders
+            // Guest access (or an invalid token) - can only view guest orders
+            // Guest orders can be viewed by anyone with order ID (for order confirmation)
             if (!order.user) {
                 return res.json(orderToReturn);
             }
@@ -605,43 +768,277 @@ router.get('/:id', async (req, res) => {
 });
 
 // Update order status (admin only)
-router.put('/:id/status', adminAuth, async (req, res) => {
+// Only transitions allowed by the Order status machine are accepted; each change is recorded in statusHistory
+router.put('/:id/status', requirePermission('orders:update'), async (req, res) => {
+    try {
+        const { status, cancelledReason, note } = req.body;
+        
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        if (Order.getAllowedTransitions(order.status).includes(status) && !order.getManualTransitions().includes(status)) {
+            return res.status(400).json({
+                message: order.shipments.length > 0
+                    ? 'This order ships in parcels: update its shipments to change the shipping status'
+                    : 'Create shipments to mark part of an order as shipped'
+            });
+        }
+        
+        if (status === 'confirmed') {
+            await assertPrescriptionApproved(order);
+        }
+        
+        const previousStatus = order.status;
+        order.transitionTo(status, {
+            actor: req.user.id,
+            actorRole: req.user.role,
+            note: note || (status === 'cancelled' ? cancelledReason : undefined)
+        });
+        
+        if (status === 'cancelled') {
+            order.cancelledReason = cancelledReason || note || undefined;
+            // Nothing has been dispatched yet, so any prepared parcels are cancelled with the order
+            order.shipments.forEach(shipment => {
+                if (shipment.status === 'pending') {
+                    shipment.status = 'cancelled';
+                    shipment.cancelledAt = new Date();
+                }
+            });
+        }
+        
+        // Save only if the status is still the one we read, so two concurrent updates (a double-clicked
+        // cancel) cannot both apply - the loser gets a 409 and releases nothing
+        order.$where = { status: previousStatus };
+        try {
+            await order.save();
+        } catch (saveError) {
+            if (saveError.name === 'DocumentNotFoundError') {
+                return res.status(409).json({ message: 'This order was updated at the same time. Please reload it and try again.' });
+            }
+            throw saveError;
+        }
+        
+        // Restore stock and the coupon redemption for every cancelled order - both were taken when it was placed
+        if (status === 'cancelled') {
+            await releaseStock(order.items);
+            await releaseCoupon(order.coupon, order._id);
+        }
+        
+        if (['confirmed', 'shipped', 'delivered', 'cancelled'].includes(status)) {
+            notifyOrder(order._id, `order_${status}`);
+        }
+        
+        res.json(order);
+    } catch (err) {
+        console.error('Update order status error:', err);
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+const MAX_BULK_DOCUMENTS = 100;
+
+// Populate what the invoice / packing slip prints
+const populateForDocuments = (query) => query
+    .populate('user', 'name email phone')
+    .populate('items.product', 'name');
+
+const sendPdf = (res, doc, filename) => {
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'private, no-store');
+    doc.pipe(res);
+};
+
+// Download an order's invoice (owner, admin, or guest with ?email=)
+router.get('/:id/invoice', optionalAuth, async (req, res) => {
     try {
-        const { status, cancelledReason } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid order ID' });
+        }
+        
+        const order = await populateForDocuments(Order.findById(req.params.id));
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        let allowed = false;
+        if (req.user) {
+            allowed = hasPermission(req.user.role, 'orders:read') || (!!order.user && order.user._id.toString() === req.user.id);
+        }
+        if (!allowed && !order.user) {
+            const email = String(req.query.email || '').toLowerCase().trim();
+            allowed = !!email && order.guestCustomer?.email === email;
+        }
+        if (!allowed) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        sendPdf(res, buildOrderPdf([order], 'invoice'), `invoice-${order.orderNumber}.pdf`);
+    } catch (err) {
+        console.error('Invoice error:', err);
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+// Download a packing slip (admin only); ?shipment=<id> limits it to one shipment
+router.get('/:id/packing-slip', requirePermission('orders:read'), async (req, res) => {
+    try {
+        const order = await populateForDocuments(Order.findById(req.params.id));
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        const doc = buildOrderPdf([order], 'packingSlip', { shipmentId: req.query.shipment });
+        sendPdf(res, doc, `packing-slip-${order.orderNumber}.pdf`);
+    } catch (err) {
+        console.error('Packing slip error:', err);
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+// Merge invoices or packing slips of selected orders into one printable PDF (admin only)
+// Body: { orderIds: [...], type: 'invoice' | 'packingSlip' }
+router.post('/admin/documents', requirePermission('orders:read'), async (req, res) => {
+    try {
+        const { orderIds, type = 'packingSlip' } = req.body;
+        
+        if (!Array.isArray(orderIds) || orderIds.length === 0) {
+            return res.status(400).json({ message: 'Select at least one order' });
+        }
+        if (orderIds.length > MAX_BULK_DOCUMENTS) {
+            return res.status(400).json({ message: `At most ${MAX_BULK_DOCUMENTS} orders can be printed at once` });
+        }
+        if (orderIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ message: 'Invalid order ID' });
+        }
         
-        const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({ message: 'Invalid status' });
+        const orders = await populateForDocuments(Order.find({ _id: { $in: orderIds } }));
+        // Keep the order the admin selected them in
+        const byId = new Map(orders.map(order => [order._id.toString(), order]));
+        const selected = orderIds.map(id => byId.get(String(id))).filter(Boolean);
+        if (selected.length === 0) {
+            return res.status(404).json({ message: 'Orders not found' });
         }
         
+        const doc = buildOrderPdf(selected, type);
+        sendPdf(res, doc, `${type === 'invoice' ? 'invoices' : 'packing-slips'}-${new Date().toISOString().slice(0, 10)}.pdf`);
+    } catch (err) {
+        console.error('Bulk documents error:', err);
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+// Create a shipment for some or all of the unshipped items (admin only)
+// Body: { items: [{ orderItemId, quantity }], courier, trackingNumber, trackingUrl, notes }
+router.post('/:id/shipments', requirePermission('orders:fulfil'), async (req, res) => {
+    try {
         const order = await Order.findById(req.params.id);
         if (!order) {
             return res.status(404).json({ message: 'Order not found' });
         }
         
-        order.status = status;
-        if (status === 'cancelled' && cancelledReason) {
-            order.cancelledReason = cancelledReason;
-            
-            // Restore stock if order is cancelled
-            for (const item of order.items) {
-                await Product.findByIdAndUpdate(item.product, {
-                    $inc: { stock: item.quantity }
-                });
+        const { items, courier, trackingNumber, trackingUrl, notes } = req.body;
+        const shipment = order.addShipment({ items, courier, trackingNumber, trackingUrl, notes });
+        await order.save();
+        
+        res.status(201).json(shipment);
+    } catch (err) {
+        console.error('Create shipment error:', err);
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+// Update a shipment's courier / tracking details and optionally its status (admin only)
+// The order status is derived from its shipments after every status change
+router.put('/:id/shipments/:shipmentId', requirePermission('orders:fulfil'), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        const shipment = order.shipments.id(req.params.shipmentId);
+        if (!shipment) {
+            return res.status(404).json({ message: 'Shipment not found' });
+        }
+        
+        ['courier', 'trackingNumber', 'trackingUrl', 'notes'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                shipment[field] = req.body[field];
             }
+        });
+        
+        const { status, note } = req.body;
+        const previousOrderStatus = order.status;
+        const statusChanged = !!status && status !== shipment.status;
+        if (statusChanged) {
+            order.transitionShipment(shipment._id, status, {
+                actor: req.user.id,
+                actorRole: req.user.role,
+                note
+            });
         }
         
         await order.save();
         
+        if (statusChanged && status === 'shipped') {
+            notifyOrder(order._id, 'order_shipped', { shipmentId: shipment._id });
+        }
+        if (order.status === 'delivered' && previousOrderStatus !== 'delivered') {
+            notifyOrder(order._id, 'order_delivered');
+        }
+        
         res.json(order);
     } catch (err) {
-        console.error('Update order status error:', err);
-        res.status(500).json({ message: err.message });
+        console.error('Update shipment error:', err);
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+// Cancel the units of a partially shipped order that have not been dispatched (admin only)
+// Their stock is released and the coupon discount and tax are prorated; the dispatched parcels carry on as usual
+router.post('/:id/cancel-unshipped', requirePermission('orders:update'), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        const previousStatus = order.status;
+        const released = order.cancelUnshippedItems({
+            actor: req.user.id,
+            actorRole: req.user.role,
+            note: req.body.note
+        });
+        
+        // Only the request that wins the status change releases the stock
+        order.$where = { status: previousStatus };
+        try {
+            await order.save();
+        } catch (saveError) {
+            if (saveError.name === 'DocumentNotFoundError') {
+                return res.status(409).json({ message: 'This order was updated at the same time. Please reload it and try again.' });
+            }
+            throw saveError;
+        }
+        
+        await releaseStock(released);
+        
+        if (order.status === 'delivered') {
+            notifyOrder(order._id, 'order_delivered');
+        }
+        
+        res.json(order);
+    } catch (err) {
+        console.error('Cancel unshipped items error:', err);
+        res.status(err.statusCode || 500).json({ message: err.message });
     }
 });
 
 // Confirm order (admin only)
-router.post('/:id/confirm', adminAuth, async (req, res) => {
+router.post('/:id/confirm', requirePermission('orders:update'), async (req, res) => {
     try {
         const order = await Order.findById(req.params.id);
         if (!order) {
@@ -652,14 +1049,20 @@ router.post('/:id/confirm', adminAuth, async (req, res) => {
             return res.status(400).json({ message: `Order is already ${order.status}` });
         }
         
-        order.status = 'confirmed';
-        order.confirmedAt = new Date();
+        await assertPrescriptionApproved(order);
+        
+        order.transitionTo('confirmed', {
+            actor: req.user.id,
+            actorRole: req.user.role,
+            note: req.body?.note
+        });
         await order.save();
+        notifyOrder(order._id, 'order_confirmed');
         
         res.json(order);
     } catch (err) {
         console.error('Confirm order error:', err);
-        res.status(500).json({ message: err.message });
+        res.status(err.statusCode || 500).json({ message: err.message });
     }
 });
 
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const optionalAuth = require('../middleware/optionalAuth');
+const { hasPermission } = require('../config/permissions');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { getProvider, startPayment, handleWebhook } = require('../services/payments');
+const mockProvider = require('../services/payments/mockProvider');
+
+// Order owners (by token), order managers, and guests (by the email on the order) may pay for an order
+// (req.user is set by optionalAuth)
+function canPayForOrder(req, order) {
+    if (req.user) {
+        if (hasPermission(req.user.role, 'orders:update')) {
+            return true;
+        }
+        return !!order.user && order.user.toString() === req.user.id;
+    }
+
+    const email = String(req.body.email || '').toLowerCase().trim();
+    return !order.user && !!email && order.guestCustomer?.email === email;
+}
+
+// Start an online payment for an order (card / bank transfer)
+// Returns a redirectUrl (hosted checkout) or a clientSecret (intent flow), depending on the provider
+router.post('/orders/:orderId/start', optionalAuth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+            return res.status(400).json({ message: 'Invalid order ID' });
+        }
+
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        if (!canPayForOrder(req, order)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const session = await startPayment(order, { returnUrl: req.body.returnUrl });
+        res.status(201).json(session);
+    } catch (error) {
+        console.error('Start payment error:', error);
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+});
+
+// Provider webhook - verified against the raw request body (see bodyParser verify in server.js)
+router.post('/webhook/:provider', async (req, res) => {
+    try {
+        const { payment, applied } = await handleWebhook(req.params.provider, {
+            rawBody: req.rawBody,
+            headers: req.headers
+        });
+
+        console.log(`💳 Payment webhook ${req.params.provider}: ${payment.reference} -> ${payment.status}${applied ? '' : ' (ignored)'}`);
+        res.json({ received: true, applied });
+    } catch (error) {
+        console.error('Payment webhook error:', error.message);
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+});
+
+// Simulated checkout (local testing only): these routes let anyone mark a payment paid, so they
+// are only registered when ENABLE_MOCK_PAYMENTS=true outside production
+if (mockProvider.isEnabled()) {
+    // Mock checkout page data (local testing only)
+    router.get('/mock/:reference', async (req, res) => {
+        try {
+            getProvider('mock');
+
+            const payment = await Payment.findOne({ provider: 'mock', reference: req.params.reference })
+                .populate('order', 'orderNumber');
+            if (!payment) {
+                return res.status(404).json({ message: 'Payment not found' });
+            }
+
+            res.json({
+                reference: payment.reference,
+                amount: payment.amount,
+                currency: payment.currency,
+                status: payment.status,
+                orderNumber: payment.order ? payment.order.orderNumber : null
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    });
+
+    // Complete a mock payment: delivers a signed webhook just like a real provider would (local testing only)
+    router.post('/mock/:reference/complete', async (req, res) => {
+        try {
+            getProvider('mock');
+            const outcome = req.body.outcome === 'failed' ? 'failed' : 'paid';
+
+            const payment = await Payment.findOne({ provider: 'mock', reference: req.params.reference })
+                .populate('order', 'orderNumber');
+            if (!payment) {
+                return res.status(404).json({ message: 'Payment not found' });
+            }
+
+            const webhook = mockProvider.buildWebhook({
+                reference: payment.reference,
+                status: outcome,
+                amount: payment.amount
+            });
+            const result = await handleWebhook('mock', webhook);
+
+            const separator = payment.returnUrl.includes('?') ? '&' : '?';
+            res.json({
+                status: result.payment.status,
+                returnUrl: `${payment.returnUrl}${separator}payment=${result.payment.status}&order=${encodeURIComponent(payment.order ? payment.order.orderNumber : '')}`
+            });
+        } catch (error) {
+            console.error('Mock payment error:', error);
+            res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    });
+}
+
+module.exports = router;
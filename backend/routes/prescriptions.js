@@ -0,0 +1,197 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const requirePermission = require('../middleware/requirePermission');
+const rateLimit = require('../middleware/rateLimit');
+const Media = require('../models/Media');
+const Order = require('../models/Order');
+const Prescription = require('../models/Prescription');
+const { PRESCRIPTION_FOLDER } = require('../services/prescriptions');
+
+const router = express.Router();
+
+const ALLOWED_MIMES = new Set(['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'application/pdf']);
+const ALLOWED_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.pdf']);
+const MAX_PRESCRIPTION_SIZE = 10 * 1024 * 1024; // 10MB per file
+const MAX_PRESCRIPTION_FILES = 5;
+
+// Prescriptions are medical records: keep them in the database (never on a public CDN)
+// and serve them only through the admin-only file route below
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_PRESCRIPTION_SIZE, files: MAX_PRESCRIPTION_FILES },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname || '').toLowerCase();
+        if (!ALLOWED_MIMES.has(file.mimetype) || !ALLOWED_EXTENSIONS.has(ext)) {
+            return cb(new Error('Only JPEG, PNG, WebP images and PDF files are allowed for prescriptions'));
+        }
+        cb(null, true);
+    }
+});
+
+function sendPrescriptionError(res, error) {
+    const status = error.statusCode || (error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500);
+    res.status(status).json({ message: error.message });
+}
+
+// Uploads are public and stored in the database, so each client gets a few per hour
+const uploadLimit = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    message: 'Too many prescription uploads. Please try again later.'
+});
+
+// Upload prescription files at checkout (guests and logged-in users)
+// Returns Media IDs to send as prescriptionFiles when placing the order
+router.post('/upload', uploadLimit, (req, res, next) => {
+    upload.array('files', MAX_PRESCRIPTION_FILES)(req, res, (err) => {
+        if (err) {
+            if (err instanceof multer.MulterError) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(400).json({
+                        message: `Prescription file exceeds maximum size of ${MAX_PRESCRIPTION_SIZE / (1024 * 1024)}MB`
+                    });
+                }
+                return res.status(400).json({ message: `File upload error: ${err.message}` });
+            }
+            return res.status(400).json({ message: err.message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ message: 'No prescription file uploaded' });
+        }
+
+        const files = [];
+        for (const file of req.files) {
+            const mediaItem = new Media({
+                originalName: file.originalname,
+                filename: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+                storage: 'database',
+                metadata: {
+                    folder: PRESCRIPTION_FOLDER,
+                    private: true
+                },
+                data: file.buffer
+            });
+            mediaItem.url = `/api/prescriptions/files/${mediaItem._id}`;
+            await mediaItem.save();
+
+            files.push({
+                _id: mediaItem._id,
+                originalName: mediaItem.originalName,
+                mimeType: mediaItem.mimeType,
+                size: mediaItem.size
+            });
+        }
+
+        res.status(201).json({ files });
+    } catch (error) {
+        console.error('Prescription upload failed:', error);
+        sendPrescriptionError(res, error);
+    }
+});
+
+// Pharmacist review queue (admin)
+router.get('/admin', requirePermission('prescriptions:read'), async (req, res) => {
+    try {
+        const { status = 'pending', page = 1, limit = 20 } = req.query;
+        const query = {};
+        if (status && status !== 'all') {
+            query.status = status;
+        }
+
+        const prescriptions = await Prescription.find(query)
+            .populate({
+                path: 'order',
+                select: 'orderNumber status user guestCustomer items createdAt',
+                populate: [
+                    { path: 'user', select: 'name email phone' },
+                    { path: 'items.product', select: 'name requiresPrescription' }
+                ]
+            })
+            .populate('files', 'originalName mimeType size url')
+            .populate('reviewedBy', 'name')
+            // Oldest first so the queue is worked in arrival order
+            .sort({ createdAt: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const count = await Prescription.countDocuments(query);
+
+        res.json({
+            prescriptions,
+            totalPages: Math.ceil(count / limit),
+            currentPage: parseInt(page),
+            total: count
+        });
+    } catch (error) {
+        sendPrescriptionError(res, error);
+    }
+});
+
+// View an uploaded prescription file (admin)
+router.get('/files/:mediaId', requirePermission('prescriptions:read'), async (req, res) => {
+    try {
+        const mediaItem = await Media.findOne({ _id: req.params.mediaId, 'metadata.folder': PRESCRIPTION_FOLDER });
+        if (!mediaItem || !mediaItem.data) {
+            return res.status(404).json({ message: 'Prescription file not found' });
+        }
+
+        res.set('Content-Type', mediaItem.mimeType || 'application/octet-stream');
+        res.set('Cache-Control', 'private, no-store');
+        res.send(mediaItem.data);
+    } catch (error) {
+        sendPrescriptionError(res, error);
+    }
+});
+
+// Approve or reject a prescription (admin)
+router.put('/:id/review', requirePermission('prescriptions:review'), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+
+        if (!['approved', 'rejected'].includes(status)) {
+            return res.status(400).json({ message: 'Status must be either approved or rejected' });
+        }
+
+        if (status === 'rejected' && (!note || !note.trim())) {
+            return res.status(400).json({ message: 'Please provide a reason for rejecting the prescription' });
+        }
+
+        const prescription = await Prescription.findById(req.params.id);
+        if (!prescription) {
+            return res.status(404).json({ message: 'Prescription not found' });
+        }
+
+        const order = await Order.findById(prescription.order).select('status');
+        const previousStatus = prescription.status;
+        prescription.review(status, {
+            reviewer: req.user.id,
+            note: note ? note.trim() : undefined,
+            orderStatus: order ? order.status : undefined
+        });
+
+        // Save only if the status is still the one we read, so two pharmacists cannot both decide
+        prescription.$where = { status: previousStatus };
+        try {
+            await prescription.save();
+        } catch (saveError) {
+            if (saveError.name === 'DocumentNotFoundError') {
+                return res.status(409).json({ message: 'This prescription was reviewed at the same time. Please reload it and try again.' });
+            }
+            throw saveError;
+        }
+
+        res.json(prescription);
+    } catch (error) {
+        console.error('Prescription review error:', error);
+        sendPrescriptionError(res, error);
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const router = express.Router();
 const Product = require('../models/Product');
 const Department = require('../models/Department');
 const Category = require('../models/Category');
+const Brand = require('../models/Brand');
+const mongoose = require('mongoose');
 
 // Get homepage products (lightweight, fast)
 router.get('/home', async (req, res) => {
@@ -33,6 +35,7 @@ router.get('/', async (req, res) => {
         const { 
             departmentId, 
             categoryId, 
+            brand,
             search,
             minPrice,
             maxPrice,
@@ -57,6 +60,17 @@ router.get('/', async (req, res) => {
             query.category = categoryId;
         }
 
+        // Brand accepts either an id or the slug used in /brand/:slug
+        if (brand) {
+            if (mongoose.Types.ObjectId.isValid(brand)) {
+                query.brand = brand;
+            } else {
+                const brandDoc = await Brand.findOne({ slug: String(brand).toLowerCase() }).select('_id').lean();
+                // An unknown slug matches nothing rather than falling back to every product
+                query.brand = brandDoc ? brandDoc._id : { $in: [] };
+            }
+        }
+
         if (search) {
             query.$or = [
                 { name: { $regex: search, $options: 'i' } },
@@ -118,7 +132,7 @@ router.get('/', async (req, res) => {
 
         // Use lean() for faster queries and select only needed fields
         const products = await Product.find(query)
-            .select('name price discount image imageUpload category department stock isFeatured isTrending isNewArrival isBestSelling isTopSelling sections collectionName createdAt')
+            .select('name price discount image imageUpload category department brand stock variants._id isFeatured isTrending isNewArrival isBestSelling isTopSelling requiresPrescription sections collectionName createdAt')
             .populate('category', 'name _id')
             .populate('department', 'name _id')
             .populate('imageUpload', 'url')
@@ -173,6 +187,7 @@ router.get('/:id', async (req, res) => {
         const product = await Product.findById(req.params.id)
             .populate('category', 'name _id department')
             .populate('department', 'name _id')
+            .populate('brand', 'name slug')
             .populate('imageUpload');
         
         if (!product || !product.isActive) {
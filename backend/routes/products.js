@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const Department = require('../models/Department');
 const Media = require('../models/Media');
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const { uploadSingle, deleteTempFile } = require('../middleware/upload');
 const { uploadToCloudinary } = require('../services/cloudinaryUpload');
 const { isConfigured: isCloudinaryConfigured } = require('../config/cloudinary');
@@ -54,6 +55,67 @@ async function assignImageFields(target, body) {
     }
 }
 
+const variantError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// Replace the product's variants with the list sent by the admin form
+// A variant sent back with its _id keeps it, so cart lines that name the variant stay valid
+// Each variant: { _id?, attributes: [{ name, value }], sku, barcode?, price, discount?, stock, images?, isActive? }
+function assignVariants(product, variants) {
+    if (!Array.isArray(variants)) {
+        throw variantError('Variants must be a list');
+    }
+
+    product.variants = variants.map((input, index) => {
+        const label = `Variant ${index + 1}`;
+        const attributes = (Array.isArray(input.attributes) ? input.attributes : [])
+            .map(attribute => ({ name: String(attribute.name || '').trim(), value: String(attribute.value || '').trim() }))
+            .filter(attribute => attribute.name && attribute.value);
+        if (attributes.length === 0) {
+            throw variantError(`${label} needs at least one attribute, e.g. Size: 200ml`);
+        }
+
+        const sku = String(input.sku || '').trim();
+        if (!sku) {
+            throw variantError(`${label} needs a SKU`);
+        }
+        const price = parseFloat(input.price);
+        if (Number.isNaN(price) || price < 0) {
+            throw variantError(`${label}: price must be a valid number greater than or equal to 0`);
+        }
+        const discount = input.discount !== undefined && input.discount !== null && input.discount !== ''
+            ? parseFloat(input.discount)
+            : 0;
+        if (Number.isNaN(discount) || discount < 0 || discount > 100) {
+            throw variantError(`${label}: discount must be a number between 0 and 100`);
+        }
+        const stock = parseInt(input.stock, 10);
+        if (Number.isNaN(stock) || stock < 0) {
+            throw variantError(`${label}: stock must be a valid number greater than or equal to 0`);
+        }
+
+        const existing = input._id && mongoose.Types.ObjectId.isValid(String(input._id)) ? product.variants.id(input._id) : null;
+        return {
+            _id: existing ? existing._id : undefined,
+            attributes,
+            sku,
+            barcode: input.barcode ? String(input.barcode).trim() : undefined,
+            price,
+            discount,
+            stock,
+            images: Array.isArray(input.images) ? input.images.map(image => String(image).trim()).filter(Boolean) : [],
+            isActive: input.isActive !== undefined ? !!input.isActive : true
+        };
+    });
+}
+
+// Status for a failed product save: a SKU already used by another product is a conflict
+const productSaveStatus = (err) => err.statusCode ||
+    (err.code === 11000 ? 409 : (err.name === 'ValidationError' ? 400 : 500));
+
 // Get all products
 router.get('/', async (req, res) => {
     try {
@@ -65,7 +127,9 @@ router.get('/', async (req, res) => {
         if (search) {
             query.$or = [
                 { name: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } }
+                { description: { $regex: search, $options: 'i' } },
+                { 'variants.sku': search.trim().toUpperCase() },
+                { 'variants.barcode': search.trim() }
             ];
         }
 
@@ -149,7 +213,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create a new product (admin only)
-router.post('/', adminAuth, async (req, res) => {
+router.post('/', requirePermission('catalog:write'), async (req, res) => {
     try {
         // Validate required fields
         if (!req.body.name || !req.body.name.trim()) {
@@ -164,20 +228,23 @@ router.post('/', adminAuth, async (req, res) => {
             return res.status(400).json({ message: 'Product description is required' });
         }
         
-        if (req.body.price === undefined || req.body.price === null || req.body.price === '') {
+        // Price and stock of a product with variants come from the variants
+        const hasVariants = Array.isArray(req.body.variants) && req.body.variants.length > 0;
+        
+        if (!hasVariants && (req.body.price === undefined || req.body.price === null || req.body.price === '')) {
             return res.status(400).json({ message: 'Product price is required' });
         }
         
-        const price = parseFloat(req.body.price);
+        const price = hasVariants ? 0 : parseFloat(req.body.price);
         if (Number.isNaN(price) || price < 0) {
             return res.status(400).json({ message: 'Product price must be a valid number greater than or equal to 0' });
         }
         
-        if (req.body.stock === undefined || req.body.stock === null || req.body.stock === '') {
+        if (!hasVariants && (req.body.stock === undefined || req.body.stock === null || req.body.stock === '')) {
             return res.status(400).json({ message: 'Stock quantity is required' });
         }
         
-        const stock = parseInt(req.body.stock, 10);
+        const stock = hasVariants ? 0 : parseInt(req.body.stock, 10);
         if (Number.isNaN(stock) || stock < 0) {
             return res.status(400).json({ message: 'Stock quantity must be a valid number greater than or equal to 0' });
         }
@@ -199,6 +266,14 @@ router.post('/', adminAuth, async (req, res) => {
             return res.status(400).json({ message: 'Discount must be a number between 0 and 100' });
         }
 
+        const weight = req.body.weight !== undefined && req.body.weight !== null && req.body.weight !== ''
+            ? parseFloat(req.body.weight)
+            : 0;
+        
+        if (Number.isNaN(weight) || weight < 0) {
+            return res.status(400).json({ message: 'Weight must be a valid number greater than or equal to 0' });
+        }
+
         const product = new Product({
             name: req.body.name.trim(),
             description: req.body.description.trim(),
@@ -209,11 +284,14 @@ router.post('/', adminAuth, async (req, res) => {
             category: req.body.category,
             department: category.department,
             stock: stock,
+            weight: weight,
             isFeatured: req.body.isFeatured || false,
             isTrending: req.body.isTrending || false,
             isNewArrival: req.body.isNewArrival || false,
             isBestSelling: req.body.isBestSelling || false,
             isTopSelling: req.body.isTopSelling || false,
+            requiresPrescription: req.body.requiresPrescription || false,
+            brand: req.body.brand || undefined,
             // Sections should be the primary way to assign products to sections
             sections: req.body.sections || [],
             // Keep collectionName for backward compatibility, but convert to sections
@@ -270,6 +348,10 @@ router.post('/', adminAuth, async (req, res) => {
             console.log(`📝 Auto-assigned sections to new product: [${product.sections.join(', ')}]`);
         }
 
+        if (hasVariants) {
+            assignVariants(product, req.body.variants);
+        }
+
         await assignImageFields(product, req.body);
 
         const newProduct = await product.save();
@@ -280,14 +362,14 @@ router.post('/', adminAuth, async (req, res) => {
         res.status(201).json(populatedProduct);
     } catch (err) {
         console.error('Error creating product:', err);
-        const status = err.statusCode || (err.name === 'ValidationError' ? 400 : 500);
-        const message = err.message || 'Error creating product';
+        const status = productSaveStatus(err);
+        const message = err.code === 11000 ? 'A variant SKU is already used by another product' : (err.message || 'Error creating product');
         res.status(status).json({ message });
     }
 });
 
 // Update a product (admin only)
-router.put('/:id', adminAuth, async (req, res) => {
+router.put('/:id', requirePermission('catalog:write'), async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
         if (!product) {
@@ -322,6 +404,9 @@ router.put('/:id', adminAuth, async (req, res) => {
             if (Number.isNaN(stock) || stock < 0) {
                 return res.status(400).json({ message: 'Stock quantity must be a valid number greater than or equal to 0' });
             }
+            if (product.batchTracked && stock !== product.stock) {
+                return res.status(400).json({ message: 'Stock for this product is managed through inventory batches' });
+            }
             product.stock = stock;
         }
         
@@ -332,6 +417,14 @@ router.put('/:id', adminAuth, async (req, res) => {
             }
             product.discount = discount;
         }
+        
+        if (req.body.weight !== undefined && req.body.weight !== null && req.body.weight !== '') {
+            const weight = parseFloat(req.body.weight);
+            if (Number.isNaN(weight) || weight < 0) {
+                return res.status(400).json({ message: 'Weight must be a valid number greater than or equal to 0' });
+            }
+            product.weight = weight;
+        }
 
         if (req.body.category) {
             const category = await Category.findById(req.body.category);
@@ -359,6 +452,10 @@ router.put('/:id', adminAuth, async (req, res) => {
         product.isNewArrival = req.body.isNewArrival !== undefined ? req.body.isNewArrival : product.isNewArrival;
         product.isBestSelling = req.body.isBestSelling !== undefined ? req.body.isBestSelling : product.isBestSelling;
         product.isTopSelling = req.body.isTopSelling !== undefined ? req.body.isTopSelling : product.isTopSelling;
+        product.requiresPrescription = req.body.requiresPrescription !== undefined ? req.body.requiresPrescription : product.requiresPrescription;
+        if (req.body.brand !== undefined) {
+            product.brand = req.body.brand || undefined;
+        }
         product.sections = req.body.sections !== undefined ? (req.body.sections || []) : product.sections;
         // Keep collectionName for backward compatibility, but convert to sections
         product.collectionName = req.body.collectionName !== undefined ? (req.body.collectionName || '') : product.collectionName;
@@ -411,6 +508,10 @@ router.put('/:id', adminAuth, async (req, res) => {
             console.log(`📝 Auto-assigned sections to updated product: [${product.sections.join(', ')}]`);
         }
 
+        if (req.body.variants !== undefined) {
+            assignVariants(product, req.body.variants || []);
+        }
+
         await assignImageFields(product, req.body);
 
         await product.save();
@@ -421,14 +522,14 @@ router.put('/:id', adminAuth, async (req, res) => {
         res.json(populatedProduct);
     } catch (err) {
         console.error('Error updating product:', err);
-        const status = err.statusCode || (err.name === 'ValidationError' ? 400 : 500);
-        const message = err.message || 'Error updating product';
+        const status = productSaveStatus(err);
+        const message = err.code === 11000 ? 'A variant SKU is already used by another product' : (err.message || 'Error updating product');
         res.status(status).json({ message });
     }
 });
 
 // Delete a product (admin only)
-router.delete('/:id', adminAuth, async (req, res) => {
+router.delete('/:id', requirePermission('catalog:write'), async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
         if (!product) {
@@ -444,7 +545,7 @@ router.delete('/:id', adminAuth, async (req, res) => {
 });
 
 // Upload product image to Cloudinary (Direct upload - returns URL immediately)
-router.post('/upload-image', adminAuth, uploadSingle, async (req, res) => {
+router.post('/upload-image', requirePermission('catalog:write'), uploadSingle, async (req, res) => {
     try {
         // Check if Cloudinary is configured
         if (!isCloudinaryConfigured) {
@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const Department = require('../models/Department');
+const CartRecovery = require('../models/CartRecovery');
+const { getSettings: getAbandonedCartSettings } = require('../services/abandonedCarts');
 
 // Helper function to get date range based on period
 function getDateRange(period) {
@@ -36,7 +38,7 @@ function getDateRange(period) {
 }
 
 // Sales report with filters
-router.get('/sales', adminAuth, async (req, res) => {
+router.get('/sales', requirePermission('reports:read'), async (req, res) => {
     try {
         const { 
             period = 'all', 
@@ -333,8 +335,78 @@ router.get('/sales', adminAuth, async (req, res) => {
     }
 });
 
+// Abandoned carts: how many carts were abandoned, reminded and recovered (turned into an order)
+router.get('/abandoned-carts', requirePermission('reports:read'), async (req, res) => {
+    try {
+        const { period = 'monthly', startDate, endDate } = req.query;
+        
+        let dateFilter = {};
+        if (startDate && endDate) {
+            dateFilter = { $gte: new Date(startDate), $lte: new Date(endDate) };
+        } else if (period !== 'all') {
+            const { start, end } = getDateRange(period);
+            dateFilter = { $gte: start, $lte: end };
+        }
+        const recoveryMatch = Object.keys(dateFilter).length ? { createdAt: dateFilter } : {};
+        const orderMatch = { status: { $ne: 'cancelled' }, ...(Object.keys(dateFilter).length ? { createdAt: dateFilter } : {}) };
+        
+        const counted = (field) => ({ $sum: { $cond: [{ $ifNull: [field, false] }, 1, 0] } });
+        const [totals = {}] = await CartRecovery.aggregate([
+            { $match: recoveryMatch },
+            {
+                $group: {
+                    _id: null,
+                    abandoned: { $sum: 1 },
+                    abandonedValue: { $sum: '$cartValue' },
+                    emailed: counted('$emailedAt'),
+                    restored: counted('$restoredAt'),
+                    recovered: counted('$order'),
+                    recoveredAfterEmail: {
+                        $sum: { $cond: [{ $and: [{ $ifNull: ['$emailedAt', false] }, { $ifNull: ['$order', false] }] }, 1, 0] }
+                    },
+                    recoveredRevenue: { $sum: { $ifNull: ['$orderTotal', 0] } }
+                }
+            }
+        ]);
+        const ordersPlaced = await Order.countDocuments(orderMatch);
+        
+        const abandoned = totals.abandoned || 0;
+        const emailed = totals.emailed || 0;
+        const recovered = totals.recovered || 0;
+        const percent = (part, whole) => (whole > 0 ? Math.round(part / whole * 1000) / 10 : 0);
+        
+        const recent = await CartRecovery.find(recoveryMatch)
+            .populate('order', 'orderNumber status')
+            .sort({ createdAt: -1 })
+            .limit(20)
+            .select('email cartValue abandonedAt emailedAt restoredAt order orderTotal recoveredAt createdAt');
+        
+        res.json({
+            summary: {
+                abandoned,
+                abandonedValue: totals.abandonedValue || 0,
+                emailed,
+                restored: totals.restored || 0,
+                recovered,
+                recoveredRevenue: totals.recoveredRevenue || 0,
+                ordersPlaced,
+                // Share of carts that were abandoned rather than checked out
+                abandonmentRate: percent(abandoned, abandoned + ordersPlaced),
+                // Share of reminded carts that turned into an order
+                recoveryRate: percent(totals.recoveredAfterEmail || 0, emailed)
+            },
+            recent,
+            settings: getAbandonedCartSettings(),
+            period
+        });
+    } catch (err) {
+        console.error('Abandoned carts report error:', err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
 // Get departments for filter
-router.get('/departments', adminAuth, async (req, res) => {
+router.get('/departments', requirePermission('reports:read'), async (req, res) => {
     try {
         const departments = await Department.find({ isActive: true })
             .select('name _id')
@@ -346,7 +418,7 @@ router.get('/departments', adminAuth, async (req, res) => {
 });
 
 // Get categories for filter
-router.get('/categories', adminAuth, async (req, res) => {
+router.get('/categories', requirePermission('reports:read'), async (req, res) => {
     try {
         const { departmentId } = req.query;
         const query = { isActive: true };
@@ -365,7 +437,7 @@ router.get('/categories', adminAuth, async (req, res) => {
 });
 
 // Get products for filter
-router.get('/products', adminAuth, async (req, res) => {
+router.get('/products', requirePermission('reports:read'), async (req, res) => {
     try {
         const { categoryId, departmentId } = req.query;
         const query = { isActive: true };
@@ -0,0 +1,359 @@
+const express = require('express');
+const path = require('path');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const optionalAuth = require('../middleware/optionalAuth');
+const rateLimit = require('../middleware/rateLimit');
+const { hasPermission } = require('../config/permissions');
+const Media = require('../models/Media');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const {
+    RETURN_PHOTO_FOLDER,
+    assertReturnable,
+    unitPaidPrice,
+    buildReturnItems,
+    loadReturnPhotos,
+    restockReturnItems,
+    applyRefund,
+    revertRefund
+} = require('../services/returns');
+
+const router = express.Router();
+
+const ALLOWED_MIMES = new Set(['image/jpeg', 'image/jpg', 'image/png', 'image/webp']);
+const ALLOWED_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp']);
+const MAX_PHOTO_SIZE = 5 * 1024 * 1024; // 5MB per photo
+const MAX_PHOTOS = 5;
+
+// Return photos can show customer details (labels, addresses): keep them private like prescriptions
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_PHOTO_SIZE, files: MAX_PHOTOS },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname || '').toLowerCase();
+        if (!ALLOWED_MIMES.has(file.mimetype) || !ALLOWED_EXTENSIONS.has(ext)) {
+            return cb(new Error('Only JPEG, PNG and WebP images are allowed'));
+        }
+        cb(null, true);
+    }
+});
+
+// Order owners (by token), staff with returns:read, and guests (by the email on the order) may access an order's returns
+// (req.user is set by optionalAuth)
+function canAccessOrder(req, order, email) {
+    const user = req.user;
+    if (user) {
+        return hasPermission(user.role, 'returns:read') || (!!order.user && order.user.toString() === user.id);
+    }
+
+    const guestEmail = String(email || '').toLowerCase().trim();
+    return !order.user && !!guestEmail && order.guestCustomer?.email === guestEmail;
+}
+
+// Uploads are stored in the database, so each client gets a few per hour
+const photoUploadLimit = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    message: 'Too many photo uploads. Please try again later.'
+});
+
+// Upload photos of the goods being returned (logged-in owners, or guests with the order email)
+// Multipart fields: orderId (and email for guest orders) alongside the photos
+// Returns Media IDs to send as photos when opening the return for that order
+router.post('/photos', photoUploadLimit, optionalAuth, (req, res, next) => {
+    upload.array('photos', MAX_PHOTOS)(req, res, (err) => {
+        if (err) {
+            if (err instanceof multer.MulterError) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(400).json({
+                        message: `Photo exceeds maximum size of ${MAX_PHOTO_SIZE / (1024 * 1024)}MB`
+                    });
+                }
+                return res.status(400).json({ message: `File upload error: ${err.message}` });
+            }
+            return res.status(400).json({ message: err.message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ message: 'No photo uploaded' });
+        }
+
+        const { orderId, email } = req.body || {};
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ message: 'Invalid order ID' });
+        }
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        if (!canAccessOrder(req, order, email)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        assertReturnable(order);
+
+        const photos = [];
+        for (const file of req.files) {
+            const mediaItem = new Media({
+                originalName: file.originalname,
+                filename: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+                storage: 'database',
+                metadata: {
+                    folder: RETURN_PHOTO_FOLDER,
+                    private: true,
+                    order: order._id
+                },
+                data: file.buffer
+            });
+            mediaItem.url = `/api/returns/photos/${mediaItem._id}`;
+            await mediaItem.save();
+
+            photos.push({
+                _id: mediaItem._id,
+                originalName: mediaItem.originalName,
+                mimeType: mediaItem.mimeType,
+                size: mediaItem.size
+            });
+        }
+
+        res.status(201).json({ photos });
+    } catch (error) {
+        console.error('Return photo upload failed:', error);
+        res.status(error.statusCode || 500).json({ message: error.message || 'Error uploading photo' });
+    }
+});
+
+// Open a return for a delivered order (logged-in owners, or guests with the order email)
+router.post('/', optionalAuth, async (req, res) => {
+    try {
+        const { orderId, items, reason, comments, photos, email } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ message: 'Invalid order ID' });
+        }
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ message: 'Please tell us why you are returning these items' });
+        }
+
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        if (!canAccessOrder(req, order, email)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        assertReturnable(order);
+
+        const returnRequest = new ReturnRequest({
+            order: order._id,
+            user: order.user || undefined,
+            guestEmail: order.user ? undefined : order.guestCustomer.email,
+            items: await buildReturnItems(order, items),
+            reason: String(reason).trim(),
+            comments: comments ? String(comments).trim() : undefined,
+            photos: await loadReturnPhotos(photos, order)
+        });
+        await returnRequest.save();
+
+        console.log(`↩️ Return ${returnRequest.returnNumber} opened for order ${order.orderNumber}`);
+        res.status(201).json(returnRequest);
+    } catch (error) {
+        console.error('Create return error:', error);
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+});
+
+// Returns of the logged-in customer
+router.get('/my', auth, async (req, res) => {
+    try {
+        const returns = await ReturnRequest.find({ user: req.user.id })
+            .populate('order', 'orderNumber')
+            .populate('items.product', 'name image')
+            .sort({ createdAt: -1 });
+
+        res.json(returns);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Returns queue (admin)
+router.get('/admin', requirePermission('returns:read'), async (req, res) => {
+    try {
+        const { status = 'requested', page = 1, limit = 20 } = req.query;
+        const query = {};
+        if (status && status !== 'all') {
+            query.status = status;
+        }
+
+        const returns = await ReturnRequest.find(query)
+            .populate({
+                path: 'order',
+                select: 'orderNumber user guestCustomer deliveredAt total refundedAmount paymentStatus',
+                populate: { path: 'user', select: 'name email phone' }
+            })
+            .populate('items.product', 'name')
+            // Oldest first so the queue is worked in arrival order
+            .sort({ createdAt: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const count = await ReturnRequest.countDocuments(query);
+
+        res.json({
+            returns,
+            totalPages: Math.ceil(count / limit),
+            currentPage: parseInt(page),
+            total: count
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// View a return photo (admin)
+router.get('/photos/:mediaId', requirePermission('returns:read'), async (req, res) => {
+    try {
+        const mediaItem = await Media.findOne({ _id: req.params.mediaId, 'metadata.folder': RETURN_PHOTO_FOLDER });
+        if (!mediaItem || !mediaItem.data) {
+            return res.status(404).json({ message: 'Photo not found' });
+        }
+
+        res.set('Content-Type', mediaItem.mimeType || 'application/octet-stream');
+        res.set('Cache-Control', 'private, no-store');
+        res.send(mediaItem.data);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Get a return (owner, admin, or guest with ?email=)
+router.get('/:id', optionalAuth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid return ID' });
+        }
+
+        const returnRequest = await ReturnRequest.findById(req.params.id)
+            .populate('order')
+            .populate('items.product', 'name image')
+            .populate('photos', 'originalName mimeType size url')
+            .populate('history.actor', 'name');
+        if (!returnRequest) {
+            return res.status(404).json({ message: 'Return not found' });
+        }
+        if (!canAccessOrder(req, returnRequest.order, req.query.email)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const order = returnRequest.order;
+        const returnObj = returnRequest.toObject();
+        returnObj.order = {
+            _id: order._id,
+            orderNumber: order.orderNumber,
+            total: order.total,
+            refundedAmount: order.refundedAmount,
+            paymentStatus: order.paymentStatus
+        };
+        // Line details from the order, with the most that can be refunded for each
+        returnObj.items = returnObj.items.map(item => {
+            const orderItem = order.items.id(item.orderItem);
+            return {
+                ...item,
+                price: orderItem ? orderItem.price : 0,
+                orderedQuantity: orderItem ? orderItem.quantity : 0,
+                maxRefund: orderItem ? Math.round(unitPaidPrice(order, orderItem) * item.quantity * 100) / 100 : 0
+            };
+        });
+        returnObj.allowedStatuses = ReturnRequest.getAllowedTransitions(returnRequest.status);
+
+        res.json(returnObj);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Process a return (admin)
+// received: restocks lines still marked restock (items: [{ itemId, restock }])
+// refunded: records per-line refunds (items: [{ itemId, refundAmount }], defaults to the amount paid)
+router.put('/:id/status', requirePermission('returns:update'), async (req, res) => {
+    try {
+        const { status, note, items = [] } = req.body || {};
+        if (!Array.isArray(items) || !items.every(item => item && typeof item === 'object')) {
+            return res.status(400).json({ message: 'items must be a list of { itemId, ... } entries' });
+        }
+
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+        if (!returnRequest) {
+            return res.status(404).json({ message: 'Return not found' });
+        }
+
+        if (status === 'rejected' && (!note || !note.trim())) {
+            return res.status(400).json({ message: 'Please provide a reason for rejecting the return' });
+        }
+
+        const previousStatus = returnRequest.status;
+        returnRequest.transitionTo(status, {
+            actor: req.user.id,
+            actorRole: req.user.role,
+            note: note ? note.trim() : undefined
+        });
+
+        const order = await Order.findById(returnRequest.order);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        if (status === 'received') {
+            const restockFlags = new Map(items.map(item => [String(item.itemId), item.restock]));
+            returnRequest.items.forEach(item => {
+                if (restockFlags.has(item._id.toString())) {
+                    item.restock = !!restockFlags.get(item._id.toString());
+                }
+            });
+        }
+
+        // The order's refunded amount is updated atomically first and taken back if the return cannot be saved
+        let refundApplied = null;
+        if (status === 'refunded') {
+            refundApplied = await applyRefund(returnRequest, order, items);
+        }
+
+        // Save only if the status is still the one we read: of two concurrent updates only one
+        // restocks or refunds, the other gets a 409
+        returnRequest.$where = { status: previousStatus };
+        try {
+            await returnRequest.save();
+        } catch (saveError) {
+            if (refundApplied !== null) {
+                await revertRefund(order, refundApplied);
+            }
+            if (saveError.name === 'DocumentNotFoundError') {
+                return res.status(409).json({ message: 'This return was updated at the same time. Please reload it and try again.' });
+            }
+            throw saveError;
+        }
+        returnRequest.$where = null;
+
+        if (status === 'received') {
+            await restockReturnItems(returnRequest, order);
+            await returnRequest.save();
+        }
+
+        console.log(`↩️ Return ${returnRequest.returnNumber} -> ${status}`);
+        res.json(returnRequest);
+    } catch (error) {
+        console.error('Return status update error:', error);
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
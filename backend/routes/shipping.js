@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const requirePermission = require('../middleware/requirePermission');
+const optionalAuth = require('../middleware/optionalAuth');
+const ShippingZone = require('../models/ShippingZone');
+const User = require('../models/User');
+const { quoteShipping } = require('../services/shipping');
+const { evaluateCoupon } = require('../services/coupons');
+const { findCart } = require('../services/carts');
+
+// Parse cities from an array or a comma/newline separated string
+function parseCities(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+    return [...new Set(list.map(city => String(city).trim().toLowerCase()).filter(Boolean))];
+}
+
+function parseTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        const error = new Error('At least one shipping rate tier is required');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return tiers.map(tier => {
+        const rate = parseFloat(tier.rate);
+        const upTo = tier.upTo === undefined || tier.upTo === null || tier.upTo === '' ? undefined : parseFloat(tier.upTo);
+        if (Number.isNaN(rate) || rate < 0 || (upTo !== undefined && (Number.isNaN(upTo) || upTo < 0))) {
+            const error = new Error('Each tier needs a rate and an optional upper limit, both numbers greater than or equal to 0');
+            error.statusCode = 400;
+            throw error;
+        }
+        return { upTo, rate };
+    });
+}
+
+// Copy the editable zone fields from the request body
+function assignZoneFields(zone, body) {
+    if (body.name !== undefined) {
+        if (!body.name || !body.name.trim()) {
+            const error = new Error('Zone name is required');
+            error.statusCode = 400;
+            throw error;
+        }
+        zone.name = body.name.trim();
+    }
+    if (body.cities !== undefined) zone.cities = parseCities(body.cities);
+    if (body.isDefault !== undefined) zone.isDefault = !!body.isDefault;
+    if (body.basis !== undefined) zone.basis = body.basis;
+    if (body.tiers !== undefined) zone.tiers = parseTiers(body.tiers);
+    if (body.freeShippingThreshold !== undefined) {
+        zone.freeShippingThreshold = body.freeShippingThreshold === '' || body.freeShippingThreshold === null
+            ? undefined
+            : parseFloat(body.freeShippingThreshold);
+    }
+    if (body.taxRate !== undefined) zone.taxRate = body.taxRate === '' ? 0 : parseFloat(body.taxRate);
+    if (body.isActive !== undefined) zone.isActive = body.isActive;
+}
+
+// Only one zone can be the fallback for unlisted cities
+async function clearOtherDefaults(zone) {
+    if (zone.isDefault) {
+        await ShippingZone.updateMany({ _id: { $ne: zone._id }, isDefault: true }, { $set: { isDefault: false } });
+    }
+}
+
+function sendZoneError(res, error) {
+    const status = error.statusCode || (error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500);
+    res.status(status).json({ message: error.message });
+}
+
+// Quote shipping and tax for the shopper's cart (public)
+// Quoted for the shopper's server cart (account or guest cart)
+router.post('/quote', optionalAuth, async (req, res) => {
+    try {
+        const { city, couponCode, email } = req.body;
+        let items = Array.isArray(req.body.items) ? req.body.items : [];
+        const customer = { email };
+
+        if (req.user) {
+            const user = await User.findById(req.user.id).select('email');
+            customer.userId = req.user.id;
+            customer.email = user ? user.email : email;
+        }
+        // The server cart (account or guest cookie cart) wins over items sent by older clients
+        const cart = await findCart(req);
+        if (cart || req.user) {
+            items = cart ? cart.items : [];
+        }
+
+        const normalizedItems = items
+            .map(item => ({
+                product: item.product || item.productId,
+                variant: item.variant || item.variantId || undefined,
+                quantity: parseInt(item.quantity, 10) || 1
+            }))
+            .filter(item => item.product && mongoose.Types.ObjectId.isValid(String(item.product)) &&
+                (!item.variant || mongoose.Types.ObjectId.isValid(String(item.variant))));
+
+        if (normalizedItems.length === 0) {
+            return res.status(400).json({ message: 'Your cart is empty' });
+        }
+
+        // A coupon lowers the order value used for free shipping and tax; an invalid one is simply ignored here
+        let couponDiscount = 0;
+        if (couponCode) {
+            try {
+                couponDiscount = (await evaluateCoupon(couponCode, normalizedItems, customer)).discount;
+            } catch (err) {
+                couponDiscount = 0;
+            }
+        }
+
+        const quote = await quoteShipping(city, normalizedItems, couponDiscount);
+        res.json({ ...quote, couponDiscount });
+    } catch (error) {
+        console.error('Shipping quote error:', error);
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+});
+
+// Get all shipping zones (admin)
+router.get('/zones', requirePermission('shipping:read'), async (req, res) => {
+    try {
+        const zones = await ShippingZone.find().sort({ isDefault: 1, name: 1 });
+        res.json(zones);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Get shipping zone by ID (admin)
+router.get('/zones/:id', requirePermission('shipping:read'), async (req, res) => {
+    try {
+        const zone = await ShippingZone.findById(req.params.id);
+        if (!zone) {
+            return res.status(404).json({ message: 'Shipping zone not found' });
+        }
+        res.json(zone);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Create shipping zone (admin)
+router.post('/zones', requirePermission('shipping:write'), async (req, res) => {
+    try {
+        if (!req.body.name || !req.body.name.trim()) {
+            return res.status(400).json({ message: 'Zone name is required' });
+        }
+
+        const zone = new ShippingZone();
+        assignZoneFields(zone, { tiers: [], ...req.body });
+
+        if (!zone.isDefault && zone.cities.length === 0) {
+            return res.status(400).json({ message: 'Add at least one city, or make this the default zone' });
+        }
+
+        await zone.save();
+        await clearOtherDefaults(zone);
+
+        res.status(201).json(zone);
+    } catch (error) {
+        console.error('Error creating shipping zone:', error);
+        sendZoneError(res, error);
+    }
+});
+
+// Update shipping zone (admin)
+router.put('/zones/:id', requirePermission('shipping:write'), async (req, res) => {
+    try {
+        const zone = await ShippingZone.findById(req.params.id);
+        if (!zone) {
+            return res.status(404).json({ message: 'Shipping zone not found' });
+        }
+
+        assignZoneFields(zone, req.body);
+
+        if (!zone.isDefault && zone.cities.length === 0) {
+            return res.status(400).json({ message: 'Add at least one city, or make this the default zone' });
+        }
+
+        await zone.save();
+        await clearOtherDefaults(zone);
+
+        res.json(zone);
+    } catch (error) {
+        console.error('Error updating shipping zone:', error);
+        sendZoneError(res, error);
+    }
+});
+
+// Delete shipping zone (admin)
+router.delete('/zones/:id', requirePermission('shipping:write'), async (req, res) => {
+    try {
+        const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+        if (!zone) {
+            return res.status(404).json({ message: 'Shipping zone not found' });
+        }
+        res.json({ message: 'Shipping zone deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
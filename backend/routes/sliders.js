@@ -3,7 +3,7 @@ const router = express.Router();
 const Slider = require('../models/Slider');
 const Media = require('../models/Media');
 const { updateHeroSectionWithActiveSliders } = require('../services/dashboardSync');
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Helper to detect video type from URL
 function detectVideoType(url) {
@@ -62,7 +62,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get slider by ID
-router.get('/:id', adminAuth, async (req, res) => {
+router.get('/:id', requirePermission('content:read'), async (req, res) => {
     try {
         const slider = await Slider.findById(req.params.id).populate('imageUpload');
         if (!slider) {
@@ -75,7 +75,7 @@ router.get('/:id', adminAuth, async (req, res) => {
 });
 
 // Create a new slider (admin only)
-router.post('/', adminAuth, async (req, res) => {
+router.post('/', requirePermission('content:write'), async (req, res) => {
     // Detect video type if videoUrl is provided
     const videoUrl = req.body.videoUrl ? req.body.videoUrl.trim() : null;
     const detectedVideoType = videoUrl ? detectVideoType(videoUrl) : null;
@@ -117,7 +117,7 @@ router.post('/', adminAuth, async (req, res) => {
 });
 
 // Update a slider (admin only)
-router.put('/:id', adminAuth, async (req, res) => {
+router.put('/:id', requirePermission('content:write'), async (req, res) => {
     try {
         const slider = await Slider.findById(req.params.id);
         if (!slider) {
@@ -163,7 +163,7 @@ router.put('/:id', adminAuth, async (req, res) => {
 });
 
 // Delete a slider (admin only)
-router.delete('/:id', adminAuth, async (req, res) => {
+router.delete('/:id', requirePermission('content:write'), async (req, res) => {
     try {
         const slider = await Slider.findById(req.params.id);
         if (!slider) {
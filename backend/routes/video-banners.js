@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const VideoBanner = require('../models/VideoBanner');
 const Media = require('../models/Media');
 
@@ -70,7 +70,7 @@ function extractVimeoId(url) {
 }
 
 // Get all video banners (admin)
-router.get('/', adminAuth, async (req, res) => {
+router.get('/', requirePermission('content:read'), async (req, res) => {
     try {
         console.log('📥 Admin video banners API called - /api/admin/video-banners');
         console.log('   User ID:', req.user?.id);
@@ -136,7 +136,7 @@ router.get('/public', async (req, res) => {
 });
 
 // Get single video banner by ID (admin only)
-router.get('/:id', adminAuth, async (req, res) => {
+router.get('/:id', requirePermission('content:read'), async (req, res) => {
     try {
         // Check if 'public' was passed as ID (shouldn't happen but handle gracefully)
         if (req.params.id === 'public') {
@@ -158,7 +158,7 @@ router.get('/:id', adminAuth, async (req, res) => {
 });
 
 // Create video banner
-router.post('/', adminAuth, async (req, res) => {
+router.post('/', requirePermission('content:write'), async (req, res) => {
     try {
         const {
             title,
@@ -232,7 +232,7 @@ router.post('/', adminAuth, async (req, res) => {
 });
 
 // Update video banner
-router.put('/:id', adminAuth, async (req, res) => {
+router.put('/:id', requirePermission('content:write'), async (req, res) => {
     try {
         const videoBanner = await VideoBanner.findById(req.params.id);
         if (!videoBanner) {
@@ -309,7 +309,7 @@ router.put('/:id', adminAuth, async (req, res) => {
 });
 
 // Delete video banner
-router.delete('/:id', adminAuth, async (req, res) => {
+router.delete('/:id', requirePermission('content:write'), async (req, res) => {
     try {
         const videoBanner = await VideoBanner.findById(req.params.id);
         if (!videoBanner) {
@@ -0,0 +1,117 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Product = require('../models/Product');
+const Wishlist = require('../models/Wishlist');
+const { MAX_WISHLIST_ITEMS, snapshotProduct, parseGuestEntries, describeItems } = require('../services/wishlist');
+
+async function findOrCreateWishlist(userId) {
+    return await Wishlist.findOne({ user: userId }) || new Wishlist({ user: userId, items: [] });
+}
+
+// Get user's wishlist with current prices and price-drop / back-in-stock flags
+router.get('/', auth, async (req, res) => {
+    try {
+        const wishlist = await Wishlist.findOne({ user: req.user.id });
+        const items = wishlist ? await describeItems(wishlist.items) : [];
+        res.json({ items });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Describe a guest wishlist kept in the browser (same response as GET /)
+// Body: { items: [{ productId, addedAt, price, inStock }] }
+router.post('/guest', async (req, res) => {
+    try {
+        const items = await describeItems(parseGuestEntries(req.body.items));
+        res.json({ items });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Add a product to the wishlist
+router.post('/', auth, async (req, res) => {
+    try {
+        const { productId } = req.body;
+        if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+            return res.status(400).json({ message: 'Product ID is required' });
+        }
+
+        const product = await Product.findById(productId);
+        if (!product || !product.isActive) {
+            return res.status(404).json({ message: 'Product not found or inactive' });
+        }
+
+        const wishlist = await findOrCreateWishlist(req.user.id);
+        if (!wishlist.hasProduct(productId)) {
+            if (wishlist.items.length >= MAX_WISHLIST_ITEMS) {
+                return res.status(400).json({ message: `Your wishlist can hold up to ${MAX_WISHLIST_ITEMS} products` });
+            }
+            wishlist.items.push({ product: productId, ...snapshotProduct(product) });
+            await wishlist.save();
+        }
+
+        res.json({ message: 'Product added to wishlist', count: wishlist.items.length });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Move the guest wishlist into the user's wishlist after login
+// Body: { items: [{ productId, addedAt, price, inStock }] }; products already saved keep their original entry
+router.post('/merge', auth, async (req, res) => {
+    try {
+        const entries = parseGuestEntries(req.body.items);
+        const wishlist = await findOrCreateWishlist(req.user.id);
+
+        const newEntries = entries.filter(entry => !wishlist.hasProduct(entry.product));
+        const products = await Product.find({ _id: { $in: newEntries.map(entry => entry.product) }, isActive: true });
+        const productsById = new Map(products.map(product => [String(product._id), product]));
+
+        let added = 0;
+        for (const entry of newEntries) {
+            const product = productsById.get(entry.product);
+            if (!product || wishlist.items.length >= MAX_WISHLIST_ITEMS) {
+                continue;
+            }
+            // Guests without a stored snapshot are compared with today's price from now on
+            const snapshot = snapshotProduct(product);
+            wishlist.items.push({
+                product: entry.product,
+                priceWhenAdded: entry.priceWhenAdded !== undefined ? entry.priceWhenAdded : snapshot.priceWhenAdded,
+                inStockWhenAdded: entry.inStockWhenAdded !== undefined ? entry.inStockWhenAdded : snapshot.inStockWhenAdded,
+                addedAt: entry.addedAt
+            });
+            added++;
+        }
+        if (added > 0 || wishlist.isNew) {
+            await wishlist.save();
+        }
+
+        res.json({ message: 'Wishlist merged', added, count: wishlist.items.length });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Remove a product from the wishlist
+router.delete('/:productId', auth, async (req, res) => {
+    try {
+        const wishlist = await Wishlist.findOne({ user: req.user.id });
+        if (!wishlist || !wishlist.hasProduct(req.params.productId)) {
+            return res.status(404).json({ message: 'Product not in wishlist' });
+        }
+
+        wishlist.items = wishlist.items.filter(item => item.product.toString() !== req.params.productId);
+        await wishlist.save();
+
+        res.json({ message: 'Product removed from wishlist', count: wishlist.items.length });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
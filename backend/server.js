@@ -25,17 +25,37 @@ const departmentsPublicRoutes = require('./routes/departments-public');
 const categoriesPublicRoutes = require('./routes/categories-public');
 const productsPublicRoutes = require('./routes/products-public');
 const contactRoutes = require('./routes/contact');
+const prescriptionRoutes = require('./routes/prescriptions');
+const inventoryRoutes = require('./routes/inventory');
+const couponRoutes = require('./routes/coupons');
+const couponsPublicRoutes = require('./routes/coupons-public');
+const shippingRoutes = require('./routes/shipping');
+const paymentRoutes = require('./routes/payments');
+const returnRoutes = require('./routes/returns');
+const addressRoutes = require('./routes/addresses');
+const wishlistRoutes = require('./routes/wishlist');
 
 // Initialize Express app
 const app = express();
 
+// Behind the Heroku router: use the client address from X-Forwarded-For (rate limiting keys on req.ip)
+app.set('trust proxy', 1);
+
 // Compression middleware for faster responses
 const compression = require('compression');
 
 // Middleware
 app.use(compression()); // Compress all responses
 app.use(cors());
-app.use(bodyParser.json({ limit: '10mb' }));
+app.use(bodyParser.json({
+    limit: '10mb',
+    // Payment webhooks are signed over the exact bytes received, so keep them
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhook')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static files with aggressive caching (like Shopify CDN)
@@ -68,6 +88,10 @@ if (!process.env.MONGODB_URI) {
     console.log('ℹ️  Using default local MongoDB: mongodb://localhost:27017/dwatson_pk');
 }
 
+if (!process.env.JWT_SECRET) {
+    console.error('❌ JWT_SECRET is not set - logins and authenticated requests will fail until it is configured');
+}
+
 // Connect to local database (primary)
 mongoose.connect(MONGODB_URI, {
     serverSelectionTimeoutMS: 5000, // Timeout after 5s instead of 30s
@@ -84,6 +108,42 @@ mongoose.connect(MONGODB_URI, {
     // Load models (this sets up auto-sync hooks)
     require('./models/index');
     
+    // Guest carts need the sparse carts.user index (older databases have a non-sparse one)
+    try {
+        await require('./models/Cart').migrateIndexes();
+    } catch (error) {
+        console.error('❌ Error migrating cart indexes:', error.message);
+    }
+    
+    // Brand landing pages need a slug - older brands were created without one
+    try {
+        const backfilled = await require('./models/Brand').backfillSlugs();
+        if (backfilled > 0) {
+            console.log(`✅ Assigned slugs to ${backfilled} brands`);
+        }
+    } catch (error) {
+        console.error('❌ Error assigning brand slugs:', error.message);
+    }
+    
+    // Expired inventory batches must stop counting as sellable stock
+    const InventoryBatch = require('./models/InventoryBatch');
+    const syncExpiredBatches = () => InventoryBatch.syncExpiredBatches()
+        .catch(error => console.error('❌ Error syncing expired batches:', error.message));
+    syncExpiredBatches();
+    setInterval(syncExpiredBatches, 60 * 60 * 1000); // hourly
+    
+    // Retry order emails whose first send failed
+    const { processEmailQueue } = require('./services/notifications');
+    const retryQueuedEmails = () => processEmailQueue()
+        .catch(error => console.error('❌ Error processing email queue:', error.message));
+    setInterval(retryQueuedEmails, 60 * 1000); // every minute
+
+    // Follow up carts left idle (see ABANDONED_CART_HOURS)
+    const { processAbandonedCarts } = require('./services/abandonedCarts');
+    const followUpAbandonedCarts = () => processAbandonedCarts()
+        .catch(error => console.error('❌ Error processing abandoned carts:', error.message));
+    setInterval(followUpAbandonedCarts, 15 * 60 * 1000); // every 15 minutes
+
     // Ensure admin user exists
     const User = require('./models/User');
     const adminEmail = process.env.ADMIN_EMAIL || 'admin@dwatson.pk';
@@ -169,6 +229,16 @@ app.use('/api/public/departments', departmentsPublicRoutes);
 app.use('/api/public/categories', categoriesPublicRoutes);
 app.use('/api/public/products', productsPublicRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/admin/inventory', inventoryRoutes);
+app.use('/api/admin/coupons', couponRoutes);
+app.use('/api/coupons', couponsPublicRoutes);
+app.use('/api/admin/shipping', shippingRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/addresses', addressRoutes);
+app.use('/api/wishlist', wishlistRoutes);
 
 // Admin dashboard route
 app.get('/admin', (req, res) => {
@@ -184,6 +254,16 @@ app.get('/cart.html', (req, res) => {
     res.sendFile(path.join(__dirname, '../frontend/cart.html'));
 });
 
+// Wishlist page route
+app.get('/wishlist', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/wishlist.html'));
+});
+
+// Order tracking page route
+app.get('/track-order', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/track-order.html'));
+});
+
 // Department page route (must be after static files but before catch-all)
 app.get('/department/:id', (req, res) => {
     const id = req.params.id;
@@ -204,6 +284,15 @@ app.get('/category/:id', (req, res) => {
     res.sendFile(path.join(__dirname, '../frontend/category.html'));
 });
 
+// Brand page route
+app.get('/brand/:slug', (req, res) => {
+    const slug = req.params.slug;
+    if (slug.includes('.') || slug.includes('/')) {
+        return res.status(404).send('Not found');
+    }
+    res.sendFile(path.join(__dirname, '../frontend/brand.html'));
+});
+
 // Products page route
 app.get('/products', (req, res) => {
     if (req.path.includes('.')) {
@@ -0,0 +1,260 @@
+/**
+ * Abandoned Cart Service
+ * Finds carts left idle, emails the customer a signed link that restores the cart (optionally with a
+ * one-time discount), and credits the order that follows to the abandoned cart
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const CartRecovery = require('../models/CartRecovery');
+const Coupon = require('../models/Coupon');
+const { getJwtSecret } = require('./sessions');
+const { findOrCreateCart, addItemsToCart } = require('./carts');
+const { sendCartRecoveryEmail } = require('./notifications');
+
+// Carts idle longer than this are left alone, so the first run does not email about long-forgotten carts
+const MAX_IDLE_DAYS = 7;
+// Each address gets at most one reminder in this period
+const EMAIL_COOLDOWN_DAYS = 7;
+// Restore links (and the discount offered with them) stay valid this long
+const LINK_TTL_DAYS = 14;
+const BATCH_SIZE = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const recoveryError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const numberSetting = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+/**
+ * Job settings from the environment
+ * ABANDONED_CART_HOURS - idle hours before a cart counts as abandoned (default 24)
+ * ABANDONED_CART_DISCOUNT_PERCENT - one-time discount offered in the email (default 0: no discount)
+ * @returns {Object} - { abandonedAfterHours, discountPercent }
+ */
+const getSettings = () => ({
+    abandonedAfterHours: numberSetting(process.env.ABANDONED_CART_HOURS, 24) || 24,
+    discountPercent: Math.min(numberSetting(process.env.ABANDONED_CART_DISCOUNT_PERCENT, 0), 100)
+});
+
+// Restore links carry "<recoveryId>.<signature>"; the signature is keyed on the server secret
+const signRecovery = (recoveryId) => crypto.createHmac('sha256', getJwtSecret())
+    .update(`cart-recovery:${recoveryId}`)
+    .digest('hex');
+
+const restoreUrl = (recovery) => {
+    const base = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+    return `${base}/cart?restore=${recovery._id}.${signRecovery(recovery._id)}`;
+};
+
+/**
+ * Find the abandonment a restore link points to
+ * @param {String} token - "<recoveryId>.<signature>" from the link
+ * @returns {Promise<Object>} - CartRecovery document
+ */
+const findRecoveryByToken = async (token) => {
+    const [recoveryId, signature = ''] = String(token || '').split('.');
+    const expected = mongoose.Types.ObjectId.isValid(recoveryId) ? signRecovery(recoveryId) : '';
+    if (!expected || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw recoveryError('This cart link is not valid');
+    }
+
+    const recovery = await CartRecovery.findById(recoveryId);
+    if (!recovery) {
+        throw recoveryError('This cart link is not valid');
+    }
+    if (!recovery.emailedAt || recovery.emailedAt.getTime() + LINK_TTL_DAYS * DAY_MS < Date.now()) {
+        throw recoveryError('This cart link has expired', 410);
+    }
+    return recovery;
+};
+
+// Single-use percentage coupon for one reminder
+const createRecoveryCoupon = (percent) => Coupon.create({
+    code: `COMEBACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+    description: 'Abandoned cart reminder offer',
+    discountType: 'percentage',
+    value: percent,
+    usageLimit: 1,
+    perCustomerLimit: 1,
+    expiresAt: new Date(Date.now() + LINK_TTL_DAYS * DAY_MS)
+});
+
+/**
+ * Record one abandoned cart and, when the customer can be reached, send the reminder
+ * @param {Object} cart - Cart with user (name, email, isActive) and items.product (name, price, discount, isActive, variants) populated
+ * @param {Object} settings - From getSettings()
+ * @returns {Promise<Object|null>} - The CartRecovery, or null when none of the products can still be ordered
+ */
+const recordAbandonedCart = async (cart, settings) => {
+    const items = cart.items
+        .map(item => ({ item, option: item.product && item.product.isActive ? item.product.resolveVariant(item.variant) : null }))
+        .filter(({ option }) => option)
+        .map(({ item, option }) => ({
+            product: item.product._id,
+            variant: item.variant,
+            name: option.label ? `${item.product.name} - ${option.label}` : item.product.name,
+            quantity: item.quantity,
+            price: roundAmount(option.price * (1 - option.discount / 100))
+        }));
+    if (items.length === 0) {
+        return null;
+    }
+
+    const customer = cart.user
+        ? (cart.user.isActive === false ? {} : { name: cart.user.name, email: cart.user.email })
+        : { email: cart.email };
+    const recovery = await CartRecovery.create({
+        cart: cart._id,
+        user: cart.user ? cart.user._id : undefined,
+        email: customer.email,
+        items,
+        cartValue: roundAmount(items.reduce((total, item) => total + item.price * item.quantity, 0)),
+        abandonedAt: cart.updatedAt
+    });
+    await Cart.updateOne({ _id: cart._id }, { $set: { recovery: recovery._id } }, { timestamps: false });
+
+    if (!customer.email) {
+        return recovery;
+    }
+    const recentlyEmailed = await CartRecovery.exists({
+        email: customer.email,
+        emailedAt: { $gte: new Date(Date.now() - EMAIL_COOLDOWN_DAYS * DAY_MS) }
+    });
+    if (recentlyEmailed) {
+        return recovery;
+    }
+
+    const coupon = settings.discountPercent > 0 ? await createRecoveryCoupon(settings.discountPercent) : null;
+    const offer = coupon ? { code: coupon.code, percent: coupon.value, expiresAt: coupon.expiresAt } : null;
+    const sent = await sendCartRecoveryEmail(customer, recovery, restoreUrl(recovery), offer);
+    if (sent) {
+        recovery.emailedAt = new Date();
+        recovery.coupon = coupon ? coupon._id : undefined;
+    } else {
+        recovery.emailError = 'Email could not be sent';
+        if (coupon) {
+            await Coupon.updateOne({ _id: coupon._id }, { $set: { isActive: false } });
+        }
+    }
+    await recovery.save();
+    return recovery;
+};
+
+/**
+ * Find carts idle past the threshold and follow them up
+ * Each cart is claimed before it is processed, so overlapping runs (or servers) handle it once.
+ * A cart that changes afterwards becomes eligible again.
+ * @param {Number} limit - Maximum carts to process in this run
+ * @returns {Promise<Object>} - { abandoned, emailed }
+ */
+const processAbandonedCarts = async (limit = BATCH_SIZE) => {
+    const settings = getSettings();
+    const now = Date.now();
+    const carts = await Cart.find({
+        'items.0': { $exists: true },
+        updatedAt: {
+            $lte: new Date(now - settings.abandonedAfterHours * 60 * 60 * 1000),
+            $gte: new Date(now - MAX_IDLE_DAYS * DAY_MS)
+        },
+        $expr: { $ne: ['$abandonedAt', '$updatedAt'] }
+    })
+        .sort({ updatedAt: 1 })
+        .limit(limit)
+        .populate('user', 'name email isActive')
+        .populate('items.product', 'name price discount isActive variants');
+
+    let abandoned = 0;
+    let emailed = 0;
+    for (const cart of carts) {
+        try {
+            const claim = await Cart.updateOne(
+                { _id: cart._id, updatedAt: cart.updatedAt, $expr: { $ne: ['$abandonedAt', '$updatedAt'] } },
+                { $set: { abandonedAt: cart.updatedAt } },
+                { timestamps: false }
+            );
+            if (claim.modifiedCount === 0) {
+                continue;
+            }
+            const recovery = await recordAbandonedCart(cart, settings);
+            if (recovery) {
+                abandoned += 1;
+                emailed += recovery.emailedAt ? 1 : 0;
+            }
+        } catch (error) {
+            console.error(`Error processing abandoned cart ${cart._id}:`, error.message);
+        }
+    }
+    return { abandoned, emailed };
+};
+
+/**
+ * Put the items of an abandoned cart back into the shopper's cart (restore link from the reminder email)
+ * Items are added to whatever is in the cart now, within the stock available.
+ * @param {String} token - Restore token from the link
+ * @param {Object} req - Express request (the shopper's cart is found as in the cart routes)
+ * @param {Object} res - Express response (receives the cart token cookie for guests)
+ * @returns {Promise<Object>} - { cart, restored, couponCode } (couponCode: the unused one-time discount, if any)
+ */
+const restoreCart = async (token, req, res) => {
+    const recovery = await findRecoveryByToken(token);
+    const cart = await findOrCreateCart(req, res);
+    const restored = await addItemsToCart(cart, recovery.items.map(item => ({ productId: item.product, variantId: item.variant, quantity: item.quantity })));
+
+    if (!recovery.order) {
+        cart.recovery = recovery._id;
+        if (!cart.user && !cart.email && recovery.email) {
+            cart.email = recovery.email;
+        }
+    }
+    await cart.save();
+    if (!recovery.restoredAt) {
+        recovery.restoredAt = new Date();
+        await recovery.save();
+    }
+
+    const coupon = recovery.coupon ? await Coupon.findById(recovery.coupon) : null;
+    const couponUsable = coupon && coupon.isActive && coupon.usedCount < (coupon.usageLimit || Infinity) &&
+        (!coupon.expiresAt || coupon.expiresAt > new Date());
+    return { cart, restored, couponCode: couponUsable ? coupon.code : null };
+};
+
+/**
+ * Credit an order to the abandoned cart it was placed from
+ * Call before the cart is emptied; clears cart.recovery (the caller saves the cart). Never throws.
+ * @param {Object} cart - Cart the order was placed from
+ * @param {Object} order - Saved order
+ * @returns {Promise<void>}
+ */
+const creditRecoveredOrder = async (cart, order) => {
+    if (!cart || !cart.recovery) {
+        return;
+    }
+    try {
+        await CartRecovery.updateOne(
+            { _id: cart.recovery, order: null },
+            { $set: { order: order._id, orderTotal: order.total, recoveredAt: new Date() } }
+        );
+        cart.recovery = undefined;
+    } catch (error) {
+        console.error(`Failed to credit order ${order.orderNumber} to cart recovery ${cart.recovery}:`, error.message);
+    }
+};
+
+module.exports = {
+    getSettings,
+    processAbandonedCarts,
+    restoreCart,
+    creditRecoveredOrder
+};
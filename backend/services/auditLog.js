@@ -0,0 +1,176 @@
+/**
+ * Audit Log Service
+ * Tracks who is making a request (set by requirePermission) so model hooks can record each
+ * create/update/delete with a before/after diff
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const AuditLog = require('../models/AuditLog');
+
+const auditContext = new AsyncLocalStorage();
+
+// Never stored in the log
+const REDACTED_FIELDS = ['password', 'passwordResetToken', 'emailVerificationToken'];
+// Change on every save, so they are not worth a diff entry
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const EXPORT_LIMIT = 10000;
+
+/**
+ * Run the rest of a request with an audit actor
+ * @param {Object} context - { actor, actorRole, ip, method, path }
+ * @param {Function} fn - Continues the request (e.g. Express next)
+ */
+const runWithAuditContext = (context, fn) => auditContext.run(context, fn);
+
+// Actor of the current request, or undefined outside admin requests
+const getAuditContext = () => auditContext.getStore();
+
+const normalize = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+/**
+ * Diff two plain snapshots of a document on their top-level fields
+ * @param {Object} before - Snapshot before the change ({} for a create)
+ * @param {Object} after - Snapshot after the change ({} for a delete)
+ * @returns {Object} - { before, after } holding only the changed fields, or null when nothing changed
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+    const changedBefore = {};
+    const changedAfter = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) {
+            continue;
+        }
+        const oldValue = normalize(before ? before[field] : undefined);
+        const newValue = normalize(after ? after[field] : undefined);
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+            continue;
+        }
+        const redacted = REDACTED_FIELDS.includes(field);
+        if (before && field in before) {
+            changedBefore[field] = redacted ? '[redacted]' : oldValue;
+        }
+        if (after && field in after) {
+            changedAfter[field] = redacted ? '[redacted]' : newValue;
+        }
+    }
+
+    return Object.keys(changedBefore).length || Object.keys(changedAfter).length
+        ? { before: changedBefore, after: changedAfter }
+        : null;
+};
+
+/**
+ * Record one change made in the current admin request
+ * Never throws - a failed audit write must not fail the change itself.
+ * @param {String} action - create, update or delete
+ * @param {String} entityType - Model name
+ * @param {Object} before - Snapshot before the change (null for a create)
+ * @param {Object} after - Snapshot after the change (null for a delete)
+ * @returns {Promise<Object|null>} - The AuditLog entry, or null when nothing was recorded
+ */
+const recordChange = async (action, entityType, before, after) => {
+    const context = getAuditContext();
+    if (!context) {
+        return null;
+    }
+
+    try {
+        const diff = diffSnapshots(before || {}, after || {});
+        if (!diff) {
+            return null;
+        }
+        return await AuditLog.create({
+            actor: context.actor,
+            actorRole: context.actorRole,
+            action,
+            entityType,
+            entityId: (after || before)._id,
+            before: diff.before,
+            after: diff.after,
+            ip: context.ip,
+            method: context.method,
+            path: context.path
+        });
+    } catch (error) {
+        console.error(`Audit log write failed for ${entityType}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Build an AuditLog filter from query parameters
+ * @param {Object} query - { entityType, entityId, action, actor, from, to }
+ * @returns {Object} - MongoDB filter
+ */
+const buildAuditFilter = ({ entityType, entityId, action, actor, from, to } = {}) => {
+    const filter = {};
+    if (entityType) {
+        filter.entityType = entityType;
+    }
+    if (entityId && /^[a-f0-9]{24}$/i.test(entityId)) {
+        filter.entityId = entityId;
+    }
+    if (action) {
+        filter.action = action;
+    }
+    if (actor && /^[a-f0-9]{24}$/i.test(actor)) {
+        filter.actor = actor;
+    }
+    if (from || to) {
+        filter.createdAt = {};
+        if (from && !isNaN(new Date(from))) {
+            filter.createdAt.$gte = new Date(from);
+        }
+        if (to && !isNaN(new Date(to))) {
+            // A bare date means "through the end of that day"
+            const end = new Date(to);
+            if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+                end.setUTCHours(23, 59, 59, 999);
+            }
+            filter.createdAt.$lte = end;
+        }
+    }
+    return filter;
+};
+
+const csvCell = (value) => {
+    const text = value === undefined || value === null ? '' : (typeof value === 'string' ? value : JSON.stringify(value));
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render audit entries as CSV
+ * @param {Array} entries - AuditLog documents with actor (name, email) populated
+ * @returns {String}
+ */
+const toCsv = (entries) => {
+    const header = ['Time', 'Actor', 'Actor Email', 'Role', 'Action', 'Entity Type', 'Entity ID', 'Changed Fields', 'Before', 'After', 'IP', 'Request'];
+    const rows = entries.map(entry => [
+        entry.createdAt.toISOString(),
+        entry.actor ? entry.actor.name : '',
+        entry.actor ? entry.actor.email : '',
+        entry.actorRole,
+        entry.action,
+        entry.entityType,
+        String(entry.entityId),
+        Object.keys({ ...(entry.before || {}), ...(entry.after || {}) }).join(' '),
+        entry.before,
+        entry.after,
+        entry.ip,
+        entry.method ? `${entry.method} ${entry.path}` : ''
+    ]);
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+};
+
+module.exports = {
+    EXPORT_LIMIT,
+    runWithAuditContext,
+    getAuditContext,
+    diffSnapshots,
+    recordChange,
+    buildAuditFilter,
+    toCsv
+};
@@ -0,0 +1,303 @@
+/**
+ * Cart Service
+ * Finds the shopper's cart - the account cart when logged in, otherwise the guest cart named by the
+ * cartToken cookie - merges a guest cart into the account cart at login, and checks cart lines against the
+ * live products before checkout
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+
+const CART_COOKIE = 'cartToken';
+const CART_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+// Product fields the cart revalidation compares
+const REVALIDATION_FIELDS = 'name price discount stock isActive variants';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+const unitPrice = (price, discount) => roundAmount(price * (1 - (discount || 0) / 100));
+
+const cookieOptions = () => ({
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/'
+});
+
+/**
+ * Read the guest cart token from the request cookies
+ * @param {Object} req - Express request
+ * @returns {String|null}
+ */
+const readCartToken = (req) => {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+        const [name, ...value] = part.trim().split('=');
+        if (name === CART_COOKIE) {
+            const token = decodeURIComponent(value.join('='));
+            return CART_TOKEN_PATTERN.test(token) ? token : null;
+        }
+    }
+    return null;
+};
+
+// (Re)send the cookie so it lives as long as the guest cart it names
+const setCartCookie = (res, token) => {
+    res.cookie(CART_COOKIE, token, { ...cookieOptions(), maxAge: Cart.GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000 });
+};
+
+const clearCartCookie = (res) => {
+    res.clearCookie(CART_COOKIE, cookieOptions());
+};
+
+/**
+ * Whether a cart line holds the given product and variant (a product's variants are separate lines)
+ * @param {Object} item - Cart line (product may be populated)
+ * @param {String} productId - Product ID
+ * @param {String} [variantId] - Variant ID, for products with variants
+ * @returns {Boolean}
+ */
+const isSameLine = (item, productId, variantId) => {
+    const itemProductId = item.product && item.product._id ? item.product._id : item.product;
+    return String(itemProductId) === String(productId) && String(item.variant || '') === String(variantId || '');
+};
+
+// Product name with the variant label, as the shopper sees it
+const lineName = (product, label) => (label ? `${product.name} - ${label}` : product.name);
+
+/**
+ * Filter matching the shopper's cart
+ * @param {Object} req - Express request (req.user set by optionalAuth for logged-in shoppers)
+ * @returns {Object|null} - { user } or { cartToken }, or null for a guest without a cart yet
+ */
+const cartFilter = (req) => {
+    if (req.user) {
+        return { user: req.user.id };
+    }
+    const cartToken = readCartToken(req);
+    return cartToken ? { cartToken } : null;
+};
+
+/**
+ * Find the shopper's cart
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - Cart document, or null when there is none yet
+ */
+const findCart = async (req) => {
+    const filter = cartFilter(req);
+    return filter ? Cart.findOne(filter) : null;
+};
+
+/**
+ * Find the shopper's cart, starting an empty one (and, for guests, a cart token cookie) when there is none
+ * The cart is not saved here.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response (receives the cart token cookie for guests)
+ * @returns {Promise<Object>} - Cart document
+ */
+const findOrCreateCart = async (req, res) => {
+    const cart = await findCart(req);
+    if (cart) {
+        if (cart.cartToken) {
+            setCartCookie(res, cart.cartToken);
+        }
+        return cart;
+    }
+    if (req.user) {
+        return new Cart({ user: req.user.id, items: [] });
+    }
+    const cartToken = crypto.randomBytes(24).toString('hex');
+    setCartCookie(res, cartToken);
+    return new Cart({ cartToken, items: [] });
+};
+
+/**
+ * Add items to a cart, adding up quantities of products already in it within the stock available
+ * Inactive or deleted products, and variants that are inactive or missing, are skipped. The cart is not saved here.
+ * @param {Object} cart - Cart document
+ * @param {Array} items - [{ productId, variantId?, quantity }]
+ * @returns {Promise<Number>} - Number of products added or increased
+ */
+const addItemsToCart = async (cart, items) => {
+    const incoming = (Array.isArray(items) ? items : [])
+        .filter(item => item && mongoose.Types.ObjectId.isValid(String(item.productId)) && parseInt(item.quantity, 10) > 0 &&
+            (!item.variantId || mongoose.Types.ObjectId.isValid(String(item.variantId))));
+    const products = await Product.find({ _id: { $in: incoming.map(item => item.productId) }, isActive: true });
+    const productsById = new Map(products.map(product => [String(product._id), product]));
+
+    let added = 0;
+    for (const item of incoming) {
+        const product = productsById.get(String(item.productId));
+        const option = product ? product.resolveVariant(item.variantId) : null;
+        if (!option) {
+            continue;
+        }
+        const variant = option.variant ? option.variant._id : undefined;
+        const existing = cart.items.find(entry => isSameLine(entry, product._id, variant));
+        const currentQuantity = existing ? existing.quantity : 0;
+        const quantity = Math.min(currentQuantity + parseInt(item.quantity, 10), option.stock);
+        if (quantity <= currentQuantity) {
+            continue;
+        }
+        if (existing) {
+            existing.quantity = quantity;
+            existing.price = option.price;
+            existing.discount = option.discount;
+        } else {
+            cart.items.push({ product: product._id, variant, quantity, price: option.price, discount: option.discount });
+        }
+        added++;
+    }
+    return added;
+};
+
+/**
+ * Move a guest cart into a user's cart
+ * Quantities of products in both carts are added up, within the stock available. The guest cart is deleted.
+ * @param {String} userId - User ID
+ * @param {String|null} cartToken - Guest cart token from the cookie
+ * @param {Array} extraItems - Items from a cart kept in the browser before guest carts moved to the server
+ *                             ([{ productId, variantId?, quantity }])
+ * @returns {Promise<Object>} - { cart, merged } (merged: number of products added or increased)
+ */
+const mergeGuestCart = async (userId, cartToken, extraItems = []) => {
+    const guestCart = cartToken ? await Cart.findOne({ cartToken }) : null;
+    const incoming = [
+        ...(guestCart ? guestCart.items.map(item => ({ productId: String(item.product), variantId: item.variant, quantity: item.quantity })) : []),
+        ...(Array.isArray(extraItems) ? extraItems : [])
+    ];
+
+    const cart = await Cart.findOne({ user: userId }) || new Cart({ user: userId, items: [] });
+    const merged = await addItemsToCart(cart, incoming);
+    // A guest cart found abandoned earlier keeps its claim on the order placed after login
+    if (guestCart && guestCart.recovery && !cart.recovery) {
+        cart.recovery = guestCart.recovery;
+    }
+
+    if (merged > 0 || cart.isNew || cart.isModified('recovery')) {
+        await cart.save();
+    }
+    if (guestCart) {
+        await guestCart.deleteOne();
+    }
+    return { cart, merged };
+};
+
+/**
+ * Compare each cart line with the live product
+ * Cart lines keep the price and discount from when they were added; checkout charges today's values.
+ * Lines for a product variant are compared with the variant.
+ * Change types: product_deactivated, variant_unavailable and out_of_stock (the line is removed), quantity_reduced
+ * (to the stock left), price_changed, discount_ended, discount_changed.
+ * @param {Object} cart - Cart with items.product populated (at least REVALIDATION_FIELDS)
+ * @returns {Array} - [{ type, itemId, productId, name, quantity, oldUnitPrice, newUnitPrice, ... }]
+ */
+const revalidateCart = (cart) => {
+    const changes = [];
+    for (const item of cart.items) {
+        const product = item.product;
+        const option = product && product.isActive ? product.resolveVariant(item.variant) : null;
+        const label = product && item.variant ? Product.variantLabel(product.variants.id(item.variant)) : '';
+        const line = {
+            itemId: String(item._id),
+            productId: product ? String(product._id) : null,
+            variantId: item.variant ? String(item.variant) : null,
+            name: product ? lineName(product, label) : 'Removed product',
+            quantity: item.quantity,
+            oldUnitPrice: unitPrice(item.price, item.discount)
+        };
+        if (!product || !product.isActive) {
+            changes.push({ type: 'product_deactivated', ...line });
+            continue;
+        }
+        if (!option) {
+            changes.push({ type: 'variant_unavailable', ...line });
+            continue;
+        }
+        if (option.stock <= 0) {
+            changes.push({ type: 'out_of_stock', ...line });
+            continue;
+        }
+
+        const newUnitPrice = unitPrice(option.price, option.discount);
+        if (option.stock < item.quantity) {
+            changes.push({ type: 'quantity_reduced', ...line, newQuantity: option.stock });
+        }
+        if (item.price !== option.price) {
+            changes.push({ type: 'price_changed', ...line, oldPrice: item.price, newPrice: option.price, newUnitPrice });
+        }
+        const oldDiscount = item.discount || 0;
+        const newDiscount = option.discount;
+        if (oldDiscount !== newDiscount) {
+            changes.push({
+                type: oldDiscount > 0 && newDiscount === 0 ? 'discount_ended' : 'discount_changed',
+                ...line,
+                oldDiscount,
+                newDiscount,
+                newUnitPrice
+            });
+        }
+    }
+    return changes;
+};
+
+/**
+ * Short hash identifying a set of changes, so the shopper accepts exactly the changes they were shown
+ * @param {Array} changes - From revalidateCart()
+ * @returns {String}
+ */
+const changesFingerprint = (changes) => crypto.createHash('sha256')
+    .update(JSON.stringify(changes))
+    .digest('hex')
+    .slice(0, 16);
+
+/**
+ * Bring every cart line in line with the live product (the shopper accepted the changes)
+ * Unavailable lines are removed, quantities capped at the stock left and prices refreshed. The cart is not saved here.
+ * @param {Object} cart - Cart with items.product populated
+ */
+const applyRevalidation = (cart) => {
+    const optionOf = (item) => (item.product && item.product.isActive ? item.product.resolveVariant(item.variant) : null);
+    cart.items = cart.items.filter(item => {
+        const option = optionOf(item);
+        return option && option.stock > 0;
+    });
+    for (const item of cart.items) {
+        const option = optionOf(item);
+        item.quantity = Math.min(item.quantity, option.stock);
+        item.price = option.price;
+        item.discount = option.discount;
+    }
+};
+
+/**
+ * Revalidate the shopper's cart
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { cart, changes, fingerprint } (cart is null when the shopper has none)
+ */
+const checkCart = async (req) => {
+    const cart = await findCart(req);
+    if (cart) {
+        await cart.populate('items.product', REVALIDATION_FIELDS);
+    }
+    const changes = cart ? revalidateCart(cart) : [];
+    return { cart, changes, fingerprint: changesFingerprint(changes) };
+};
+
+module.exports = {
+    CART_COOKIE,
+    readCartToken,
+    clearCartCookie,
+    isSameLine,
+    cartFilter,
+    findCart,
+    findOrCreateCart,
+    addItemsToCart,
+    mergeGuestCart,
+    revalidateCart,
+    changesFingerprint,
+    applyRevalidation,
+    checkCart
+};
@@ -0,0 +1,241 @@
+/**
+ * Coupon Service
+ * Validates promo codes against a cart and tracks their redemptions
+ */
+
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const User = require('../models/User');
+
+const couponError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Count the non-cancelled orders a customer has placed with a coupon
+ * Customers are matched by account and by email both ways - a guest checkout with a registered
+ * customer's email counts their account orders too - so guest checkout cannot bypass the limit.
+ * @param {Object} coupon - Coupon document
+ * @param {Object} customer - { userId, email }
+ * @returns {Promise<Number>}
+ */
+const countCustomerRedemptions = async (coupon, customer) => {
+    const match = [];
+    if (customer.userId) {
+        match.push({ user: customer.userId });
+    }
+    if (customer.email) {
+        const email = customer.email.toLowerCase().trim();
+        match.push({ 'guestCustomer.email': email });
+        if (!customer.userId) {
+            const account = await User.findOne({ email }).select('_id');
+            if (account) {
+                match.push({ user: account._id });
+            }
+        }
+    }
+    if (match.length === 0) {
+        return 0;
+    }
+
+    return Order.countDocuments({
+        coupon: coupon._id,
+        status: { $ne: 'cancelled' },
+        $or: match
+    });
+};
+
+/**
+ * Check a promo code against the items being ordered and work out its discount
+ * Prices are read from the current products (the ordered variant's price for products with variants), never from the client.
+ * @param {String} code - Code entered by the customer
+ * @param {Array} items - Items of shape { product, variant, quantity } (product and variant are IDs)
+ * @param {Object} customer - { userId, email } used for the per-customer limit
+ * @returns {Promise<Object>} - { coupon, discount, eligibleSubtotal }
+ */
+const evaluateCoupon = async (code, items = [], customer = {}) => {
+    const normalizedCode = String(code || '').trim().toUpperCase();
+    if (!normalizedCode) {
+        throw couponError('Please enter a coupon code');
+    }
+
+    const coupon = await Coupon.findOne({ code: normalizedCode });
+    if (!coupon || !coupon.isActive) {
+        throw couponError('This coupon code is not valid');
+    }
+
+    const now = new Date();
+    if (coupon.startsAt && coupon.startsAt > now) {
+        throw couponError('This coupon is not active yet');
+    }
+    if (coupon.expiresAt && coupon.expiresAt <= now) {
+        throw couponError('This coupon has expired');
+    }
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+        throw couponError('This coupon has reached its usage limit');
+    }
+
+    const productIds = items.map(item => item.product);
+    const products = await Product.find({ _id: { $in: productIds } })
+        .select('price discount variants department category brand');
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    let eligibleSubtotal = 0;
+    for (const item of items) {
+        const product = productsById.get(String(item.product));
+        if (!product || !coupon.appliesToProduct(product)) {
+            continue;
+        }
+        const option = product.resolveVariant(item.variant);
+        if (!option) {
+            continue;
+        }
+        const itemPrice = option.price * (1 - (option.discount || 0) / 100);
+        eligibleSubtotal += itemPrice * (item.quantity || 1);
+    }
+
+    if (eligibleSubtotal === 0) {
+        throw couponError('This coupon does not apply to any items in your cart');
+    }
+    if (eligibleSubtotal < (coupon.minOrderValue || 0)) {
+        throw couponError(`This coupon requires a minimum order of Rs. ${coupon.minOrderValue.toFixed(2)} on eligible items`);
+    }
+
+    if (coupon.perCustomerLimit) {
+        const used = await countCustomerRedemptions(coupon, customer);
+        if (used >= coupon.perCustomerLimit) {
+            throw couponError('You have already used this coupon the maximum number of times');
+        }
+    }
+
+    let discount = coupon.discountType === 'percentage'
+        ? eligibleSubtotal * coupon.value / 100
+        : coupon.value;
+    if (coupon.discountType === 'percentage' && coupon.maxDiscount) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+    discount = roundAmount(Math.min(discount, eligibleSubtotal));
+
+    return {
+        coupon,
+        discount,
+        eligibleSubtotal: roundAmount(eligibleSubtotal)
+    };
+};
+
+/**
+ * Build the aggregation condition matching a customer's redemptions on a coupon
+ * A redemption matches by account or by the email it was placed with (account or guest email).
+ * @param {Object} customer - { userId, email }
+ * @returns {Object|null} - $filter condition over $$redemption, or null when the customer is unknown
+ */
+const customerRedemptionMatch = (customer) => {
+    const match = [];
+    if (customer.userId) {
+        match.push({ $eq: ['$$redemption.user', new mongoose.Types.ObjectId(String(customer.userId))] });
+    }
+    if (customer.email) {
+        match.push({ $eq: ['$$redemption.email', customer.email.toLowerCase().trim()] });
+    }
+    return match.length > 0 ? { $or: match } : null;
+};
+
+/**
+ * Count one redemption against the coupon's total and per-customer caps
+ * Both caps are part of the update filter, so concurrent orders cannot exceed either of them.
+ * @param {Object} coupon - Coupon document
+ * @param {Object} order - Order being placed (its _id and user are recorded)
+ * @param {Object} customer - { userId, email } as passed to evaluateCoupon
+ * @returns {Promise<void>}
+ */
+const redeemCoupon = async (coupon, order, customer = {}) => {
+    const conditions = [
+        {
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+        }
+    ];
+
+    const match = customerRedemptionMatch(customer);
+    if (match) {
+        conditions.push({
+            $or: [
+                { perCustomerLimit: null },
+                {
+                    $expr: {
+                        $lt: [
+                            {
+                                $size: {
+                                    $filter: {
+                                        input: { $ifNull: ['$redemptions', []] },
+                                        as: 'redemption',
+                                        cond: match
+                                    }
+                                }
+                            },
+                            '$perCustomerLimit'
+                        ]
+                    }
+                }
+            ]
+        });
+    }
+
+    const updated = await Coupon.findOneAndUpdate(
+        { _id: coupon._id, isActive: true, $and: conditions },
+        {
+            $inc: { usedCount: 1 },
+            $push: {
+                redemptions: {
+                    order: order._id,
+                    user: order.user || undefined,
+                    email: customer.email ? customer.email.toLowerCase().trim() : undefined
+                }
+            }
+        },
+        { new: true }
+    );
+
+    if (!updated) {
+        // Re-read to tell the shopper which cap was hit
+        const current = await Coupon.findById(coupon._id).select('usageLimit usedCount');
+        if (current && (!current.usageLimit || current.usedCount < current.usageLimit)) {
+            throw couponError('You have already used this coupon the maximum number of times', 409);
+        }
+        throw couponError('This coupon has reached its usage limit', 409);
+    }
+};
+
+/**
+ * Give back a redemption (order failed to save or was cancelled)
+ * @param {ObjectId} couponId - Coupon ID
+ * @param {ObjectId} orderId - Order the redemption was recorded for
+ * @returns {Promise<void>}
+ */
+const releaseCoupon = async (couponId, orderId) => {
+    if (!couponId) {
+        return;
+    }
+    try {
+        await Coupon.updateOne(
+            { _id: couponId, usedCount: { $gt: 0 } },
+            { $inc: { usedCount: -1 }, $pull: { redemptions: { order: orderId } } }
+        );
+    } catch (error) {
+        console.error(`Failed to release coupon ${couponId}:`, error.message);
+    }
+};
+
+module.exports = {
+    evaluateCoupon,
+    redeemCoupon,
+    releaseCoupon
+};
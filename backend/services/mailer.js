@@ -0,0 +1,95 @@
+/**
+ * Mailer Service
+ * Builds the nodemailer transporter shared by the contact form and order notifications
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create a transporter from the environment
+ * SendGrid, generic SMTP or Gmail, in that order. SMTP_HOST without SMTP_USER sends
+ * unauthenticated, which is how local SMTP catchers (MailHog, Mailpit on port 1025) are used.
+ * @returns {Object} - nodemailer transporter
+ */
+const createTransporter = () => {
+    // Option 1: Use SendGrid SMTP (recommended - easier than Gmail)
+    if (process.env.SENDGRID_API_KEY) {
+        console.log('Using SendGrid SMTP for email delivery');
+        return nodemailer.createTransport({
+            host: 'smtp.sendgrid.net',
+            port: 587,
+            secure: false,
+            auth: {
+                user: 'apikey',
+                pass: process.env.SENDGRID_API_KEY
+            }
+        });
+    }
+
+    // Option 2: Use generic SMTP (works with most email providers and local SMTP catchers)
+    if (process.env.SMTP_HOST) {
+        console.log('Using generic SMTP:', process.env.SMTP_HOST);
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT || '587'),
+            secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            } : undefined
+        });
+    }
+
+    // Option 3: Fallback to Gmail (requires App Password)
+    const emailUser = process.env.EMAIL_USER || 'dwatsononline.co@gmail.com';
+    const emailPass = process.env.EMAIL_PASS || '';
+
+    if (!emailPass) {
+        console.error('No email configuration found!');
+        console.error('Please set one of the following in .env:');
+        console.error('  - SENDGRID_API_KEY (recommended)');
+        console.error('  - SMTP_HOST, SMTP_USER, SMTP_PASS (for generic SMTP)');
+        console.error('  - EMAIL_USER, EMAIL_PASS (for Gmail - requires App Password)');
+        throw new Error('Email configuration not found');
+    }
+
+    console.log('Using Gmail service (requires App Password)');
+    return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+            user: emailUser,
+            pass: emailPass
+        },
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 10000
+    });
+};
+
+/**
+ * Whether any email transport is configured (SendGrid, SMTP or Gmail)
+ * @returns {Boolean}
+ */
+const isConfigured = () => Boolean(process.env.SENDGRID_API_KEY || process.env.SMTP_HOST || process.env.EMAIL_PASS);
+
+/**
+ * Sender address for outgoing mail
+ * @returns {String} - e.g. "D.Watson Pharmacy" <orders@dwatson.pk>
+ */
+const getFromAddress = () => {
+    let fromEmail = process.env.MAIL_FROM || process.env.CONTACT_EMAIL || 'dwatsononline.co@gmail.com';
+    if (!process.env.MAIL_FROM) {
+        if (process.env.SMTP_USER) {
+            fromEmail = process.env.SMTP_USER;
+        } else if (process.env.EMAIL_USER) {
+            fromEmail = process.env.EMAIL_USER;
+        }
+    }
+    return `"D.Watson Pharmacy" <${fromEmail}>`;
+};
+
+module.exports = {
+    createTransporter,
+    isConfigured,
+    getFromAddress
+};
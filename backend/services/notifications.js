@@ -0,0 +1,391 @@
+/**
+ * Notifications Service
+ * Templated transactional emails for the order lifecycle, sent through a retry queue (EmailNotification),
+ * and account emails (email verification, password reset)
+ */
+
+const Order = require('../models/Order');
+const EmailNotification = require('../models/EmailNotification');
+const { createTransporter, getFromAddress } = require('./mailer');
+const { RETURN_WINDOW_DAYS } = require('./returns');
+
+const MAX_ATTEMPTS = 5;
+// Wait before each retry, in minutes (attempt 1 failed -> retry after 1 minute, ...)
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120];
+// How long a queued email stays claimed by one queue run
+const CLAIM_MINUTES = 5;
+
+const BRAND_COLOR = '#2a8c82';
+
+let transporter = null;
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = createTransporter();
+    }
+    return transporter;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const money = (amount) => `Rs. ${(amount || 0).toFixed(2)}`;
+
+const customerOf = (order) => (order.user && order.user.email)
+    ? { name: order.user.name, email: order.user.email }
+    : { name: order.guestCustomer?.name, email: order.guestCustomer?.email };
+
+function itemsTable(order, items) {
+    const rows = items.map(({ name, quantity, amount }) => `
+        <tr>
+            <td style="padding:6px;border-bottom:1px solid #eee;">${escapeHtml(name)}</td>
+            <td style="padding:6px;border-bottom:1px solid #eee;text-align:center;">${quantity}</td>
+            ${amount !== undefined ? `<td style="padding:6px;border-bottom:1px solid #eee;text-align:right;">${money(amount)}</td>` : ''}
+        </tr>
+    `).join('');
+    return `<table style="width:100%;border-collapse:collapse;margin:15px 0;">${rows}</table>`;
+}
+
+function orderLines(order) {
+    return order.items.map(item => ({
+        name: item.getDisplayName(),
+        quantity: item.quantity,
+        amount: item.subtotal
+    }));
+}
+
+function totalsBlock(order) {
+    return `
+        <p style="text-align:right;margin:0;">Subtotal: ${money(order.subtotal)}</p>
+        ${order.couponDiscount > 0 ? `<p style="text-align:right;margin:0;">Coupon (${escapeHtml(order.couponCode)}): - ${money(order.couponDiscount)}</p>` : ''}
+        <p style="text-align:right;margin:0;">Shipping: ${money(order.shippingCost)}</p>
+        <p style="text-align:right;margin:0;">Tax: ${money(order.tax)}</p>
+        <p style="text-align:right;margin:5px 0 0;font-weight:bold;">Total: ${money(order.total)}</p>
+    `;
+}
+
+function layout(title, body, footer = 'Questions about your order? Reply to this email or contact info@dwatson.pk.') {
+    return `
+        <!DOCTYPE html>
+        <html>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+            <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+                <div style="background-color: ${BRAND_COLOR}; color: white; padding: 20px; text-align: center;">
+                    <h2 style="margin:0;">${escapeHtml(title)}</h2>
+                    <p style="margin:5px 0 0;">D.Watson Pharmacy</p>
+                </div>
+                <div style="background-color: #f9f9f9; padding: 20px;">${body}</div>
+                <div style="text-align: center; padding: 20px; color: #666; font-size: 12px;">
+                    <p>${escapeHtml(footer)}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+}
+
+// Each template returns { subject, heading, intro, body?, textLines? } for an order (and optional event details)
+const TEMPLATES = {
+    order_placed: (order) => ({
+        subject: `Order ${order.orderNumber} received`,
+        heading: 'Thank you for your order',
+        intro: `We have received your order ${order.orderNumber} and will confirm it shortly.`,
+        body: itemsTable(order, orderLines(order)) + totalsBlock(order) +
+            `<p>Payment method: ${escapeHtml(String(order.paymentMethod).replace(/_/g, ' '))}</p>`
+    }),
+    order_confirmed: (order) => ({
+        subject: `Order ${order.orderNumber} confirmed`,
+        heading: 'Your order is confirmed',
+        intro: `Good news - order ${order.orderNumber} is confirmed and is being prepared for shipping.`
+    }),
+    order_shipped: (order, { shipment } = {}) => {
+        const items = shipment
+            ? shipment.items.map(item => {
+                const orderItem = order.items.id(item.orderItem);
+                return { name: orderItem ? orderItem.getDisplayName() : 'Product', quantity: item.quantity };
+            })
+            : order.items.map(item => ({ name: item.getDisplayName(), quantity: item.quantity }));
+        const tracking = shipment && shipment.trackingNumber
+            ? `<p>Tracking number: <strong>${shipment.trackingUrl
+                ? `<a href="${escapeHtml(shipment.trackingUrl)}">${escapeHtml(shipment.trackingNumber)}</a>`
+                : escapeHtml(shipment.trackingNumber)}</strong>${shipment.courier ? ` (${escapeHtml(shipment.courier)})` : ''}</p>`
+            : '';
+        const partial = order.status === 'partially_shipped'
+            ? '<p>The rest of your order will follow in a separate parcel.</p>'
+            : '';
+        return {
+            subject: `Order ${order.orderNumber} has shipped`,
+            heading: 'Your order is on its way',
+            intro: `${shipment ? 'A parcel from' : 'Your'} order ${order.orderNumber} has been shipped.`,
+            body: itemsTable(order, items) + tracking + partial,
+            textLines: shipment && shipment.trackingNumber
+                ? [`Tracking number: ${shipment.trackingNumber}${shipment.courier ? ` (${shipment.courier})` : ''}`, shipment.trackingUrl]
+                : []
+        };
+    },
+    order_delivered: (order) => ({
+        subject: `Order ${order.orderNumber} delivered`,
+        heading: 'Your order has been delivered',
+        intro: `Order ${order.orderNumber} has been delivered. We hope you are happy with it - items can be returned within ${RETURN_WINDOW_DAYS} days.`
+    }),
+    order_cancelled: (order) => ({
+        subject: `Order ${order.orderNumber} cancelled`,
+        heading: 'Your order has been cancelled',
+        intro: `Order ${order.orderNumber} has been cancelled.`,
+        body: `${order.cancelledReason ? `<p>Reason: ${escapeHtml(order.cancelledReason)}</p>` : ''}
+            ${order.paymentStatus === 'paid' ? '<p>Your payment will be refunded to the original payment method.</p>' : ''}`,
+        textLines: [order.cancelledReason ? `Reason: ${order.cancelledReason}` : null]
+    })
+};
+
+/**
+ * Render an order email
+ * @param {String} type - Template name (order_placed, order_confirmed, order_shipped, order_delivered, order_cancelled)
+ * @param {Object} order - Order with items.product (name) and user (name, email) populated
+ * @param {Object} details - Event details, e.g. { shipment } for order_shipped
+ * @returns {Object} - { subject, html, text }
+ */
+const renderOrderEmail = (type, order, details = {}) => {
+    const template = TEMPLATES[type];
+    if (!template) {
+        throw new Error(`Unknown email template "${type}"`);
+    }
+
+    const customer = customerOf(order);
+    const { subject, heading, intro, body = '', textLines = [] } = template(order, details);
+    const greeting = `Dear ${customer.name || 'customer'},`;
+
+    return {
+        subject,
+        html: layout(heading, `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p>${body}`),
+        text: [
+            greeting,
+            '',
+            intro,
+            ...textLines.filter(Boolean),
+            '',
+            `Order: ${order.orderNumber}`,
+            `Total: ${money(order.total)}`,
+            '',
+            '---',
+            'D.Watson Pharmacy'
+        ].join('\n')
+    };
+};
+
+/**
+ * Try to send a queued email once; on failure schedule the next retry (or give up after MAX_ATTEMPTS)
+ * @param {Object} notification - EmailNotification document
+ * @returns {Promise<Object>} - The updated notification
+ */
+const sendQueuedEmail = async (notification) => {
+    notification.attempts += 1;
+    try {
+        await getTransporter().sendMail({
+            from: getFromAddress(),
+            to: notification.to,
+            subject: notification.subject,
+            html: notification.html,
+            text: notification.text
+        });
+        notification.status = 'sent';
+        notification.sentAt = new Date();
+        notification.lastError = undefined;
+    } catch (error) {
+        notification.lastError = error.message;
+        if (notification.attempts >= MAX_ATTEMPTS) {
+            notification.status = 'failed';
+            console.error(`❌ Email ${notification.type} to ${notification.to} failed permanently: ${error.message}`);
+        } else {
+            const delay = RETRY_DELAYS_MINUTES[Math.min(notification.attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+            notification.nextAttemptAt = new Date(Date.now() + delay * 60 * 1000);
+            console.warn(`⚠️ Email ${notification.type} to ${notification.to} failed (attempt ${notification.attempts}), retrying in ${delay} min: ${error.message}`);
+        }
+    }
+    await notification.save();
+    return notification;
+};
+
+/**
+ * Queue and send an order lifecycle email
+ * Never throws - a failed send stays queued for processEmailQueue, so callers need not await it.
+ * @param {ObjectId|String} orderId - Order to notify about
+ * @param {String} type - Template name
+ * @param {Object} details - Event details, e.g. { shipmentId } for order_shipped
+ * @returns {Promise<Object|null>} - The EmailNotification, or null when nothing was queued
+ */
+const notifyOrder = async (orderId, type, details = {}) => {
+    try {
+        const order = await Order.findById(orderId)
+            .populate('user', 'name email')
+            .populate('items.product', 'name');
+        if (!order) {
+            return null;
+        }
+
+        const { email } = customerOf(order);
+        if (!email) {
+            console.warn(`No email address for order ${order.orderNumber}; ${type} not sent`);
+            return null;
+        }
+
+        const shipment = details.shipmentId ? order.shipments.id(details.shipmentId) : undefined;
+        const { subject, html, text } = renderOrderEmail(type, order, { shipment });
+        // Claimed by this call until the first attempt is done, so the queue job does not pick it up meanwhile
+        const notification = await EmailNotification.create({
+            type,
+            order: order._id,
+            to: email,
+            subject,
+            html,
+            text,
+            nextAttemptAt: new Date(Date.now() + CLAIM_MINUTES * 60 * 1000)
+        });
+        return await sendQueuedEmail(notification);
+    } catch (error) {
+        console.error(`Error queuing ${type} email for order ${orderId}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Retry queued emails that are due
+ * Each email is claimed before sending, so overlapping runs (or servers) do not send it twice.
+ * @param {Number} limit - Maximum emails to send in this run
+ * @returns {Promise<Number>} - Emails attempted
+ */
+const processEmailQueue = async (limit = 20) => {
+    let attempted = 0;
+    while (attempted < limit) {
+        const now = new Date();
+        const notification = await EmailNotification.findOneAndUpdate(
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MINUTES * 60 * 1000) } },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!notification) {
+            break;
+        }
+        await sendQueuedEmail(notification);
+        attempted += 1;
+    }
+    return attempted;
+};
+
+// Account email copy; the link carrying the one-time token is added by sendAccountEmail
+const ACCOUNT_TEMPLATES = {
+    email_verification: () => ({
+        subject: 'Verify your email address',
+        heading: 'Confirm your email',
+        intro: 'Thanks for creating a D.Watson Pharmacy account. Please confirm your email address to start using it.',
+        action: 'Verify email',
+        expiry: 'This link expires in 24 hours.'
+    }),
+    password_reset: () => ({
+        subject: 'Reset your password',
+        heading: 'Password reset',
+        intro: 'We received a request to reset the password for your D.Watson Pharmacy account.',
+        action: 'Choose a new password',
+        expiry: 'This link expires in 1 hour and can only be used once. If you did not ask for it, you can ignore this email.'
+    })
+};
+
+/**
+ * Send an account email (email verification or password reset)
+ * These are sent directly rather than queued: the link carries a live token, which must
+ * not be kept in the database, and the customer can always ask for a new one.
+ * @param {Object} user - User (name, email)
+ * @param {String} type - Template name (email_verification, password_reset)
+ * @param {String} url - Link including the raw token
+ * @returns {Promise<Boolean>} - Whether the email was accepted by the mail server
+ */
+const sendAccountEmail = async (user, type, url) => {
+    const template = ACCOUNT_TEMPLATES[type];
+    if (!template) {
+        throw new Error(`Unknown email template "${type}"`);
+    }
+
+    const { subject, heading, intro, action, expiry } = template();
+    const greeting = `Dear ${user.name || 'customer'},`;
+    const button = `<p style="text-align:center;margin:25px 0;">
+            <a href="${escapeHtml(url)}" style="background-color:${BRAND_COLOR};color:white;padding:12px 24px;text-decoration:none;border-radius:4px;">${escapeHtml(action)}</a>
+        </p>`;
+
+    try {
+        await getTransporter().sendMail({
+            from: getFromAddress(),
+            to: user.email,
+            subject,
+            html: layout(heading, `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p>${button}
+                <p style="font-size:12px;color:#666;">${escapeHtml(expiry)}<br>Or paste this link into your browser: ${escapeHtml(url)}</p>`,
+            'Need help? Contact info@dwatson.pk.'),
+            text: [greeting, '', intro, '', `${action}: ${url}`, '', expiry, '', '---', 'D.Watson Pharmacy'].join('\n')
+        });
+        return true;
+    } catch (error) {
+        console.error(`❌ Email ${type} to ${user.email} failed: ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Send an abandoned cart reminder with the link that restores the cart
+ * Sent directly like account emails: the job records the outcome on the CartRecovery and does not retry.
+ * @param {Object} customer - { name, email }
+ * @param {Object} recovery - CartRecovery (items, cartValue)
+ * @param {String} url - Signed restore link
+ * @param {Object} offer - { code, percent, expiresAt } when a one-time discount is offered
+ * @returns {Promise<Boolean>} - Whether the email was accepted by the mail server
+ */
+const sendCartRecoveryEmail = async (customer, recovery, url, offer = null) => {
+    const greeting = `Dear ${customer.name || 'customer'},`;
+    const intro = 'You left some items in your cart. They are still waiting for you - pick up where you left off:';
+    const lines = recovery.items.map(item => ({ name: item.name || 'Product', quantity: item.quantity, amount: item.price * item.quantity }));
+    const offerText = offer
+        ? `Use code ${offer.code} for ${offer.percent}% off your order, valid once until ${offer.expiresAt.toDateString()}.`
+        : null;
+
+    try {
+        await getTransporter().sendMail({
+            from: getFromAddress(),
+            to: customer.email,
+            subject: 'You left something in your cart',
+            html: layout('Still thinking it over?', `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p>
+                ${itemsTable(null, lines)}
+                <p style="text-align:right;margin:0;font-weight:bold;">Cart total: ${money(recovery.cartValue)}</p>
+                ${offerText ? `<p style="background:#fff;border:1px dashed ${BRAND_COLOR};padding:10px;text-align:center;">${escapeHtml(offerText)}</p>` : ''}
+                <p style="text-align:center;margin:25px 0;">
+                    <a href="${escapeHtml(url)}" style="background-color:${BRAND_COLOR};color:white;padding:12px 24px;text-decoration:none;border-radius:4px;">Return to your cart</a>
+                </p>
+                <p style="font-size:12px;color:#666;">Prices and availability are checked again when you order.</p>`,
+            'Need help? Contact info@dwatson.pk.'),
+            text: [
+                greeting,
+                '',
+                intro,
+                ...lines.map(line => `- ${line.name} x ${line.quantity}: ${money(line.amount)}`),
+                `Cart total: ${money(recovery.cartValue)}`,
+                '',
+                offerText,
+                `Return to your cart: ${url}`,
+                '',
+                '---',
+                'D.Watson Pharmacy'
+            ].filter(line => line !== null).join('\n')
+        });
+        return true;
+    } catch (error) {
+        console.error(`❌ Cart recovery email to ${customer.email} failed: ${error.message}`);
+        return false;
+    }
+};
+
+module.exports = {
+    renderOrderEmail,
+    notifyOrder,
+    processEmailQueue,
+    sendAccountEmail,
+    sendCartRecoveryEmail
+};
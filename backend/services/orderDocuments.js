@@ -0,0 +1,270 @@
+/**
+ * Order Documents Service
+ * Renders orders as branded PDF invoices and packing slips (pdfkit)
+ */
+
+const PDFDocument = require('pdfkit');
+
+const STORE = {
+    name: 'D.Watson Pharmacy',
+    address: '123 Main Street, Islamabad, Pakistan',
+    contact: '+92 300 1234567  |  info@dwatson.pk'
+};
+
+const BRAND_COLOR = '#2a8c82';
+const MUTED_COLOR = '#6c757d';
+const PAGE_MARGIN = 50;
+
+// Columns of the line-item table per document type: [label, width, align]
+const COLUMNS = {
+    invoice: [
+        ['Product', 215, 'left'],
+        ['Qty', 40, 'right'],
+        ['Unit Price', 80, 'right'],
+        ['Disc.', 45, 'right'],
+        ['Amount', 115, 'right']
+    ],
+    packingSlip: [
+        ['Product', 185, 'left'],
+        ['SKU', 70, 'left'],
+        ['Batch', 140, 'left'],
+        ['Qty', 50, 'right'],
+        ['Packed', 50, 'center']
+    ]
+};
+
+const money = (amount) => `Rs. ${(amount || 0).toFixed(2)}`;
+
+const formatLabel = (value) => String(value || 'N/A').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+const customerOf = (order) => {
+    if (order.user && order.user.name) {
+        return { name: order.user.name, email: order.user.email, phone: order.user.phone };
+    }
+    return order.guestCustomer || {};
+};
+
+const addressLines = (address = {}) => [
+    address.street,
+    [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+    address.country,
+    address.phone
+].filter(Boolean);
+
+function drawHeader(doc, order, title) {
+    const top = PAGE_MARGIN;
+    doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(20).text(STORE.name, PAGE_MARGIN, top);
+    doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9)
+        .text(STORE.address, PAGE_MARGIN, top + 26)
+        .text(STORE.contact, PAGE_MARGIN, top + 38);
+
+    doc.fillColor('#000').font('Helvetica-Bold').fontSize(16)
+        .text(title, 300, top, { width: 245, align: 'right' });
+    doc.font('Helvetica').fontSize(9)
+        .text(`Order: ${order.orderNumber}`, 300, top + 22, { width: 245, align: 'right' })
+        .text(`Date: ${new Date(order.createdAt).toLocaleDateString('en-PK')}`, 300, top + 34, { width: 245, align: 'right' });
+
+    doc.moveTo(PAGE_MARGIN, top + 56).lineTo(545, top + 56).strokeColor(BRAND_COLOR).lineWidth(1.5).stroke();
+    return top + 70;
+}
+
+function drawAddresses(doc, order, y, includeBilling) {
+    const customer = customerOf(order);
+    const blocks = [
+        ['Ship To', [customer.name, ...addressLines(order.shippingAddress)]]
+    ];
+    if (includeBilling) {
+        const billing = order.billingAddress && order.billingAddress.street ? order.billingAddress : order.shippingAddress;
+        blocks.unshift(['Bill To', [customer.name, customer.email, ...addressLines(billing)]]);
+    }
+
+    let bottom = y;
+    blocks.forEach(([label, lines], index) => {
+        const x = PAGE_MARGIN + index * 250;
+        doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(10).text(label, x, y);
+        doc.fillColor('#000').font('Helvetica').fontSize(9);
+        lines.filter(Boolean).forEach((line, i) => doc.text(line, x, y + 14 + i * 12, { width: 230 }));
+        bottom = Math.max(bottom, y + 14 + lines.filter(Boolean).length * 12);
+    });
+    return bottom + 16;
+}
+
+function drawTableHeader(doc, columns, y) {
+    doc.rect(PAGE_MARGIN, y - 4, 495, 18).fill(BRAND_COLOR);
+    doc.fillColor('#fff').font('Helvetica-Bold').fontSize(9);
+    let x = PAGE_MARGIN + 5;
+    columns.forEach(([label, width, align]) => {
+        doc.text(label, x, y, { width: width - 10, align });
+        x += width;
+    });
+    doc.fillColor('#000').font('Helvetica');
+    return y + 20;
+}
+
+function drawRow(doc, columns, cells, y) {
+    let x = PAGE_MARGIN + 5;
+    let rowHeight = 0;
+    columns.forEach(([, width, align], index) => {
+        const text = String(cells[index] ?? '');
+        rowHeight = Math.max(rowHeight, doc.heightOfString(text, { width: width - 10 }));
+        doc.text(text, x, y, { width: width - 10, align });
+        x += width;
+    });
+    const bottom = y + rowHeight + 6;
+    doc.moveTo(PAGE_MARGIN, bottom - 3).lineTo(545, bottom - 3).strokeColor('#dee2e6').lineWidth(0.5).stroke();
+    return bottom;
+}
+
+// Draw the table rows, continuing on a new page (with the header repeated) when the page is full
+function drawTable(doc, columns, rows, y) {
+    y = drawTableHeader(doc, columns, y);
+    doc.fontSize(9);
+    rows.forEach(cells => {
+        if (y > doc.page.height - PAGE_MARGIN - 120) {
+            doc.addPage();
+            y = drawTableHeader(doc, columns, PAGE_MARGIN);
+        }
+        y = drawRow(doc, columns, cells, y);
+    });
+    return y + 6;
+}
+
+function drawTotals(doc, order, y) {
+    const lines = [['Subtotal', money(order.subtotal)]];
+    if (order.couponDiscount > 0) {
+        lines.push([`Coupon (${order.couponCode})`, `- ${money(order.couponDiscount)}`]);
+    }
+    lines.push([`Shipping${order.shippingZone ? ` (${order.shippingZone})` : ''}`, money(order.shippingCost)]);
+    lines.push(['Tax', money(order.tax)]);
+
+    doc.fontSize(9).font('Helvetica');
+    lines.forEach(([label, value]) => {
+        doc.text(label, 300, y, { width: 140, align: 'right' });
+        doc.text(value, 440, y, { width: 100, align: 'right' });
+        y += 14;
+    });
+
+    doc.font('Helvetica-Bold').fontSize(11);
+    doc.text('Total', 300, y + 2, { width: 140, align: 'right' });
+    doc.text(money(order.total), 440, y + 2, { width: 100, align: 'right' });
+    y += 20;
+
+    if (order.refundedAmount > 0) {
+        doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+        doc.text('Refunded', 300, y, { width: 140, align: 'right' });
+        doc.text(`- ${money(order.refundedAmount)}`, 440, y, { width: 100, align: 'right' });
+        doc.fillColor('#000');
+        y += 14;
+    }
+
+    doc.font('Helvetica').fontSize(9)
+        .text(`Payment: ${formatLabel(order.paymentMethod)} (${formatLabel(order.paymentStatus)})`, PAGE_MARGIN, y + 10);
+    return y + 24;
+}
+
+function drawFooter(doc, text) {
+    // The footer sits inside the bottom margin; lift the margin so pdfkit does not start a new page for it
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(8)
+        .text(text, PAGE_MARGIN, doc.page.height - PAGE_MARGIN + 10, { width: 495, align: 'center', lineBreak: false });
+    doc.fillColor('#000');
+    doc.page.margins.bottom = bottomMargin;
+}
+
+function drawInvoice(doc, order) {
+    let y = drawHeader(doc, order, 'INVOICE');
+    y = drawAddresses(doc, order, y, true);
+
+    const rows = order.items.map(item => {
+        const amount = item.subtotal || item.price * item.quantity * (1 - (item.discount || 0) / 100);
+        return [
+            item.getDisplayName('Unknown Product'),
+            item.quantity,
+            money(item.price),
+            item.discount ? `${item.discount}%` : '-',
+            money(amount)
+        ];
+    });
+    y = drawTable(doc, COLUMNS.invoice, rows, y);
+
+    if (y > doc.page.height - PAGE_MARGIN - 130) {
+        doc.addPage();
+        y = PAGE_MARGIN;
+    }
+    drawTotals(doc, order, y);
+    drawFooter(doc, `Thank you for shopping with ${STORE.name}.`);
+}
+
+// A packing slip lists what goes in the parcel - no prices. With a shipment, only that shipment's units.
+function drawPackingSlip(doc, order, shipment) {
+    let y = drawHeader(doc, order, 'PACKING SLIP');
+    if (shipment) {
+        doc.font('Helvetica').fontSize(9)
+            .text(`Shipment: ${shipment.shipmentNumber}${shipment.courier ? `  |  ${shipment.courier}` : ''}${shipment.trackingNumber ? ` ${shipment.trackingNumber}` : ''}`, PAGE_MARGIN, y);
+        y += 18;
+    }
+    y = drawAddresses(doc, order, y, false);
+
+    const quantities = shipment
+        ? new Map(shipment.items.map(item => [item.orderItem.toString(), item.quantity]))
+        : null;
+    const rows = order.items
+        .filter(item => !quantities || quantities.has(item._id.toString()))
+        .map(item => [
+            `${item.getDisplayName('Unknown Product')}${item.requiresPrescription ? ' (Rx)' : ''}`,
+            item.sku || '-',
+            (item.batches || []).map(batch => `${batch.batchNumber} x ${batch.quantity}`).join(', ') || '-',
+            quantities ? quantities.get(item._id.toString()) : item.quantity,
+            '[   ]'
+        ]);
+    y = drawTable(doc, COLUMNS.packingSlip, rows, y);
+
+    if (order.notes) {
+        doc.font('Helvetica-Bold').fontSize(9).text('Customer notes', PAGE_MARGIN, y + 6);
+        doc.font('Helvetica').text(order.notes, PAGE_MARGIN, y + 20, { width: 495 });
+    }
+    drawFooter(doc, `${STORE.name} - please check the contents of this parcel against this slip.`);
+}
+
+/**
+ * Render one or more orders into a single PDF, each order starting on a new page
+ * Orders need items.product (name) and user (name, email, phone) populated.
+ * @param {Array} orders - Order documents
+ * @param {String} type - 'invoice' or 'packingSlip'
+ * @param {Object} options - { shipmentId } to limit a single packing slip to one shipment
+ * @returns {PDFDocument} - Finished document stream; pipe it to the response
+ */
+const buildOrderPdf = (orders, type, { shipmentId } = {}) => {
+    if (!COLUMNS[type]) {
+        const error = new Error(`Unknown document type "${type}"`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, autoFirstPage: false });
+    doc.info.Title = `${STORE.name} ${type === 'invoice' ? 'Invoice' : 'Packing Slip'}`;
+    doc.info.Author = STORE.name;
+
+    orders.forEach(order => {
+        doc.addPage();
+        if (type === 'invoice') {
+            drawInvoice(doc, order);
+        } else {
+            const shipment = shipmentId ? order.shipments.id(shipmentId) : null;
+            if (shipmentId && !shipment) {
+                const error = new Error('Shipment not found');
+                error.statusCode = 404;
+                throw error;
+            }
+            drawPackingSlip(doc, order, shipment);
+        }
+    });
+
+    doc.end();
+    return doc;
+};
+
+module.exports = {
+    buildOrderPdf
+};
@@ -0,0 +1,169 @@
+/**
+ * Payment Service
+ * Starts online payments for orders and applies provider webhooks to Order.paymentStatus
+ *
+ * A provider is a module exporting:
+ *   name                      - key used in webhook URLs (/api/payments/webhook/:provider)
+ *   flow                      - 'redirect' (hosted checkout page) or 'intent' (client completes with clientSecret)
+ *   createPayment({ payment, order }) -> Promise<{ reference, redirectUrl?, clientSecret? }>
+ *   verifyWebhook({ rawBody, headers }) -> { reference, status: 'paid'|'failed'|'refunded', amount?, raw }
+ *                                          (throws with statusCode 401 when the signature is wrong)
+ * Wallets such as JazzCash or Easypaisa are added by registering their adapter in PROVIDERS
+ * and mapping their payment method in METHOD_PROVIDERS.
+ */
+
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const mockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+    mock: mockProvider
+};
+
+// Payment methods paid online and the provider that takes them
+// Methods not listed here use PAYMENT_PROVIDER (default: mock)
+const ONLINE_PAYMENT_METHODS = ['credit_card', 'debit_card', 'bank_transfer'];
+const METHOD_PROVIDERS = {};
+
+const paymentError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Look up a registered provider
+ * The mock provider is refused unless ENABLE_MOCK_PAYMENTS=true, and always in production.
+ * @param {String} name - Provider name
+ * @returns {Object} - Provider module
+ */
+const getProvider = (name) => {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw paymentError(`Payment provider "${name}" is not available`, 404);
+    }
+    if (provider === mockProvider && !mockProvider.isEnabled()) {
+        throw paymentError('The mock payment provider is disabled', 404);
+    }
+    return provider;
+};
+
+/**
+ * Provider for an order's payment method, or null for offline methods (cash on delivery)
+ * @param {String} paymentMethod - Order.paymentMethod
+ * @returns {Object|null}
+ */
+const providerForMethod = (paymentMethod) => {
+    if (!ONLINE_PAYMENT_METHODS.includes(paymentMethod)) {
+        return null;
+    }
+    return getProvider(METHOD_PROVIDERS[paymentMethod] || process.env.PAYMENT_PROVIDER || 'mock');
+};
+
+/**
+ * Only relative paths are accepted as return URLs, so the flow cannot redirect off-site
+ * @param {String} returnUrl - Requested return URL
+ * @returns {String}
+ */
+const safeReturnUrl = (returnUrl) => {
+    if (typeof returnUrl === 'string' && returnUrl.startsWith('/') && !returnUrl.startsWith('//')) {
+        return returnUrl;
+    }
+    return '/cart.html';
+};
+
+/**
+ * Start an online payment for an order
+ * @param {Object} order - Order document
+ * @param {Object} options - { returnUrl }
+ * @returns {Promise<Object>} - { provider, flow, reference, redirectUrl, clientSecret }
+ */
+const startPayment = async (order, { returnUrl } = {}) => {
+    if (order.paymentStatus === 'paid') {
+        throw paymentError('This order has already been paid');
+    }
+    if (order.status === 'cancelled') {
+        throw paymentError('This order has been cancelled');
+    }
+
+    const provider = providerForMethod(order.paymentMethod);
+    if (!provider) {
+        throw paymentError('This order is paid on delivery and does not need an online payment');
+    }
+
+    const payment = new Payment({
+        order: order._id,
+        provider: provider.name,
+        amount: order.total,
+        returnUrl: safeReturnUrl(returnUrl)
+    });
+
+    const session = await provider.createPayment({ payment, order });
+    payment.reference = session.reference;
+    await payment.save();
+
+    return {
+        provider: provider.name,
+        flow: provider.flow,
+        reference: session.reference,
+        redirectUrl: session.redirectUrl,
+        clientSecret: session.clientSecret
+    };
+};
+
+/**
+ * Verify a provider webhook and apply it to the payment and its order
+ * Duplicate and out-of-order events are recorded but do not change any status.
+ * @param {String} providerName - Provider from the webhook URL
+ * @param {Object} request - { rawBody, headers }
+ * @returns {Promise<Object>} - { payment, applied }
+ */
+const handleWebhook = async (providerName, request) => {
+    const provider = getProvider(providerName);
+
+    let event;
+    try {
+        event = provider.verifyWebhook(request);
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            throw paymentError('Malformed webhook payload');
+        }
+        throw error;
+    }
+
+    if (!['paid', 'failed', 'refunded'].includes(event.status)) {
+        throw paymentError(`Unsupported payment status "${event.status}"`);
+    }
+
+    const payment = await Payment.findOne({ provider: provider.name, reference: event.reference });
+    if (!payment) {
+        throw paymentError('Payment not found', 404);
+    }
+
+    if (event.amount !== undefined && Math.abs(Number(event.amount) - payment.amount) > 0.01) {
+        throw paymentError(`Amount mismatch for payment ${payment.reference}`);
+    }
+
+    const applied = payment.canTransitionTo(event.status);
+    payment.events.push({ status: event.status, applied, payload: event.raw });
+
+    if (applied) {
+        payment.status = event.status;
+        // A failed retry must not overwrite an order another attempt already paid
+        const filter = event.status === 'failed'
+            ? { _id: payment.order, paymentStatus: { $ne: 'paid' } }
+            : { _id: payment.order };
+        await Order.findOneAndUpdate(filter, { $set: { paymentStatus: event.status } });
+    }
+    await payment.save();
+
+    return { payment, applied };
+};
+
+module.exports = {
+    ONLINE_PAYMENT_METHODS,
+    getProvider,
+    providerForMethod,
+    startPayment,
+    handleWebhook
+};
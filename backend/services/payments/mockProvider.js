@@ -0,0 +1,98 @@
+/**
+ * Mock Payment Provider
+ * Simulates a hosted checkout (redirect flow) so the whole payment flow can be tested offline.
+ * The customer is sent to /payment-mock.html, which completes the payment through
+ * POST /api/payments/mock/:reference/complete; that call signs a webhook exactly like a real provider would.
+ * Anyone can complete a mock payment, so the provider only exists when ENABLE_MOCK_PAYMENTS=true
+ * and never in production.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// Without MOCK_PAYMENT_SECRET a random per-process secret is used, which is enough for the
+// simulated checkout (it signs and verifies in the same process)
+let generatedSecret;
+const getSecret = () => {
+    if (process.env.MOCK_PAYMENT_SECRET) {
+        return process.env.MOCK_PAYMENT_SECRET;
+    }
+    if (!generatedSecret) {
+        generatedSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return generatedSecret;
+};
+
+/**
+ * Whether the mock provider may be used
+ * @returns {Boolean} - True when ENABLE_MOCK_PAYMENTS=true outside production
+ */
+const isEnabled = () => process.env.ENABLE_MOCK_PAYMENTS === 'true' && process.env.NODE_ENV !== 'production';
+
+/**
+ * Sign a webhook body
+ * @param {String|Buffer} body - Raw request body
+ * @returns {String} - Hex HMAC-SHA256 signature
+ */
+const sign = (body) => crypto.createHmac('sha256', getSecret()).update(body).digest('hex');
+
+/**
+ * Start a payment
+ * @param {Object} params - { payment, order }
+ * @returns {Promise<Object>} - { reference, redirectUrl }
+ */
+const createPayment = async ({ order }) => {
+    const reference = `MOCK-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    return {
+        reference,
+        redirectUrl: `/payment-mock.html?reference=${encodeURIComponent(reference)}&order=${encodeURIComponent(order.orderNumber)}`
+    };
+};
+
+/**
+ * Verify and parse a webhook request
+ * @param {Object} request - { rawBody, headers }
+ * @returns {Object} - { reference, status, amount, raw }
+ */
+const verifyWebhook = ({ rawBody, headers }) => {
+    const signature = String(headers[SIGNATURE_HEADER] || '');
+    const expected = sign(rawBody || '');
+
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        const error = new Error('Invalid webhook signature');
+        error.statusCode = 401;
+        throw error;
+    }
+
+    const payload = JSON.parse(rawBody.toString());
+    return {
+        reference: payload.reference,
+        status: payload.status,
+        amount: payload.amount,
+        raw: payload
+    };
+};
+
+/**
+ * Build the signed webhook the simulated checkout delivers
+ * @param {Object} payload - { reference, status, amount }
+ * @returns {Object} - { rawBody, headers }
+ */
+const buildWebhook = (payload) => {
+    const rawBody = Buffer.from(JSON.stringify(payload));
+    return {
+        rawBody,
+        headers: { [SIGNATURE_HEADER]: sign(rawBody) }
+    };
+};
+
+module.exports = {
+    name: 'mock',
+    flow: 'redirect',
+    isEnabled,
+    createPayment,
+    verifyWebhook,
+    buildWebhook
+};
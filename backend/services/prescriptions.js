@@ -0,0 +1,91 @@
+/**
+ * Prescription Service
+ * Checks and records prescriptions for orders that contain prescription-only (Rx) products
+ */
+
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const Prescription = require('../models/Prescription');
+
+const PRESCRIPTION_FOLDER = 'prescriptions';
+
+/**
+ * Load and validate the uploaded prescription files referenced at checkout
+ * Files already attached to another order's prescription are refused.
+ * @param {Array} fileIds - Media IDs returned by POST /api/prescriptions/upload
+ * @returns {Promise<Array>} - The Media documents
+ */
+const loadPrescriptionFiles = async (fileIds) => {
+    const ids = Array.isArray(fileIds) ? fileIds.filter(Boolean) : [];
+    if (ids.length === 0) {
+        const error = new Error('A prescription is required for prescription-only items. Please upload your prescription.');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        const error = new Error('Invalid prescription file reference');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const files = await Media.find({ _id: { $in: ids }, 'metadata.folder': PRESCRIPTION_FOLDER }).select('-data');
+    if (files.length !== ids.length) {
+        const error = new Error('One or more prescription files could not be found. Please upload them again.');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    // An upload belongs to one order only
+    if (await Prescription.exists({ files: { $in: ids } })) {
+        const error = new Error('One or more prescription files are already attached to another order. Please upload your prescription again.');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return files;
+};
+
+/**
+ * Build the pending prescription review for an order and link it to the order
+ * Call before saving the order; save the returned document once the order is saved.
+ * @param {Object} order - Order document (not yet saved)
+ * @param {Array} files - Media documents from loadPrescriptionFiles
+ * @returns {Object} - The unsaved Prescription document
+ */
+const preparePrescription = (order, files) => {
+    const prescription = new Prescription({
+        order: order._id,
+        files: files.map(file => file._id),
+        user: order.user || undefined,
+        guestEmail: order.guestCustomer?.email || undefined
+    });
+
+    order.prescription = prescription._id;
+    return prescription;
+};
+
+/**
+ * Throw (statusCode 400) unless the order's Rx items are covered by an approved prescription
+ * @param {Object} order - Order document
+ * @returns {Promise<void>}
+ */
+const assertPrescriptionApproved = async (order) => {
+    if (!order.requiresPrescription) {
+        return;
+    }
+
+    const approved = await Prescription.exists({ order: order._id, status: 'approved' });
+    if (!approved) {
+        const error = new Error('This order contains prescription-only items. A pharmacist must approve the prescription before the order can be confirmed.');
+        error.statusCode = 400;
+        throw error;
+    }
+};
+
+module.exports = {
+    PRESCRIPTION_FOLDER,
+    loadPrescriptionFiles,
+    preparePrescription,
+    assertPrescriptionApproved
+};
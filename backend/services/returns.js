@@ -0,0 +1,268 @@
+/**
+ * Returns Service
+ * Validates return requests against delivered orders, restocks received goods and records refunds
+ */
+
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const { releaseStock } = require('./stockReservation');
+
+const RETURN_PHOTO_FOLDER = 'returns';
+const RETURN_WINDOW_DAYS = 14;
+
+const returnError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Throw (statusCode 400) unless the order can still be returned
+ * @param {Object} order - Order document
+ */
+const assertReturnable = (order) => {
+    if (order.status !== 'delivered') {
+        throw returnError('Only delivered orders can be returned');
+    }
+
+    const deliveredAt = order.deliveredAt || order.updatedAt;
+    const deadline = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (new Date() > deadline) {
+        throw returnError(`Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`);
+    }
+};
+
+/**
+ * Amount the customer paid per unit of a line, after product discount and their share of the coupon
+ * @param {Object} order - Order document
+ * @param {Object} orderItem - Line item of the order
+ * @returns {Number}
+ */
+const unitPaidPrice = (order, orderItem) => {
+    const unitPrice = orderItem.price * (1 - (orderItem.discount || 0) / 100);
+    const couponShare = order.subtotal > 0 ? (order.couponDiscount || 0) / order.subtotal : 0;
+    return roundAmount(unitPrice * (1 - couponShare));
+};
+
+/**
+ * Validate requested return lines against the order and earlier returns
+ * @param {Object} order - Order document
+ * @param {Array} requestedItems - Items of shape { orderItemId, quantity, reason }
+ * @returns {Promise<Array>} - ReturnRequest items
+ */
+const buildReturnItems = async (order, requestedItems) => {
+    if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+        throw returnError('Select at least one item to return');
+    }
+
+    // Units already in open or completed returns cannot be returned again
+    const earlierReturns = await ReturnRequest.find({ order: order._id, status: { $ne: 'rejected' } }).select('items');
+    const alreadyReturned = new Map();
+    earlierReturns.forEach(returnRequest => returnRequest.items.forEach(item => {
+        const key = item.orderItem.toString();
+        alreadyReturned.set(key, (alreadyReturned.get(key) || 0) + item.quantity);
+    }));
+
+    const items = [];
+    for (const requested of requestedItems) {
+        const orderItemId = String(requested.orderItemId || '');
+        const orderItem = mongoose.Types.ObjectId.isValid(orderItemId) ? order.items.id(orderItemId) : null;
+        if (!orderItem) {
+            throw returnError('One of the selected items is not part of this order');
+        }
+
+        const quantity = parseInt(requested.quantity, 10);
+        const returnable = orderItem.quantity - (alreadyReturned.get(orderItemId) || 0);
+        if (Number.isNaN(quantity) || quantity < 1 || quantity > returnable) {
+            throw returnError(`You can return at most ${Math.max(returnable, 0)} of this item`);
+        }
+        alreadyReturned.set(orderItemId, (alreadyReturned.get(orderItemId) || 0) + quantity);
+
+        items.push({
+            orderItem: orderItem._id,
+            product: orderItem.product,
+            quantity,
+            reason: requested.reason ? String(requested.reason).trim() : undefined
+        });
+    }
+
+    return items;
+};
+
+/**
+ * Load and validate uploaded return photos
+ * @param {Array} photoIds - Media IDs returned by POST /api/returns/photos
+ * @param {Object} order - Order the return is opened for (the photos must have been uploaded for it)
+ * @returns {Promise<Array>} - Media IDs
+ */
+const loadReturnPhotos = async (photoIds, order) => {
+    const ids = Array.isArray(photoIds) ? photoIds.filter(Boolean) : [];
+    if (ids.length === 0) {
+        return [];
+    }
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw returnError('Invalid photo reference');
+    }
+
+    // Photos are uploaded for one order and can be attached to one return only
+    const photos = await Media.find({
+        _id: { $in: ids },
+        'metadata.folder': RETURN_PHOTO_FOLDER,
+        'metadata.order': order._id
+    }).select('_id');
+    if (photos.length !== ids.length) {
+        throw returnError('One or more photos could not be found. Please upload them again.');
+    }
+    if (await ReturnRequest.exists({ photos: { $in: ids } })) {
+        throw returnError('One or more photos are already attached to another return. Please upload them again.');
+    }
+    return photos.map(photo => photo._id);
+};
+
+/**
+ * Put received items marked for restock back into stock
+ * Batch-tracked lines go back to the batches they were allocated from.
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {Object} order - Order document
+ * @returns {Promise<void>}
+ */
+const restockReturnItems = async (returnRequest, order) => {
+    for (const item of returnRequest.items) {
+        if (!item.restock || item.restocked) {
+            continue;
+        }
+
+        const orderItem = order.items.id(item.orderItem);
+        const batches = [];
+        let remaining = item.quantity;
+        // Latest-expiring allocation first, so the freshest stock is resold
+        const allocations = [...((orderItem && orderItem.batches) || [])]
+            .sort((a, b) => new Date(b.expiryDate) - new Date(a.expiryDate));
+        for (const allocation of allocations) {
+            if (remaining === 0) break;
+            const quantity = Math.min(remaining, allocation.quantity);
+            batches.push({ batch: allocation.batch, quantity });
+            remaining -= quantity;
+        }
+
+        await releaseStock([{ product: item.product, variant: orderItem ? orderItem.variant : undefined, quantity: item.quantity, batches }]);
+        item.restocked = true;
+    }
+};
+
+/**
+ * Record per-line refunds and add them to the order's refunded amount / payment status
+ * A line can be refunded at most what the customer paid for it. Shipping and tax are refunded
+ * with the return that completes a return of every unit of the order.
+ * Only orders that have been paid (online, or cash collected on delivery) can be refunded.
+ * The order is updated straight away, conditional on the refunded amount that was read, so two
+ * returns refunded at the same time cannot overwrite each other (the second gets a 409).
+ * Save the return afterwards and call revertRefund if that fails.
+ * @param {Object} returnRequest - ReturnRequest document (not saved here)
+ * @param {Object} order - Order document (updated in place with the new amount and status)
+ * @param {Array} refunds - Optional overrides of shape { itemId, refundAmount }
+ * @returns {Promise<Number>} - Amount added to the order's refundedAmount
+ */
+const applyRefund = async (returnRequest, order, refunds = []) => {
+    if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+        throw returnError(`This order has not been paid (payment ${order.paymentStatus}), so there is nothing to refund`);
+    }
+
+    const overrides = new Map((refunds || []).map(refund => [String(refund.itemId), refund.refundAmount]));
+
+    let refundTotal = 0;
+    for (const item of returnRequest.items) {
+        const orderItem = order.items.id(item.orderItem);
+        const maxRefund = orderItem ? roundAmount(unitPaidPrice(order, orderItem) * item.quantity) : 0;
+
+        let amount = maxRefund;
+        if (overrides.has(item._id.toString())) {
+            amount = parseFloat(overrides.get(item._id.toString()));
+            if (Number.isNaN(amount) || amount < 0 || amount > maxRefund) {
+                throw returnError(`Refund for a line must be between 0 and Rs. ${maxRefund.toFixed(2)}`);
+            }
+        }
+
+        item.refundAmount = roundAmount(amount);
+        refundTotal += item.refundAmount;
+    }
+
+    // Units refunded by earlier returns plus this one
+    const refundedReturns = await ReturnRequest.find({
+        order: order._id,
+        status: 'refunded',
+        _id: { $ne: returnRequest._id }
+    }).select('items');
+    const returnedUnits = new Map();
+    [...refundedReturns, returnRequest].forEach(refunded => refunded.items.forEach(item => {
+        const key = item.orderItem.toString();
+        returnedUnits.set(key, (returnedUnits.get(key) || 0) + item.quantity);
+    }));
+    const wholeOrderReturned = order.items.every(item => (returnedUnits.get(item._id.toString()) || 0) >= item.quantity);
+
+    returnRequest.chargesRefund = wholeOrderReturned
+        ? roundAmount((order.shippingCost || 0) + (order.tax || 0))
+        : 0;
+    returnRequest.refundTotal = roundAmount(refundTotal + returnRequest.chargesRefund);
+
+    const previousAmount = order.refundedAmount || 0;
+    let refundedAmount = roundAmount(previousAmount + returnRequest.refundTotal);
+    // Per-unit rounding can leave up to a paisa per unit either side of the total on a full refund
+    const orderedUnits = order.items.reduce((sum, item) => sum + item.quantity, 0);
+    if (wholeOrderReturned && Math.abs(order.total - refundedAmount) <= 0.01 * orderedUnits) {
+        refundedAmount = roundAmount(order.total);
+    }
+    refundedAmount = Math.min(refundedAmount, roundAmount(order.total));
+    const paymentStatus = refundedAmount >= roundAmount(order.total) ? 'refunded' : 'partially_refunded';
+
+    const updated = await Order.findOneAndUpdate(
+        {
+            _id: order._id,
+            paymentStatus: order.paymentStatus,
+            // Orders saved before refundedAmount existed have no value stored
+            refundedAmount: previousAmount === 0 ? { $in: [0, null] } : previousAmount
+        },
+        { $set: { refundedAmount, paymentStatus } },
+        { new: true }
+    );
+    if (!updated) {
+        throw returnError('This order was refunded at the same time. Please reload the return and try again.', 409);
+    }
+
+    order.refundedAmount = updated.refundedAmount;
+    order.paymentStatus = updated.paymentStatus;
+    return roundAmount(refundedAmount - previousAmount);
+};
+
+/**
+ * Take a refund applied by applyRefund back off the order (the return could not be saved)
+ * @param {Object} order - Order document
+ * @param {Number} amount - Amount returned by applyRefund
+ * @returns {Promise<void>}
+ */
+const revertRefund = async (order, amount) => {
+    try {
+        await Order.updateOne({ _id: order._id }, [
+            { $set: { refundedAmount: { $max: [0, { $round: [{ $subtract: ['$refundedAmount', amount] }, 2] }] } } },
+            { $set: { paymentStatus: { $cond: [{ $gt: ['$refundedAmount', 0] }, 'partially_refunded', 'paid'] } } }
+        ]);
+    } catch (error) {
+        console.error(`Failed to revert refund of Rs. ${amount} on order ${order._id}:`, error.message);
+    }
+};
+
+module.exports = {
+    RETURN_PHOTO_FOLDER,
+    RETURN_WINDOW_DAYS,
+    assertReturnable,
+    unitPaidPrice,
+    buildReturnItems,
+    loadReturnPhotos,
+    restockReturnItems,
+    applyRefund,
+    revertRefund
+};
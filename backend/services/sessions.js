@@ -0,0 +1,224 @@
+/**
+ * Sessions Service
+ * Short-lived JWT access tokens backed by server-side sessions with rotating refresh tokens
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const SESSION_TTL_DAYS = 1;
+const REMEMBER_SESSION_TTL_DAYS = 30;
+// Two tabs may refresh with the same token at once; the loser's stale token is refused but not treated as theft
+const ROTATION_GRACE_SECONDS = 30;
+
+const authError = (message, statusCode = 401) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const sameHash = (a, b) => !!a && !!b && a.length === b.length &&
+    crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Secret used to sign access tokens
+ * There is deliberately no fallback: tokens signed with a well-known default could be forged by anyone.
+ * @returns {String}
+ */
+const getJwtSecret = () => {
+    if (!process.env.JWT_SECRET) {
+        console.error('JWT_SECRET is not set in environment variables');
+        throw authError('Server configuration error', 500);
+    }
+    return process.env.JWT_SECRET;
+};
+
+const sessionExpiry = (remember) =>
+    new Date(Date.now() + (remember ? REMEMBER_SESSION_TTL_DAYS : SESSION_TTL_DAYS) * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<random>", so the session can be found without indexing the hash
+const newRefreshToken = (session) => `${session._id}.${crypto.randomBytes(32).toString('hex')}`;
+
+const signAccessToken = (user, session) => jwt.sign(
+    { user: { id: user.id, role: user.role }, sid: session.id },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+);
+
+const tokenResponse = (user, session, refreshToken) => ({
+    token: signAccessToken(user, session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId: session.id
+});
+
+/**
+ * Start a session for a user who has just logged in
+ * @param {Object} user - User document
+ * @param {Object} client - { userAgent, ip, remember }
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn, sessionId }
+ */
+const createSession = async (user, { userAgent, ip, remember = false } = {}) => {
+    getJwtSecret();
+
+    const session = new Session({
+        user: user._id,
+        remember: !!remember,
+        userAgent: userAgent ? String(userAgent).slice(0, 300) : undefined,
+        ip,
+        expiresAt: sessionExpiry(remember)
+    });
+    const refreshToken = newRefreshToken(session);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return tokenResponse(user, session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ * Replaying a token that was rotated away (outside the grace period) revokes the whole session.
+ * @param {String} refreshToken - Refresh token from login or the previous refresh
+ * @param {Object} client - { userAgent, ip }
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn, sessionId }
+ */
+const refreshSession = async (refreshToken, { userAgent, ip } = {}) => {
+    const [sessionId] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) {
+        throw authError('Invalid refresh token');
+    }
+
+    const session = await Session.findById(sessionId).select('+refreshTokenHash +previousRefreshTokenHash');
+    if (!session || !session.isActive()) {
+        throw authError('Session has expired. Please log in again.');
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    if (!sameHash(presentedHash, session.refreshTokenHash)) {
+        const replayed = sameHash(presentedHash, session.previousRefreshTokenHash);
+        if (replayed && Date.now() - session.rotatedAt.getTime() > ROTATION_GRACE_SECONDS * 1000) {
+            await revokeSession(session._id, 'refresh_token_reuse');
+            console.warn(`Refresh token reuse detected for session ${session.id}; session revoked`);
+        }
+        throw authError('Invalid refresh token');
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+        await revokeSession(session._id, 'user_inactive');
+        throw authError('Session has expired. Please log in again.');
+    }
+
+    const nextRefreshToken = newRefreshToken(session);
+    // Only rotate if nobody else rotated this token in the meantime
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextRefreshToken),
+                previousRefreshTokenHash: session.refreshTokenHash,
+                rotatedAt: new Date(),
+                lastUsedAt: new Date(),
+                expiresAt: sessionExpiry(session.remember),
+                userAgent: userAgent ? String(userAgent).slice(0, 300) : session.userAgent,
+                ip: ip || session.ip
+            }
+        },
+        { new: true }
+    );
+    if (!rotated) {
+        throw authError('Invalid refresh token');
+    }
+
+    return tokenResponse(user, rotated, nextRefreshToken);
+};
+
+/**
+ * Verify an access token and check that its session is still live
+ * @param {String} token - Access token (x-auth-token header)
+ * @returns {Promise<Object>} - { user: { id, role }, sessionId }
+ */
+const authenticate = async (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, getJwtSecret());
+    } catch (err) {
+        if (err.statusCode) {
+            throw err;
+        }
+        throw authError(err.name === 'TokenExpiredError' ? 'Token has expired' : 'Token is not valid');
+    }
+
+    // Tokens issued before sessions existed carry no sid and are no longer accepted
+    if (!decoded.user || !decoded.sid || !/^[a-f0-9]{24}$/.test(decoded.sid)) {
+        throw authError('Token is not valid');
+    }
+
+    const session = await Session.findById(decoded.sid).select('revokedAt expiresAt');
+    if (!session || !session.isActive()) {
+        throw authError('Session has been revoked. Please log in again.');
+    }
+
+    return { user: decoded.user, sessionId: decoded.sid };
+};
+
+/**
+ * Revoke one session
+ * @param {ObjectId|String} sessionId - Session to revoke
+ * @param {String} reason - Why, e.g. logout
+ * @param {ObjectId|String} userId - When given, only a session belonging to this user is revoked
+ * @returns {Promise<Boolean>} - Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, reason, userId) => {
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) {
+        filter.user = userId;
+    }
+    const result = await Session.updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user, e.g. after deactivation, a role change or a password reset
+ * @param {ObjectId|String} userId - User whose sessions are revoked
+ * @param {String} reason - Why
+ * @param {Object} options - { exceptSessionId } to keep the caller signed in
+ * @returns {Promise<Number>} - Sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, { exceptSessionId } = {}) => {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+};
+
+/**
+ * Active sessions of a user, newest first
+ * @param {ObjectId|String} userId - User
+ * @returns {Promise<Array>}
+ */
+const listUserSessions = (userId) => Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+})
+    .select('userAgent ip remember lastUsedAt expiresAt createdAt')
+    .sort({ lastUsedAt: -1 });
+
+module.exports = {
+    ACCESS_TOKEN_TTL_SECONDS,
+    getJwtSecret,
+    createSession,
+    refreshSession,
+    authenticate,
+    revokeSession,
+    revokeUserSessions,
+    listUserSessions
+};
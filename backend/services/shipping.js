@@ -0,0 +1,102 @@
+/**
+ * Shipping Service
+ * Quotes shipping and tax for a delivery city from the admin-managed shipping zones
+ */
+
+const ShippingZone = require('../models/ShippingZone');
+const Product = require('../models/Product');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Find the zone serving a city, falling back to the default zone
+ * @param {String} city - Delivery city
+ * @returns {Promise<Object|null>} - ShippingZone document, or null when no zone applies
+ */
+const findZoneForCity = async (city) => {
+    const normalizedCity = String(city || '').trim().toLowerCase();
+
+    let zone = null;
+    if (normalizedCity) {
+        zone = await ShippingZone.findOne({ isActive: true, cities: normalizedCity });
+    }
+    if (!zone) {
+        zone = await ShippingZone.findOne({ isActive: true, isDefault: true });
+    }
+    return zone;
+};
+
+/**
+ * Quote shipping and tax for a set of items delivered to a city
+ * Prices (the ordered variant's, for products with variants) and weights are read from the current products, never from the client.
+ * Without a matching zone shipping and tax are 0, as before shipping zones existed.
+ * @param {String} city - Delivery city
+ * @param {Array} items - Items of shape { product, variant, quantity } (product and variant are IDs)
+ * @param {Number} couponDiscount - Coupon discount already taken off the items
+ * @returns {Promise<Object>} - { zone, basis, measure, rate, shippingCost, freeShippingThreshold, freeShippingApplied, amountToFreeShipping, taxRate, tax, subtotal }
+ */
+const quoteShipping = async (city, items = [], couponDiscount = 0) => {
+    const productIds = items.map(item => item.product);
+    const products = await Product.find({ _id: { $in: productIds } }).select('price discount variants weight');
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    let subtotal = 0;
+    let weight = 0;
+    let itemCount = 0;
+    for (const item of items) {
+        const product = productsById.get(String(item.product));
+        const option = product ? product.resolveVariant(item.variant) : null;
+        if (!option) {
+            continue;
+        }
+        const quantity = item.quantity || 1;
+        subtotal += option.price * (1 - (option.discount || 0) / 100) * quantity;
+        weight += (product.weight || 0) * quantity;
+        itemCount += quantity;
+    }
+
+    const goodsTotal = Math.max(0, subtotal - (couponDiscount || 0));
+    const zone = await findZoneForCity(city);
+
+    if (!zone) {
+        return {
+            zone: null,
+            basis: null,
+            measure: 0,
+            rate: 0,
+            shippingCost: 0,
+            freeShippingThreshold: null,
+            freeShippingApplied: false,
+            amountToFreeShipping: 0,
+            taxRate: 0,
+            tax: 0,
+            subtotal: roundAmount(subtotal)
+        };
+    }
+
+    const measure = zone.basis === 'weight' ? roundAmount(weight) : itemCount;
+    const rate = zone.rateFor(measure);
+    const threshold = zone.freeShippingThreshold;
+    const freeShippingApplied = threshold !== undefined && threshold !== null && goodsTotal >= threshold;
+
+    return {
+        zone: { _id: zone._id, name: zone.name },
+        basis: zone.basis,
+        measure,
+        rate,
+        shippingCost: freeShippingApplied ? 0 : rate,
+        freeShippingThreshold: threshold ?? null,
+        freeShippingApplied,
+        amountToFreeShipping: threshold !== undefined && threshold !== null && !freeShippingApplied
+            ? roundAmount(threshold - goodsTotal)
+            : 0,
+        taxRate: zone.taxRate || 0,
+        tax: roundAmount(goodsTotal * (zone.taxRate || 0) / 100),
+        subtotal: roundAmount(subtotal)
+    };
+};
+
+module.exports = {
+    findZoneForCity,
+    quoteShipping
+};
@@ -0,0 +1,203 @@
+/**
+ * Stock Reservation Service
+ * Atomically reserves product stock for all line items of an order
+ * Batch-tracked products are allocated first-expiry-first-out (FEFO) from unexpired batches
+ * Lines for a product variant take the variant's stock as well as the product total
+ */
+
+const Product = require('../models/Product');
+const InventoryBatch = require('../models/InventoryBatch');
+
+/**
+ * Release stock that was previously reserved
+ * Units allocated to a batch that has expired since are not put back - they are no longer sellable,
+ * so a batch-tracked line only returns to product stock what went back into unexpired batches.
+ * @param {Array} reserved - Items of shape { product, variant?, quantity, batches? }
+ * @returns {Promise<void>}
+ */
+const releaseStock = async (reserved = []) => {
+    for (const item of reserved) {
+        try {
+            const allocations = item.batches || [];
+            let restock = allocations.length > 0 ? 0 : item.quantity;
+            for (const allocation of allocations) {
+                const result = await InventoryBatch.updateOne(
+                    { _id: allocation.batch, expiryDate: { $gt: new Date() } },
+                    { $inc: { quantity: allocation.quantity } }
+                );
+                if (result.modifiedCount > 0) {
+                    restock += allocation.quantity;
+                }
+            }
+            if (restock === 0) {
+                continue;
+            }
+            if (item.variant) {
+                await Product.updateOne(
+                    { _id: item.product, 'variants._id': item.variant },
+                    { $inc: { stock: restock, 'variants.$.stock': restock } }
+                );
+            } else {
+                await Product.updateOne(
+                    { _id: item.product },
+                    { $inc: { stock: restock } }
+                );
+            }
+        } catch (error) {
+            // Keep releasing the remaining items - one failure must not strand the rest
+            console.error(`Failed to release stock for product ${item.product}:`, error.message);
+        }
+    }
+};
+
+/**
+ * Take quantity from a product's unexpired batches, earliest expiry first
+ * Each batch decrement is conditional, so concurrent orders cannot overdraw a batch.
+ * @param {ObjectId} productId - Product to allocate
+ * @param {Number} quantity - Units needed
+ * @returns {Promise<Array>} - Allocations of shape { batch, batchNumber, expiryDate, quantity }
+ */
+const allocateBatches = async (productId, quantity) => {
+    const allocations = [];
+    let remaining = quantity;
+
+    try {
+        while (remaining > 0) {
+            const batch = await InventoryBatch.findOne({
+                product: productId,
+                expiryDate: { $gt: new Date() },
+                quantity: { $gt: 0 }
+            }).sort({ expiryDate: 1, receivedAt: 1 });
+
+            if (!batch) {
+                const error = new Error('Not enough unexpired stock');
+                error.statusCode = 409;
+                throw error;
+            }
+
+            const take = Math.min(remaining, batch.quantity);
+            const updated = await InventoryBatch.findOneAndUpdate(
+                { _id: batch._id, quantity: { $gte: take } },
+                { $inc: { quantity: -take } },
+                { new: true }
+            );
+
+            // Another order took from this batch in the meantime - look again
+            if (!updated) {
+                continue;
+            }
+
+            allocations.push({
+                batch: batch._id,
+                batchNumber: batch.batchNumber,
+                expiryDate: batch.expiryDate,
+                quantity: take
+            });
+            remaining -= take;
+        }
+    } catch (error) {
+        for (const allocation of allocations) {
+            await InventoryBatch.updateOne({ _id: allocation.batch }, { $inc: { quantity: allocation.quantity } });
+        }
+        throw error;
+    }
+
+    return allocations;
+};
+
+/**
+ * Reserve stock for every item or for none of them
+ * Each decrement is conditional on stock >= quantity, so concurrent orders can never oversell.
+ * If any item cannot be reserved, everything reserved so far is rolled back.
+ * @param {Array} items - Items of shape { product, variant?, quantity }
+ * @returns {Promise<Array>} - The reserved items, in the same order as items (pass to releaseStock to undo)
+ */
+const reserveStock = async (items = []) => {
+    const reserved = [];
+
+    try {
+        for (const item of items) {
+            const product = await Product.findById(item.product).select('name stock isActive batchTracked variants');
+            if (!product || !product.isActive) {
+                const error = new Error(`Product "${product ? product.name : item.product}" is no longer available`);
+                error.statusCode = 409;
+                throw error;
+            }
+            const option = product.resolveVariant(item.variant);
+            if (!option) {
+                const error = new Error(`The option chosen for "${product.name}" is no longer available`);
+                error.statusCode = 409;
+                throw error;
+            }
+            const name = option.label ? `${product.name} - ${option.label}` : product.name;
+
+            let batches = [];
+            if (product.batchTracked) {
+                try {
+                    batches = await allocateBatches(product._id, item.quantity);
+                } catch (allocationError) {
+                    if (allocationError.statusCode) {
+                        // Product.stock may still count batches that have since expired
+                        await InventoryBatch.syncProductStock(product._id)
+                            .catch(syncError => console.error(`Failed to sync stock for product ${product._id}:`, syncError.message));
+                        allocationError.message = `Not enough stock for "${name}". Requested: ${item.quantity}`;
+                    }
+                    throw allocationError;
+                }
+            }
+
+            const updated = option.variant
+                ? await Product.findOneAndUpdate(
+                    {
+                        _id: item.product,
+                        isActive: true,
+                        variants: { $elemMatch: { _id: option.variant._id, isActive: true, stock: { $gte: item.quantity } } }
+                    },
+                    { $inc: { stock: -item.quantity, 'variants.$.stock': -item.quantity } },
+                    { new: true }
+                )
+                : await Product.findOneAndUpdate(
+                    { _id: item.product, isActive: true, stock: { $gte: item.quantity } },
+                    { $inc: { stock: -item.quantity } },
+                    { new: true }
+                );
+
+            if (!updated) {
+                for (const allocation of batches) {
+                    await InventoryBatch.updateOne({ _id: allocation.batch }, { $inc: { quantity: allocation.quantity } });
+                }
+                const current = await Product.findById(item.product).select('stock variants');
+                const currentOption = current ? current.resolveVariant(item.variant) : null;
+                const error = new Error(`Not enough stock for "${name}". Available: ${currentOption ? currentOption.stock : 0}, Requested: ${item.quantity}`);
+                error.statusCode = 409;
+                throw error;
+            }
+
+            reserved.push({ product: item.product, variant: option.variant ? option.variant._id : undefined, quantity: item.quantity, batches });
+        }
+    } catch (error) {
+        await releaseStock(reserved);
+        throw error;
+    }
+
+    return reserved;
+};
+
+/**
+ * Copy the batch allocations of a reservation onto the order's line items
+ * @param {Object} order - Order document whose items match the reserved items by position
+ * @param {Array} reserved - Result of reserveStock
+ */
+const applyBatchAllocations = (order, reserved) => {
+    reserved.forEach((item, index) => {
+        if (order.items[index] && item.batches.length > 0) {
+            order.items[index].batches = item.batches;
+        }
+    });
+};
+
+module.exports = {
+    reserveStock,
+    releaseStock,
+    applyBatchAllocations
+};
@@ -0,0 +1,89 @@
+/**
+ * Wishlist Service
+ * Describes saved products with their current price and availability, flagging price drops and restocks,
+ * for both account wishlists and the guest wishlist kept in the browser
+ */
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+const MAX_WISHLIST_ITEMS = 200;
+
+const PRODUCT_FIELDS = 'name image imageUpload price discount stock isActive requiresPrescription';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Price the customer pays today
+const currentPrice = (product) => roundAmount(product.price * (1 - (product.discount || 0) / 100));
+
+/**
+ * Snapshot of a product to store with a new wishlist item
+ * @param {Object} product - Product document
+ * @returns {Object} - { priceWhenAdded, inStockWhenAdded }
+ */
+const snapshotProduct = (product) => ({
+    priceWhenAdded: currentPrice(product),
+    inStockWhenAdded: product.stock > 0
+});
+
+/**
+ * Turn guest wishlist entries from the browser into wishlist items
+ * Invalid and repeated product ids are dropped; missing snapshots are left unset (no flags for those).
+ * @param {Array} entries - [{ productId, addedAt, price, inStock }]
+ * @returns {Array} - [{ product, priceWhenAdded, inStockWhenAdded, addedAt }]
+ */
+const parseGuestEntries = (entries) => {
+    const seen = new Set();
+    return (Array.isArray(entries) ? entries : [])
+        .filter(entry => entry && mongoose.Types.ObjectId.isValid(String(entry.productId)))
+        .filter(entry => !seen.has(String(entry.productId)) && seen.add(String(entry.productId)))
+        .slice(0, MAX_WISHLIST_ITEMS)
+        .map(entry => {
+            const addedAt = new Date(entry.addedAt);
+            const price = parseFloat(entry.price);
+            return {
+                product: String(entry.productId),
+                priceWhenAdded: price >= 0 ? price : undefined,
+                inStockWhenAdded: typeof entry.inStock === 'boolean' ? entry.inStock : undefined,
+                addedAt: isNaN(addedAt) || addedAt > new Date() ? new Date() : addedAt
+            };
+        });
+};
+
+/**
+ * Describe wishlist items for display, newest first
+ * Products that were deleted or deactivated are left out.
+ * @param {Array} items - [{ product (id), priceWhenAdded, inStockWhenAdded, addedAt }]
+ * @returns {Promise<Array>} - [{ product, addedAt, priceWhenAdded, currentPrice, inStock, priceDropped, backInStock }]
+ */
+const describeItems = async (items) => {
+    const products = await Product.find({ _id: { $in: items.map(item => item.product) }, isActive: true })
+        .select(PRODUCT_FIELDS)
+        .lean();
+    const productsById = new Map(products.map(product => [String(product._id), product]));
+
+    return items
+        .filter(item => productsById.has(String(item.product)))
+        .map(item => {
+            const product = productsById.get(String(item.product));
+            const price = currentPrice(product);
+            const inStock = product.stock > 0;
+            return {
+                product,
+                addedAt: item.addedAt,
+                priceWhenAdded: item.priceWhenAdded,
+                currentPrice: price,
+                inStock,
+                priceDropped: typeof item.priceWhenAdded === 'number' && price < item.priceWhenAdded,
+                backInStock: item.inStockWhenAdded === false && inStock
+            };
+        })
+        .sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+};
+
+module.exports = {
+    MAX_WISHLIST_ITEMS,
+    snapshotProduct,
+    parseGuestEntries,
+    describeItems
+};
@@ -83,8 +83,41 @@
     // Logout
     $('#logout, #logoutLink').click(function(e) {
         e.preventDefault();
-        localStorage.removeItem('token');
-        window.location.href = 'login.html';
+        window.authSession.logout().then(function() {
+            window.location.href = 'login.html';
+        });
+    });
+    
+    // User roles
+    $('#userRoleSelect').change(function() {
+        showRolePermissions($(this).val());
+    });
+    
+    $('#saveUserRole').click(saveUserRole);
+    
+    // Sessions
+    $('#sessionsLink').click(function(e) {
+        e.preventDefault();
+        loadSessions();
+        $('#sessionsModal').modal('show');
+    });
+    
+    $('#sessions-table').on('click', '.revoke-session', function() {
+        revokeSession($(this).data('id'), $(this).data('current') === true);
+    });
+    
+    $('#revokeOtherSessions').click(function() {
+        if (!confirm('Sign out of all other sessions?')) {
+            return;
+        }
+        $.ajax({ url: '/api/auth/sessions', method: 'DELETE' })
+            .done(function(data) {
+                showAlert(data.message, 'success');
+                loadSessions();
+            })
+            .fail(function(xhr) {
+                showAlert(xhr.responseJSON?.message || 'Error signing out other sessions', 'danger');
+            });
     });
     
     // Department handlers
@@ -114,6 +147,7 @@
     $('#add-product-btn').click(function() {
         resetProductForm();
         loadDepartmentsToSelect('#productDepartment');
+        loadBrandsToSelect('#productBrand');
         $('#productModalTitle').text('Add Product');
         $('#productModal').modal('show');
     });
@@ -122,6 +156,20 @@
         saveProduct();
     });
     
+    $('#addProductVariant').click(function() {
+        $('#productVariantsBody').append(productVariantRow({}));
+        toggleVariantPricing();
+    });
+    
+    $('#productVariantsBody').on('click', '.remove-variant', function() {
+        $(this).closest('tr').remove();
+        toggleVariantPricing();
+    });
+    
+    $('#saveBatch').click(function() {
+        saveBatch();
+    });
+    
     // Toggle custom collection name input
     $('#toggleCustomCollection').click(function() {
         const customInput = $('#productCollectionCustom');
@@ -378,6 +426,40 @@ $('#add-brand-btn').click(function() {
     // Setup brand image preview
     initImageField({ urlInput: '#brandImage', fileInput: '#brandImageFile', preview: '#brandImagePreview' });
     
+    // Coupon handlers
+    $('#add-coupon-btn').click(function() {
+        resetCouponForm();
+        $('#couponModalTitle').text('Add Coupon');
+        $('#couponModal').modal('show');
+    });
+    
+    $('#couponScope').change(function() {
+        loadCouponScopeTargets($(this).val());
+    });
+    
+    $('#saveCoupon').click(function() {
+        saveCoupon();
+    });
+    
+    // Shipping zone handlers
+    $('#add-shipping-zone-btn').click(function() {
+        resetShippingZoneForm();
+        $('#shippingZoneModalTitle').text('Add Shipping Zone');
+        $('#shippingZoneModal').modal('show');
+    });
+    
+    $('#addShippingTierBtn').click(function() {
+        addShippingTierRow();
+    });
+    
+    $('#shippingZoneTiers').on('click', '.remove-shipping-tier', function() {
+        $(this).closest('tr').remove();
+    });
+    
+    $('#saveShippingZone').click(function() {
+        saveShippingZone();
+    });
+    
     // Homepage Section handlers
     $('#add-homepage-section-btn').click(function() {
         resetHomepageSectionForm();
@@ -421,7 +503,8 @@ $('#add-brand-btn').click(function() {
     $('#updateOrderStatusBtn').click(function() {
         const orderId = $(this).data('order-id');
         const currentStatus = $(this).data('current-status');
-        showOrderStatusModal(orderId, currentStatus);
+        const allowedStatuses = $(this).data('allowed-statuses');
+        showOrderStatusModal(orderId, currentStatus, allowedStatuses);
     });
     
     $('#orderStatusSelect').change(function() {
@@ -436,6 +519,80 @@ $('#add-brand-btn').click(function() {
         updateOrderStatus();
     });
     
+    // Invoice / packing slip downloads
+    $('#orderInvoiceBtn').click(function() {
+        downloadFile(`/api/orders/${$(this).data('order-id')}/invoice`, `invoice-${$(this).data('order-number')}.pdf`);
+    });
+    
+    $('#orderPackingSlipBtn').click(function() {
+        downloadFile(`/api/orders/${$(this).data('order-id')}/packing-slip`, `packing-slip-${$(this).data('order-number')}.pdf`);
+    });
+    
+    $('#orderModalBody').on('click', '.shipment-packing-slip', function() {
+        downloadFile(`/api/orders/${$(this).data('order-id')}/packing-slip?shipment=${$(this).data('id')}`, `packing-slip-${$(this).data('number')}.pdf`);
+    });
+    
+    $('#selectAllOrders').change(function() {
+        $('.order-select').prop('checked', $(this).is(':checked'));
+    });
+    
+    $('.print-selected-orders').click(function() {
+        const orderIds = $('.order-select:checked').map(function() { return $(this).val(); }).get();
+        if (orderIds.length === 0) {
+            showAlert('Select the orders to print first', 'warning');
+            return;
+        }
+        const type = $(this).data('type');
+        downloadFile('/api/orders/admin/documents', `${type === 'invoice' ? 'invoices' : 'packing-slips'}.pdf`, { orderIds, type });
+    });
+    
+    // Shipment handlers (the order modal body is re-rendered, so delegate)
+    $('#orderModalBody').on('submit', '#newShipmentForm', function(e) {
+        e.preventDefault();
+        createShipment($(this).data('order-id'));
+    });
+    
+    $('#orderModalBody').on('click', '.update-shipment-status', function() {
+        const status = $(this).data('status');
+        if (status === 'cancelled' && !confirm('Cancel this shipment? Its items can be shipped again later.')) {
+            return;
+        }
+        updateShipment($(this).data('order-id'), $(this).data('id'), { status });
+    });
+    
+    $('#orderModalBody').on('click', '.cancel-unshipped-items', function() {
+        if (!confirm('Cancel every unit that has not shipped yet? Their stock is released and the order total is reduced.')) {
+            return;
+        }
+        cancelUnshippedItems($(this).data('order-id'));
+    });
+    
+    $('#orderModalBody').on('click', '.edit-shipment-tracking', function() {
+        const courier = prompt('Courier:', $(this).data('courier'));
+        if (courier === null) {
+            return;
+        }
+        const trackingNumber = prompt('Tracking number:', $(this).data('tracking'));
+        if (trackingNumber === null) {
+            return;
+        }
+        updateShipment($(this).data('order-id'), $(this).data('id'), { courier: courier.trim(), trackingNumber: trackingNumber.trim() });
+    });
+    
+    // Prescription handlers
+    $('#prescriptionStatusFilter').change(function() {
+        loadPrescriptions(1);
+    });
+    
+    // Return handlers
+    $('#returnStatusFilter').change(function() {
+        loadReturns(1);
+    });
+    
+    $('#saveReturnStatus').click(function() {
+        updateReturnStatus();
+    });
+    
     // Report handlers
     $('#reportPeriod').change(function() {
         if ($(this).val() === 'custom') {
@@ -467,6 +624,20 @@ $('#add-brand-btn').click(function() {
         exportReport();
     });
     
+    $('#abandonedCartPeriod').change(function() {
+        loadAbandonedCartReport();
+    });
+    
+    // Audit log handlers
+    $('#auditFilters').submit(function(e) {
+        e.preventDefault();
+        loadAuditLogs(1);
+    });
+    
+    $('#exportAuditLog').click(function() {
+        downloadFile(`/api/admin/audit-logs/export?${auditLogQuery()}`, `audit-log-${new Date().toISOString().split('T')[0]}.csv`);
+    });
+    
     // Department change handler for product form
     $('#productDepartment').change(function() {
         const departmentId = $(this).val();
@@ -532,25 +703,28 @@ $('#add-brand-btn').click(function() {
 function verifyAdminAccess() {
     $.get('/api/admin/dashboard')
         .done(function(data) {
-            // User is admin, load dashboard
+            // User is staff, load dashboard and show only the sections their role allows
             loadDashboardData();
+            loadCurrentUser();
         })
         .fail(function(xhr) {
             if (xhr.status === 403) {
-                // User is not admin
+                // User is not staff
                 const response = xhr.responseJSON || {};
                 showAlert('Access denied. Admin privileges required. You are logged in as a regular user.', 'danger');
                 
                 // Clear token and redirect after 3 seconds
                 setTimeout(function() {
-                    localStorage.removeItem('token');
-                    window.location.href = '/';
+                    window.authSession.logout().then(function() {
+                        window.location.href = '/';
+                    });
                 }, 3000);
             } else if (xhr.status === 401) {
                 // Token is invalid
                 showAlert('Session expired. Please login again.', 'warning');
                 setTimeout(function() {
                     localStorage.removeItem('token');
+                    localStorage.removeItem('refreshToken');
                     window.location.href = 'login.html';
                 }, 2000);
             } else {
@@ -559,6 +733,29 @@ function verifyAdminAccess() {
         });
 }
 
+// Permissions of the logged-in staff member (from /api/auth/me)
+let currentUserPermissions = [];
+
+function can(permission) {
+    return currentUserPermissions.includes(permission);
+}
+
+function loadCurrentUser() {
+    $.get('/api/auth/me')
+        .done(function(user) {
+            currentUserPermissions = user.permissions || [];
+            $('#userDropdown').html(`<i class="fas fa-user-circle"></i> ${escapeHtml(user.name)}`);
+            
+            // Hide sidebar sections (and other marked controls) the role cannot use
+            $('[data-permission]').each(function() {
+                $(this).toggleClass('d-none', !can($(this).data('permission')));
+            });
+        })
+        .fail(function() {
+            showAlert('Error loading your account', 'danger');
+        });
+}
+
 // Functions to load data
 function loadDashboardData() {
     $.get('/api/admin/dashboard')
@@ -617,8 +814,24 @@ function loadSectionData(sectionId) {
         case 'orders-section':
             loadOrders(1);
             break;
+        case 'prescriptions-section':
+            loadPrescriptions(1);
+            break;
+        case 'returns-section':
+            loadReturns(1);
+            break;
+        case 'coupons-section':
+            loadCoupons();
+            break;
+        case 'shipping-section':
+            loadShippingZones();
+            break;
         case 'reports-section':
             loadReportFilters();
+            loadAbandonedCartReport();
+            break;
+        case 'audit-log-section':
+            loadAuditLogs(1);
             break;
     }
 }
@@ -862,7 +1075,7 @@ function loadProducts(page = 1) {
                         <td>${sectionsDisplay}</td>
                         <td>Rs. ${finalPrice.toFixed(2)}</td>
                         <td>${product.discount}%</td>
-                        <td>${product.stock}</td>
+                        <td>${product.stock}${product.batchTracked ? ' <span class="badge bg-light text-dark" title="Derived from inventory batches">batches</span>' : ''}</td>
                         <td>
                             <span class="badge ${product.isFeatured ? 'bg-primary' : 'bg-secondary'}">
                                 ${product.isFeatured ? 'Featured' : 'Regular'}
@@ -878,6 +1091,9 @@ function loadProducts(page = 1) {
                             <button class="btn btn-sm btn-primary btn-action edit-product" data-id="${product._id}">
                                 <i class="fas fa-edit"></i>
                             </button>
+                            <button class="btn btn-sm btn-info btn-action manage-batches" data-id="${product._id}" data-name="${product.name}" title="Inventory Batches">
+                                <i class="fas fa-boxes"></i>
+                            </button>
                             <button class="btn btn-sm btn-danger btn-action delete-product" data-id="${product._id}">
                                 <i class="fas fa-trash"></i>
                             </button>
@@ -930,6 +1146,10 @@ function loadProducts(page = 1) {
                 deleteProduct(id);
             });
             
+            $('.manage-batches').click(function() {
+                openBatchModal($(this).data('id'), $(this).data('name'));
+            });
+            
             $('.page-link').click(function(e) {
                 e.preventDefault();
                 const page = $(this).data('page');
@@ -988,6 +1208,134 @@ function loadProducts(page = 1) {
         });
 }
 
+// Inventory batch functions
+function openBatchModal(productId, productName) {
+    $('#batchProductId').val(productId);
+    $('#batchModalTitle').text(`Inventory Batches - ${productName}`);
+    $('#batchForm')[0].reset();
+    $('#batchOrders').empty();
+    loadProductBatches(productId);
+    $('#batchModal').modal('show');
+}
+
+function loadProductBatches(productId) {
+    $.get(`/api/admin/inventory/products/${productId}/batches`)
+        .done(function(data) {
+            let html = '';
+            if (!data.batches || data.batches.length === 0) {
+                html = '<tr><td colspan="6" class="text-center text-muted">No batches yet. Stock is managed manually until the first batch is received.</td></tr>';
+            } else {
+                data.batches.forEach(function(batch) {
+                    html += `
+                        <tr class="${batch.isExpired ? 'table-danger' : ''}">
+                            <td>${batch.batchNumber}</td>
+                            <td>${new Date(batch.expiryDate).toLocaleDateString()}${batch.isExpired ? ' <span class="badge bg-danger">Expired</span>' : ''}</td>
+                            <td>${batch.quantity} / ${batch.receivedQuantity ?? batch.quantity}</td>
+                            <td>${new Date(batch.receivedAt).toLocaleDateString()}</td>
+                            <td>
+                                <button class="btn btn-sm btn-secondary btn-action batch-orders" data-id="${batch._id}" title="Orders from this batch (recall)">
+                                    <i class="fas fa-search"></i>
+                                </button>
+                                <button class="btn btn-sm btn-danger btn-action delete-batch" data-id="${batch._id}" title="Delete Batch">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `;
+                });
+            }
+            $('#batchTable').html(html);
+            $('#batchStockTotal').text(data.product.stock);
+            
+            $('.batch-orders').click(function() {
+                loadBatchOrders($(this).data('id'));
+            });
+            
+            $('.delete-batch').click(function() {
+                deleteBatch($(this).data('id'));
+            });
+        })
+        .fail(function() {
+            showAlert('Error loading inventory batches', 'danger');
+        });
+}
+
+async function saveBatch() {
+    const productId = $('#batchProductId').val();
+    if (!$('#batchForm')[0].checkValidity()) {
+        $('#batchForm')[0].reportValidity();
+        return;
+    }
+    
+    try {
+        await $.ajax({
+            url: `/api/admin/inventory/products/${productId}/batches`,
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({
+                batchNumber: $('#batchNumber').val(),
+                expiryDate: $('#batchExpiryDate').val(),
+                quantity: $('#batchQuantity').val(),
+                receivedAt: $('#batchReceivedAt').val() || undefined
+            })
+        });
+        $('#batchForm')[0].reset();
+        showAlert('Batch received', 'success');
+        loadProductBatches(productId);
+        loadProducts($('#products-pagination .page-item.active .page-link').data('page') || 1);
+    } catch (error) {
+        console.error('Error saving batch', error);
+        showAlert(error.responseJSON?.message || 'Error saving batch', 'danger');
+    }
+}
+
+function deleteBatch(id) {
+    if (!confirm('Are you sure you want to delete this batch?')) {
+        return;
+    }
+    
+    $.ajax({
+        url: `/api/admin/inventory/batches/${id}`,
+        method: 'DELETE'
+    })
+    .done(function() {
+        showAlert('Batch deleted successfully', 'success');
+        loadProductBatches($('#batchProductId').val());
+        loadProducts($('#products-pagination .page-item.active .page-link').data('page') || 1);
+    })
+    .fail(function(error) {
+        showAlert(error.responseJSON?.message || 'Error deleting batch', 'danger');
+    });
+}
+
+function loadBatchOrders(batchId) {
+    $.get(`/api/admin/inventory/batches/${batchId}/orders`)
+        .done(function(data) {
+            if (!data.orders || data.orders.length === 0) {
+                $('#batchOrders').html(`<p class="text-muted">No orders have received units from batch ${data.batch.batchNumber}.</p>`);
+                return;
+            }
+            const rows = data.orders.map(order => `
+                <tr>
+                    <td>${order.orderNumber}</td>
+                    <td>${order.customer.name || 'Unknown'}<br><small class="text-muted">${order.customer.email || ''} ${order.customer.phone || ''}</small></td>
+                    <td>${order.quantity}</td>
+                    <td><span class="badge ${getStatusClass(order.status)}">${order.status}</span></td>
+                </tr>
+            `).join('');
+            $('#batchOrders').html(`
+                <h6>Orders from batch ${data.batch.batchNumber}</h6>
+                <table class="table table-sm">
+                    <thead><tr><th>Order</th><th>Customer</th><th>Qty</th><th>Status</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `);
+        })
+        .fail(function() {
+            showAlert('Error loading batch orders', 'danger');
+        });
+}
+
 function loadSliders() {
     $.get('/api/admin/sliders')
         .done(function(sliders) {
@@ -1166,9 +1514,22 @@ function loadSections() {
 }
 */
 
+// Role definitions from /api/admin/roles, loaded with the users list
+let staffRoles = [];
+
+function roleLabel(role) {
+    const definition = staffRoles.find(r => r.name === role);
+    return definition ? definition.label : role;
+}
+
 function loadUsers(page) {
-    $.get(`/api/admin/users?page=${page}`)
-        .done(function(data) {
+    const rolesRequest = staffRoles.length ? $.Deferred().resolve().promise() : $.get('/api/admin/roles').done(function(data) {
+        staffRoles = data.roles;
+    });
+    
+    $.when(rolesRequest, $.get(`/api/admin/users?page=${page}`))
+        .done(function(rolesResult, usersResult) {
+            const data = usersResult[0];
             let html = '';
             
             data.users.forEach(function(user) {
@@ -1178,8 +1539,8 @@ function loadUsers(page) {
                         <td>${user.email}</td>
                         <td>${user.phone || 'N/A'}</td>
                         <td>
-                            <span class="badge ${user.role === 'admin' ? 'bg-danger' : 'bg-primary'}">
-                                ${user.role}
+                            <span class="badge ${user.role === 'admin' ? 'bg-danger' : user.role === 'user' ? 'bg-primary' : 'bg-info text-dark'}">
+                                ${escapeHtml(roleLabel(user.role))}
                             </span>
                         </td>
                         <td>
@@ -1188,7 +1549,7 @@ function loadUsers(page) {
                             </span>
                         </td>
                         <td>
-                            <button class="btn btn-sm btn-primary btn-action edit-user" data-id="${user._id}">
+                            <button class="btn btn-sm btn-primary btn-action edit-user ${can('users:manage') ? '' : 'd-none'}" data-id="${user._id}" title="Role and status">
                                 <i class="fas fa-edit"></i>
                             </button>
                             <button class="btn btn-sm btn-danger btn-action delete-user" data-id="${user._id}">
@@ -1225,7 +1586,7 @@ function loadUsers(page) {
             // Add event handlers
             $('.edit-user').click(function() {
                 const id = $(this).data('id');
-                editUser(id);
+                editUser(data.users.find(user => user._id === id));
             });
             
             $('.delete-user').click(function() {
@@ -1253,7 +1614,7 @@ function loadOrders(page) {
             let html = '';
             
             if (!data.orders || data.orders.length === 0) {
-                html = '<tr><td colspan="7" class="text-center">No orders found</td></tr>';
+                html = '<tr><td colspan="8" class="text-center">No orders found</td></tr>';
             } else {
                 data.orders.forEach(function(order) {
                     // Handle both user orders and guest orders
@@ -1266,6 +1627,7 @@ function loadOrders(page) {
                     
                     html += `
                         <tr>
+                            <td><input class="form-check-input order-select" type="checkbox" value="${order._id}" aria-label="Select order ${order.orderNumber || order._id}"></td>
                             <td>${order.orderNumber || order._id}</td>
                             <td>${customerName}<br><small class="text-muted">${customerEmail}</small></td>
                             <td>${date}</td>
@@ -1278,7 +1640,7 @@ function loadOrders(page) {
                                 <button class="btn btn-sm btn-primary btn-action view-order" data-id="${order._id}" title="View Order">
                                     <i class="fas fa-eye"></i>
                                 </button>
-                                <button class="btn btn-sm btn-success btn-action update-status-btn" data-id="${order._id}" data-status="${order.status}" title="Update Status">
+                                <button class="btn btn-sm btn-success btn-action update-status-btn" data-id="${order._id}" data-status="${order.status}" data-allowed-statuses="${(order.allowedStatuses || []).join(',')}" title="Update Status">
                                     <i class="fas fa-edit"></i>
                                 </button>
                             </td>
@@ -1288,6 +1650,7 @@ function loadOrders(page) {
             }
             
             $('#orders-table').html(html);
+            $('#selectAllOrders').prop('checked', false);
             
             // Add pagination
             let paginationHtml = '';
@@ -1320,7 +1683,8 @@ function loadOrders(page) {
             $('.update-status-btn').click(function() {
                 const id = $(this).data('id');
                 const status = $(this).data('status');
-                showOrderStatusModal(id, status);
+                const allowedStatuses = String($(this).data('allowed-statuses') || '').split(',').filter(Boolean);
+                showOrderStatusModal(id, status, allowedStatuses);
             });
             
             $('.page-link').click(function(e) {
@@ -1339,6 +1703,7 @@ function getStatusClass(status) {
         'pending': 'bg-warning',
         'confirmed': 'bg-info',
         'processing': 'bg-primary',
+        'partially_shipped': 'bg-secondary',
         'shipped': 'bg-secondary',
         'delivered': 'bg-success',
         'cancelled': 'bg-danger'
@@ -1352,12 +1717,16 @@ async function viewOrder(id) {
         
         let itemsHtml = '';
         order.items.forEach(item => {
-            const productName = item.product ? item.product.name : 'Unknown Product';
+            const productName = (item.product ? item.product.name : 'Unknown Product') +
+                (item.variantName ? ` - ${escapeHtml(item.variantName)}` : '') +
+                (item.requiresPrescription ? ' <span class="badge bg-warning text-dark">Rx</span>' : '') +
+                (item.sku ? `<br><small class="text-muted">SKU: ${escapeHtml(item.sku)}</small>` : '');
+            const batchInfo = (item.batches || []).map(b => `${b.batchNumber} &times; ${b.quantity}`).join(', ');
             const itemTotal = item.subtotal || (item.price * item.quantity * (1 - (item.discount || 0) / 100));
             itemsHtml += `
                 <tr>
-                    <td>${productName}</td>
-                    <td>${item.quantity}</td>
+                    <td>${productName}${batchInfo ? `<br><small class="text-muted">Batch: ${batchInfo}</small>` : ''}</td>
+                    <td>${item.quantity}${item.cancelledQuantity ? ` <small class="text-muted">(${item.cancelledQuantity} cancelled)</small>` : ''}</td>
                     <td>Rs. ${item.price.toFixed(2)}</td>
                     <td>${item.discount || 0}%</td>
                     <td>Rs. ${itemTotal.toFixed(2)}</td>
@@ -1404,6 +1773,9 @@ async function viewOrder(id) {
             <p>${order.shippingAddress.country || ''}</p>
         ` : '<p>No shipping address provided</p>';
         
+        const historyHtml = renderOrderTimeline(order.statusHistory);
+        const shipmentsHtml = renderOrderShipments(order);
+        
         const orderHtml = `
             <div class="row">
                 <div class="col-md-6">
@@ -1413,6 +1785,8 @@ async function viewOrder(id) {
                     <p><strong>Status:</strong> <span class="badge ${getStatusClass(order.status)}">${order.status}</span></p>
                     <p><strong>Payment Method:</strong> ${order.paymentMethod || 'N/A'}</p>
                     <p><strong>Payment Status:</strong> ${order.paymentStatus || 'N/A'}</p>
+                    ${order.refundedAmount > 0 ? `<p><strong>Refunded:</strong> Rs. ${order.refundedAmount.toFixed(2)}</p>` : ''}
+                    ${order.requiresPrescription ? `<p><strong>Prescription:</strong> <span class="badge ${order.prescription?.status === 'approved' ? 'bg-success' : (order.prescription?.status === 'rejected' ? 'bg-danger' : 'bg-warning')}">${order.prescription?.status || 'missing'}</span></p>` : ''}
                 </div>
                 <div class="col-md-6">
                     <h6>Customer Information</h6>
@@ -1439,15 +1813,29 @@ async function viewOrder(id) {
             </table>
             <div class="text-end">
                 <p><strong>Subtotal:</strong> Rs. ${order.subtotal.toFixed(2)}</p>
-                <p><strong>Shipping:</strong> Rs. ${(order.shippingCost || 0).toFixed(2)}</p>
+                ${order.couponDiscount ? `<p class="text-success"><strong>Coupon (${order.couponCode}):</strong> - Rs. ${order.couponDiscount.toFixed(2)}</p>` : ''}
+                <p><strong>Shipping:</strong> Rs. ${(order.shippingCost || 0).toFixed(2)}${order.shippingZone ? ` <small class="text-muted">(${order.shippingZone})</small>` : ''}</p>
                 <p><strong>Tax:</strong> Rs. ${(order.tax || 0).toFixed(2)}</p>
                 <h5><strong>Total: Rs. ${order.total.toFixed(2)}</strong></h5>
             </div>
+            <hr>
+            <h6>Shipments</h6>
+            ${shipmentsHtml}
+            <hr>
+            <h6>Status History</h6>
+            ${historyHtml}
         `;
         
         $('#orderModalBody').html(orderHtml);
         $('#confirmOrderBtn').data('order-id', order._id);
-        $('#updateOrderStatusBtn').data('order-id', order._id).data('current-status', order.status);
+        $('#orderInvoiceBtn, #orderPackingSlipBtn').data('order-id', order._id).data('order-number', order.orderNumber);
+        $('#updateOrderStatusBtn').data('order-id', order._id).data('current-status', order.status).data('allowed-statuses', order.allowedStatuses || []);
+        
+        if (order.allowedStatuses && order.allowedStatuses.length > 0) {
+            $('#updateOrderStatusBtn').show();
+        } else {
+            $('#updateOrderStatusBtn').hide();
+        }
         
         if (order.status === 'pending') {
             $('#confirmOrderBtn').show();
@@ -1462,11 +1850,226 @@ async function viewOrder(id) {
     }
 }
 
-function showOrderStatusModal(orderId, currentStatus) {
+// Downloads (PDFs, CSV exports) need the admin token, so fetch them and save the blob (POST when a body is given)
+async function downloadFile(url, filename, body) {
+    try {
+        const response = await fetch(url, {
+            method: body ? 'POST' : 'GET',
+            headers: Object.assign(
+                { 'x-auth-token': localStorage.getItem('token') },
+                body ? { 'Content-Type': 'application/json' } : {}
+            ),
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.message || `HTTP ${response.status}`);
+        }
+        const blobUrl = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = blobUrl;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 10000);
+    } catch (error) {
+        console.error('Error downloading file', error);
+        showAlert(error.message || 'Error downloading file', 'danger');
+    }
+}
+
+// Render an order's shipments, with a form to ship the units not yet in a shipment
+function renderOrderShipments(order) {
+    const itemNames = {};
+    order.items.forEach(item => {
+        itemNames[item._id] = (item.product ? item.product.name : 'Unknown Product') + (item.variantName ? ` - ${item.variantName}` : '');
+    });
+    
+    let html = '';
+    if (!order.shipments || order.shipments.length === 0) {
+        html += '<p class="text-muted">No shipments yet</p>';
+    } else {
+        html += `
+            <table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th>Shipment</th>
+                        <th>Items</th>
+                        <th>Courier / Tracking</th>
+                        <th>Status</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${order.shipments.map(shipment => `
+                        <tr>
+                            <td>${shipment.shipmentNumber}</td>
+                            <td>${shipment.items.map(item => `${itemNames[item.orderItem] || 'Unknown Product'} &times; ${item.quantity}`).join('<br>')}</td>
+                            <td>
+                                ${shipment.courier || '-'}
+                                ${shipment.trackingNumber ? `<br><small>${shipment.trackingUrl ? `<a href="${shipment.trackingUrl}" target="_blank" rel="noopener">${shipment.trackingNumber}</a>` : shipment.trackingNumber}</small>` : ''}
+                            </td>
+                            <td><span class="badge ${getStatusClass(shipment.status)}">${shipment.status}</span></td>
+                            <td>
+                                <button class="btn btn-sm btn-outline-secondary btn-action shipment-packing-slip" data-order-id="${order._id}" data-id="${shipment._id}"
+                                    data-number="${shipment.shipmentNumber}" title="Packing slip">
+                                    <i class="fas fa-box"></i>
+                                </button>
+                                <button class="btn btn-sm btn-outline-secondary btn-action edit-shipment-tracking" data-order-id="${order._id}" data-id="${shipment._id}"
+                                    data-courier="${shipment.courier || ''}" data-tracking="${shipment.trackingNumber || ''}" title="Edit tracking">
+                                    <i class="fas fa-edit"></i>
+                                </button>
+                                ${shipment.allowedStatuses.map(status => `
+                                    <button class="btn btn-sm ${status === 'cancelled' ? 'btn-outline-danger' : 'btn-outline-primary'} update-shipment-status"
+                                        data-order-id="${order._id}" data-id="${shipment._id}" data-status="${status}">
+                                        ${status === 'shipped' ? 'Mark shipped' : (status === 'delivered' ? 'Mark delivered' : 'Cancel')}
+                                    </button>
+                                `).join('')}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    const unshipped = order.items.filter(item => (order.unshippedQuantities || {})[item._id] > 0);
+    if (['confirmed', 'processing', 'partially_shipped'].includes(order.status) && unshipped.length > 0) {
+        html += `
+            <form id="newShipmentForm" class="border rounded p-2" data-order-id="${order._id}">
+                <strong class="d-block mb-2">New Shipment</strong>
+                ${unshipped.map(item => `
+                    <div class="row g-2 align-items-center mb-1">
+                        <div class="col-8">${itemNames[item._id]} <small class="text-muted">(${order.unshippedQuantities[item._id]} left)</small></div>
+                        <div class="col-4">
+                            <input type="number" class="form-control form-control-sm new-shipment-qty" data-id="${item._id}"
+                                min="0" max="${order.unshippedQuantities[item._id]}" value="${order.unshippedQuantities[item._id]}"
+                                aria-label="Quantity to ship">
+                        </div>
+                    </div>
+                `).join('')}
+                <div class="row g-2 mt-1">
+                    <div class="col-md-4"><input type="text" class="form-control form-control-sm" id="newShipmentCourier" placeholder="Courier"></div>
+                    <div class="col-md-4"><input type="text" class="form-control form-control-sm" id="newShipmentTracking" placeholder="Tracking number"></div>
+                    <div class="col-md-4"><button type="submit" class="btn btn-sm btn-primary w-100">Create Shipment</button></div>
+                </div>
+            </form>
+        `;
+    }
+    
+    // Units that can no longer be fulfilled are cancelled so their stock goes back on sale
+    if (order.status === 'partially_shipped' && unshipped.length > 0) {
+        html += `
+            <button type="button" class="btn btn-sm btn-outline-danger mt-2 cancel-unshipped-items" data-order-id="${order._id}">
+                Cancel Unshipped Items
+            </button>
+        `;
+    }
+    
+    return html;
+}
+
+async function createShipment(orderId) {
+    const items = $('.new-shipment-qty').map(function() {
+        return { orderItemId: $(this).data('id'), quantity: parseInt($(this).val(), 10) || 0 };
+    }).get().filter(item => item.quantity > 0);
+    
+    if (items.length === 0) {
+        showAlert('Enter a quantity for at least one item', 'warning');
+        return;
+    }
+    
+    try {
+        await $.ajax({
+            url: `/api/orders/${orderId}/shipments`,
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({
+                items,
+                courier: $('#newShipmentCourier').val().trim(),
+                trackingNumber: $('#newShipmentTracking').val().trim()
+            })
+        });
+        showAlert('Shipment created', 'success');
+        viewOrder(orderId);
+    } catch (error) {
+        console.error('Error creating shipment', error);
+        showAlert(error.responseJSON?.message || 'Error creating shipment', 'danger');
+    }
+}
+
+async function cancelUnshippedItems(orderId) {
+    try {
+        await $.ajax({
+            url: `/api/orders/${orderId}/cancel-unshipped`,
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({})
+        });
+        showAlert('Unshipped items cancelled', 'success');
+        viewOrder(orderId);
+        loadOrders(1);
+    } catch (error) {
+        console.error('Error cancelling unshipped items', error);
+        showAlert(error.responseJSON?.message || 'Error cancelling unshipped items', 'danger');
+    }
+}
+
+async function updateShipment(orderId, shipmentId, changes) {
+    try {
+        await $.ajax({
+            url: `/api/orders/${orderId}/shipments/${shipmentId}`,
+            method: 'PUT',
+            contentType: 'application/json',
+            data: JSON.stringify(changes)
+        });
+        showAlert('Shipment updated', 'success');
+        viewOrder(orderId);
+        loadOrders(1);
+    } catch (error) {
+        console.error('Error updating shipment', error);
+        showAlert(error.responseJSON?.message || 'Error updating shipment', 'danger');
+    }
+}
+
+// Render an order's statusHistory as a vertical timeline (oldest first)
+function renderOrderTimeline(history) {
+    if (!history || history.length === 0) {
+        return '<p class="text-muted">No status changes recorded</p>';
+    }
+    
+    const entries = history.map(entry => {
+        const actorName = entry.actor && entry.actor.name ? entry.actor.name : (entry.actorRole || 'system');
+        return `
+            <li class="order-timeline-item">
+                <span class="badge ${getStatusClass(entry.status)}">${entry.status}</span>
+                ${entry.from ? `<small class="text-muted">from ${entry.from}</small>` : ''}
+                <div class="small text-muted">${new Date(entry.changedAt).toLocaleString()} &middot; ${actorName}</div>
+                ${entry.note ? `<div class="small">${entry.note}</div>` : ''}
+            </li>
+        `;
+    }).join('');
+    
+    return `<ul class="order-timeline">${entries}</ul>`;
+}
+
+function showOrderStatusModal(orderId, currentStatus, allowedStatuses) {
+    if (!allowedStatuses || allowedStatuses.length === 0) {
+        showAlert(`Order is ${currentStatus} - its status can no longer be changed`, 'warning');
+        return;
+    }
+    
+    // Only offer the transitions the server allows from the current status
+    $('#orderStatusSelect').html(allowedStatuses.map(status => `
+        <option value="${status}">${status.charAt(0).toUpperCase() + status.slice(1)}</option>
+    `).join(''));
+    
     $('#orderStatusId').val(orderId);
-    $('#orderStatusSelect').val(currentStatus);
+    $('#orderStatusSelect').val(allowedStatuses[0]);
     $('#cancelledReason').val('');
-    if (currentStatus === 'cancelled') {
+    $('#orderStatusNote').val('');
+    if (allowedStatuses[0] === 'cancelled') {
         $('#cancelledReasonDiv').show();
     } else {
         $('#cancelledReasonDiv').hide();
@@ -1486,7 +2089,7 @@ async function confirmOrder(orderId) {
         loadOrders(1);
     } catch (error) {
         console.error('Error confirming order', error);
-        showAlert('Error confirming order', 'danger');
+        showAlert(error.responseJSON?.message || 'Error confirming order', 'danger');
     }
 }
 
@@ -1494,13 +2097,14 @@ async function updateOrderStatus() {
     const orderId = $('#orderStatusId').val();
     const status = $('#orderStatusSelect').val();
     const cancelledReason = $('#cancelledReason').val();
+    const note = $('#orderStatusNote').val();
     
     try {
         await $.ajax({
             url: `/api/orders/${orderId}/status`,
             method: 'PUT',
             contentType: 'application/json',
-            data: JSON.stringify({ status, cancelledReason })
+            data: JSON.stringify({ status, cancelledReason, note })
         });
         
         $('#orderStatusModal').modal('hide');
@@ -1509,7 +2113,346 @@ async function updateOrderStatus() {
         loadOrders(1);
     } catch (error) {
         console.error('Error updating order status', error);
-        showAlert('Error updating order status', 'danger');
+        showAlert(error.responseJSON?.message || 'Error updating order status', 'danger');
+    }
+}
+
+function loadPrescriptions(page) {
+    const status = $('#prescriptionStatusFilter').val() || 'pending';
+    
+    $.get(`/api/prescriptions/admin?page=${page}&limit=20&status=${status}`)
+        .done(function(data) {
+            let html = '';
+            
+            if (!data.prescriptions || data.prescriptions.length === 0) {
+                html = '<tr><td colspan="7" class="text-center">No prescriptions found</td></tr>';
+            } else {
+                data.prescriptions.forEach(function(rx) {
+                    const order = rx.order || {};
+                    const customer = order.user || order.guestCustomer || {};
+                    const rxItems = (order.items || [])
+                        .filter(item => item.requiresPrescription)
+                        .map(item => `${item.product ? item.product.name : 'Unknown Product'} &times; ${item.quantity}`)
+                        .join('<br>');
+                    const files = (rx.files || []).map(file => `
+                        <a href="#" class="view-prescription-file d-block" data-id="${file._id}">
+                            <i class="fas ${file.mimeType === 'application/pdf' ? 'fa-file-pdf' : 'fa-file-image'}"></i> ${file.originalName}
+                        </a>
+                    `).join('');
+                    const statusClass = rx.status === 'approved' ? 'bg-success' : (rx.status === 'rejected' ? 'bg-danger' : 'bg-warning');
+                    
+                    html += `
+                        <tr>
+                            <td>${order.orderNumber || 'N/A'}</td>
+                            <td>${customer.name || 'Unknown'}<br><small class="text-muted">${customer.email || ''}</small></td>
+                            <td>${rxItems || '-'}</td>
+                            <td>${files}</td>
+                            <td>${new Date(rx.createdAt).toLocaleString()}</td>
+                            <td>
+                                <span class="badge ${statusClass}">${rx.status}</span>
+                                ${rx.reviewNote ? `<br><small class="text-muted">${rx.reviewNote}</small>` : ''}
+                            </td>
+                            <td>
+                                ${rx.status === 'pending' ? `
+                                    <button class="btn btn-sm btn-success btn-action review-prescription" data-id="${rx._id}" data-status="approved" title="Approve">
+                                        <i class="fas fa-check"></i>
+                                    </button>
+                                    <button class="btn btn-sm btn-danger btn-action review-prescription" data-id="${rx._id}" data-status="rejected" title="Reject">
+                                        <i class="fas fa-times"></i>
+                                    </button>
+                                ` : (rx.reviewedBy ? `<small class="text-muted">by ${rx.reviewedBy.name}</small>` : '')}
+                            </td>
+                        </tr>
+                    `;
+                });
+            }
+            
+            $('#prescriptions-table').html(html);
+            
+            // Add pagination
+            let paginationHtml = '';
+            if (data.totalPages > 1) {
+                for (let i = 1; i <= data.totalPages; i++) {
+                    paginationHtml += `
+                        <li class="page-item ${i === data.currentPage ? 'active' : ''}">
+                            <a class="page-link" href="#" data-page="${i}">${i}</a>
+                        </li>
+                    `;
+                }
+            }
+            $('#prescriptions-pagination').html(paginationHtml);
+            
+            // Add event handlers
+            $('.view-prescription-file').click(function(e) {
+                e.preventDefault();
+                viewPrescriptionFile($(this).data('id'));
+            });
+            
+            $('.review-prescription').click(function() {
+                reviewPrescription($(this).data('id'), $(this).data('status'));
+            });
+            
+            $('#prescriptions-pagination .page-link').click(function(e) {
+                e.preventDefault();
+                loadPrescriptions($(this).data('page'));
+            });
+        })
+        .fail(function() {
+            showAlert('Error loading prescriptions', 'danger');
+        });
+}
+
+// Prescription files require the admin token, so fetch them and open a blob URL
+async function viewPrescriptionFile(mediaId) {
+    try {
+        const response = await fetch(`/api/prescriptions/files/${mediaId}`, {
+            headers: { 'x-auth-token': localStorage.getItem('token') }
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const blob = await response.blob();
+        window.open(URL.createObjectURL(blob), '_blank');
+    } catch (error) {
+        console.error('Error loading prescription file', error);
+        showAlert('Error loading prescription file', 'danger');
+    }
+}
+
+async function reviewPrescription(id, status) {
+    let note = '';
+    if (status === 'rejected') {
+        note = prompt('Reason for rejecting this prescription:');
+        if (!note) {
+            return;
+        }
+    } else if (!confirm('Approve this prescription?')) {
+        return;
+    }
+    
+    try {
+        await $.ajax({
+            url: `/api/prescriptions/${id}/review`,
+            method: 'PUT',
+            contentType: 'application/json',
+            data: JSON.stringify({ status, note })
+        });
+        showAlert(`Prescription ${status}`, 'success');
+        loadPrescriptions(1);
+    } catch (error) {
+        console.error('Error reviewing prescription', error);
+        showAlert(error.responseJSON?.message || 'Error reviewing prescription', 'danger');
+    }
+}
+
+const RETURN_STATUS_CLASSES = {
+    requested: 'bg-warning',
+    approved: 'bg-info',
+    received: 'bg-primary',
+    refunded: 'bg-success',
+    rejected: 'bg-danger'
+};
+
+function loadReturns(page) {
+    const status = $('#returnStatusFilter').val() || 'requested';
+    
+    $.get(`/api/returns/admin?page=${page}&limit=20&status=${status}`)
+        .done(function(data) {
+            let html = '';
+            
+            if (!data.returns || data.returns.length === 0) {
+                html = '<tr><td colspan="7" class="text-center">No returns found</td></tr>';
+            } else {
+                data.returns.forEach(function(ret) {
+                    const order = ret.order || {};
+                    const customer = order.user || order.guestCustomer || {};
+                    const items = (ret.items || [])
+                        .map(item => `${item.product ? item.product.name : 'Unknown Product'} &times; ${item.quantity}`)
+                        .join('<br>');
+                    
+                    html += `
+                        <tr>
+                            <td>${ret.returnNumber}</td>
+                            <td>${order.orderNumber || 'N/A'}</td>
+                            <td>${customer.name || 'Unknown'}<br><small class="text-muted">${customer.email || ret.guestEmail || ''}</small></td>
+                            <td>${items || '-'}</td>
+                            <td>${new Date(ret.createdAt).toLocaleString()}</td>
+                            <td>
+                                <span class="badge ${RETURN_STATUS_CLASSES[ret.status] || 'bg-secondary'}">${ret.status}</span>
+                                ${ret.status === 'refunded' ? `<br><small class="text-muted">Rs. ${ret.refundTotal.toFixed(2)}</small>` : ''}
+                            </td>
+                            <td>
+                                <button class="btn btn-sm btn-info btn-action view-return" data-id="${ret._id}" title="Process">
+                                    <i class="fas fa-eye"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `;
+                });
+            }
+            
+            $('#returns-table').html(html);
+            
+            // Add pagination
+            let paginationHtml = '';
+            if (data.totalPages > 1) {
+                for (let i = 1; i <= data.totalPages; i++) {
+                    paginationHtml += `
+                        <li class="page-item ${i === data.currentPage ? 'active' : ''}">
+                            <a class="page-link" href="#" data-page="${i}">${i}</a>
+                        </li>
+                    `;
+                }
+            }
+            $('#returns-pagination').html(paginationHtml);
+            
+            // Add event handlers
+            $('.view-return').click(function() {
+                viewReturn($(this).data('id'));
+            });
+            
+            $('#returns-pagination .page-link').click(function(e) {
+                e.preventDefault();
+                loadReturns($(this).data('page'));
+            });
+        })
+        .fail(function() {
+            showAlert('Error loading returns', 'danger');
+        });
+}
+
+function viewReturn(id) {
+    $.get(`/api/returns/${id}`)
+        .done(function(ret) {
+            const order = ret.order || {};
+            // Restock flags are set when the goods arrive, refund amounts when the return is refunded
+            const canSetRestock = ret.allowedStatuses.includes('received');
+            const canSetRefund = ret.allowedStatuses.includes('refunded');
+            
+            $('#returnId').val(ret._id);
+            $('#returnModalTitle').text(`Return ${ret.returnNumber}`);
+            $('#returnDetails').html(`
+                <div class="row mb-3">
+                    <div class="col-md-6">
+                        <p><strong>Order:</strong> ${order.orderNumber || 'N/A'}</p>
+                        <p><strong>Status:</strong> <span class="badge ${RETURN_STATUS_CLASSES[ret.status] || 'bg-secondary'}">${ret.status}</span></p>
+                        <p><strong>Reason:</strong> ${ret.reason}</p>
+                        ${ret.comments ? `<p><strong>Comments:</strong> ${ret.comments}</p>` : ''}
+                    </div>
+                    <div class="col-md-6">
+                        <p><strong>Order Total:</strong> Rs. ${(order.total || 0).toFixed(2)}</p>
+                        <p><strong>Refunded So Far:</strong> Rs. ${(order.refundedAmount || 0).toFixed(2)}</p>
+                        <p><strong>Payment Status:</strong> ${order.paymentStatus || 'N/A'}</p>
+                    ${order.refundedAmount > 0 ? `<p><strong>Refunded:</strong> Rs. ${order.refundedAmount.toFixed(2)}</p>` : ''}
+                        ${ret.status === 'refunded' ? `<p><strong>Refund Total:</strong> Rs. ${ret.refundTotal.toFixed(2)}</p>` : ''}
+                    </div>
+                </div>
+            `);
+            
+            $('#returnItems').html(ret.items.map(item => `
+                <tr>
+                    <td>${item.product ? item.product.name : 'Unknown Product'}</td>
+                    <td>${item.quantity} of ${item.orderedQuantity}</td>
+                    <td>${item.reason || '-'}</td>
+                    <td>
+                        <input class="form-check-input return-item-restock" type="checkbox" data-id="${item._id}"
+                            ${item.restock ? 'checked' : ''} ${canSetRestock ? '' : 'disabled'}>
+                        ${item.restocked ? '<small class="text-success">restocked</small>' : ''}
+                    </td>
+                    <td>
+                        ${canSetRefund ? `
+                            <input type="number" class="form-control form-control-sm return-item-refund" data-id="${item._id}"
+                                min="0" max="${item.maxRefund}" step="0.01" value="${item.maxRefund.toFixed(2)}">
+                        ` : (ret.status === 'refunded' ? item.refundAmount.toFixed(2) : `up to ${item.maxRefund.toFixed(2)}`)}
+                    </td>
+                </tr>
+            `).join(''));
+            
+            const photos = (ret.photos || []).map(photo => `
+                <a href="#" class="view-return-photo me-3" data-id="${photo._id}">
+                    <i class="fas fa-file-image"></i> ${photo.originalName}
+                </a>
+            `).join('');
+            $('#returnPhotos').html(photos ? `<strong>Photos:</strong> ${photos}` : '');
+            
+            $('#returnHistory').html(`
+                <strong>History:</strong>
+                <ul class="list-unstyled small mb-0">
+                    ${(ret.history || []).map(entry => `
+                        <li>${new Date(entry.changedAt).toLocaleString()} - ${entry.status}${entry.actor ? ` by ${entry.actor.name}` : ''}${entry.note ? `: ${entry.note}` : ''}</li>
+                    `).join('')}
+                </ul>
+            `);
+            
+            const statusOptions = ret.allowedStatuses.map(status => `<option value="${status}">${status}</option>`).join('');
+            $('#returnStatus').html(statusOptions);
+            $('#returnNote').val('');
+            $('#returnActions').toggle(ret.allowedStatuses.length > 0);
+            $('#saveReturnStatus').toggle(ret.allowedStatuses.length > 0);
+            
+            $('.view-return-photo').click(function(e) {
+                e.preventDefault();
+                viewReturnPhoto($(this).data('id'));
+            });
+            
+            $('#returnModal').modal('show');
+        })
+        .fail(function(xhr) {
+            showAlert(xhr.responseJSON?.message || 'Error loading return', 'danger');
+        });
+}
+
+// Return photos require the admin token, so fetch them and open a blob URL
+async function viewReturnPhoto(mediaId) {
+    try {
+        const response = await fetch(`/api/returns/photos/${mediaId}`, {
+            headers: { 'x-auth-token': localStorage.getItem('token') }
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const blob = await response.blob();
+        window.open(URL.createObjectURL(blob), '_blank');
+    } catch (error) {
+        console.error('Error loading return photo', error);
+        showAlert('Error loading return photo', 'danger');
+    }
+}
+
+async function updateReturnStatus() {
+    const id = $('#returnId').val();
+    const status = $('#returnStatus').val();
+    const note = $('#returnNote').val().trim();
+    
+    if (status === 'rejected' && !note) {
+        showAlert('Please provide a reason for rejecting the return', 'warning');
+        return;
+    }
+    
+    let items = [];
+    if (status === 'received') {
+        items = $('.return-item-restock').map(function() {
+            return { itemId: $(this).data('id'), restock: $(this).is(':checked') };
+        }).get();
+    } else if (status === 'refunded') {
+        items = $('.return-item-refund').map(function() {
+            return { itemId: $(this).data('id'), refundAmount: parseFloat($(this).val()) || 0 };
+        }).get();
+    }
+    
+    try {
+        await $.ajax({
+            url: `/api/returns/${id}/status`,
+            method: 'PUT',
+            contentType: 'application/json',
+            data: JSON.stringify({ status, note, items })
+        });
+        $('#returnModal').modal('hide');
+        showAlert(`Return ${status}`, 'success');
+        loadReturns($('#returns-pagination .page-item.active .page-link').data('page') || 1);
+    } catch (error) {
+        console.error('Error updating return', error);
+        showAlert(error.responseJSON?.message || 'Error updating return', 'danger');
     }
 }
 
@@ -1666,6 +2609,41 @@ function exportReport() {
     window.URL.revokeObjectURL(url);
 }
 
+async function loadAbandonedCartReport() {
+    try {
+        const report = await $.get(`/api/admin/reports/abandoned-carts?period=${$('#abandonedCartPeriod').val()}`);
+        const summary = report.summary;
+        
+        $('#abandonedCartCount').text(summary.abandoned);
+        $('#abandonedCartValue').text('Rs. ' + summary.abandonedValue.toFixed(2));
+        $('#abandonmentRate').text(summary.abandonmentRate + '%');
+        $('#abandonedOrdersPlaced').text(`${summary.ordersPlaced} orders placed`);
+        $('#abandonedCartEmailed').text(summary.emailed);
+        $('#abandonedCartRestored').text(`${summary.restored} links opened`);
+        $('#cartRecoveryRate').text(summary.recoveryRate + '%');
+        $('#cartRecoveredRevenue').text(`${summary.recovered} orders, Rs. ${summary.recoveredRevenue.toFixed(2)}`);
+        $('#abandonedCartSettings').text(`Carts count as abandoned after ${report.settings.abandonedAfterHours} idle hours; ` +
+            (report.settings.discountPercent > 0
+                ? `reminders offer a one-time ${report.settings.discountPercent}% discount.`
+                : 'reminders offer no discount.'));
+        
+        const rows = report.recent.map(entry => `
+            <tr>
+                <td>${new Date(entry.abandonedAt).toLocaleString()}</td>
+                <td>${escapeHtml(entry.email || 'Guest (no email)')}</td>
+                <td>Rs. ${(entry.cartValue || 0).toFixed(2)}</td>
+                <td>${entry.emailedAt ? new Date(entry.emailedAt).toLocaleString() : '-'}</td>
+                <td>${entry.restoredAt ? new Date(entry.restoredAt).toLocaleString() : '-'}</td>
+                <td>${entry.order ? `${escapeHtml(entry.order.orderNumber)} (Rs. ${(entry.orderTotal || 0).toFixed(2)})` : '-'}</td>
+            </tr>
+        `).join('');
+        $('#abandonedCartTable').html(rows || '<tr><td colspan="6" class="text-center">No abandoned carts</td></tr>');
+    } catch (error) {
+        console.error('Error loading abandoned cart report', error);
+        showAlert('Error loading abandoned cart report', 'danger');
+    }
+}
+
 // Helper functions
 function loadDepartmentsToSelect(selectId, options = {}) {
     const { includeInactive = false, selectedId } = options;
@@ -1697,6 +2675,33 @@ function loadDepartmentsToSelect(selectId, options = {}) {
     );
 }
 
+function loadBrandsToSelect(selectId, options = {}) {
+    const { selectedId } = options;
+
+    return $.get('/api/admin/brands').then(
+        function (brands = []) {
+            let html = '<option value="">No Brand</option>';
+
+            brands.forEach(function (brand) {
+                const label = brand.isActive !== false ? brand.name : `${brand.name} (inactive)`;
+                html += `<option value="${brand._id}">${label}</option>`;
+            });
+
+            $(selectId).html(html);
+
+            if (selectedId) {
+                $(selectId).val(String(selectedId));
+            }
+
+            return brands;
+        },
+        function () {
+            $(selectId).html('<option value="">Unable to load brands</option>');
+            return [];
+        }
+    );
+}
+
 function loadCategoriesToSelect(selectId, departmentId, options = {}) {
     const { selectedId } = options;
 
@@ -1752,6 +2757,8 @@ function resetCategoryForm() {
 function resetProductForm() {
     $('#productForm')[0].reset();
     $('#productId').val('');
+    $('#productStock').data('batchTracked', false);
+    renderProductVariants([]);
     $('#productImageFile').val('');
     $('#productImageFileId').val('');
     // Clear section checkboxes
@@ -1759,6 +2766,76 @@ function resetProductForm() {
     setImagePreview('#productImagePreview', null);
     $('#productDepartment').html('<option value="">Select Department</option>');
     $('#productCategory').html('<option value="">Select Department First</option>');
+    $('#productBrand').html('<option value="">No Brand</option>');
+}
+
+// Product variants (pack size, strength, shade): one editable row per variant
+function productVariantRow(variant) {
+    const attributes = (variant.attributes || []).map(attribute => `${attribute.name}: ${attribute.value}`).join(', ');
+    const $row = $(`
+        <tr>
+            <td><input type="text" class="form-control form-control-sm variant-attributes" placeholder="Size: 200ml"></td>
+            <td><input type="text" class="form-control form-control-sm variant-sku"></td>
+            <td><input type="text" class="form-control form-control-sm variant-barcode"></td>
+            <td><input type="number" class="form-control form-control-sm variant-price" min="0" step="0.01"></td>
+            <td><input type="number" class="form-control form-control-sm variant-discount" min="0" max="100" step="1"></td>
+            <td><input type="number" class="form-control form-control-sm variant-stock" min="0" step="1"></td>
+            <td><input type="text" class="form-control form-control-sm variant-images" placeholder="https://..."></td>
+            <td class="text-center"><input type="checkbox" class="form-check-input variant-active"></td>
+            <td><button type="button" class="btn btn-sm btn-outline-danger remove-variant" title="Remove variant"><i class="fas fa-trash"></i></button></td>
+        </tr>
+    `);
+    $row.data('variantId', variant._id || '');
+    $row.find('.variant-attributes').val(attributes);
+    $row.find('.variant-sku').val(variant.sku || '');
+    $row.find('.variant-barcode').val(variant.barcode || '');
+    $row.find('.variant-price').val(variant.price !== undefined ? variant.price : '');
+    $row.find('.variant-discount').val(variant.discount || 0);
+    $row.find('.variant-stock').val(variant.stock !== undefined ? variant.stock : '');
+    $row.find('.variant-images').val((variant.images || []).join(', '));
+    $row.find('.variant-active').prop('checked', variant.isActive !== false);
+    return $row;
+}
+
+function renderProductVariants(variants) {
+    $('#productVariantsBody').empty().append((variants || []).map(productVariantRow));
+    toggleVariantPricing();
+}
+
+// With variants the product price, discount and stock follow the variants, so they are not edited directly
+function toggleVariantPricing() {
+    const hasVariants = $('#productVariantsBody tr').length > 0;
+    $('#productPrice, #productDiscount').prop('readonly', hasVariants);
+    $('#productStock').prop('readonly', hasVariants || !!$('#productStock').data('batchTracked'));
+}
+
+// Variants from the form rows; throws an Error naming the first incomplete row
+function collectProductVariants() {
+    return $('#productVariantsBody tr').map(function(index) {
+        const $row = $(this);
+        const attributes = ($row.find('.variant-attributes').val() || '').split(',')
+            .map(pair => pair.split(':'))
+            .filter(parts => parts.length >= 2)
+            .map(parts => ({ name: parts[0].trim(), value: parts.slice(1).join(':').trim() }))
+            .filter(attribute => attribute.name && attribute.value);
+        const variant = {
+            attributes: attributes,
+            sku: ($row.find('.variant-sku').val() || '').trim(),
+            barcode: ($row.find('.variant-barcode').val() || '').trim(),
+            price: $row.find('.variant-price').val(),
+            discount: $row.find('.variant-discount').val() || 0,
+            stock: $row.find('.variant-stock').val(),
+            images: ($row.find('.variant-images').val() || '').split(',').map(url => url.trim()).filter(Boolean),
+            isActive: $row.find('.variant-active').is(':checked')
+        };
+        if ($row.data('variantId')) {
+            variant._id = $row.data('variantId');
+        }
+        if (attributes.length === 0 || !variant.sku || variant.price === '' || variant.stock === '') {
+            throw new Error(`Variant ${index + 1} needs attributes (e.g. "Size: 200ml"), a SKU, a price and stock`);
+        }
+        return variant;
+    }).get();
 }
 
 function resetSliderForm() {
@@ -1959,6 +3036,15 @@ async function saveProduct() {
         const priceInput = $('#productPrice').val()?.trim();
         const stockInput = $('#productStock').val()?.trim();
         
+        let variants;
+        try {
+            variants = collectProductVariants();
+        } catch (variantError) {
+            showAlert(variantError.message, 'warning');
+            return;
+        }
+        const hasVariants = variants.length > 0;
+        
         if (!name) {
             showAlert('Product name is required', 'warning');
             return;
@@ -1974,30 +3060,30 @@ async function saveProduct() {
             return;
         }
         
-        if (!priceInput) {
+        if (!priceInput && !hasVariants) {
             showAlert('Product price is required', 'warning');
             return;
         }
         
-        const price = parseFloat(priceInput);
-        if (Number.isNaN(price) || price < 0) {
+        const price = hasVariants ? undefined : parseFloat(priceInput);
+        if (!hasVariants && (Number.isNaN(price) || price < 0)) {
             showAlert('Product price must be a valid number greater than or equal to 0', 'warning');
             return;
         }
         
-        if (!stockInput) {
+        if (!stockInput && !hasVariants) {
             showAlert('Stock quantity is required', 'warning');
             return;
         }
         
-        const stock = parseInt(stockInput, 10);
-        if (Number.isNaN(stock) || stock < 0) {
+        const stock = hasVariants ? undefined : parseInt(stockInput, 10);
+        if (!hasVariants && (Number.isNaN(stock) || stock < 0)) {
             showAlert('Stock quantity must be a valid number greater than or equal to 0', 'warning');
             return;
         }
         
         const discountInput = $('#productDiscount').val()?.trim();
-        const discount = discountInput ? parseFloat(discountInput) : 0;
+        const discount = discountInput && !hasVariants ? parseFloat(discountInput) : 0;
         if (Number.isNaN(discount) || discount < 0 || discount > 100) {
             showAlert('Discount must be a number between 0 and 100', 'warning');
             return;
@@ -2017,15 +3103,19 @@ async function saveProduct() {
             name: name,
             price: price,
             category: category,
+            brand: $('#productBrand').val() || '',
             description: description,
             stock: stock,
             discount: discount,
+            weight: $('#productWeight').val() || 0,
             isFeatured: $('#productFeatured').is(':checked'),
             isTrending: $('#productTrending').is(':checked'),
             isNewArrival: $('#productNewArrival').is(':checked'),
             isBestSelling: $('#productBestSelling').is(':checked'),
             isTopSelling: $('#productTopSelling').is(':checked'),
+            requiresPrescription: $('#productRequiresPrescription').is(':checked'),
             sections: selectedSections,
+            variants: variants,
             isActive: $('#productActive').is(':checked')
         };
 
@@ -2548,13 +3638,16 @@ async function editProduct(id) {
         $('#productDescription').val(product.description || '');
         $('#productImage').val(product.image || '');
         $('#productImageFileId').val(product.imageUpload ? product.imageUpload._id : '');
-        $('#productStock').val(product.stock);
+        $('#productStock').val(product.stock).data('batchTracked', !!product.batchTracked);
+        renderProductVariants(product.variants || []);
         $('#productDiscount').val(product.discount);
+        $('#productWeight').val(product.weight || 0);
         $('#productFeatured').prop('checked', product.isFeatured);
         $('#productTrending').prop('checked', product.isTrending);
         $('#productNewArrival').prop('checked', product.isNewArrival);
         $('#productBestSelling').prop('checked', product.isBestSelling || false);
         $('#productTopSelling').prop('checked', product.isTopSelling || false);
+        $('#productRequiresPrescription').prop('checked', product.requiresPrescription || false);
         // Populate sections checkboxes
         $('.product-section-checkbox').prop('checked', false);
         if (product.sections && Array.isArray(product.sections)) {
@@ -2573,6 +3666,9 @@ async function editProduct(id) {
         await loadCategoriesToSelect('#productCategory', departmentId, { selectedId: categoryId });
         $('#productCategory').val(categoryId);
 
+        const brandId = product.brand ? (product.brand._id || product.brand) : '';
+        await loadBrandsToSelect('#productBrand', { selectedId: brandId });
+
         $('#productModalTitle').text('Edit Product');
         $('#productModal').modal('show');
     } catch (error) {
@@ -2691,9 +3787,48 @@ async function editSection(id) {
 }
 */
 
-function editUser(id) {
-    // This would be implemented in a real application
-    showAlert('Edit user functionality not implemented', 'info');
+function editUser(user) {
+    if (!user) return;
+    
+    $('#userRoleId').val(user._id);
+    $('#userRoleName').text(user.name);
+    $('#userRoleEmail').text(user.email);
+    $('#userRoleSelect').html(staffRoles.map(role =>
+        `<option value="${role.name}" ${role.name === user.role ? 'selected' : ''}>${escapeHtml(role.label)}</option>`
+    ).join(''));
+    $('#userActiveSwitch').prop('checked', user.isActive);
+    showRolePermissions(user.role);
+    $('#userRoleModal').modal('show');
+}
+
+function showRolePermissions(roleName) {
+    const role = staffRoles.find(r => r.name === roleName);
+    $('#userRoleDescription').text(role ? role.description : '');
+    $('#userRolePermissions').html(role && role.permissions.length
+        ? role.permissions.map(permission => `<li><code>${escapeHtml(permission)}</code></li>`).join('')
+        : '<li class="text-muted">No admin access</li>');
+}
+
+function saveUserRole() {
+    const id = $('#userRoleId').val();
+    
+    $.ajax({
+        url: `/api/admin/users/${id}`,
+        method: 'PUT',
+        contentType: 'application/json',
+        data: JSON.stringify({
+            role: $('#userRoleSelect').val(),
+            isActive: $('#userActiveSwitch').is(':checked')
+        })
+    })
+        .done(function() {
+            $('#userRoleModal').modal('hide');
+            showAlert('User updated successfully', 'success');
+            loadUsers(1);
+        })
+        .fail(function(xhr) {
+            showAlert(xhr.responseJSON?.message || 'Error updating user', 'danger');
+        });
 }
 
 
@@ -2831,7 +3966,7 @@ function loadBrands() {
                             <td>${brand.order || 0}</td>
                             <td><img src="${imageUrl}" alt="${brand.name}" style="max-width: 80px; max-height: 50px; object-fit: contain;" onerror="console.error('Failed to load brand image:', '${imageUrl}'); this.src='${IMAGE_PLACEHOLDER}';"></td>
                             <td>${brand.name}</td>
-                            <td>${brand.link ? `<a href="${brand.link}" target="_blank">${brand.link}</a>` : '-'}</td>
+                            <td>${brand.slug ? `<a href="/brand/${brand.slug}" target="_blank">/brand/${brand.slug}</a>` : '-'}</td>
                             <td><span class="badge ${brand.isActive ? 'bg-success' : 'bg-secondary'}">${brand.isActive ? 'Active' : 'Inactive'}</span></td>
                             <td>
                                 <button class="btn btn-sm btn-primary edit-brand" data-id="${brand._id}">
@@ -2897,7 +4032,7 @@ function editBrand(id) {
             $('#brandId').val(brand._id);
             $('#brandName').val(brand.name);
             $('#brandAlt').val(brand.alt || '');
-            $('#brandLink').val(brand.link || '');
+            $('#brandSlug').val(brand.slug || '');
             $('#brandOrder').val(brand.order || 0);
             $('#brandActive').prop('checked', brand.isActive !== false);
             $('#brandImage').val(brand.image || '');
@@ -2938,7 +4073,7 @@ async function saveBrand() {
         const payload = {
             name: name,
             alt: $('#brandAlt').val()?.trim() || undefined,
-            link: $('#brandLink').val()?.trim() || undefined,
+            slug: $('#brandSlug').val()?.trim() || '',
             order: parseInt($('#brandOrder').val() || '0', 10),
             isActive: $('#brandActive').is(':checked')
         };
@@ -3025,6 +4160,370 @@ function deleteBrand(id) {
     }
 }
 
+// Coupon functions
+function loadCoupons() {
+    $.get('/api/admin/coupons')
+        .done(function(coupons) {
+            let html = '';
+            if (!coupons || coupons.length === 0) {
+                html = '<tr><td colspan="8" class="text-center text-muted">No coupons found. Click "Add Coupon" to create one.</td></tr>';
+            }
+            
+            const now = new Date();
+            (coupons || []).forEach(function(coupon) {
+                const discount = coupon.discountType === 'percentage'
+                    ? `${coupon.value}%${coupon.maxDiscount ? ` (max Rs. ${coupon.maxDiscount})` : ''}`
+                    : `Rs. ${coupon.value}`;
+                const scopeCount = ({ department: coupon.departments, category: coupon.categories, product: coupon.products, brand: coupon.brands }[coupon.scope] || []).length;
+                const scope = coupon.scope === 'all' ? 'Whole cart' : `${scopeCount} ${coupon.scope}(s)`;
+                const validity = [
+                    coupon.startsAt ? `from ${new Date(coupon.startsAt).toLocaleDateString()}` : '',
+                    coupon.expiresAt ? `until ${new Date(coupon.expiresAt).toLocaleDateString()}` : ''
+                ].filter(Boolean).join(' ') || 'Always';
+                const expired = coupon.expiresAt && new Date(coupon.expiresAt) <= now;
+                
+                html += `
+                    <tr>
+                        <td><strong>${coupon.code}</strong>${coupon.description ? `<br><small class="text-muted">${coupon.description}</small>` : ''}</td>
+                        <td>${discount}</td>
+                        <td>${scope}</td>
+                        <td>${coupon.minOrderValue ? `Rs. ${coupon.minOrderValue}` : '-'}</td>
+                        <td>${coupon.usedCount || 0}${coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''}${coupon.perCustomerLimit ? `<br><small class="text-muted">${coupon.perCustomerLimit} per customer</small>` : ''}</td>
+                        <td>${validity}</td>
+                        <td><span class="badge ${expired ? 'bg-warning text-dark' : (coupon.isActive ? 'bg-success' : 'bg-secondary')}">${expired ? 'Expired' : (coupon.isActive ? 'Active' : 'Inactive')}</span></td>
+                        <td>
+                            <button class="btn btn-sm btn-primary btn-action edit-coupon" data-id="${coupon._id}">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button class="btn btn-sm btn-danger btn-action delete-coupon" data-id="${coupon._id}">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `;
+            });
+            
+            $('#coupons-table').html(html);
+            
+            $('.edit-coupon').click(function() {
+                editCoupon($(this).data('id'));
+            });
+            
+            $('.delete-coupon').click(function() {
+                deleteCoupon($(this).data('id'));
+            });
+        })
+        .fail(function() {
+            showAlert('Error loading coupons', 'danger');
+        });
+}
+
+// Fill the scope target list (departments, categories, products or brands) for a coupon scope
+function loadCouponScopeTargets(scope, selectedIds = []) {
+    const sources = {
+        department: { url: '/api/admin/departments', list: data => data },
+        category: { url: '/api/admin/categories', list: data => data },
+        product: { url: '/api/admin/products?limit=1000&includeInactive=true', list: data => data.products || [] },
+        brand: { url: '/api/admin/brands', list: data => data }
+    };
+    const source = sources[scope];
+    
+    if (!source) {
+        $('#couponScopeTargets').empty();
+        $('#couponScopeTargetsField').hide();
+        return $.Deferred().resolve().promise();
+    }
+    
+    $('#couponScopeTargetsField').show();
+    $('#couponScopeTargets').html('<option disabled>Loading...</option>');
+    
+    return $.get(source.url)
+        .done(function(data) {
+            const selected = selectedIds.map(String);
+            const html = source.list(data).map(item => {
+                const label = item.department && item.department.name ? `${item.name} (${item.department.name})` : item.name;
+                return `<option value="${item._id}" ${selected.includes(String(item._id)) ? 'selected' : ''}>${label}</option>`;
+            }).join('');
+            $('#couponScopeTargets').html(html);
+        })
+        .fail(function() {
+            $('#couponScopeTargets').empty();
+            showAlert(`Error loading ${scope} list`, 'danger');
+        });
+}
+
+// datetime-local inputs need local time without seconds or zone
+function toDateTimeLocal(value) {
+    if (!value) {
+        return '';
+    }
+    const date = new Date(value);
+    const offsetDate = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return offsetDate.toISOString().slice(0, 16);
+}
+
+function resetCouponForm() {
+    $('#couponForm')[0].reset();
+    $('#couponId').val('');
+    $('#couponActive').prop('checked', true);
+    loadCouponScopeTargets('all');
+}
+
+function editCoupon(id) {
+    $.get(`/api/admin/coupons/${id}`)
+        .done(function(coupon) {
+            resetCouponForm();
+            $('#couponId').val(coupon._id);
+            $('#couponCode').val(coupon.code);
+            $('#couponDescription').val(coupon.description || '');
+            $('#couponDiscountType').val(coupon.discountType);
+            $('#couponValue').val(coupon.value);
+            $('#couponMaxDiscount').val(coupon.maxDiscount ?? '');
+            $('#couponMinOrderValue').val(coupon.minOrderValue || 0);
+            $('#couponUsageLimit').val(coupon.usageLimit ?? '');
+            $('#couponPerCustomerLimit').val(coupon.perCustomerLimit ?? '');
+            $('#couponStartsAt').val(toDateTimeLocal(coupon.startsAt));
+            $('#couponExpiresAt').val(toDateTimeLocal(coupon.expiresAt));
+            $('#couponScope').val(coupon.scope || 'all');
+            $('#couponActive').prop('checked', coupon.isActive !== false);
+            
+            const selectedIds = { department: coupon.departments, category: coupon.categories, product: coupon.products, brand: coupon.brands }[coupon.scope] || [];
+            loadCouponScopeTargets(coupon.scope, selectedIds);
+            
+            $('#couponModalTitle').text('Edit Coupon');
+            $('#couponModal').modal('show');
+        })
+        .fail(function() {
+            showAlert('Error loading coupon', 'danger');
+        });
+}
+
+async function saveCoupon() {
+    const id = $('#couponId').val();
+    const method = id ? 'PUT' : 'POST';
+    const url = id ? `/api/admin/coupons/${id}` : '/api/admin/coupons';
+    
+    if (!$('#couponForm')[0].checkValidity()) {
+        $('#couponForm')[0].reportValidity();
+        return;
+    }
+    
+    const scope = $('#couponScope').val();
+    const startsAt = $('#couponStartsAt').val();
+    const expiresAt = $('#couponExpiresAt').val();
+    const payload = {
+        code: $('#couponCode').val().trim(),
+        description: $('#couponDescription').val().trim(),
+        discountType: $('#couponDiscountType').val(),
+        value: $('#couponValue').val(),
+        maxDiscount: $('#couponMaxDiscount').val(),
+        minOrderValue: $('#couponMinOrderValue').val(),
+        usageLimit: $('#couponUsageLimit').val(),
+        perCustomerLimit: $('#couponPerCustomerLimit').val(),
+        startsAt: startsAt ? new Date(startsAt).toISOString() : '',
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : '',
+        scope: scope,
+        isActive: $('#couponActive').is(':checked')
+    };
+    
+    const scopeField = { department: 'departments', category: 'categories', product: 'products', brand: 'brands' }[scope];
+    if (scopeField) {
+        payload[scopeField] = $('#couponScopeTargets').val() || [];
+    }
+    
+    try {
+        await $.ajax({
+            url,
+            method,
+            contentType: 'application/json',
+            data: JSON.stringify(payload)
+        });
+        
+        $('#couponModal').modal('hide');
+        showAlert(id ? 'Coupon updated successfully' : 'Coupon added successfully', 'success');
+        loadCoupons();
+    } catch (error) {
+        console.error('Error saving coupon', error);
+        showAlert(error.responseJSON?.message || 'Error saving coupon', 'danger');
+    }
+}
+
+function deleteCoupon(id) {
+    if (!confirm('Are you sure you want to delete this coupon?')) {
+        return;
+    }
+    
+    $.ajax({
+        url: `/api/admin/coupons/${id}`,
+        method: 'DELETE'
+    })
+    .done(function(response) {
+        showAlert(response.message || 'Coupon deleted successfully', 'success');
+        loadCoupons();
+    })
+    .fail(function(error) {
+        showAlert(error.responseJSON?.message || 'Error deleting coupon', 'danger');
+    });
+}
+
+// Shipping zone functions
+function loadShippingZones() {
+    $.get('/api/admin/shipping/zones')
+        .done(function(zones) {
+            let html = '';
+            if (!zones || zones.length === 0) {
+                html = '<tr><td colspan="7" class="text-center text-muted">No shipping zones yet. Shipping is free until a zone is added.</td></tr>';
+            }
+            
+            (zones || []).forEach(function(zone) {
+                const unit = zone.basis === 'weight' ? 'kg' : 'items';
+                const rates = (zone.tiers || []).map(tier => tier.upTo !== undefined && tier.upTo !== null
+                    ? `up to ${tier.upTo} ${unit}: Rs. ${tier.rate}`
+                    : `above: Rs. ${tier.rate}`).join('<br>');
+                const cities = zone.isDefault
+                    ? `<span class="badge bg-info text-dark">Default</span> ${(zone.cities || []).join(', ')}`
+                    : (zone.cities || []).join(', ');
+                
+                html += `
+                    <tr>
+                        <td>${zone.name}</td>
+                        <td>${cities || '-'}</td>
+                        <td><small>${rates}</small></td>
+                        <td>${zone.freeShippingThreshold !== undefined && zone.freeShippingThreshold !== null ? `Rs. ${zone.freeShippingThreshold}` : '-'}</td>
+                        <td>${zone.taxRate || 0}%</td>
+                        <td><span class="badge ${zone.isActive ? 'bg-success' : 'bg-secondary'}">${zone.isActive ? 'Active' : 'Inactive'}</span></td>
+                        <td>
+                            <button class="btn btn-sm btn-primary btn-action edit-shipping-zone" data-id="${zone._id}">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button class="btn btn-sm btn-danger btn-action delete-shipping-zone" data-id="${zone._id}">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `;
+            });
+            
+            $('#shipping-zones-table').html(html);
+            
+            $('.edit-shipping-zone').click(function() {
+                editShippingZone($(this).data('id'));
+            });
+            
+            $('.delete-shipping-zone').click(function() {
+                deleteShippingZone($(this).data('id'));
+            });
+        })
+        .fail(function() {
+            showAlert('Error loading shipping zones', 'danger');
+        });
+}
+
+function addShippingTierRow(tier = {}) {
+    $('#shippingZoneTiers').append(`
+        <tr>
+            <td><input type="number" class="form-control form-control-sm shipping-tier-upto" min="0" step="0.01" value="${tier.upTo ?? ''}" placeholder="No limit"></td>
+            <td><input type="number" class="form-control form-control-sm shipping-tier-rate" min="0" step="0.01" value="${tier.rate ?? ''}" required></td>
+            <td><button type="button" class="btn btn-sm btn-outline-danger remove-shipping-tier"><i class="fas fa-times"></i></button></td>
+        </tr>
+    `);
+}
+
+function resetShippingZoneForm() {
+    $('#shippingZoneForm')[0].reset();
+    $('#shippingZoneId').val('');
+    $('#shippingZoneActive').prop('checked', true);
+    $('#shippingZoneTiers').empty();
+    addShippingTierRow();
+}
+
+function editShippingZone(id) {
+    $.get(`/api/admin/shipping/zones/${id}`)
+        .done(function(zone) {
+            resetShippingZoneForm();
+            $('#shippingZoneId').val(zone._id);
+            $('#shippingZoneName').val(zone.name);
+            $('#shippingZoneDefault').prop('checked', !!zone.isDefault);
+            $('#shippingZoneCities').val((zone.cities || []).join(', '));
+            $('#shippingZoneBasis').val(zone.basis || 'items');
+            $('#shippingZoneFreeThreshold').val(zone.freeShippingThreshold ?? '');
+            $('#shippingZoneTaxRate').val(zone.taxRate || 0);
+            $('#shippingZoneActive').prop('checked', zone.isActive !== false);
+            
+            $('#shippingZoneTiers').empty();
+            (zone.tiers || []).forEach(tier => addShippingTierRow(tier));
+            
+            $('#shippingZoneModalTitle').text('Edit Shipping Zone');
+            $('#shippingZoneModal').modal('show');
+        })
+        .fail(function() {
+            showAlert('Error loading shipping zone', 'danger');
+        });
+}
+
+async function saveShippingZone() {
+    const id = $('#shippingZoneId').val();
+    const method = id ? 'PUT' : 'POST';
+    const url = id ? `/api/admin/shipping/zones/${id}` : '/api/admin/shipping/zones';
+    
+    if (!$('#shippingZoneForm')[0].checkValidity()) {
+        $('#shippingZoneForm')[0].reportValidity();
+        return;
+    }
+    
+    const tiers = $('#shippingZoneTiers tr').map(function() {
+        return {
+            upTo: $(this).find('.shipping-tier-upto').val(),
+            rate: $(this).find('.shipping-tier-rate').val()
+        };
+    }).get();
+    
+    const payload = {
+        name: $('#shippingZoneName').val().trim(),
+        isDefault: $('#shippingZoneDefault').is(':checked'),
+        cities: $('#shippingZoneCities').val(),
+        basis: $('#shippingZoneBasis').val(),
+        freeShippingThreshold: $('#shippingZoneFreeThreshold').val(),
+        taxRate: $('#shippingZoneTaxRate').val(),
+        tiers: tiers,
+        isActive: $('#shippingZoneActive').is(':checked')
+    };
+    
+    try {
+        await $.ajax({
+            url,
+            method,
+            contentType: 'application/json',
+            data: JSON.stringify(payload)
+        });
+        
+        $('#shippingZoneModal').modal('hide');
+        showAlert(id ? 'Shipping zone updated successfully' : 'Shipping zone added successfully', 'success');
+        loadShippingZones();
+    } catch (error) {
+        console.error('Error saving shipping zone', error);
+        showAlert(error.responseJSON?.message || 'Error saving shipping zone', 'danger');
+    }
+}
+
+function deleteShippingZone(id) {
+    if (!confirm('Are you sure you want to delete this shipping zone?')) {
+        return;
+    }
+    
+    $.ajax({
+        url: `/api/admin/shipping/zones/${id}`,
+        method: 'DELETE'
+    })
+    .done(function() {
+        showAlert('Shipping zone deleted successfully', 'success');
+        loadShippingZones();
+    })
+    .fail(function(error) {
+        showAlert(error.responseJSON?.message || 'Error deleting shipping zone', 'danger');
+    });
+}
+
 // Video Banner functions
 function loadVideoBanners() {
     $.get('/api/admin/video-banners')
@@ -4479,4 +5978,183 @@ function normaliseFileId(value) {
         return '';
     }
     return value;
-}
\ No newline at end of file
+}
+
+// Sessions
+function escapeHtml(value) {
+    return $('<div>').text(value == null ? '' : String(value)).html();
+}
+
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    const browser = (userAgent.match(/(Edg|OPR|Chrome|Firefox|Safari)\/[\d.]+/) || [])[1] || 'Browser';
+    const os = (userAgent.match(/Windows|Android|iPhone|iPad|Mac OS X|Linux/) || [])[0] || '';
+    return `${browser === 'Edg' ? 'Edge' : browser === 'OPR' ? 'Opera' : browser}${os ? ` on ${os.replace('Mac OS X', 'macOS')}` : ''}`;
+}
+
+function loadSessions() {
+    $('#sessions-table').html('<tr><td colspan="5" class="text-center">Loading...</td></tr>');
+    
+    $.get('/api/auth/sessions')
+        .done(function(sessions) {
+            if (!sessions.length) {
+                $('#sessions-table').html('<tr><td colspan="5" class="text-center">No active sessions</td></tr>');
+                return;
+            }
+            
+            $('#sessions-table').html(sessions.map(session => `
+                <tr>
+                    <td>
+                        <span title="${escapeHtml(session.userAgent || '')}">${escapeHtml(describeUserAgent(session.userAgent))}</span>
+                        ${session.current ? '<span class="badge bg-success ms-1">This device</span>' : ''}
+                    </td>
+                    <td>${escapeHtml(session.ip || '-')}</td>
+                    <td>${new Date(session.createdAt).toLocaleString()}</td>
+                    <td>${new Date(session.lastUsedAt).toLocaleString()}</td>
+                    <td>
+                        <button class="btn btn-sm btn-outline-danger revoke-session" data-id="${session._id}" data-current="${session.current}">
+                            ${session.current ? 'Log Out' : 'Revoke'}
+                        </button>
+                    </td>
+                </tr>
+            `).join(''));
+        })
+        .fail(function(xhr) {
+            $('#sessions-table').html('<tr><td colspan="5" class="text-center text-danger">Error loading sessions</td></tr>');
+        });
+}
+
+function revokeSession(sessionId, current) {
+    if (current && !confirm('This will log you out. Continue?')) {
+        return;
+    }
+    
+    $.ajax({ url: `/api/auth/sessions/${sessionId}`, method: 'DELETE' })
+        .done(function() {
+            if (current) {
+                localStorage.removeItem('token');
+                localStorage.removeItem('refreshToken');
+                window.location.href = 'login.html';
+                return;
+            }
+            showAlert('Session revoked', 'success');
+            loadSessions();
+        })
+        .fail(function(xhr) {
+            showAlert(xhr.responseJSON?.message || 'Error revoking session', 'danger');
+        });
+}
+
+// Audit log
+function auditLogQuery() {
+    return $('#auditFilters').serializeArray()
+        .filter(field => field.value.trim())
+        .map(field => `${field.name}=${encodeURIComponent(field.value.trim())}`)
+        .join('&');
+}
+
+function formatAuditValue(value) {
+    if (value === undefined) return '<span class="text-muted">-</span>';
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    return `<pre class="mb-0 small" style="white-space: pre-wrap;">${escapeHtml(text)}</pre>`;
+}
+
+function loadAuditLogs(page) {
+    const query = auditLogQuery();
+    
+    $.get(`/api/admin/audit-logs?page=${page}${query ? '&' + query : ''}`)
+        .done(function(data) {
+            // Keep the chosen entity type while refreshing the list of types
+            const selectedType = $('#auditEntityType').val();
+            $('#auditEntityType').html('<option value="">All</option>' + data.entityTypes.map(type =>
+                `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`).join('')).val(selectedType);
+            
+            const actionClasses = { create: 'bg-success', update: 'bg-primary', delete: 'bg-danger' };
+            let html = '';
+            
+            if (data.entries.length === 0) {
+                html = '<tr><td colspan="7" class="text-center">No changes found</td></tr>';
+            } else {
+                data.entries.forEach(function(entry, index) {
+                    const fields = Object.keys(Object.assign({}, entry.before, entry.after));
+                    html += `
+                        <tr>
+                            <td>${new Date(entry.createdAt).toLocaleString()}</td>
+                            <td>${entry.actor ? `${escapeHtml(entry.actor.name)}<br><small class="text-muted">${escapeHtml(entry.actor.email)}</small>` : 'Deleted user'}</td>
+                            <td><span class="badge ${actionClasses[entry.action]}">${entry.action}</span></td>
+                            <td>${escapeHtml(entry.entityType)}<br><small class="text-muted">${entry.entityId}</small></td>
+                            <td>${escapeHtml(fields.slice(0, 4).join(', '))}${fields.length > 4 ? ` +${fields.length - 4} more` : ''}</td>
+                            <td>${escapeHtml(entry.ip || '-')}</td>
+                            <td>
+                                <button class="btn btn-sm btn-primary btn-action view-audit-entry" data-index="${index}" title="View Changes">
+                                    <i class="fas fa-eye"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `;
+                });
+            }
+            
+            $('#audit-log-table').html(html);
+            
+            // Add pagination
+            let paginationHtml = '';
+            if (data.totalPages > 1) {
+                if (data.currentPage > 1) {
+                    paginationHtml += `<li class="page-item"><a class="page-link" href="#" data-page="${data.currentPage - 1}">Previous</a></li>`;
+                }
+                
+                // Show the pages around the current one; the log grows quickly
+                const first = Math.max(1, data.currentPage - 4);
+                const last = Math.min(data.totalPages, data.currentPage + 4);
+                for (let i = first; i <= last; i++) {
+                    paginationHtml += `
+                        <li class="page-item ${i === data.currentPage ? 'active' : ''}">
+                            <a class="page-link" href="#" data-page="${i}">${i}</a>
+                        </li>
+                    `;
+                }
+                
+                if (data.currentPage < data.totalPages) {
+                    paginationHtml += `<li class="page-item"><a class="page-link" href="#" data-page="${data.currentPage + 1}">Next</a></li>`;
+                }
+            }
+            
+            $('#audit-log-pagination').html(paginationHtml);
+            
+            // Add event handlers
+            $('.view-audit-entry').click(function() {
+                viewAuditEntry(data.entries[$(this).data('index')]);
+            });
+            
+            $('#audit-log-pagination .page-link').click(function(e) {
+                e.preventDefault();
+                loadAuditLogs($(this).data('page'));
+            });
+        })
+        .fail(function(xhr) {
+            showAlert(xhr.responseJSON?.message || 'Error loading audit log', 'danger');
+        });
+}
+
+function viewAuditEntry(entry) {
+    const before = entry.before || {};
+    const after = entry.after || {};
+    const actor = entry.actor ? `${entry.actor.name} (${entry.actor.email})` : 'Deleted user';
+    
+    $('#auditSummary').html(`
+        <strong>${escapeHtml(actor)}</strong> ${entry.action}d ${escapeHtml(entry.entityType)} <code>${entry.entityId}</code><br>
+        <small class="text-muted">${new Date(entry.createdAt).toLocaleString()} &middot; ${escapeHtml(entry.method || '')} ${escapeHtml(entry.path || '')} &middot; ${escapeHtml(entry.ip || '-')}</small>
+    `);
+    
+    const fields = Object.keys(Object.assign({}, before, after));
+    $('#auditDiffTable').html(fields.map(field => `
+        <tr>
+            <td><strong>${escapeHtml(field)}</strong></td>
+            <td>${formatAuditValue(before[field])}</td>
+            <td>${formatAuditValue(after[field])}</td>
+        </tr>
+    `).join(''));
+    
+    $('#auditModal').modal('show');
+}
@@ -0,0 +1,129 @@
+// Keeps the short-lived access token in localStorage fresh using the refresh token.
+// Load it before the page scripts: on jQuery pages, document-ready handlers wait for an expired token to be
+// refreshed; elsewhere await window.authSession.ready before reading the token.
+(function() {
+    // Refresh this long before the access token expires
+    const REFRESH_MARGIN_SECONDS = 60;
+
+    let refreshing = null;
+    let refreshTimer = null;
+
+    function tokenExpiry(token) {
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload.exp ? payload.exp * 1000 : 0;
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    function needsRefresh() {
+        const token = localStorage.getItem('token');
+        return !!token && !!localStorage.getItem('refreshToken') &&
+            tokenExpiry(token) - REFRESH_MARGIN_SECONDS * 1000 <= Date.now();
+    }
+
+    function clearTokens() {
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+    }
+
+    // Pages pass the token to $.ajaxSetup once on load; keep that default header current
+    function updateAjaxHeader(token) {
+        const headers = window.jQuery && jQuery.ajaxSettings.headers;
+        if (headers && headers['x-auth-token']) {
+            headers['x-auth-token'] = token;
+        }
+    }
+
+    function scheduleRefresh() {
+        clearTimeout(refreshTimer);
+        const token = localStorage.getItem('token');
+        if (!token || !localStorage.getItem('refreshToken')) {
+            return;
+        }
+        const delay = Math.max(tokenExpiry(token) - REFRESH_MARGIN_SECONDS * 1000 - Date.now(), 0);
+        refreshTimer = setTimeout(refresh, delay);
+    }
+
+    // Resolves once the stored token is usable (or the user has been signed out)
+    function refresh() {
+        if (refreshing) {
+            return refreshing;
+        }
+        // Another tab may already have refreshed
+        if (!needsRefresh()) {
+            scheduleRefresh();
+            return Promise.resolve();
+        }
+
+        const refreshToken = localStorage.getItem('refreshToken');
+        refreshing = fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: refreshToken })
+        })
+            .then(function(response) {
+                return response.json().catch(function() { return {}; }).then(function(data) {
+                    if (response.ok) {
+                        localStorage.setItem('token', data.token);
+                        localStorage.setItem('refreshToken', data.refreshToken);
+                        updateAjaxHeader(data.token);
+                    } else if (response.status === 401 && localStorage.getItem('refreshToken') === refreshToken) {
+                        // Session expired or revoked (unless another tab rotated the token meanwhile)
+                        clearTokens();
+                    }
+                });
+            })
+            .catch(function(error) {
+                console.error('Session refresh failed:', error);
+            })
+            .then(function() {
+                refreshing = null;
+                scheduleRefresh();
+            });
+        return refreshing;
+    }
+
+    // Revoke the current session on the server, then forget the tokens
+    function logout() {
+        const token = localStorage.getItem('token');
+        const request = token
+            ? fetch('/api/auth/logout', { method: 'POST', headers: { 'x-auth-token': token } }).catch(function() {})
+            : Promise.resolve();
+        return request.then(clearTokens);
+    }
+
+    const expired = needsRefresh();
+    const ready = expired ? refresh() : Promise.resolve();
+    if (window.jQuery && expired) {
+        jQuery.holdReady(true);
+        ready.then(function() {
+            jQuery.holdReady(false);
+        });
+    }
+    scheduleRefresh();
+
+    // Timers do not run while a laptop sleeps
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'visible' && needsRefresh()) {
+            refresh();
+        }
+    });
+
+    // Logging in or out in another tab
+    window.addEventListener('storage', function(e) {
+        if (e.key === 'token' || e.key === 'refreshToken') {
+            if (e.key === 'token' && e.newValue) {
+                updateAjaxHeader(e.newValue);
+            }
+            scheduleRefresh();
+        }
+    });
+
+    window.authSession = {
+        ready: ready,
+        refresh: refresh,
+        logout: logout
+    };
+})();
@@ -0,0 +1,296 @@
+// Brand landing page: the brand's products with department and category facets
+const brandState = {
+    brand: null,
+    facets: null,
+    departmentId: '',
+    categoryId: '',
+    page: 1
+};
+
+$(document).ready(function() {
+    // Get brand slug from URL
+    const pathParts = window.location.pathname.split('/');
+    const slug = pathParts[pathParts.length - 1];
+    
+    if (!slug) {
+        window.location.href = '/';
+        return;
+    }
+
+    // Load cart count
+    loadCartCount();
+    loadDepartments();
+
+    // Load brand data
+    loadBrandData(slug);
+
+    $('#clearBrandFilters').click(function() {
+        brandState.departmentId = '';
+        brandState.categoryId = '';
+        brandState.page = 1;
+        renderFacets();
+        loadBrandProducts();
+    });
+});
+
+function loadBrandData(slug) {
+    $.get(`/api/brands/public/${encodeURIComponent(slug)}`)
+        .done(function(data) {
+            const { brand, facets } = data;
+            brandState.brand = brand;
+            brandState.facets = facets;
+
+            // Update breadcrumb
+            $('#breadcrumb').html(`
+                <li class="breadcrumb-item"><a href="/">Home</a></li>
+                <li class="breadcrumb-item"><a href="/products">All Products</a></li>
+                <li class="breadcrumb-item active">${brand.name}</li>
+            `);
+
+            // Update brand header
+            $('#brandName').text(brand.name);
+            const brandImage = brand.imageUpload?.url || brand.image;
+            if (brandImage) {
+                $('#brandImage').attr('src', brandImage).attr('alt', brand.alt || brand.name);
+            } else {
+                $('#brandImage').hide();
+            }
+
+            renderFacets();
+            loadBrandProducts();
+
+            // Update page title
+            document.title = `${brand.name} - D.Watson Pharmacy`;
+        })
+        .fail(function(error) {
+            console.error('Error loading brand:', error);
+            if (error.status === 404) {
+                alert('Brand not found');
+                window.location.href = '/';
+            } else {
+                alert('Error loading brand. Please try again.');
+            }
+        });
+}
+
+function renderFacets() {
+    const { departments = [], categories = [] } = brandState.facets || {};
+
+    $('#brandDepartments').html(departments.length ? departments.map(dept => `
+        <li>
+            <a href="#" class="brand-facet d-flex justify-content-between text-decoration-none py-1 ${brandState.departmentId === dept._id ? 'fw-bold' : ''}" data-facet="department" data-id="${dept._id}">
+                <span>${dept.name}</span><span class="badge bg-light text-dark">${dept.count}</span>
+            </a>
+        </li>
+    `).join('') : '<li class="text-muted small">None</li>');
+
+    // Narrow the category list to the chosen department
+    const visibleCategories = brandState.departmentId
+        ? categories.filter(cat => String(cat.department) === brandState.departmentId)
+        : categories;
+
+    $('#brandCategories').html(visibleCategories.length ? visibleCategories.map(cat => `
+        <li>
+            <a href="#" class="brand-facet d-flex justify-content-between text-decoration-none py-1 ${brandState.categoryId === cat._id ? 'fw-bold' : ''}" data-facet="category" data-id="${cat._id}">
+                <span>${cat.name}</span><span class="badge bg-light text-dark">${cat.count}</span>
+            </a>
+        </li>
+    `).join('') : '<li class="text-muted small">None</li>');
+
+    $('#clearBrandFilters').toggle(Boolean(brandState.departmentId || brandState.categoryId));
+
+    $('.brand-facet').click(function(e) {
+        e.preventDefault();
+        const id = $(this).attr('data-id');
+        if ($(this).attr('data-facet') === 'department') {
+            // Clicking the selected department again clears it
+            brandState.departmentId = brandState.departmentId === id ? '' : id;
+            brandState.categoryId = '';
+        } else {
+            brandState.categoryId = brandState.categoryId === id ? '' : id;
+        }
+        brandState.page = 1;
+        renderFacets();
+        loadBrandProducts();
+    });
+}
+
+function loadBrandProducts() {
+    const params = new URLSearchParams({
+        brand: brandState.brand._id,
+        page: brandState.page,
+        limit: 20
+    });
+    if (brandState.departmentId) {
+        params.set('departmentId', brandState.departmentId);
+    }
+    if (brandState.categoryId) {
+        params.set('categoryId', brandState.categoryId);
+    }
+
+    $.get(`/api/public/products?${params.toString()}`)
+        .done(function(data) {
+            const { products, pagination } = data;
+            $('#brandProductCount').text(`${pagination.total} product${pagination.total === 1 ? '' : 's'}`);
+            renderProducts(products);
+            renderPagination(pagination);
+        })
+        .fail(function(error) {
+            console.error('Error loading brand products:', error);
+            $('#productsGrid').html('');
+            $('#noProducts').show();
+        });
+}
+
+function renderPagination(pagination) {
+    const ul = $('#brandPagination');
+    ul.html('');
+
+    if (pagination.pages <= 1) {
+        return;
+    }
+
+    for (let i = 1; i <= pagination.pages; i++) {
+        const active = i === pagination.page ? 'active' : '';
+        ul.append(`<li class="page-item ${active}"><a class="page-link" href="#" data-page="${i}">${i}</a></li>`);
+    }
+
+    ul.find('.page-link').click(function(e) {
+        e.preventDefault();
+        brandState.page = parseInt($(this).attr('data-page'), 10);
+        loadBrandProducts();
+        $('html, body').animate({ scrollTop: 0 }, 'slow');
+    });
+}
+
+function renderProducts(products) {
+    const container = $('#productsGrid');
+    const noProducts = $('#noProducts');
+    
+    if (!products || products.length === 0) {
+        container.html('');
+        noProducts.show();
+        return;
+    }
+
+    noProducts.hide();
+    
+    container.html(products.map(product => {
+        const productId = product._id || product.id;
+        const productImage = product.imageUpload?.url || product.image || 'https://via.placeholder.com/300x300';
+        const finalPrice = product.price * (1 - (product.discount || 0) / 100);
+        const departmentName = product.department?.name || 'Uncategorized';
+        
+        return `
+            <div class="col-lg-3 col-md-4 col-sm-6">
+                <div class="card h-100 shadow-sm product-card">
+                    <div class="position-relative product-img">
+                        <img src="${productImage}" alt="${product.name}">
+                        ${product.discount > 0 ? `<span class="badge bg-danger position-absolute top-0 end-0 m-2">-${product.discount}%</span>` : ''}
+                    </div>
+                    <div class="card-body d-flex flex-column">
+                        <small class="text-muted">${departmentName}</small>
+                        <h6 class="card-title mt-2">${product.name}</h6>
+                        <p class="card-text text-muted small flex-grow-1">${product.description?.substring(0, 100)}${product.description?.length > 100 ? '...' : ''}</p>
+                        <div class="mt-auto">
+                            <div class="mb-2">
+                                <strong class="text-primary">Rs. ${finalPrice.toFixed(2)}</strong>
+                                ${product.discount > 0 ? `<small class="text-muted text-decoration-line-through ms-2">Rs. ${product.price.toFixed(2)}</small>` : ''}
+                            </div>
+                            <div class="d-grid gap-2">
+                                <button class="btn btn-primary add-to-cart" data-id="${productId}" data-product-id="${productId}">
+                                    <i class="fas fa-shopping-cart"></i> Add to Cart
+                                </button>
+                                <a href="/product/${productId}" class="btn btn-outline-primary btn-sm">View Details</a>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join(''));
+
+    // Attach event handlers
+    $('.add-to-cart').click(function() {
+        const productId = $(this).data('id');
+        handleAddToCart(productId);
+    });
+}
+
+function handleAddToCart(productId) {
+    const token = localStorage.getItem('token');
+    
+    // Guests get a cart cookie from the first add
+    if (token) {
+        $.ajaxSetup({
+            headers: {
+                'x-auth-token': token
+            }
+        });
+    }
+
+    $.ajax({
+        url: '/api/cart/add',
+        method: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify({ productId, quantity: 1 })
+    })
+    .done(function(data) {
+        alert('Product added to cart!');
+        loadCartCount();
+    })
+    .fail(function(error) {
+        // Products with variants are added from the product page, where the option is picked
+        if (error.responseJSON?.code === 'VARIANT_REQUIRED') {
+            window.location.href = `/product/${productId}`;
+            return;
+        }
+        console.error('Error adding to cart:', error);
+        alert('Error adding product to cart. Please try again.');
+    });
+}
+
+function loadCartCount() {
+    const token = localStorage.getItem('token');
+    if (token) {
+        $.ajaxSetup({
+            headers: {
+                'x-auth-token': token
+            }
+        });
+    }
+
+    $.get('/api/cart/count')
+        .done(function(data) {
+            $('.cart-count').text(data.count || 0);
+        })
+        .fail(function() {
+            $('.cart-count').text('0');
+        });
+}
+
+function loadDepartments() {
+    $.get('/api/departments')
+        .done(function(departments) {
+            const menu = $('#departmentsMenu');
+            const footer = $('#footerDepartments');
+            
+            if (menu.length) {
+                menu.html(departments.map(dept => {
+                    const deptId = dept._id || dept.id;
+                    return `<li><a class="dropdown-item" href="/department/${deptId}">${dept.name}</a></li>`;
+                }).join(''));
+            }
+            
+            if (footer.length) {
+                footer.html(departments.map(dept => {
+                    const deptId = dept._id || dept.id;
+                    return `<li><a href="/department/${deptId}">${dept.name}</a></li>`;
+                }).join(''));
+            }
+        })
+        .fail(function() {
+            console.error('Error loading departments');
+        });
+}
+
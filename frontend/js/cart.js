@@ -1,40 +1,31 @@
-// Guest cart helper functions
-function getGuestCart() {
-    try {
-        const cartStr = localStorage.getItem('guestCart');
-        return cartStr ? JSON.parse(cartStr) : { items: [] };
-    } catch (e) {
-        return { items: [] };
-    }
-}
+// Set when the rendered cart contains prescription-only (Rx) products
+let cartRequiresPrescription = false;
 
-function saveGuestCart(cart) {
-    localStorage.setItem('guestCart', JSON.stringify(cart));
-}
+// Promo code accepted by /api/coupons/validate: { code, discount, subtotal }
+// subtotal is the cart subtotal the discount was calculated for
+let appliedCoupon = null;
+let lastCartSummary = null;
 
-function getGuestCartCount() {
-    const cart = getGuestCart();
-    return cart.items.reduce((total, item) => total + (item.quantity || 0), 0);
-}
+// Payment methods completed online through /api/payments (cash on delivery is not)
+const ONLINE_PAYMENT_METHODS = ['credit_card', 'debit_card', 'bank_transfer'];
 
-function removeFromGuestCart(productId) {
-    const cart = getGuestCart();
-    cart.items = cart.items.filter(item => item.productId !== productId);
-    saveGuestCart(cart);
-}
+// Shipping and tax quoted by /api/shipping/quote for the checkout city
+// key records the city, subtotal and coupon the quote was made for
+let shippingQuote = null;
 
-function updateGuestCartQuantity(productId, quantity) {
-    const cart = getGuestCart();
-    const itemIndex = cart.items.findIndex(item => item.productId === productId);
-    if (itemIndex >= 0) {
-        if (quantity <= 0) {
-            cart.items.splice(itemIndex, 1);
-        } else {
-            cart.items[itemIndex].quantity = quantity;
-        }
-        saveGuestCart(cart);
-    }
-}
+// Idempotency-Key sent with every "Place Order" of the current checkout attempt, so a double-click or a retry
+// after a network error gets the first order back instead of placing a second one
+let checkoutAttemptKey = null;
+
+// Changes found by /api/cart/revalidate that the shopper has not accepted yet: { changes, fingerprint }
+let pendingCartChanges = null;
+
+// Logged-in customer's address book (/api/addresses), loaded when checkout opens
+let savedAddresses = [];
+const ADDRESS_INPUTS = {
+    shipping: ['Street', 'City', 'State', 'ZipCode', 'Country', 'Phone'],
+    billing: ['Street', 'City', 'State', 'ZipCode', 'Country']
+};
 
 $(document).ready(function() {
     const token = localStorage.getItem('token');
@@ -49,9 +40,16 @@ $(document).ready(function() {
     }
     
     // Load cart on page load (works for both guest and logged-in users)
-    loadCart();
+    // Links from abandoned cart reminders (/cart?restore=<token>) put the cart back first
+    const restoreToken = new URLSearchParams(window.location.search).get('restore');
+    if (restoreToken) {
+        restoreAbandonedCart(restoreToken);
+    } else {
+        loadCart();
+    }
     loadCartCount();
     loadDepartments();
+    handlePaymentReturn();
     
     // Auto-open checkout modal if cart has items and URL has ?checkout parameter
     const urlParams = new URLSearchParams(window.location.search);
@@ -86,9 +84,29 @@ $(document).ready(function() {
             $('#shippingName').removeAttr('required');
             $('#guestEmail').removeAttr('required');
         }
+        // Ask for a prescription when the cart has Rx items
+        if (cartRequiresPrescription) {
+            $('#prescriptionFields').show();
+            $('#prescriptionFilesInput').attr('required', true);
+        } else {
+            $('#prescriptionFields').hide();
+            $('#prescriptionFilesInput').removeAttr('required');
+        }
+        if (lastCartSummary) {
+            updateCartSummary(lastCartSummary);
+        }
+        if (token) {
+            loadSavedAddresses();
+        }
+        checkCartChanges();
+        checkoutAttemptKey = checkoutAttemptKey || newIdempotencyKey();
         $('#checkoutModal').modal('show');
     });
     
+    $('#acceptCartChanges').click(function() {
+        acceptCartChanges();
+    });
+    
     // Handle modal shown event - ensure proper focus management
     $('#checkoutModal').on('shown.bs.modal', function() {
         // Focus on first input for accessibility (after Bootstrap sets aria-hidden to false)
@@ -118,56 +136,81 @@ $(document).ready(function() {
         }
     });
     
-    // Place order button
-    $('#placeOrderBtn').click(function() {
-        // Remove focus from button before hiding modal to prevent aria-hidden warning
-        $(this).blur();
-        placeOrder();
+    // Fill the shipping or billing fields from a saved address
+    $('#savedShippingAddress').change(function() {
+        fillAddressFields('shipping', $(this).val());
     });
-});
-
-async function loadCart() {
-    const token = localStorage.getItem('token');
     
-    // If not logged in, load guest cart
-    if (!token) {
-        const guestCart = getGuestCart();
-        if (!guestCart.items || guestCart.items.length === 0) {
-            $('#emptyCart').show();
-            $('#cartContent').hide();
-            return;
-        }
-        
-        // Fetch product details for guest cart items
-        const cartItems = [];
-        for (const item of guestCart.items) {
-            try {
-                const product = await $.get(`/api/products/${item.productId}`);
-                cartItems.push({
-                    product: product,
-                    productId: item.productId, // Preserve productId for guest cart
-                    quantity: item.quantity,
-                    price: item.price || product.price || 0,
-                    discount: item.discount || product.discount || 0
-                });
-            } catch (error) {
-                console.error(`Failed to load product ${item.productId}:`, error);
+    $('#savedBillingAddress').change(function() {
+        fillAddressFields('billing', $(this).val());
+    });
+    
+    // Editing a filled-in saved address makes it a new address
+    Object.keys(ADDRESS_INPUTS).forEach(function(prefix) {
+        const selector = ADDRESS_INPUTS[prefix].map(field => `#${prefix}${field}`).join(', ');
+        $(selector).on('input', function() {
+            const select = $(`#saved${capitalize(prefix)}Address`);
+            if (select.val()) {
+                select.val('');
+                updateSaveAddressOption(prefix);
             }
+        });
+    });
+    
+    // Keep the guest's email with the cart, so we can remind them if they leave without ordering
+    $('#guestEmail').on('change', function() {
+        const email = $(this).val().trim();
+        if (!localStorage.getItem('token') && this.checkValidity() && email) {
+            $.ajax({
+                url: '/api/cart/email',
+                method: 'PUT',
+                contentType: 'application/json',
+                data: JSON.stringify({ email: email })
+            }).fail(function(error) {
+                console.error('Error saving cart email:', error);
+            });
         }
-        
-        if (cartItems.length === 0) {
-            $('#emptyCart').show();
-            $('#cartContent').hide();
-            return;
+    });
+    
+    // Re-quote shipping when the delivery city changes
+    $('#shippingCity').on('change', function() {
+        if (lastCartSummary) {
+            updateCartSummary(lastCartSummary);
         }
-        
-        renderCartItems(cartItems);
-        updateCartSummary({ items: cartItems });
-        return;
-    }
+    });
     
-    // Load user cart from API
-    $.get('/api/cart')
+    // Promo code buttons
+    $('#applyCouponBtn').click(function() {
+        applyCoupon($('#couponCodeInput').val());
+    });
+    
+    $('#couponCodeInput').keypress(function(e) {
+        if (e.which === 13) {
+            applyCoupon($(this).val());
+        }
+    });
+    
+    $('#removeCouponBtn').click(function() {
+        removeCoupon();
+    });
+    
+    // Place order button
+    $('#placeOrderBtn').click(async function() {
+        // Remove focus from button before hiding modal to prevent aria-hidden warning
+        $(this).blur();
+        // Ignore further clicks until this one is answered (the Idempotency-Key covers retries)
+        $(this).prop('disabled', true);
+        try {
+            await placeOrder();
+        } finally {
+            $('#placeOrderBtn').prop('disabled', !!pendingCartChanges);
+        }
+    });
+});
+
+function loadCart() {
+    // Guests are identified by the cart cookie, so the same endpoint serves everyone
+    return $.get('/api/cart')
         .done(function(data) {
             console.log('Cart data loaded:', data);
             console.log('Cart items count:', data.items ? data.items.length : 0);
@@ -195,25 +238,40 @@ async function loadCart() {
         .fail(function(error) {
             console.error('Error loading cart:', error);
             console.error('Error response:', error.responseJSON);
-            if (error.status === 401) {
-                // Try loading guest cart if API fails
-                const guestCart = getGuestCart();
-                if (guestCart.items && guestCart.items.length > 0) {
-                    loadCart(); // Recursive call will load guest cart
-                } else {
-                    $('#emptyCart').show();
-                    $('#cartContent').hide();
-                }
-            } else {
-                const errorMsg = error.responseJSON?.message || 'Error loading cart. Please try again.';
-                showAlert(errorMsg, 'danger');
+            const errorMsg = error.responseJSON?.message || 'Error loading cart. Please try again.';
+            showAlert(errorMsg, 'danger');
+        });
+}
+
+// Put back the items of an abandoned cart and apply the discount offered in the reminder email
+async function restoreAbandonedCart(token) {
+    // Drop the token from the address bar so a reload does not restore the items again
+    window.history.replaceState({}, '', window.location.pathname);
+    
+    try {
+        const result = await $.ajax({
+            url: '/api/cart/restore',
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({ token: token })
+        });
+        showAlert(result.message, 'success');
+        loadCartCount();
+        loadCart().done(function() {
+            if (result.couponCode) {
+                applyCoupon(result.couponCode);
             }
         });
+    } catch (error) {
+        showAlert(error.responseJSON?.message || 'Your cart could not be restored', 'warning');
+        loadCart();
+    }
 }
 
 function renderCartItems(items) {
     let html = '';
     let validItemsCount = 0;
+    cartRequiresPrescription = false;
     
     if (!items || items.length === 0) {
         $('#emptyCart').show();
@@ -229,14 +287,13 @@ function renderCartItems(items) {
         }
         
         validItemsCount++;
+        if (product.requiresPrescription) {
+            cartRequiresPrescription = true;
+        }
         
-        // Handle product ID - could be string or object (for user cart) or productId (for guest cart)
+        // Handle product ID - could be string or object
         let productId = '';
-        if (item.productId) {
-            // Guest cart item
-            productId = typeof item.productId === 'string' ? item.productId : item.productId.toString();
-        } else if (product._id) {
-            // User cart item
+        if (product._id) {
             productId = typeof product._id === 'string' ? product._id : product._id.toString();
         } else if (product.id) {
             productId = typeof product.id === 'string' ? product.id : product.id.toString();
@@ -248,7 +305,10 @@ function renderCartItems(items) {
         }
         
         const productName = product.name || 'Unknown Product';
-        const productImage = product.image || (product.imageUpload && product.imageUpload.url) || 'https://via.placeholder.com/100';
+        const variantId = item.variant || '';
+        const variant = variantId ? (product.variants || []).find(entry => entry._id === variantId) : null;
+        const productImage = (variant && variant.images && variant.images[0]) || product.image || (product.imageUpload && product.imageUpload.url) || 'https://via.placeholder.com/100';
+        const lineData = `data-product-id="${productId}" data-variant-id="${variantId}"`;
         const itemPrice = item.price || 0;
         const discount = item.discount || 0;
         const quantity = item.quantity || 1;
@@ -256,13 +316,15 @@ function renderCartItems(items) {
         const itemSubtotal = item.subtotal || (finalPrice * quantity);
         
         html += `
-            <div class="cart-item" data-product-id="${productId}">
+            <div class="cart-item" ${lineData}>
                 <div class="row align-items-center">
                     <div class="col-md-2">
                         <img src="${productImage}" alt="${productName}" class="cart-item-image">
                     </div>
                     <div class="col-md-4">
                         <h6>${productName}</h6>
+                        ${item.variantName ? `<div class="small mb-1">${item.variantName}</div>` : ''}
+                        ${product.requiresPrescription ? '<span class="badge bg-warning text-dark me-1"><i class="fas fa-prescription"></i> Rx</span>' : ''}
                         ${product.category?.name ? `<small class="text-muted">${product.category.name}</small>` : ''}
                     </div>
                     <div class="col-md-2">
@@ -273,11 +335,11 @@ function renderCartItems(items) {
                     </div>
                     <div class="col-md-3">
                         <div class="quantity-controls">
-                            <button class="quantity-btn decrease-quantity" data-product-id="${productId}" type="button">
+                            <button class="quantity-btn decrease-quantity" ${lineData} type="button">
                                 <i class="fas fa-minus"></i>
                             </button>
-                            <input type="number" class="form-control quantity-input" value="${quantity}" min="1" data-product-id="${productId}" readonly>
-                            <button class="quantity-btn increase-quantity" data-product-id="${productId}" type="button">
+                            <input type="number" class="form-control quantity-input" value="${quantity}" min="1" ${lineData} readonly>
+                            <button class="quantity-btn increase-quantity" ${lineData} type="button">
                                 <i class="fas fa-plus"></i>
                             </button>
                         </div>
@@ -286,7 +348,7 @@ function renderCartItems(items) {
                         <div class="item-subtotal mb-2">
                             <strong>Rs. ${itemSubtotal.toFixed(2)}</strong>
                         </div>
-                        <button class="btn btn-sm btn-danger remove-item" data-product-id="${productId}" type="button">
+                        <button class="btn btn-sm btn-danger remove-item" ${lineData} type="button">
                             <i class="fas fa-trash"></i>
                         </button>
                     </div>
@@ -306,66 +368,42 @@ function renderCartItems(items) {
     $('#emptyCart').hide();
     $('#cartContent').show();
     
-    // Add event handlers
+    // Add event handlers (a product's variants are separate lines, told apart by data-variant-id)
     $('.increase-quantity').click(function() {
-        const productId = $(this).data('product-id');
-        updateQuantity(productId, 1);
+        updateQuantity($(this).data('product-id'), $(this).data('variant-id'), 1);
     });
     
     $('.decrease-quantity').click(function() {
-        const productId = $(this).data('product-id');
-        updateQuantity(productId, -1);
+        updateQuantity($(this).data('product-id'), $(this).data('variant-id'), -1);
     });
     
     $('.quantity-input').change(function() {
-        const productId = $(this).data('product-id');
         const newQuantity = parseInt($(this).val(), 10);
         if (newQuantity > 0) {
-            setQuantity(productId, newQuantity);
+            setQuantity($(this).data('product-id'), $(this).data('variant-id'), newQuantity);
         }
     });
     
     $('.remove-item').click(function() {
-        const productId = $(this).data('product-id');
-        removeItem(productId);
+        removeItem($(this).data('product-id'), $(this).data('variant-id'));
     });
 }
 
-function updateQuantity(productId, change) {
-    const token = localStorage.getItem('token');
-    
-    // Handle guest cart
-    if (!token) {
-        const guestCart = getGuestCart();
-        const item = guestCart.items.find(i => i.productId === productId);
-        if (!item) return;
-        
-        const newQuantity = item.quantity + change;
-        if (newQuantity < 1) {
-            removeItem(productId);
-        } else {
-            updateGuestCartQuantity(productId, newQuantity);
-            loadCart();
-            loadCartCount();
-        }
-        return;
-    }
-    
-    // Handle user cart
+function updateQuantity(productId, variantId, change) {
     $.get('/api/cart')
         .done(function(data) {
             const item = data.items.find(i => {
                 const pid = i.product._id || i.product.id;
                 const pidStr = typeof pid === 'string' ? pid : pid.toString();
-                return pidStr === productId;
+                return pidStr === productId && (i.variant || '') === (variantId || '');
             });
             if (!item) return;
             
             const newQuantity = item.quantity + change;
             if (newQuantity < 1) {
-                removeItem(productId);
+                removeItem(productId, variantId);
             } else {
-                setQuantity(productId, newQuantity);
+                setQuantity(productId, variantId, newQuantity);
             }
         })
         .fail(function(error) {
@@ -373,23 +411,12 @@ function updateQuantity(productId, change) {
         });
 }
 
-function setQuantity(productId, quantity) {
-    const token = localStorage.getItem('token');
-    
-    // Handle guest cart
-    if (!token) {
-        updateGuestCartQuantity(productId, quantity);
-        loadCart();
-        loadCartCount();
-        return;
-    }
-    
-    // Handle user cart
+function setQuantity(productId, variantId, quantity) {
     $.ajax({
         url: '/api/cart/update',
         method: 'PUT',
         contentType: 'application/json',
-        data: JSON.stringify({ productId, quantity })
+        data: JSON.stringify({ productId, variantId: variantId || undefined, quantity })
     })
     .done(function(data) {
         loadCart();
@@ -402,25 +429,13 @@ function setQuantity(productId, quantity) {
     });
 }
 
-function removeItem(productId) {
+function removeItem(productId, variantId) {
     if (!confirm('Are you sure you want to remove this item from cart?')) {
         return;
     }
     
-    const token = localStorage.getItem('token');
-    
-    // Handle guest cart
-    if (!token) {
-        removeFromGuestCart(productId);
-        loadCart();
-        loadCartCount();
-        showAlert('Item removed from cart', 'success');
-        return;
-    }
-    
-    // Handle user cart
     $.ajax({
-        url: `/api/cart/remove/${productId}`,
+        url: `/api/cart/remove/${productId}${variantId ? `?variantId=${encodeURIComponent(variantId)}` : ''}`,
         method: 'DELETE'
     })
     .done(function(data) {
@@ -434,7 +449,7 @@ function removeItem(productId) {
     });
 }
 
-function updateCartSummary(data) {
+function calculateSummarySubtotal(data) {
     // Calculate subtotal from items if total is not provided
     let subtotal = data.total || 0;
     if (subtotal === 0 && data.items) {
@@ -446,15 +461,243 @@ function updateCartSummary(data) {
             return sum + (finalPrice * quantity);
         }, 0);
     }
+    return subtotal;
+}
+
+function updateCartSummary(data) {
+    const subtotal = calculateSummarySubtotal(data);
+    lastCartSummary = data;
     
-    const shipping = 0; // Can be calculated based on address
-    const tax = 0; // Can be calculated
-    const total = subtotal + shipping + tax;
+    // The cart changed since the coupon was checked - check it again for the new items
+    if (appliedCoupon && Math.abs(appliedCoupon.subtotal - subtotal) > 0.001) {
+        applyCoupon(appliedCoupon.code, true);
+    }
+    
+    // Quote shipping again when the city, cart or coupon changed since the last quote
+    const city = ($('#shippingCity').val() || '').trim();
+    const quoteKey = `${city.toLowerCase()}|${subtotal.toFixed(2)}|${appliedCoupon ? appliedCoupon.code : ''}`;
+    if (city && (!shippingQuote || shippingQuote.key !== quoteKey)) {
+        requestShippingQuote(city, quoteKey);
+    }
+    const currentQuote = shippingQuote && shippingQuote.key === quoteKey && !shippingQuote.pending ? shippingQuote : null;
+    
+    const discount = appliedCoupon ? Math.min(appliedCoupon.discount, subtotal) : 0;
+    const shipping = currentQuote ? currentQuote.shippingCost : 0;
+    const tax = currentQuote ? currentQuote.tax : 0;
+    const total = subtotal - discount + shipping + tax;
+    
+    if (appliedCoupon) {
+        $('#cartCouponCode').text(appliedCoupon.code);
+        $('#cartDiscount').text('- Rs. ' + discount.toFixed(2));
+        $('#cartDiscountRow').removeClass('d-none').addClass('d-flex');
+    } else {
+        $('#cartDiscountRow').removeClass('d-flex').addClass('d-none');
+    }
+    
+    let shippingNote = city ? 'Calculating...' : 'Enter your city at checkout';
+    if (currentQuote) {
+        if (currentQuote.freeShippingApplied) {
+            shippingNote = 'Free shipping';
+        } else if (currentQuote.amountToFreeShipping > 0) {
+            shippingNote = `Add Rs. ${currentQuote.amountToFreeShipping.toFixed(2)} more for free shipping`;
+        } else {
+            shippingNote = currentQuote.zone ? `Delivery to ${city}` : '';
+        }
+    }
     
     $('#cartSubtotal').text('Rs. ' + subtotal.toFixed(2));
     $('#cartShipping').text('Rs. ' + shipping.toFixed(2));
+    $('#cartShippingNote').text(shippingNote);
     $('#cartTax').text('Rs. ' + tax.toFixed(2));
     $('#cartTotal').text('Rs. ' + total.toFixed(2));
+    
+    // Same figures in the checkout modal
+    $('#checkoutShipping').text('Rs. ' + shipping.toFixed(2));
+    $('#checkoutShippingNote').text(shippingNote);
+    $('#checkoutTax').text('Rs. ' + tax.toFixed(2));
+    $('#checkoutTotal').text('Rs. ' + total.toFixed(2));
+}
+
+// Ask the server for shipping and tax to a city
+// The cart is read server-side; guests also send their email for per-customer coupon limits
+function requestShippingQuote(city, quoteKey) {
+    const token = localStorage.getItem('token');
+    const payload = {
+        city: city,
+        couponCode: appliedCoupon ? appliedCoupon.code : undefined
+    };
+    
+    if (!token) {
+        payload.email = $('#guestEmail').val() || undefined;
+    }
+    
+    // Mark the quote as pending so repeated summary updates don't send it again
+    shippingQuote = { key: quoteKey, pending: true, shippingCost: 0, tax: 0 };
+    
+    return $.ajax({
+        url: '/api/shipping/quote',
+        method: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify(payload)
+    })
+    .done(function(quote) {
+        if (shippingQuote && shippingQuote.key === quoteKey) {
+            shippingQuote = { ...quote, key: quoteKey };
+            if (lastCartSummary) {
+                updateCartSummary(lastCartSummary);
+            }
+        }
+    })
+    .fail(function(error) {
+        console.error('Error quoting shipping:', error);
+        if (shippingQuote && shippingQuote.key === quoteKey) {
+            shippingQuote = null;
+        }
+        $('#cartShippingNote, #checkoutShippingNote').text('Shipping will be calculated when you place the order');
+    });
+}
+
+// Ask the server whether a promo code applies to the current cart
+// The cart is read server-side; guests also send their email, for per-customer limits
+function validateCoupon(code) {
+    const token = localStorage.getItem('token');
+    const payload = { code: code };
+    
+    if (!token) {
+        payload.email = $('#guestEmail').val() || undefined;
+    }
+    
+    return $.ajax({
+        url: '/api/coupons/validate',
+        method: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify(payload)
+    });
+}
+
+async function applyCoupon(code, silent = false) {
+    code = (code || '').trim().toUpperCase();
+    if (!code) {
+        $('#couponMessage').removeClass('text-success').addClass('text-danger').text('Please enter a promo code.');
+        return;
+    }
+    
+    try {
+        const result = await validateCoupon(code);
+        const subtotal = lastCartSummary ? calculateSummarySubtotal(lastCartSummary) : 0;
+        appliedCoupon = { code: result.code, discount: result.discount, subtotal: subtotal };
+        
+        $('#couponCodeInput').val(result.code).prop('disabled', true);
+        $('#applyCouponBtn').hide();
+        $('#removeCouponBtn').show();
+        $('#couponMessage').removeClass('text-danger').addClass('text-success')
+            .text(`Code ${result.code} applied: you save Rs. ${result.discount.toFixed(2)}`);
+    } catch (error) {
+        const message = error.responseJSON?.message || 'This promo code could not be applied.';
+        appliedCoupon = null;
+        $('#couponCodeInput').prop('disabled', false);
+        $('#applyCouponBtn').show();
+        $('#removeCouponBtn').hide();
+        $('#couponMessage').removeClass('text-success').addClass('text-danger')
+            .text(silent ? `Promo code ${code} was removed: ${message}` : message);
+    }
+    
+    if (lastCartSummary) {
+        updateCartSummary(lastCartSummary);
+    }
+}
+
+function removeCoupon() {
+    appliedCoupon = null;
+    $('#couponCodeInput').val('').prop('disabled', false);
+    $('#applyCouponBtn').show();
+    $('#removeCouponBtn').hide();
+    $('#couponMessage').text('');
+    if (lastCartSummary) {
+        updateCartSummary(lastCartSummary);
+    }
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function describeAddress(address) {
+    return `${address.label}: ${[address.street, address.city].filter(Boolean).join(', ')}`;
+}
+
+// Offer the customer's saved addresses and preselect their defaults (unless the form is already filled in)
+async function loadSavedAddresses() {
+    try {
+        savedAddresses = await $.get('/api/addresses');
+    } catch (error) {
+        console.error('Error loading saved addresses:', error);
+        savedAddresses = [];
+    }
+    
+    Object.keys(ADDRESS_INPUTS).forEach(function(prefix) {
+        const title = capitalize(prefix);
+        const select = $(`#saved${title}Address`);
+        const current = select.val();
+        select.find('option:not(:first)').remove();
+        savedAddresses.forEach(function(address) {
+            select.append($('<option>').val(address._id).text(describeAddress(address)));
+        });
+        $(`#saved${title}AddressField`).toggle(savedAddresses.length > 0);
+        
+        const defaultAddress = savedAddresses.find(address => prefix === 'shipping' ? address.isDefaultShipping : address.isDefaultBilling);
+        if (current && savedAddresses.some(address => address._id === current)) {
+            select.val(current);
+        } else if (defaultAddress && !$(`#${prefix}Street`).val() && !$(`#${prefix}City`).val()) {
+            select.val(defaultAddress._id);
+            fillAddressFields(prefix, defaultAddress._id);
+        } else {
+            select.val('');
+        }
+        updateSaveAddressOption(prefix);
+    });
+    
+    // A different billing default unticks "same as shipping"
+    const billingId = $('#savedBillingAddress').val();
+    if (billingId && billingId !== $('#savedShippingAddress').val()) {
+        $('#sameAsShipping').prop('checked', false).trigger('change');
+    }
+}
+
+// Copy a saved address into the shipping or billing fields ('' clears them for a new address)
+function fillAddressFields(prefix, addressId) {
+    const address = savedAddresses.find(entry => entry._id === addressId);
+    ADDRESS_INPUTS[prefix].forEach(function(field) {
+        const key = field.charAt(0).toLowerCase() + field.slice(1);
+        const fallback = field === 'Country' ? 'Pakistan' : '';
+        $(`#${prefix}${field}`).val(address ? (address[key] || fallback) : fallback);
+    });
+    if (prefix === 'shipping' && address && address.fullName && !$('#shippingName').val()) {
+        $('#shippingName').val(address.fullName);
+    }
+    updateSaveAddressOption(prefix);
+    if (prefix === 'shipping') {
+        $('#shippingCity').trigger('change');
+    }
+}
+
+// "Save to my address book" is offered for new addresses of logged-in customers
+function updateSaveAddressOption(prefix) {
+    const title = capitalize(prefix);
+    const isNew = !$(`#saved${title}Address`).val();
+    $(`#save${title}AddressField`).toggle(!!localStorage.getItem('token') && isNew);
+    if (!isNew) {
+        $(`#save${title}Address`).prop('checked', false);
+    }
+}
+
+// { label } for an address the customer asked to save, or undefined
+function addressToSave(prefix) {
+    const title = capitalize(prefix);
+    if ($(`#saved${title}Address`).val() || !$(`#save${title}Address`).is(':checked')) {
+        return undefined;
+    }
+    return { label: $(`#${prefix}AddressLabel`).val().trim() };
 }
 
 function copyShippingToBilling() {
@@ -465,9 +708,98 @@ function copyShippingToBilling() {
     $('#billingCountry').val($('#shippingCountry').val());
 }
 
+function describeCartChange(change) {
+    const money = amount => `Rs. ${(amount || 0).toFixed(2)}`;
+    const newPrice = `now ${money(change.newUnitPrice)} each (was ${money(change.oldUnitPrice)})`;
+    switch (change.type) {
+        case 'product_deactivated':
+            return `${change.name} is no longer available and will be removed.`;
+        case 'variant_unavailable':
+            return `The option you chose for ${change.name} is no longer available and will be removed.`;
+        case 'out_of_stock':
+            return `${change.name} is out of stock and will be removed.`;
+        case 'quantity_reduced':
+            return `Only ${change.newQuantity} of ${change.name} left - the quantity will go down from ${change.quantity} to ${change.newQuantity}.`;
+        case 'price_changed':
+            return `${change.name}: the price changed from ${money(change.oldPrice)} to ${money(change.newPrice)} - ${newPrice}.`;
+        case 'discount_ended':
+            return `${change.name}: the ${change.oldDiscount}% discount has ended - ${newPrice}.`;
+        case 'discount_changed':
+            return `${change.name}: the discount changed from ${change.oldDiscount}% to ${change.newDiscount}% - ${newPrice}.`;
+        default:
+            return `${change.name} has changed.`;
+    }
+}
+
+// List the cart changes in the checkout modal; ordering stays blocked until they are accepted
+function showCartChanges(result) {
+    pendingCartChanges = result.changes && result.changes.length > 0 ? result : null;
+    
+    const list = $('#cartChangesList').empty();
+    (pendingCartChanges ? pendingCartChanges.changes : []).forEach(function(change) {
+        list.append($('<li>').text(describeCartChange(change)));
+    });
+    $('#cartChangesNotice').toggleClass('d-none', !pendingCartChanges);
+    $('#placeOrderBtn').prop('disabled', !!pendingCartChanges);
+}
+
+// Compare the cart with the live products; resolves to true when nothing changed
+async function checkCartChanges() {
+    try {
+        const result = await $.get('/api/cart/revalidate');
+        showCartChanges(result);
+        return !pendingCartChanges;
+    } catch (error) {
+        // The order itself is checked again on the server
+        console.error('Error checking cart changes:', error);
+        return true;
+    }
+}
+
+async function acceptCartChanges() {
+    if (!pendingCartChanges) {
+        return;
+    }
+    
+    $('#acceptCartChanges').prop('disabled', true);
+    try {
+        const result = await $.ajax({
+            url: '/api/cart/revalidate',
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({ fingerprint: pendingCartChanges.fingerprint })
+        });
+        showCartChanges({ changes: [] });
+        loadCart();
+        loadCartCount();
+        if (result.totalItems === 0) {
+            $('#checkoutModal').modal('hide');
+            showAlert('None of the items in your cart can be ordered any more.', 'warning');
+        } else {
+            showAlert(`${result.message}. Please check the new total before placing your order.`, 'info');
+        }
+    } catch (error) {
+        if (error.responseJSON?.code === 'CART_CHANGED') {
+            showCartChanges(error.responseJSON);
+        } else {
+            showAlert(error.responseJSON?.message || 'Your cart could not be updated', 'danger');
+        }
+    } finally {
+        $('#acceptCartChanges').prop('disabled', false);
+    }
+}
+
+function newIdempotencyKey() {
+    if (window.crypto && window.crypto.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
 async function placeOrder() {
     const token = localStorage.getItem('token');
     const isGuest = !token;
+    const idempotencyKey = checkoutAttemptKey || (checkoutAttemptKey = newIdempotencyKey());
     
     // Validate form
     if (!$('#checkoutForm')[0].checkValidity()) {
@@ -501,9 +833,8 @@ async function placeOrder() {
     let apiUrl;
     
     if (isGuest) {
-        // Guest checkout - get items from guest cart
-        const guestCart = getGuestCart();
-        if (!guestCart.items || guestCart.items.length === 0) {
+        // Guest checkout - the server takes the items from the guest cart named by the cart cookie
+        if (!lastCartSummary || !lastCartSummary.items || lastCartSummary.items.length === 0) {
             showAlert('Your cart is empty. Please add items to your cart.', 'warning');
             return;
         }
@@ -521,16 +852,7 @@ async function placeOrder() {
             return;
         }
         
-        // Prepare items for guest order
-        const items = guestCart.items.map(item => ({
-            productId: item.productId,
-            quantity: item.quantity,
-            price: item.price,
-            discount: item.discount || 0
-        }));
-        
         orderData = {
-            items: items,
             shippingAddress: shippingAddress,
             billingAddress: billingAddress,
             paymentMethod: $('#paymentMethod').val(),
@@ -545,31 +867,68 @@ async function placeOrder() {
             shippingAddress: shippingAddress,
             billingAddress: billingAddress,
             paymentMethod: $('#paymentMethod').val(),
-            notes: $('#orderNotes').val() || ''
+            notes: $('#orderNotes').val() || '',
+            saveShippingAddress: addressToSave('shipping'),
+            saveBillingAddress: $('#sameAsShipping').is(':checked') ? undefined : addressToSave('billing')
         };
         
         apiUrl = '/api/orders';
     }
     
     try {
+        // Prices, discounts and stock may have changed since the items were added; the shopper accepts them first
+        if (!(await checkCartChanges())) {
+            return;
+        }
+        
+        // Check the promo code once more (the guest email is known now); the server applies it again when placing the order
+        if (appliedCoupon) {
+            await validateCoupon(appliedCoupon.code);
+            orderData.couponCode = appliedCoupon.code;
+        }
+        
+        // Upload the prescription first; the order references the uploaded files
+        if (cartRequiresPrescription) {
+            orderData.prescriptionFiles = await uploadPrescriptionFiles();
+        }
+        
         const response = await $.ajax({
             url: apiUrl,
             method: 'POST',
             contentType: 'application/json',
             data: JSON.stringify(orderData),
-            headers: token ? { 'x-auth-token': token } : {}
+            headers: token
+                ? { 'x-auth-token': token, 'Idempotency-Key': idempotencyKey }
+                : { 'Idempotency-Key': idempotencyKey }
         });
+        // The order exists now; the next checkout is a new attempt
+        checkoutAttemptKey = null;
         
         // Remove focus from button before hiding modal
         $('#placeOrderBtn').blur();
         // Hide modal
         $('#checkoutModal').modal('hide');
-        showAlert('Order placed successfully! Order Number: ' + (response.orderNumber || response._id), 'success');
+        showAlert(`Order placed successfully! Order Number: ${response.orderNumber || response._id} <a href="#" class="alert-link" id="downloadInvoiceLink">Download invoice</a>`, 'success');
+        const invoiceEmail = isGuest ? orderData.guestCustomer.email : undefined;
+        $('#downloadInvoiceLink').click(function(e) {
+            e.preventDefault();
+            downloadInvoice(response._id, response.orderNumber, invoiceEmail);
+        });
         
-        // Clear cart and reload
-        if (isGuest) {
-            // Clear guest cart
-            localStorage.removeItem('guestCart');
+        // Reset the checkout form (the server has emptied the cart)
+        $('#prescriptionFilesInput').val('');
+        $('#saveShippingAddress, #saveBillingAddress').prop('checked', false);
+        removeCoupon();
+        
+        // Card and bank transfer orders continue to the payment provider
+        if (ONLINE_PAYMENT_METHODS.includes(orderData.paymentMethod)) {
+            sessionStorage.setItem('pendingPayment', JSON.stringify({
+                orderId: response._id,
+                orderNumber: response.orderNumber,
+                email: isGuest ? orderData.guestCustomer.email : undefined
+            }));
+            await startOrderPayment();
+            return;
         }
         
         setTimeout(() => {
@@ -581,6 +940,14 @@ async function placeOrder() {
         // window.location.href = `/order/${response._id}`;
         
     } catch (error) {
+        if (error.responseJSON?.code === 'CART_CHANGED') {
+            showCartChanges(error.responseJSON);
+            return;
+        }
+        if (error.responseJSON?.code === 'IDEMPOTENCY_IN_PROGRESS') {
+            showAlert('Your order is already being placed. Please wait a moment.', 'info');
+            return;
+        }
         console.error('Error placing order:', error);
         console.error('Error details:', {
             status: error.status,
@@ -609,25 +976,115 @@ async function placeOrder() {
     }
 }
 
-function loadCartCount() {
-    const token = localStorage.getItem('token');
+// Start the online payment for the order saved in sessionStorage and go to the provider
+async function startOrderPayment() {
+    const pending = JSON.parse(sessionStorage.getItem('pendingPayment') || 'null');
+    if (!pending) {
+        return;
+    }
     
-    // Show guest cart count if not logged in
-    if (!token) {
-        const guestCount = getGuestCartCount();
-        $('.cart-count').text(guestCount);
+    try {
+        const session = await $.ajax({
+            url: `/api/payments/orders/${pending.orderId}/start`,
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({
+                email: pending.email,
+                returnUrl: '/cart.html'
+            })
+        });
+        
+        if (session.redirectUrl) {
+            window.location.href = session.redirectUrl;
+        } else {
+            showAlert('This payment method is not supported on this page yet.', 'warning');
+        }
+    } catch (error) {
+        console.error('Error starting payment:', error);
+        showAlert(`Order ${pending.orderNumber} was placed, but the payment could not be started: ${error.responseJSON?.message || 'please try again.'}`, 'danger');
+    }
+}
+
+// Show the outcome when the payment provider sends the shopper back (?payment=paid|failed&order=...)
+function handlePaymentReturn() {
+    const params = new URLSearchParams(window.location.search);
+    const paymentResult = params.get('payment');
+    if (!paymentResult) {
         return;
     }
     
-    // Load user cart count
+    const orderNumber = params.get('order') || '';
+    if (paymentResult === 'paid') {
+        const pending = JSON.parse(sessionStorage.getItem('pendingPayment') || 'null');
+        sessionStorage.removeItem('pendingPayment');
+        showAlert(`Payment received. Thank you! Order Number: ${orderNumber}${pending ? ' <a href="#" class="alert-link" id="downloadInvoiceLink">Download invoice</a>' : ''}`, 'success');
+        $('#downloadInvoiceLink').click(function(e) {
+            e.preventDefault();
+            downloadInvoice(pending.orderId, pending.orderNumber, pending.email);
+        });
+    } else {
+        showAlert(`Payment for order ${orderNumber} was not completed. <a href="#" class="alert-link" id="retryPaymentLink">Try again</a>`, 'danger');
+        $('#retryPaymentLink').click(function(e) {
+            e.preventDefault();
+            startOrderPayment();
+        });
+    }
+    
+    window.history.replaceState({}, document.title, window.location.pathname);
+}
+
+// Download an order's invoice PDF (signed-in owners by token, guests by the order email)
+async function downloadInvoice(orderId, orderNumber, email) {
+    try {
+        const token = localStorage.getItem('token');
+        const response = await fetch(`/api/orders/${orderId}/invoice${email ? `?email=${encodeURIComponent(email)}` : ''}`, {
+            headers: token ? { 'x-auth-token': token } : {}
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const blobUrl = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = blobUrl;
+        link.download = `invoice-${orderNumber || orderId}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 10000);
+    } catch (error) {
+        console.error('Error downloading invoice:', error);
+        showAlert('Could not download the invoice. Please try again.', 'danger');
+    }
+}
+
+// Upload the selected prescription files and return their IDs
+async function uploadPrescriptionFiles() {
+    const input = $('#prescriptionFilesInput')[0];
+    if (!input || !input.files || input.files.length === 0) {
+        throw { responseJSON: { message: 'Please upload your prescription for the prescription-only items in your cart.' } };
+    }
+    
+    const formData = new FormData();
+    Array.from(input.files).forEach(file => formData.append('files', file));
+    
+    const response = await $.ajax({
+        url: '/api/prescriptions/upload',
+        method: 'POST',
+        data: formData,
+        processData: false,
+        contentType: false
+    });
+    
+    return (response.files || []).map(file => file._id);
+}
+
+function loadCartCount() {
     $.get('/api/cart/count')
         .done(function(data) {
             $('.cart-count').text(data.count || 0);
         })
         .fail(function() {
-            // Fallback to guest cart count if API fails
-            const guestCount = getGuestCartCount();
-            $('.cart-count').text(guestCount);
+            $('.cart-count').text('0');
         });
 }
 
@@ -116,80 +116,18 @@ function renderProducts(products) {
     });
 }
 
-// Guest cart helper functions
-function getGuestCart() {
-    try {
-        const cartStr = localStorage.getItem('guestCart');
-        return cartStr ? JSON.parse(cartStr) : { items: [] };
-    } catch (e) {
-        return { items: [] };
-    }
-}
-
-function saveGuestCart(cart) {
-    localStorage.setItem('guestCart', JSON.stringify(cart));
-}
-
-function getGuestCartCount() {
-    const cart = getGuestCart();
-    return cart.items.reduce((total, item) => total + (item.quantity || 0), 0);
-}
-
-function addToGuestCart(productId, quantity = 1, price = 0, discount = 0) {
-    const cart = getGuestCart();
-    const existingItemIndex = cart.items.findIndex(item => item.productId === productId);
-    
-    if (existingItemIndex >= 0) {
-        cart.items[existingItemIndex].quantity += quantity;
-    } else {
-        cart.items.push({
-            productId: productId,
-            quantity: quantity,
-            price: price,
-            discount: discount
-        });
-    }
-    
-    saveGuestCart(cart);
-    return getGuestCartCount();
-}
-
 function handleAddToCart(productId) {
     const token = localStorage.getItem('token');
     
-    // If not logged in, add to guest cart
-    if (!token) {
-        // Fetch product details to get price
-        $.get(`/api/products/${productId}`)
-            .done(function(product) {
-                if (product) {
-                    const cartCount = addToGuestCart(
-                        productId,
-                        1,
-                        product.price || 0,
-                        product.discount || 0
-                    );
-                    $('.cart-count').text(cartCount);
-                    alert('Product added to cart! Sign in to save your cart.');
-                } else {
-                    alert('Product not found.');
-                }
-            })
-            .fail(function() {
-                // Add to guest cart with default values if API call fails
-                const cartCount = addToGuestCart(productId, 1, 0, 0);
-                $('.cart-count').text(cartCount);
-                alert('Product added to cart! Sign in to save your cart.');
-            });
-        return;
+    // Guests get a cart cookie from the first add
+    if (token) {
+        $.ajaxSetup({
+            headers: {
+                'x-auth-token': token
+            }
+        });
     }
 
-    $.ajaxSetup({
-        headers: {
-            'x-auth-token': token
-        }
-    });
-
     $.ajax({
         url: '/api/cart/add',
         method: 'POST',
@@ -201,6 +139,11 @@ function handleAddToCart(productId) {
         loadCartCount();
     })
     .fail(function(error) {
+        // Products with variants are added from the product page, where the option is picked
+        if (error.responseJSON?.code === 'VARIANT_REQUIRED') {
+            window.location.href = `/product/${productId}`;
+            return;
+        }
         console.error('Error adding to cart:', error);
         alert('Error adding product to cart. Please try again.');
     });
@@ -208,27 +151,20 @@ function handleAddToCart(productId) {
 
 function loadCartCount() {
     const token = localStorage.getItem('token');
-    if (!token) {
-        // Show guest cart count if not logged in
-        const guestCount = getGuestCartCount();
-        $('.cart-count').text(guestCount);
-        return;
+    if (token) {
+        $.ajaxSetup({
+            headers: {
+                'x-auth-token': token
+            }
+        });
     }
 
-    $.ajaxSetup({
-        headers: {
-            'x-auth-token': token
-        }
-    });
-
     $.get('/api/cart/count')
         .done(function(data) {
             $('.cart-count').text(data.count || 0);
         })
         .fail(function() {
-            // If API fails, show guest cart count
-            const guestCount = getGuestCartCount();
-            $('.cart-count').text(guestCount);
+            $('.cart-count').text('0');
         });
 }
 
@@ -1591,7 +1591,8 @@ async function renderBrandMarquee(section, index) {
                         const logoUrl = brand.image || brand.logo || '';
                         const brandName = brand.name || brand.alt || 'Brand';
                         const brandAlt = brand.alt || brandName;
-                            const brandLink = brand.link || '';
+                            // Logos link to the brand landing page; the old free-text link is no longer used
+                            const brandLink = brand.slug ? `/brand/${encodeURIComponent(brand.slug)}` : '';
                             
                             if (!logoUrl || logoUrl === 'null' || logoUrl === 'undefined') {
                                 console.warn('Skipping brand without valid image URL:', brandName);
@@ -1607,7 +1608,7 @@ async function renderBrandMarquee(section, index) {
                             // Use data attributes and event listeners instead of inline handlers to avoid syntax errors
                             const logoHtml = `
                             <div class="brand-marquee__item">
-                                    ${brandLink ? `<a href="${htmlEscape(brandLink)}" target="_blank" rel="noopener">` : '<div style="display: flex; align-items: center; justify-content: center; width: 100%; height: 100%;">'}
+                                    ${brandLink ? `<a href="${htmlEscape(brandLink)}" title="${htmlEscape(brandName)}">` : '<div style="display: flex; align-items: center; justify-content: center; width: 100%; height: 100%;">'}
                                     <img src="${htmlEscape(logoUrl)}" alt="${htmlEscape(brandAlt)}" loading="lazy" 
                                          data-brand-name="${htmlEscape(brandName)}"
                                          data-brand-url="${htmlEscape(logoUrl)}"
@@ -1685,6 +1686,7 @@ function renderProductCard(product) {
     const hasDiscount = product.discount > 0;
     const isSoldOut = product.stockQuantity === 0 || product.isOutOfStock || false;
     const productId = product._id || product.id;
+    const inWishlist = !!window.wishlist && window.wishlist.has(productId);
     
     // Remove column wrapper for carousel slides (they handle their own sizing)
     // But keep it for grid layouts
@@ -1702,10 +1704,14 @@ function renderProductCard(product) {
                 </a>
                 ${hasDiscount ? `<span class="product-card__badge product-card__badge--discount">-${product.discount}%</span>` : ''}
                 ${isSoldOut ? `<span class="product-card__badge product-card__badge--soldout">Sold Out</span>` : ''}
-                <button class="product-card__wishlist" 
+                <button class="product-card__wishlist ${inWishlist ? 'product-card__wishlist--active' : ''}" 
                         data-product-id="${productId}"
+                        data-product-price="${product.price}"
+                        data-product-discount="${product.discount || 0}"
+                        data-product-stock="${product.stock ?? ''}"
                         title="Add to Wishlist"
-                        aria-label="Add to Wishlist">
+                        aria-label="Add to Wishlist"
+                        aria-pressed="${inWishlist}">
                     <i class="icon-heart"></i>
                 </button>
             </div>
@@ -1919,6 +1925,18 @@ function initProductCarousel(container, options) {
 
 // Helper: Initialize Homepage Interactions
 function initializeHomepageInteractions() {
+    // Keep the hearts on product cards in step with the wishlist
+    document.addEventListener('wishlist:change', () => {
+        document.querySelectorAll('.product-card__wishlist').forEach(btn => {
+            const saved = window.wishlist.has(btn.dataset.productId);
+            btn.classList.toggle('product-card__wishlist--active', saved);
+            btn.setAttribute('aria-pressed', String(saved));
+        });
+    });
+    if (window.wishlist) {
+        window.wishlist.load();
+    }
+    
     // Attach add to cart handlers
     document.addEventListener('click', (e) => {
         if (e.target.closest('.add-to-cart-btn') || e.target.closest('.add-to-cart')) {
@@ -1935,20 +1953,6 @@ function initializeHomepageInteractions() {
             // Use existing add to cart function from main.js (available after main.js loads)
             if (typeof window.handleAddToCart === 'function') {
                 window.handleAddToCart(productId);
-            } else if (typeof window.addToGuestCart === 'function') {
-                // Fallback: Add to guest cart
-                const productPrice = parseFloat(btn.dataset.productPrice || 0);
-                const productDiscount = parseFloat(btn.dataset.productDiscount || 0);
-                window.addToGuestCart(productId, 1, productPrice, productDiscount);
-                if (typeof window.loadCartCount === 'function') {
-                    window.loadCartCount();
-                } else {
-                    // Update cart count manually
-                    const guestCart = JSON.parse(localStorage.getItem('guestCart') || '{"items":[]}');
-                    const cartCount = guestCart.items.reduce((sum, item) => sum + item.quantity, 0);
-                    $('.cart-count').text(cartCount);
-                }
-                alert('Product added to cart! Sign in to save your cart.');
             } else {
                 console.warn('Add to cart functions not available yet');
                 alert('Please wait for the page to fully load.');
@@ -1962,20 +1966,18 @@ function initializeHomepageInteractions() {
             const btn = e.target.closest('.product-card__wishlist');
             const productId = btn.dataset.productId;
             
-            // Toggle wishlist icon (filled vs outline)
-            const heartIcon = btn.querySelector('.icon-heart');
-            if (heartIcon) {
-                heartIcon.classList.toggle('las');
-                heartIcon.classList.toggle('lar');
-                heartIcon.classList.toggle('icon-heart');
-            }
-            
-            // TODO: Add wishlist functionality (add/remove from wishlist)
-            if (typeof window.Logger !== 'undefined') {
-                window.Logger.info('Wishlist clicked', { productId });
-            } else {
-                console.log('Wishlist clicked for product:', productId);
+            if (!window.wishlist) {
+                return;
             }
+            window.wishlist.toggle({
+                _id: productId,
+                price: btn.dataset.productPrice,
+                discount: btn.dataset.productDiscount,
+                stock: btn.dataset.productStock === '' ? undefined : btn.dataset.productStock
+            }).catch(error => {
+                console.error('Wishlist error:', error);
+                alert(error.message || 'Could not update your wishlist');
+            });
         }
     });
 }
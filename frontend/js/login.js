@@ -1,4 +1,4 @@
-// Guest cart helper functions (same as main.js)
+// Cart kept in the browser before guest carts moved to the server
 function getGuestCart() {
     try {
         const cartStr = localStorage.getItem('guestCart');
@@ -9,13 +9,104 @@ function getGuestCart() {
 }
 
  $(document).ready(function() {
+    // Links from account emails: /login?verify=<token> and /login?reset=<token>
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get('verify');
+    const resetToken = params.get('reset');
+    
     // Check if user is already logged in
     const token = localStorage.getItem('token');
-    if (token) {
+    if (token && !verifyToken && !resetToken) {
         window.location.href = '/admin';
         return;
     }
     
+    if (verifyToken) {
+        verifyEmail(verifyToken);
+    } else if (resetToken) {
+        showForm('reset');
+    }
+    
+    $('#showForgotPassword').click(function(e) {
+        e.preventDefault();
+        $('#forgotEmail').val($('#email').val());
+        showForm('forgot');
+    });
+    
+    $('.show-login-form').click(function(e) {
+        e.preventDefault();
+        showForm('login');
+    });
+    
+    $('#resendVerificationLink').click(function(e) {
+        e.preventDefault();
+        resendVerification($('#email').val().trim());
+    });
+    
+    // Forgot password form submission
+    $('#forgotPasswordForm').submit(function(e) {
+        e.preventDefault();
+        
+        const submitBtn = $(this).find('button[type="submit"]');
+        const originalText = submitBtn.text();
+        submitBtn.text('Sending...').prop('disabled', true);
+        
+        $.ajax({
+            url: '/api/auth/forgot-password',
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({ email: $('#forgotEmail').val().trim() }),
+            success: function(response) {
+                showForm('login');
+                showAlert(response.message, 'success');
+            },
+            error: function(xhr) {
+                showAlert(xhr.responseJSON?.message || 'Could not send the reset link. Please try again.', 'danger');
+            },
+            complete: function() {
+                submitBtn.text(originalText).prop('disabled', false);
+            }
+        });
+    });
+    
+    // Reset password form submission
+    $('#resetPasswordForm').submit(function(e) {
+        e.preventDefault();
+        
+        const password = $('#newPassword').val();
+        if (password.length < 6) {
+            showAlert('Password must be at least 6 characters long', 'danger');
+            return;
+        }
+        if (password !== $('#confirmNewPassword').val()) {
+            showAlert('Passwords do not match', 'danger');
+            return;
+        }
+        
+        const submitBtn = $(this).find('button[type="submit"]');
+        const originalText = submitBtn.text();
+        submitBtn.text('Saving...').prop('disabled', true);
+        
+        $.ajax({
+            url: '/api/auth/reset-password',
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({ token: resetToken, password: password }),
+            success: function(response) {
+                // Drop the used token from the address bar
+                window.history.replaceState({}, '', '/login');
+                showForm('login');
+                showAlert(response.message, 'success');
+            },
+            error: function(xhr) {
+                showAlert(xhr.responseJSON?.message || 'Could not reset your password. Please try again.', 'danger');
+            },
+            complete: function() {
+                submitBtn.text(originalText).prop('disabled', false);
+            }
+        });
+    });
+    
     // Login form submission
     $('#loginForm').submit(function(e) {
         e.preventDefault();
@@ -34,43 +125,32 @@ function getGuestCart() {
             method: 'POST',
             data: {
                 email: email,
-                password: password
+                password: password,
+                remember: $('#remember').is(':checked')
             },
             success: async function(response) {
-                // Store token
+                // Store the access token and the refresh token that renews it (see auth-session.js)
                 localStorage.setItem('token', response.token);
+                localStorage.setItem('refreshToken', response.refreshToken);
                 
-                // Merge guest cart with user cart (for regular users)
+                // Merge the guest cart (cart cookie, plus any cart left in the browser) into the user's cart
                 // Note: This page redirects to /admin, but some users might login here
                 try {
-                    const guestCart = getGuestCart();
-                    if (guestCart && guestCart.items && guestCart.items.length > 0) {
-                        // Add each item from guest cart to user cart
-                        for (const item of guestCart.items) {
-                            try {
-                                await $.ajax({
-                                    url: '/api/cart/add',
-                                    method: 'POST',
-                                    headers: {
-                                        'x-auth-token': response.token,
-                                        'Content-Type': 'application/json'
-                                    },
-                                    data: JSON.stringify({
-                                        productId: item.productId,
-                                        quantity: item.quantity
-                                    })
-                                });
-                            } catch (error) {
-                                console.error(`Failed to add product ${item.productId} to cart:`, error);
-                            }
-                        }
-                        // Clear guest cart after successful merge
-                        localStorage.removeItem('guestCart');
-                    }
+                    await $.ajax({
+                        url: '/api/cart/merge',
+                        method: 'POST',
+                        contentType: 'application/json',
+                        headers: { 'x-auth-token': response.token },
+                        data: JSON.stringify({ items: getGuestCart().items })
+                    });
+                    localStorage.removeItem('guestCart');
                 } catch (error) {
                     console.error('Failed to merge guest cart:', error);
                 }
                 
+                // Same for the guest wishlist
+                await window.wishlist.mergeGuest(response.token);
+                
                 // Redirect to admin dashboard
                 window.location.href = '/admin';
             },
@@ -82,6 +162,9 @@ function getGuestCart() {
                     errorMessage = xhr.responseJSON.message;
                 }
                 
+                // Unverified accounts can ask for a new verification link
+                $('#resendVerificationBox').toggleClass('d-none', xhr.responseJSON?.code !== 'EMAIL_NOT_VERIFIED');
+                
                 showAlert(errorMessage, 'danger');
                 
                 // Reset button state
@@ -91,6 +174,55 @@ function getGuestCart() {
     });
 });
 
+// Switch between the login, forgot password and reset password forms
+function showForm(name) {
+    const titles = { login: 'Admin Login', forgot: 'Forgot Password', reset: 'Reset Password' };
+    $('#loginForm').toggleClass('d-none', name !== 'login');
+    $('#forgotPasswordForm').toggleClass('d-none', name !== 'forgot');
+    $('#resetPasswordForm').toggleClass('d-none', name !== 'reset');
+    $('#loginTitle').text(titles[name]);
+    $('.alert').remove();
+}
+
+function verifyEmail(token) {
+    $.ajax({
+        url: '/api/auth/verify-email',
+        method: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify({ token: token }),
+        success: function(response) {
+            showAlert(response.message, 'success');
+        },
+        error: function(xhr) {
+            showAlert(xhr.responseJSON?.message || 'Could not verify your email. Please try again.', 'danger');
+        },
+        complete: function() {
+            window.history.replaceState({}, '', '/login');
+        }
+    });
+}
+
+function resendVerification(email) {
+    if (!email) {
+        showAlert('Please enter your email address', 'danger');
+        return;
+    }
+    
+    $.ajax({
+        url: '/api/auth/resend-verification',
+        method: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify({ email: email }),
+        success: function(response) {
+            $('#resendVerificationBox').addClass('d-none');
+            showAlert(response.message, 'success');
+        },
+        error: function(xhr) {
+            showAlert(xhr.responseJSON?.message || 'Could not send the verification email. Please try again.', 'danger');
+        }
+    });
+}
+
 // Alert function
 function showAlert(message, type) {
     // Remove any existing alerts
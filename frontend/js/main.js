@@ -809,7 +809,8 @@ async function loadStaticBrands() {
             let logoUrl = brand.image || '';
             const brandName = brand.name || brand.alt || 'Brand';
             const brandAlt = brand.alt || brandName;
-            const brandLink = brand.link || '';
+            // Logos link to the brand landing page; the old free-text link is no longer used
+            const brandLink = brand.slug ? `/brand/${encodeURIComponent(brand.slug)}` : '';
             
             // Clean up the image URL
             if (logoUrl) {
@@ -872,8 +873,7 @@ async function loadStaticBrands() {
             if (brandLink) {
                 const link = document.createElement('a');
                 link.href = brandLink;
-                link.target = '_blank';
-                link.rel = 'noopener';
+                link.title = brandName;
                 link.appendChild(img);
                 brandItem.appendChild(link);
             } else {
@@ -1521,89 +1521,9 @@ function syncMobileMenuDropdowns() {
     }
 }
 
-// Guest cart functions
-function getGuestCart() {
-    try {
-        const cartStr = localStorage.getItem('guestCart');
-        return cartStr ? JSON.parse(cartStr) : { items: [] };
-    } catch (e) {
-        return { items: [] };
-    }
-}
-
-function saveGuestCart(cart) {
-    localStorage.setItem('guestCart', JSON.stringify(cart));
-}
-
-function getGuestCartCount() {
-    const cart = getGuestCart();
-    return cart.items.reduce((total, item) => total + (item.quantity || 0), 0);
-}
-
-function addToGuestCart(productId, quantity = 1, price = 0, discount = 0) {
-    const cart = getGuestCart();
-    const existingItemIndex = cart.items.findIndex(item => item.productId === productId);
-    
-    if (existingItemIndex >= 0) {
-        cart.items[existingItemIndex].quantity += quantity;
-    } else {
-        cart.items.push({
-            productId: productId,
-            quantity: quantity,
-            price: price,
-            discount: discount
-        });
-    }
-    
-    saveGuestCart(cart);
-    return getGuestCartCount();
-}
-
-async function mergeGuestCartWithUserCart() {
-    const guestCart = getGuestCart();
-    if (!guestCart.items || guestCart.items.length === 0) {
-        return;
-    }
-
-    const token = localStorage.getItem('token');
-    if (!token) {
-        return;
-    }
-
-    try {
-        // Add each item from guest cart to user cart
-        for (const item of guestCart.items) {
-            try {
-                await fetchJSON('/api/cart/add', {
-                    method: 'POST',
-                    body: {
-                        productId: item.productId,
-                        quantity: item.quantity
-                    }
-                });
-            } catch (error) {
-                console.error(`Failed to add product ${item.productId} to cart:`, error);
-            }
-        }
-
-        // Clear guest cart after successful merge
-        localStorage.removeItem('guestCart');
-        await loadCartCount();
-    } catch (error) {
-        console.error('Failed to merge guest cart:', error);
-    }
-}
-
+// Works for guests too: their cart is kept on the server under the cartToken cookie
 async function loadCartCount() {
     try {
-        const token = localStorage.getItem('token');
-        if (!token) {
-            // Show guest cart count if not logged in
-            const guestCount = getGuestCartCount();
-            updateCartCount(guestCount);
-            return;
-        }
-
         const response = await fetchJSON('/api/cart/count', {
             method: 'GET'
         });
@@ -1612,9 +1532,8 @@ async function loadCartCount() {
             updateCartCount(response.count);
         }
     } catch (error) {
-        // If user is not logged in or token is invalid, show guest cart count
-        const guestCount = getGuestCartCount();
-        updateCartCount(guestCount);
+        console.error('Failed to load cart count:', error);
+        updateCartCount(0);
     }
 }
 
@@ -1634,37 +1553,6 @@ async function handleAddToCart(productId) {
         return;
     }
 
-    const token = localStorage.getItem('token');
-    
-    // If not logged in, add to guest cart
-    if (!token) {
-        console.log('handleAddToCart: No token found, adding to guest cart');
-        
-        // Fetch product details to get price
-        try {
-            const productResponse = await fetchJSON(`/api/products/${productId}`);
-            if (productResponse) {
-                const cartCount = addToGuestCart(
-                    productId,
-                    1,
-                    productResponse.price || 0,
-                    productResponse.discount || 0
-                );
-                updateCartCount(cartCount);
-                alert('Product added to cart! Sign in to save your cart.');
-            } else {
-                alert('Product not found.');
-            }
-        } catch (error) {
-            console.error('Error fetching product details:', error);
-            // Add to guest cart with default values
-            const cartCount = addToGuestCart(productId, 1, 0, 0);
-            updateCartCount(cartCount);
-            alert('Product added to cart! Sign in to save your cart.');
-        }
-        return;
-    }
-
     console.log('handleAddToCart: Making API call with productId:', productId);
 
     try {
@@ -1697,6 +1585,11 @@ async function handleAddToCart(productId) {
             alert('Product added to cart!');
         }
     } catch (error) {
+        // Products with variants are added from the product page, where the option is picked
+        if (error.code === 'VARIANT_REQUIRED') {
+            handleViewProduct(productId);
+            return;
+        }
         console.error('Add to cart failed', error);
         console.error('Error details:', {
             message: error.message,
@@ -1708,6 +1601,7 @@ async function handleAddToCart(productId) {
         if (error.status === 401) {
             errorMessage = 'Please log in to add products to cart.';
             localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
             setTimeout(() => {
                 window.location.href = '/login';
             }, 1500);
@@ -1800,7 +1694,10 @@ function fetchOptionsFrom({ method = 'GET', body, headers, ...rest } = {}) {
 async function fetchJSON(url, options) {
     const fetchOpts = fetchOptionsFrom(options);
     
-    // Add auth token if available
+    // Add auth token if available (after auth-session.js has refreshed an expired one)
+    if (window.authSession) {
+        await window.authSession.ready;
+    }
     const token = localStorage.getItem('token');
     if (token && !fetchOpts.headers['x-auth-token']) {
         fetchOpts.headers['x-auth-token'] = token;
@@ -1816,6 +1713,7 @@ async function fetchJSON(url, options) {
         try {
             const errorData = await response.json();
             error.message = errorData.message || error.message;
+            error.code = errorData.code;
         } catch (e) {
             // If response is not JSON, use default message
         }
@@ -1847,9 +1745,7 @@ function htmlEscape(content = '') {
 // Export functions to window for use in other scripts
 if (typeof window !== 'undefined') {
     window.handleAddToCart = handleAddToCart;
-    window.addToGuestCart = addToGuestCart;
     window.loadCartCount = loadCartCount;
-    window.getGuestCart = getGuestCart;
     window.htmlEscape = htmlEscape;
     window.resolveImageUrl = resolveImageUrl;
     window.globalFallbackImage = globalFallbackImage;
@@ -0,0 +1,56 @@
+// Mock payment provider checkout page (local testing only)
+// Completing the payment makes the server deliver a signed webhook, exactly like a real provider
+$(document).ready(function() {
+    const reference = new URLSearchParams(window.location.search).get('reference');
+    
+    if (!reference) {
+        showMockMessage('Missing payment reference.', 'danger');
+        return;
+    }
+    
+    $.get(`/api/payments/mock/${encodeURIComponent(reference)}`)
+        .done(function(payment) {
+            $('#mockOrderNumber').text(payment.orderNumber || '-');
+            $('#mockAmount').text(`${payment.currency} ${payment.amount.toFixed(2)}`);
+            $('#mockReference').text(payment.reference);
+            
+            if (payment.status === 'paid') {
+                showMockMessage('This payment has already been completed.', 'success');
+                return;
+            }
+            $('#mockPayBtn, #mockFailBtn').prop('disabled', false);
+        })
+        .fail(function(error) {
+            showMockMessage(error.responseJSON?.message || 'Payment not found.', 'danger');
+        });
+    
+    $('#mockPayBtn').click(function() {
+        completeMockPayment(reference, 'paid');
+    });
+    
+    $('#mockFailBtn').click(function() {
+        completeMockPayment(reference, 'failed');
+    });
+});
+
+function completeMockPayment(reference, outcome) {
+    $('#mockPayBtn, #mockFailBtn').prop('disabled', true);
+    
+    $.ajax({
+        url: `/api/payments/mock/${encodeURIComponent(reference)}/complete`,
+        method: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify({ outcome: outcome })
+    })
+    .done(function(result) {
+        window.location.href = result.returnUrl;
+    })
+    .fail(function(error) {
+        showMockMessage(error.responseJSON?.message || 'Could not complete the payment.', 'danger');
+        $('#mockPayBtn, #mockFailBtn').prop('disabled', false);
+    });
+}
+
+function showMockMessage(message, type) {
+    $('#mockPaymentMessage').html(`<div class="alert alert-${type} mb-0">${message}</div>`);
+}
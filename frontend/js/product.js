@@ -35,15 +35,38 @@ $(document).ready(function() {
     // Add to cart button
     $('#addToCartBtn').click(function() {
         const productId = $(this).data('product-id');
+        const variantId = $(this).data('variant-id');
         const quantity = parseInt($('#productQuantity').val(), 10);
         if (productId) {
-            addToCart(productId, quantity);
+            addToCart(productId, quantity, variantId);
         }
     });
     
-    // Add to wishlist button
-    $('#addToWishlistBtn').click(function() {
-        alert('Wishlist functionality coming soon!');
+    // Variant picker: one choice per attribute (size, shade, ...)
+    $('#productVariants').on('click', '.variant-option', function() {
+        const product = $('#productVariants').data('product');
+        const name = $(this).attr('data-name');
+        const value = $(this).attr('data-value');
+        const selected = { ...($('#productVariants').data('selected') || {}), [name]: value };
+        // Keep the other choices when that combination exists, otherwise switch to a variant with this value
+        selectVariant(product, findVariant(product, selected) || findVariant(product, { [name]: value }));
+    });
+    
+    // Add to / remove from wishlist
+    $('#addToWishlistBtn').click(async function() {
+        const product = $(this).data('product');
+        if (!product) {
+            return;
+        }
+        const button = $(this).prop('disabled', true);
+        try {
+            await window.wishlist.toggle(product);
+        } catch (error) {
+            console.error('Wishlist error:', error);
+            alert(error.message || 'Could not update your wishlist');
+        }
+        button.prop('disabled', false);
+        updateWishlistButton(product._id);
     });
 });
 
@@ -67,10 +90,6 @@ function loadProduct(productId) {
 
 function renderProduct(product) {
     const productId = product._id || product.id;
-    const productImage = product.imageUpload?.url || product.image || 'https://via.placeholder.com/600x600';
-    const finalPrice = product.price * (1 - (product.discount || 0) / 100);
-    const hasDiscount = product.discount > 0;
-    const isSoldOut = product.stockQuantity === 0 || product.isOutOfStock || false;
     
     // Safely extract category and department info
     const categoryName = product.category?.name || 'Uncategorized';
@@ -97,19 +116,6 @@ function renderProduct(product) {
     $('#productLoading').hide();
     $('#productContent').show();
     
-    // Product Image
-    $('#productImage').attr('src', productImage).attr('alt', product.name);
-    
-    // Product Badges
-    let badgesHtml = '';
-    if (hasDiscount) {
-        badgesHtml += `<span class="badge bg-danger product-badge">-${product.discount}%</span>`;
-    }
-    if (isSoldOut) {
-        badgesHtml += `<span class="badge bg-secondary product-badge">Out of Stock</span>`;
-    }
-    $('#productBadges').html(badgesHtml);
-    
     // Breadcrumb - Always show Department > Category > Product hierarchy
     let breadcrumbHtml = '<li class="breadcrumb-item"><a href="/">Home</a></li>';
     
@@ -130,18 +136,17 @@ function renderProduct(product) {
     // Product Name
     $('#productName').text(product.name);
     
-    // Product Price
-    let priceHtml = '';
-    if (hasDiscount) {
-        priceHtml += `<span class="text-muted text-decoration-line-through me-2">Rs. ${product.price.toFixed(2)}</span>`;
-    }
-    priceHtml += `<span class="text-primary fs-3 fw-bold">Rs. ${finalPrice.toFixed(2)}</span>`;
-    $('#productPrice').html(priceHtml);
-    
     // Product Description
     $('#productDescription').html(product.description || 'No description available.');
     
-    // Product Meta - Navigation links to department and category
+    // Product Meta - Navigation links to brand, department and category
+    if (product.brand?.slug) {
+        $('#productBrand').html(`<a href="/brand/${encodeURIComponent(product.brand.slug)}">${product.brand.name}</a>`);
+        $('#productBrandRow').show();
+    } else {
+        $('#productBrandRow').hide();
+    }
+    
     if (categoryId) {
         $('#productCategory').html(`<a href="/category.html?id=${categoryId}">${categoryName}</a>`);
     } else {
@@ -154,27 +159,145 @@ function renderProduct(product) {
         $('#productDepartment').html(`<span class="text-muted">${departmentName}</span>`);
     }
     
+    // Add to cart button
+    $('#addToCartBtn').data('product-id', productId);
+    
+    // Price, stock and image - of the chosen variant for products with variants
+    const variants = (product.variants || []).filter(variant => variant.isActive !== false);
+    if (variants.length > 0) {
+        renderVariantPicker(product, variants);
+        selectVariant(product, variants.find(variant => variant.stock > 0) || variants[0]);
+    } else {
+        $('#productVariants').hide().empty();
+        renderPurchaseOption(product, product);
+    }
+    
+    // Wishlist button
+    $('#addToWishlistBtn').data('product', product);
+    window.wishlist.load().then(() => updateWishlistButton(productId));
+    
+    // Update page title
+    document.title = `${product.name} - D.Watson Cosmetics`;
+}
+
+// Price, badges, stock, SKU, image and the add to cart button for the product or the chosen variant
+// option: the product itself, a variant, or null when the chosen combination does not exist
+function renderPurchaseOption(product, option) {
+    const productImage = product.imageUpload?.url || product.image || 'https://via.placeholder.com/600x600';
+    const image = (option && option.images && option.images[0]) || productImage;
+    $('#productImage').attr('src', image).attr('alt', product.name);
+    
+    const addToCartBtn = $('#addToCartBtn');
+    addToCartBtn.data('variant-id', option && option !== product ? option._id : '');
+    if (!option) {
+        $('#productBadges').html('');
+        $('#productStock').html('<span class="text-danger">This combination is not available</span>');
+        $('#productSkuRow').hide();
+        addToCartBtn.prop('disabled', true).html('<i class="fas fa-shopping-cart"></i> Not Available');
+        return;
+    }
+    
+    const finalPrice = option.price * (1 - (option.discount || 0) / 100);
+    const hasDiscount = option.discount > 0;
+    const isSoldOut = !(option.stock > 0);
+    
+    // Product Badges
+    let badgesHtml = '';
+    if (hasDiscount) {
+        badgesHtml += `<span class="badge bg-danger product-badge">-${option.discount}%</span>`;
+    }
+    if (isSoldOut) {
+        badgesHtml += `<span class="badge bg-secondary product-badge">Out of Stock</span>`;
+    }
+    $('#productBadges').html(badgesHtml);
+    
+    // Product Price
+    let priceHtml = '';
+    if (hasDiscount) {
+        priceHtml += `<span class="text-muted text-decoration-line-through me-2">Rs. ${option.price.toFixed(2)}</span>`;
+    }
+    priceHtml += `<span class="text-primary fs-3 fw-bold">Rs. ${finalPrice.toFixed(2)}</span>`;
+    $('#productPrice').html(priceHtml);
+    
     const stockText = isSoldOut ? '<span class="text-danger">Out of Stock</span>' : 
-                     (product.stockQuantity ? `<span class="text-success">${product.stockQuantity} available</span>` : 
-                     '<span class="text-success">In Stock</span>');
+                     `<span class="text-success">${option.stock} available</span>`;
     $('#productStock').html(stockText);
     
+    if (option.sku) {
+        $('#productSku').text(option.sku);
+        $('#productSkuRow').show();
+    } else {
+        $('#productSkuRow').hide();
+    }
+    
     // Quantity input max
-    if (product.stockQuantity) {
-        $('#productQuantity').attr('max', Math.min(product.stockQuantity, 10));
+    const qtyInput = $('#productQuantity');
+    qtyInput.attr('max', Math.max(1, Math.min(option.stock || 0, 10)));
+    if (parseInt(qtyInput.val(), 10) > parseInt(qtyInput.attr('max'), 10)) {
+        qtyInput.val(qtyInput.attr('max'));
     }
     
-    // Add to cart button
-    const addToCartBtn = $('#addToCartBtn');
-    addToCartBtn.data('product-id', productId);
     if (isSoldOut) {
-        addToCartBtn.prop('disabled', true).text('Out of Stock');
+        addToCartBtn.prop('disabled', true).html('<i class="fas fa-shopping-cart"></i> Out of Stock');
     } else {
-        addToCartBtn.prop('disabled', false);
+        addToCartBtn.prop('disabled', false).html('<i class="fas fa-shopping-cart"></i> Add to Cart');
     }
+}
+
+// One row of choices per attribute name, in the order the attributes first appear
+function renderVariantPicker(product, variants) {
+    const choices = new Map();
+    variants.forEach(variant => {
+        (variant.attributes || []).forEach(attribute => {
+            if (!choices.has(attribute.name)) {
+                choices.set(attribute.name, []);
+            }
+            if (!choices.get(attribute.name).includes(attribute.value)) {
+                choices.get(attribute.name).push(attribute.value);
+            }
+        });
+    });
     
-    // Update page title
-    document.title = `${product.name} - D.Watson Cosmetics`;
+    const picker = $('#productVariants').empty();
+    choices.forEach((values, name) => {
+        const group = $('<div class="mb-2"></div>')
+            .append($('<label class="form-label d-block mb-1 fw-bold"></label>').text(name));
+        values.forEach(value => {
+            group.append($('<button type="button" class="btn btn-outline-secondary btn-sm me-2 mb-1 variant-option"></button>')
+                .text(value)
+                .attr('data-name', name)
+                .attr('data-value', value));
+        });
+        picker.append(group);
+    });
+    picker.data('product', product).show();
+}
+
+// The active variant whose attributes match every selected value
+function findVariant(product, selected) {
+    return (product.variants || []).find(variant => variant.isActive !== false &&
+        Object.keys(selected).every(name => (variant.attributes || [])
+            .some(attribute => attribute.name === name && attribute.value === selected[name])));
+}
+
+function selectVariant(product, variant) {
+    const selected = {};
+    (variant ? variant.attributes || [] : []).forEach(attribute => {
+        selected[attribute.name] = attribute.value;
+    });
+    $('#productVariants').data('selected', selected);
+    $('#productVariants .variant-option').each(function() {
+        const isSelected = selected[$(this).attr('data-name')] === $(this).attr('data-value');
+        $(this).toggleClass('active btn-secondary', isSelected).toggleClass('btn-outline-secondary', !isSelected);
+    });
+    renderPurchaseOption(product, variant || null);
+}
+
+function updateWishlistButton(productId) {
+    const saved = window.wishlist.has(productId);
+    $('#addToWishlistBtn').html(saved
+        ? '<i class="fas fa-heart text-danger"></i> In Wishlist'
+        : '<i class="far fa-heart"></i> Add to Wishlist');
 }
 
 function showError(message) {
@@ -182,51 +305,16 @@ function showError(message) {
     $('#productError').show().find('p').first().text(message);
 }
 
-function addToCart(productId, quantity = 1) {
+function addToCart(productId, quantity = 1, variantId) {
     const token = localStorage.getItem('token');
     
-    if (!token) {
-        // Guest cart - fetch product details first
-        $.get(`/api/public/products/${productId}`)
-            .done(function(product) {
-                const productPrice = product.price || 0;
-                const productDiscount = product.discount || 0;
-                
-                // Add to guest cart
-                let guestCart = JSON.parse(localStorage.getItem('guestCart') || '{"items":[]}');
-                const existingItemIndex = guestCart.items.findIndex(item => item.productId === productId);
-                
-                if (existingItemIndex >= 0) {
-                    guestCart.items[existingItemIndex].quantity += quantity;
-                } else {
-                    guestCart.items.push({
-                        productId: productId,
-                        quantity: quantity,
-                        price: productPrice,
-                        discount: productDiscount
-                    });
-                }
-                
-                localStorage.setItem('guestCart', JSON.stringify(guestCart));
-                const cartCount = guestCart.items.reduce((sum, item) => sum + item.quantity, 0);
-                $('.cart-count').text(cartCount);
-                alert('Product added to cart! Sign in to save your cart.');
-            })
-            .fail(function() {
-                alert('Error adding product to cart. Please try again.');
-            });
-        return;
-    }
-    
-    // User cart - make API call
+    // Guests get a cart cookie from the first add
     $.ajax({
         url: '/api/cart/add',
         method: 'POST',
-        headers: {
-            'x-auth-token': token,
-            'Content-Type': 'application/json'
-        },
-        data: JSON.stringify({ productId, quantity })
+        headers: token ? { 'x-auth-token': token } : {},
+        contentType: 'application/json',
+        data: JSON.stringify({ productId, variantId: variantId || undefined, quantity })
     })
     .done(function(data) {
         alert('Product added to cart!');
@@ -234,43 +322,21 @@ function addToCart(productId, quantity = 1) {
     })
     .fail(function(error) {
         console.error('Error adding to cart:', error);
-        alert('Error adding product to cart. Please try again.');
+        alert(error.responseJSON?.message || 'Error adding product to cart. Please try again.');
     });
 }
 
 function loadCartCount() {
     const token = localStorage.getItem('token');
     
-    if (!token) {
-        // Guest cart count
-        try {
-            const guestCart = JSON.parse(localStorage.getItem('guestCart') || '{"items":[]}');
-            const cartCount = guestCart.items.reduce((sum, item) => sum + (item.quantity || 0), 0);
-            $('.cart-count').text(cartCount);
-        } catch (e) {
-            $('.cart-count').text('0');
-        }
-        return;
-    }
-    
-    // User cart count
     $.ajax({
         url: '/api/cart/count',
-        headers: {
-            'x-auth-token': token
-        }
+        headers: token ? { 'x-auth-token': token } : {}
     })
     .done(function(data) {
         $('.cart-count').text(data.count || 0);
     })
     .fail(function() {
-        // Fallback to guest cart count
-        try {
-            const guestCart = JSON.parse(localStorage.getItem('guestCart') || '{"items":[]}');
-            const cartCount = guestCart.items.reduce((sum, item) => sum + (item.quantity || 0), 0);
-            $('.cart-count').text(cartCount);
-        } catch (e) {
-            $('.cart-count').text('0');
-        }
+        $('.cart-count').text('0');
     });
 }
@@ -1,13 +1,3 @@
-// Guest cart helper functions (same as main.js)
-function getGuestCart() {
-    try {
-        const cartStr = localStorage.getItem('guestCart');
-        return cartStr ? JSON.parse(cartStr) : { items: [] };
-    } catch (e) {
-        return { items: [] };
-    }
-}
-
 $(document).ready(function() {
     // Check if user is already logged in
     const token = localStorage.getItem('token');
@@ -77,49 +67,24 @@ $(document).ready(function() {
             method: 'POST',
             contentType: 'application/json',
             data: JSON.stringify(registrationData),
-            success: async function(response) {
-                // Store token
-                if (response.token) {
-                    localStorage.setItem('token', response.token);
-                }
-                
-                // Merge guest cart with user cart
-                try {
-                    const guestCart = getGuestCart();
-                    if (guestCart && guestCart.items && guestCart.items.length > 0) {
-                        // Add each item from guest cart to user cart
-                        for (const item of guestCart.items) {
-                            try {
-                                await $.ajax({
-                                    url: '/api/cart/add',
-                                    method: 'POST',
-                                    headers: {
-                                        'x-auth-token': response.token,
-                                        'Content-Type': 'application/json'
-                                    },
-                                    data: JSON.stringify({
-                                        productId: item.productId,
-                                        quantity: item.quantity
-                                    })
-                                });
-                            } catch (error) {
-                                console.error(`Failed to add product ${item.productId} to cart:`, error);
-                            }
-                        }
-                        // Clear guest cart after successful merge
-                        localStorage.removeItem('guestCart');
-                    }
-                } catch (error) {
-                    console.error('Failed to merge guest cart:', error);
+            success: function(response) {
+                // Stores without email delivery verify new accounts straight away
+                if (response.emailVerified) {
+                    showAlert(response.message, 'success');
+                    setTimeout(function() {
+                        window.location.href = '/login';
+                    }, 1500);
+                    return;
                 }
                 
-                // Show success message
-                showAlert('Registration successful! Redirecting...', 'success');
+                // No login until the email is verified; the guest cart is merged on first login
+                $('#registerForm').addClass('d-none');
+                $('#verifyEmailAddress').text(email);
+                $('#verifyEmailNotice').removeClass('d-none');
                 
-                // Redirect to home page after 1.5 seconds
-                setTimeout(function() {
-                    window.location.href = '/';
-                }, 1500);
+                if (response.emailSent === false) {
+                    showAlert(response.message, 'warning');
+                }
             },
             error: function(xhr) {
                 // Show error message
@@ -141,6 +106,27 @@ $(document).ready(function() {
         });
     });
     
+    $('#resendVerificationBtn').click(function() {
+        const btn = $(this);
+        btn.prop('disabled', true);
+        
+        $.ajax({
+            url: '/api/auth/resend-verification',
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({ email: $('#verifyEmailAddress').text() }),
+            success: function(response) {
+                showAlert(response.message, 'success');
+            },
+            error: function(xhr) {
+                showAlert(xhr.responseJSON?.message || 'Could not send the verification email. Please try again.', 'danger');
+            },
+            complete: function() {
+                btn.prop('disabled', false);
+            }
+        });
+    });
+    
     // Real-time password confirmation validation
     $('#confirmPassword').on('input', function() {
         const password = $('#password').val();
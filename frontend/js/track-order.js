@@ -0,0 +1,198 @@
+$(document).ready(function() {
+    loadCartCount();
+    loadDepartments();
+
+    // Links from order emails can prefill the order number: /track-order?order=ORD-...
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('order')) {
+        $('#trackOrderNumber').val(params.get('order'));
+    }
+
+    $('#trackOrderForm').submit(function(e) {
+        e.preventDefault();
+        trackOrder();
+    });
+});
+
+const TRACK_STATUS_LABELS = {
+    pending: 'Order placed',
+    confirmed: 'Confirmed',
+    processing: 'Processing',
+    partially_shipped: 'Partially shipped',
+    shipped: 'Shipped',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled'
+};
+
+const TRACK_STATUS_CLASSES = {
+    pending: 'bg-warning text-dark',
+    confirmed: 'bg-info text-dark',
+    processing: 'bg-primary',
+    partially_shipped: 'bg-secondary',
+    shipped: 'bg-secondary',
+    delivered: 'bg-success',
+    cancelled: 'bg-danger'
+};
+
+function escapeHtml(value) {
+    return $('<div>').text(value == null ? '' : String(value)).html();
+}
+
+function formatMoney(amount) {
+    return `Rs. ${(amount || 0).toFixed(2)}`;
+}
+
+async function trackOrder() {
+    const orderNumber = $('#trackOrderNumber').val().trim();
+    const contact = $('#trackContact').val().trim();
+
+    $('#trackOrderMessage').empty();
+    $('#trackOrderBtn').prop('disabled', true);
+
+    try {
+        const order = await $.ajax({
+            url: '/api/orders/track',
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({ orderNumber, contact })
+        });
+        renderTrackedOrder(order, contact);
+    } catch (error) {
+        $('#trackOrderResult').addClass('d-none');
+        const message = error.responseJSON?.message || 'Could not look up the order. Please try again.';
+        $('#trackOrderMessage').html(`<div class="alert alert-${error.status === 429 ? 'warning' : 'danger'} mb-0">${escapeHtml(message)}</div>`);
+    } finally {
+        $('#trackOrderBtn').prop('disabled', false);
+    }
+}
+
+function renderTrackedOrder(order, contact) {
+    $('#trackResultNumber').text(order.orderNumber);
+    $('#trackResultDate').text(new Date(order.createdAt).toLocaleDateString());
+    $('#trackResultStatus')
+        .attr('class', `badge fs-6 ${TRACK_STATUS_CLASSES[order.status] || 'bg-secondary'}`)
+        .text(TRACK_STATUS_LABELS[order.status] || order.status);
+
+    $('#trackResultTimeline').html(order.timeline.map(entry => `
+        <li class="mb-2">
+            <i class="fas fa-check-circle text-success me-2"></i>
+            <strong>${escapeHtml(TRACK_STATUS_LABELS[entry.status] || entry.status)}</strong>
+            <small class="text-muted ms-2">${new Date(entry.changedAt).toLocaleString()}</small>
+        </li>
+    `).join(''));
+
+    $('#trackResultShipmentsCard').toggleClass('d-none', order.shipments.length === 0);
+    $('#trackResultShipments').html(order.shipments.map(shipment => {
+        const tracking = shipment.trackingNumber
+            ? (shipment.trackingUrl
+                ? `<a href="${escapeHtml(shipment.trackingUrl)}" target="_blank" rel="noopener">${escapeHtml(shipment.trackingNumber)}</a>`
+                : escapeHtml(shipment.trackingNumber))
+            : '';
+        return `
+            <div class="border rounded p-2 mb-2">
+                <div class="d-flex justify-content-between">
+                    <strong>${escapeHtml(shipment.shipmentNumber)}</strong>
+                    <span class="badge ${TRACK_STATUS_CLASSES[shipment.status] || 'bg-secondary'}">${escapeHtml(shipment.status)}</span>
+                </div>
+                ${shipment.courier || tracking ? `<div class="small">${escapeHtml(shipment.courier || '')} ${tracking}</div>` : ''}
+                <div class="small text-muted">${shipment.items.map(item => `${escapeHtml(item.name)} &times; ${item.quantity}`).join(', ')}</div>
+            </div>
+        `;
+    }).join(''));
+
+    $('#trackResultItems').html(order.items.map(item => `
+        <tr>
+            <td>${escapeHtml(item.name)}</td>
+            <td class="text-center">${item.quantity}</td>
+            <td class="text-end">${formatMoney(item.subtotal)}</td>
+        </tr>
+    `).join(''));
+
+    $('#trackResultTotals').html(`
+        <div>Subtotal: ${formatMoney(order.subtotal)}</div>
+        ${order.couponDiscount ? `<div class="text-success">Coupon: - ${formatMoney(order.couponDiscount)}</div>` : ''}
+        <div>Shipping: ${formatMoney(order.shippingCost)}</div>
+        <div>Tax: ${formatMoney(order.tax)}</div>
+        <div class="fw-bold fs-5">Total: ${formatMoney(order.total)}</div>
+        <div class="small text-muted">Payment: ${escapeHtml(order.paymentMethod.replace(/_/g, ' '))} (${escapeHtml(order.paymentStatus.replace(/_/g, ' '))})</div>
+    `);
+
+    // Guests can download the invoice with the order email; signed-in customers with their token
+    const token = localStorage.getItem('token');
+    const email = contact.includes('@') ? contact : '';
+    if ((order.isGuest && email) || (!order.isGuest && token)) {
+        $('#trackResultInvoice').html('<a href="#" id="trackInvoiceLink"><i class="fas fa-file-invoice me-1"></i>Download invoice</a>');
+        $('#trackInvoiceLink').click(function(e) {
+            e.preventDefault();
+            downloadInvoice(order._id, order.orderNumber, order.isGuest ? email : '');
+        });
+    } else {
+        $('#trackResultInvoice').empty();
+    }
+
+    $('#trackOrderResult').removeClass('d-none');
+}
+
+async function downloadInvoice(orderId, orderNumber, email) {
+    try {
+        const token = localStorage.getItem('token');
+        const response = await fetch(`/api/orders/${orderId}/invoice${email ? `?email=${encodeURIComponent(email)}` : ''}`, {
+            headers: token ? { 'x-auth-token': token } : {}
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const blobUrl = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = blobUrl;
+        link.download = `invoice-${orderNumber}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 10000);
+    } catch (error) {
+        console.error('Error downloading invoice:', error);
+        $('#trackOrderMessage').html('<div class="alert alert-danger mb-0">Could not download the invoice. Please try again.</div>');
+    }
+}
+
+function loadCartCount() {
+    const token = localStorage.getItem('token');
+    if (!token) return;
+
+    $.get({
+        url: '/api/cart/count',
+        headers: { 'x-auth-token': token }
+    })
+        .done(function(data) {
+            $('.cart-count').text(data.count || 0);
+        })
+        .fail(function() {
+            $('.cart-count').text('0');
+        });
+}
+
+function loadDepartments() {
+    $.get('/api/departments')
+        .done(function(departments) {
+            const menu = $('#departmentsMenu');
+            const footer = $('#footerDepartments');
+
+            if (menu.length) {
+                menu.html(departments.map(dept => {
+                    const deptId = dept._id || dept.id;
+                    return `<li><a class="dropdown-item" href="/department/${deptId}">${dept.name}</a></li>`;
+                }).join(''));
+            }
+
+            if (footer.length) {
+                footer.html(departments.map(dept => {
+                    const deptId = dept._id || dept.id;
+                    return `<li><a href="/department/${deptId}">${dept.name}</a></li>`;
+                }).join(''));
+            }
+        })
+        .fail(function() {
+            console.error('Error loading departments');
+        });
+}
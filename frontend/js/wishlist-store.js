@@ -0,0 +1,152 @@
+// Wishlist shared by the product pages, the homepage cards and the wishlist page.
+// Logged-in customers keep it on the server (/api/wishlist); guests keep it in localStorage.guestWishlist
+// until they log in, when login.js merges it into their account.
+(function() {
+    const GUEST_KEY = 'guestWishlist';
+
+    // Product ids currently in the wishlist
+    let productIds = new Set();
+    let loading = null;
+
+    function getToken() {
+        return localStorage.getItem('token');
+    }
+
+    function getGuestWishlist() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(GUEST_KEY));
+            return stored && Array.isArray(stored.items) ? stored : { items: [] };
+        } catch (e) {
+            return { items: [] };
+        }
+    }
+
+    function saveGuestWishlist(wishlist) {
+        localStorage.setItem(GUEST_KEY, JSON.stringify(wishlist));
+    }
+
+    async function request(url, options) {
+        if (window.authSession) {
+            await window.authSession.ready;
+        }
+        options = options || {};
+        const headers = { 'Content-Type': 'application/json' };
+        const token = options.token || getToken();
+        if (token) {
+            headers['x-auth-token'] = token;
+        }
+        const response = await fetch(url, {
+            method: options.method || 'GET',
+            headers: headers,
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+        const data = await response.json().catch(function() { return {}; });
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    function updateCount() {
+        document.querySelectorAll('.wishlist-count').forEach(function(element) {
+            element.textContent = String(productIds.size);
+        });
+        document.dispatchEvent(new CustomEvent('wishlist:change', { detail: { productIds: Array.from(productIds) } }));
+    }
+
+    // Wishlist items with current prices and price-drop / back-in-stock flags
+    async function fetchItems() {
+        const data = getToken()
+            ? await request('/api/wishlist')
+            : await request('/api/wishlist/guest', { method: 'POST', body: { items: getGuestWishlist().items } });
+        productIds = new Set(data.items.map(function(item) { return String(item.product._id); }));
+        updateCount();
+        return data.items;
+    }
+
+    function load() {
+        if (!loading) {
+            loading = (getToken()
+                ? fetchItems().then(function() {}, function(error) { console.error('Error loading wishlist:', error); })
+                : Promise.resolve().then(function() {
+                    productIds = new Set(getGuestWishlist().items.map(function(item) { return item.productId; }));
+                    updateCount();
+                }));
+        }
+        return loading;
+    }
+
+    function has(productId) {
+        return productIds.has(String(productId));
+    }
+
+    // product: { _id, price, discount, stock } (price and stock let the wishlist flag later changes)
+    async function add(product) {
+        const productId = String(product._id || product.productId);
+        if (getToken()) {
+            await request('/api/wishlist', { method: 'POST', body: { productId: productId } });
+        } else {
+            const wishlist = getGuestWishlist();
+            if (!wishlist.items.some(function(item) { return item.productId === productId; })) {
+                const price = parseFloat(product.price);
+                wishlist.items.push({
+                    productId: productId,
+                    addedAt: new Date().toISOString(),
+                    price: isNaN(price) ? undefined : Math.round(price * (1 - (parseFloat(product.discount) || 0) / 100) * 100) / 100,
+                    inStock: product.stock === undefined || product.stock === null ? undefined : Number(product.stock) > 0
+                });
+                saveGuestWishlist(wishlist);
+            }
+        }
+        productIds.add(productId);
+        updateCount();
+    }
+
+    async function remove(productId) {
+        productId = String(productId);
+        if (getToken()) {
+            await request(`/api/wishlist/${productId}`, { method: 'DELETE' });
+        } else {
+            const wishlist = getGuestWishlist();
+            wishlist.items = wishlist.items.filter(function(item) { return item.productId !== productId; });
+            saveGuestWishlist(wishlist);
+        }
+        productIds.delete(productId);
+        updateCount();
+    }
+
+    // Resolves to true when the product is now in the wishlist
+    async function toggle(product) {
+        const productId = String(product._id || product.productId);
+        if (has(productId)) {
+            await remove(productId);
+            return false;
+        }
+        await add(product);
+        return true;
+    }
+
+    // Move the guest wishlist into the account that just logged in (token from the login response)
+    async function mergeGuest(token) {
+        const items = getGuestWishlist().items;
+        if (items.length === 0) {
+            return;
+        }
+        try {
+            await request('/api/wishlist/merge', { method: 'POST', body: { items: items }, token: token });
+            localStorage.removeItem(GUEST_KEY);
+        } catch (error) {
+            console.error('Failed to merge guest wishlist:', error);
+        }
+    }
+
+    window.wishlist = {
+        load: load,
+        has: has,
+        add: add,
+        remove: remove,
+        toggle: toggle,
+        fetchItems: fetchItems,
+        mergeGuest: mergeGuest
+    };
+})();
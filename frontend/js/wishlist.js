@@ -0,0 +1,180 @@
+$(document).ready(function() {
+    loadCartCount();
+    loadDepartments();
+    loadWishlist();
+
+    $('#wishlistItems').on('click', '.move-to-cart', function() {
+        moveToCart($(this).data('id'), $(this));
+    });
+
+    $('#wishlistItems').on('click', '.remove-from-wishlist', function() {
+        removeFromWishlist($(this).data('id'));
+    });
+});
+
+// Wishlist items as last loaded, by product id
+let wishlistItems = {};
+
+function escapeHtml(value) {
+    return $('<div>').text(value == null ? '' : String(value)).html();
+}
+
+function formatMoney(amount) {
+    return `Rs. ${(amount || 0).toFixed(2)}`;
+}
+
+function showWishlistMessage(message, type) {
+    $('#wishlistMessage').html(`
+        <div class="alert alert-${type} alert-dismissible fade show" role="alert">
+            ${message}
+            <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+        </div>
+    `);
+}
+
+async function loadWishlist() {
+    $('#wishlistGuestNote').toggleClass('d-none', !!localStorage.getItem('token'));
+
+    try {
+        const items = await window.wishlist.fetchItems();
+        renderWishlist(items);
+    } catch (error) {
+        console.error('Error loading wishlist:', error);
+        showWishlistMessage('Your wishlist could not be loaded. Please try again.', 'danger');
+    } finally {
+        $('#wishlistLoading').addClass('d-none');
+    }
+}
+
+function renderWishlist(items) {
+    wishlistItems = {};
+    items.forEach(item => {
+        wishlistItems[item.product._id] = item;
+    });
+
+    $('#wishlistEmpty').toggleClass('d-none', items.length > 0);
+    $('#wishlistItems').html(items.map(item => {
+        const product = item.product;
+        const image = product.imageUpload?.url || product.image || 'https://via.placeholder.com/300x300';
+        const badges = [];
+        if (item.priceDropped) {
+            badges.push(`<span class="badge bg-success">Price dropped from ${formatMoney(item.priceWhenAdded)}</span>`);
+        }
+        if (item.backInStock) {
+            badges.push('<span class="badge bg-info text-dark">Back in stock</span>');
+        }
+        if (!item.inStock) {
+            badges.push('<span class="badge bg-secondary">Out of stock</span>');
+        }
+
+        return `
+            <div class="col-lg-3 col-md-4 col-sm-6">
+                <div class="card h-100 shadow-sm">
+                    <a href="/product/${product._id}">
+                        <img src="${escapeHtml(image)}" class="card-img-top" alt="${escapeHtml(product.name)}" style="height: 220px; object-fit: cover;" loading="lazy">
+                    </a>
+                    <div class="card-body d-flex flex-column">
+                        <h2 class="h6 card-title">
+                            <a href="/product/${product._id}" class="text-decoration-none text-dark">${escapeHtml(product.name)}</a>
+                        </h2>
+                        <div class="mb-2">
+                            ${product.discount > 0 ? `<span class="text-muted text-decoration-line-through me-2">${formatMoney(product.price)}</span>` : ''}
+                            <strong class="text-primary">${formatMoney(item.currentPrice)}</strong>
+                        </div>
+                        <div class="d-flex flex-wrap gap-1 mb-3">${badges.join('')}</div>
+                        <small class="text-muted mb-3">Added ${new Date(item.addedAt).toLocaleDateString()}</small>
+                        <div class="mt-auto d-flex gap-2">
+                            <button class="btn btn-primary btn-sm flex-grow-1 move-to-cart" data-id="${product._id}" ${item.inStock ? '' : 'disabled'}>
+                                <i class="fas fa-cart-plus"></i> Move to Cart
+                            </button>
+                            <button class="btn btn-outline-danger btn-sm remove-from-wishlist" data-id="${product._id}" title="Remove from wishlist" aria-label="Remove from wishlist">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join(''));
+}
+
+// Add the product to the cart, then take it off the wishlist
+async function moveToCart(productId, button) {
+    const item = wishlistItems[productId];
+    const token = localStorage.getItem('token');
+    button.prop('disabled', true);
+
+    try {
+        await $.ajax({
+            url: '/api/cart/add',
+            method: 'POST',
+            contentType: 'application/json',
+            headers: token ? { 'x-auth-token': token } : {},
+            data: JSON.stringify({ productId: productId, quantity: 1 })
+        });
+        await window.wishlist.remove(productId);
+
+        delete wishlistItems[productId];
+        renderWishlist(Object.values(wishlistItems));
+        loadCartCount();
+        showWishlistMessage(`${escapeHtml(item.product.name)} moved to your cart. <a href="/cart" class="alert-link">View cart</a>`, 'success');
+    } catch (error) {
+        button.prop('disabled', false);
+        // Products with variants are added from the product page, where the option is picked
+        if (error.responseJSON?.code === 'VARIANT_REQUIRED') {
+            window.location.href = `/product/${productId}`;
+            return;
+        }
+        const message = error.responseJSON?.message || error.message || 'Could not move the product to your cart';
+        showWishlistMessage(escapeHtml(message), 'danger');
+    }
+}
+
+async function removeFromWishlist(productId) {
+    try {
+        await window.wishlist.remove(productId);
+        delete wishlistItems[productId];
+        renderWishlist(Object.values(wishlistItems));
+    } catch (error) {
+        showWishlistMessage(escapeHtml(error.message || 'Could not remove the product'), 'danger');
+    }
+}
+
+function loadCartCount() {
+    const token = localStorage.getItem('token');
+    $.get({
+        url: '/api/cart/count',
+        headers: token ? { 'x-auth-token': token } : {}
+    })
+        .done(function(data) {
+            $('.cart-count').text(data.count || 0);
+        })
+        .fail(function() {
+            $('.cart-count').text('0');
+        });
+}
+
+function loadDepartments() {
+    $.get('/api/departments')
+        .done(function(departments) {
+            const menu = $('#departmentsMenu');
+            const footer = $('#footerDepartments');
+
+            if (menu.length) {
+                menu.html(departments.map(dept => {
+                    const deptId = dept._id || dept.id;
+                    return `<li><a class="dropdown-item" href="/department/${deptId}">${escapeHtml(dept.name)}</a></li>`;
+                }).join(''));
+            }
+
+            if (footer.length) {
+                footer.html(departments.map(dept => {
+                    const deptId = dept._id || dept.id;
+                    return `<li><a href="/department/${deptId}">${escapeHtml(dept.name)}</a></li>`;
+                }).join(''));
+            }
+        })
+        .fail(function() {
+            console.error('Error loading departments');
+        });
+}